@@ -0,0 +1,93 @@
+/**
+ * 敏感词匹配性能对比
+ * 在大词库下对比Trie树逐位扫描与Aho-Corasick自动机的构建和匹配耗时
+ *
+ * 用法：node scripts/benchmark-filter.js [词库大小] [消息条数]
+ */
+
+import { performance } from 'perf_hooks'
+import { Trie, normalizeText } from '../src/filterRules.js'
+import { AhoCorasick } from '../src/ahoCorasick.js'
+
+const wordCount = parseInt(process.argv[2]) || 50000
+const messageCount = parseInt(process.argv[3]) || 20000
+
+// 固定种子的伪随机数，保证每次运行的词库和消息一致
+let seed = 20240601
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648
+  return seed / 2147483648
+}
+
+// 从常用汉字区间随机取字
+const randomChinese = (length) => {
+  let text = ''
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(0x4E00 + Math.floor(random() * 3000))
+  }
+  return text
+}
+
+// 生成词库（2~6个字）和弹幕（最长50个字，约20%包含敏感词）
+const words = Array.from({ length: wordCount }, () => randomChinese(2 + Math.floor(random() * 5)))
+const messages = Array.from({ length: messageCount }, () => {
+  const message = randomChinese(10 + Math.floor(random() * 35))
+  if (random() < 0.2) {
+    const position = Math.floor(random() * message.length)
+    return (message.slice(0, position) + words[Math.floor(random() * words.length)] + message.slice(position)).slice(0, 50)
+  }
+  return message
+})
+
+const measure = (fn) => {
+  const start = performance.now()
+  const result = fn()
+  return { result, elapsed: performance.now() - start }
+}
+
+const runBenchmark = (name, Matcher, normalize) => {
+  const { result: matcher, elapsed: buildTime } = measure(() => {
+    const instance = new Matcher(normalize)
+    words.forEach(word => instance.addWord(word))
+    // Aho-Corasick在首次匹配前构建失败指针，计入构建耗时
+    if (instance.build) instance.build()
+    return instance
+  })
+
+  const { result: hitCount, elapsed: checkTime } = measure(() => {
+    let hits = 0
+    for (const message of messages) {
+      hits += matcher.check(message).words.length
+    }
+    return hits
+  })
+
+  const { elapsed: filterTime } = measure(() => {
+    for (const message of messages) {
+      matcher.filter(message)
+    }
+  })
+
+  return {
+    matcher: name,
+    build: `${buildTime.toFixed(1)}ms`,
+    check: `${checkTime.toFixed(1)}ms`,
+    filter: `${filterTime.toFixed(1)}ms`,
+    'check/s': Math.round(messages.length / (checkTime / 1000)),
+    hits: hitCount
+  }
+}
+
+console.log(`词库: ${wordCount} 个词，弹幕: ${messageCount} 条\n`)
+
+console.log('原始文本匹配:')
+console.table([
+  runBenchmark('Trie', Trie, null),
+  runBenchmark('Aho-Corasick', AhoCorasick, null)
+])
+
+console.log('规范化后匹配（与线上过滤一致）:')
+console.table([
+  runBenchmark('Trie', Trie, normalizeText),
+  runBenchmark('Aho-Corasick', AhoCorasick, normalizeText)
+])
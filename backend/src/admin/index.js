@@ -1,36 +1,156 @@
 import express from 'express'
 import { redisClient, mongoClient } from '../database.js'
+import {
+  getFilterRules,
+  addFilterRule,
+  removeFilterRule,
+  getRoomPolicy,
+  updateRoomPolicy,
+  deleteRoomPolicy,
+  addRoomFilterRule,
+  removeRoomFilterRule
+} from '../filterRules.js'
+import { getFlaggedDanmaku, retractDanmaku } from '../moderation.js'
+import { listSanctions, muteUser, unmuteUser, banUser, unbanUser, resolveClientIp } from '../sanctions.js'
+import { getRuntimeConfig, describeRuntimeConfig, updateRuntimeConfig } from '../runtimeConfig.js'
+import { recordAudit, queryAuditLog, exportAuditLog, auditConfig, AUDIT_EXPORT_FORMATS } from '../auditLog.js'
+import {
+  authenticateAdmin,
+  hasPermission,
+  login,
+  changePassword,
+  revokeToken,
+  revokeAllTokens,
+  listAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  listApiKeys,
+  createApiKey,
+  deleteApiKey
+} from '../adminAccounts.js'
+import { listRooms, getRoom, createRoom, updateRoom, setRoomStatus, roomIndexKey, ROOM_STATUSES } from '../roomRegistry.js'
+import { getPresenceStats, getRoomActivity, pageRoomIndex } from '../presence.js'
+import { getStatsHistory, STATS_INTERVALS } from '../statsCollector.js'
 import { nanoid } from 'nanoid'
 
 const router = express.Router()
 
-// 管理后台认证中间件
+// 请求IP（用于审计日志）
+const requestIp = (req) => resolveClientIp(req.headers, req.socket.remoteAddress)
+
+// 登录失败的错误码对应的HTTP状态码和提示
+const loginErrors = {
+  invalid_credentials: { status: 401, message: 'admin.invalidCredentials' },
+  locked: { status: 429, message: 'admin.loginLocked' },
+  auth_unavailable: { status: 503, message: 'errors.serviceUnavailable' }
+}
+
+// 管理员登录（无需认证），返回有时效的令牌，之后通过 Authorization: Bearer 令牌 访问管理接口
+// 参数: { username, password }
+router.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {}
+    const result = await login(username, password, requestIp(req))
+    
+    if (!result.success) {
+      if (result.code === 'invalid_credentials') {
+        console.warn(`[管理后台] 账号 ${username} 登录失败，IP: ${requestIp(req)}`)
+      }
+      const { status, message } = loginErrors[result.code]
+      return res.status(status).json({
+        success: false,
+        error: req.t(message),
+        code: result.code,
+        ...(result.retryAfter && { retryAfter: result.retryAfter })
+      })
+    }
+    
+    await recordAudit({ actor: result.account.username, action: 'auth.login', target: result.account.username, ip: requestIp(req) })
+    res.json({
+      success: true,
+      message: req.t('admin.loginSuccess'),
+      data: { token: result.token, expiresAt: result.expiresAt, account: result.account }
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 管理后台认证中间件：登录令牌（Authorization: Bearer）或API密钥（x-admin-token）
 const authMiddleware = (req, res, next) => {
-  // 实际项目中应该实现更安全的认证机制
-  const adminToken = req.headers['x-admin-token'] || req.query.token
-  
-  // 简单的演示认证（生产环境请使用更安全的方式）
-  if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
-    return res.status(401).json({ error: req.t('common.unauthorized') })
+  const { principal, code } = authenticateAdmin(req.headers)
+  if (!principal) {
+    return res.status(401).json({ error: req.t('common.unauthorized'), code })
   }
   
+  req.admin = principal
   next()
 }
 
 // 应用认证中间件
 router.use(authMiddleware)
 
-// 1. 敏感词管理 (简化版)
+// 权限检查中间件，getRoomId从请求中取出房间ID（按房间授权的权限需要）
+const requirePermission = (permission, getRoomId = () => undefined) => (req, res, next) => {
+  if (hasPermission(req.admin, permission, getRoomId(req))) {
+    return next()
+  }
+  res.status(403).json({
+    success: false,
+    error: req.t('errors.permission')
+  })
+}
+
+// 从路径参数中取房间ID
+const roomParam = req => req.params.room
+
+// 记录管理操作的审计日志，每个变更类路由在操作成功后调用
+const audit = (req, action, target, before = null, after = null) => {
+  return recordAudit({
+    actor: req.admin.actor,
+    action,
+    target,
+    before,
+    after,
+    ip: requestIp(req)
+  })
+}
+
+// 1. 敏感词管理
+
+// 管理操作错误码对应的HTTP状态码
+const adminErrorStatus = {
+  invalid: 400,
+  not_found: 404,
+  conflict: 409,
+  storage: 500
+}
+
+// 返回管理操作（过滤规则、房间、处罚、管理员账号、统计等）的错误
+const sendAdminError = (req, res, result) => {
+  const errorKeys = {
+    invalid: 'errors.validation',
+    not_found: 'errors.notFound',
+    conflict: 'errors.conflict'
+  }
+  res.status(adminErrorStatus[result.code] || 500).json({
+    success: false,
+    error: req.t(errorKeys[result.code] || 'common.serverError'),
+    details: result.message
+  })
+}
 
-// 注意：当前版本的filterRules模块不支持动态管理敏感词
-// 敏感词需要在filterRules.js文件中静态配置
-router.get('/filter-rules', async (req, res) => {
+// 获取所有过滤规则
+router.get('/filter-rules', requirePermission('rules:read'), async (req, res) => {
   try {
-    // 返回一个空数组，表示当前系统使用的是静态敏感词配置
     res.json({
       success: true,
-      data: [],
-      message: req.t('admin.filterRulesStatic') || '敏感词当前为静态配置，请修改filterRules.js文件'
+      data: getFilterRules()
     })
   } catch (error) {
     res.status(500).json({
@@ -41,30 +161,84 @@ router.get('/filter-rules', async (req, res) => {
   }
 })
 
-// 添加敏感词规则 (预留接口)
-router.post('/filter-rules', async (req, res) => {
-  res.status(501).json({
-    success: false,
-    error: req.t('errors.notImplemented') || '当前版本不支持动态添加敏感词，请修改filterRules.js文件'
-  })
+// 添加敏感词规则（已存在时更新规则类型），变更会同步到所有实例
+// type: ban | warn | replace | shadow；replace规则可通过replacement指定替换文本
+// matchType: word（默认）| regex | glob，正则会检查是否存在回溯风险
+router.post('/filter-rules', requirePermission('rules:write'), async (req, res) => {
+  try {
+    const { rule, type, matchType, replacement } = req.body || {}
+    const before = getFilterRules().find(item => item.rule === (typeof rule === 'string' ? rule.trim() : rule)) || null
+    const result = await addFilterRule({ rule, type, matchType, replacement })
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'filter_rule.save', result.rule.rule, before, result.rule)
+    
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: req.t('admin.ruleAdded'),
+      data: result.rule
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
 })
 
-// 删除敏感词规则 (预留接口)
-router.delete('/filter-rules/:rule', async (req, res) => {
-  res.status(501).json({
-    success: false,
-    error: req.t('errors.notImplemented') || '当前版本不支持动态删除敏感词，请修改filterRules.js文件'
-  })
+// 删除敏感词规则，变更会同步到所有实例
+router.delete('/filter-rules/:rule', requirePermission('rules:write'), async (req, res) => {
+  try {
+    const before = getFilterRules().find(item => item.rule === req.params.rule) || null
+    const result = await removeFilterRule(req.params.rule)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'filter_rule.delete', req.params.rule, before, null)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.ruleDeleted')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 获取命中warn规则、等待审核的弹幕（可按房间筛选）
+router.get('/flagged-danmaku', requirePermission('moderate', req => req.query.room), async (req, res) => {
+  try {
+    const { room, limit } = req.query
+    res.json({
+      success: true,
+      data: await getFlaggedDanmaku(room, limit)
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
 })
 
 // 2. 统计数据
 
-// 获取实时统计信息
-router.get('/stats', async (req, res) => {
+// 获取实时统计信息（集群在线人数，无Redis时只包含当前实例）
+router.get('/stats', requirePermission('stats:read'), async (req, res) => {
   try {
     const stats = {
       activeConnections: 0,
       rooms: {},
+      uniqueViewers: {},
       totalMessages: 0,
       dbStatus: {
         redis: !!redisClient,
@@ -72,24 +246,16 @@ router.get('/stats', async (req, res) => {
       }
     }
     
-    // 从Redis获取统计数据（如果可用）
-    if (redisClient) {
-      try {
-        // 获取房间信息
-        const roomsKeys = await redisClient.keys('danmaku:room:*:count')
-        for (const key of roomsKeys) {
-          const roomName = key.replace('danmaku:room:', '').replace(':count', '')
-          const count = await redisClient.get(key)
-          stats.rooms[roomName] = parseInt(count || '0')
-          stats.activeConnections += parseInt(count || '0')
-        }
-        
-        // 获取总消息数
-        const messageCount = await redisClient.get('danmaku:total_messages')
-        stats.totalMessages = parseInt(messageCount || '0')
-      } catch (redisError) {
-        console.warn('获取Redis统计数据失败:', redisError)
+    try {
+      const presence = await getPresenceStats()
+      for (const [roomId, { online, uniqueViewers }] of Object.entries(presence.rooms)) {
+        stats.rooms[roomId] = online
+        stats.uniqueViewers[roomId] = uniqueViewers
       }
+      stats.activeConnections = presence.activeConnections
+      stats.totalMessages = presence.totalMessages
+    } catch (redisError) {
+      console.warn('获取Redis统计数据失败:', redisError)
     }
     
     res.json({
@@ -104,42 +270,47 @@ router.get('/stats', async (req, res) => {
   }
 })
 
-// 获取历史统计数据
-router.get('/stats/history', async (req, res) => {
-  try {
-    const { start, end, interval = 'hour' } = req.query
-    const history = []
-    
-    // 如果有MongoDB连接，可以查询历史数据
-    if (mongoClient) {
-      try {
-        const db = mongoClient.db()
-        const statsCollection = db.collection('system_stats')
-        
-        const query = {}
-        if (start) query.timestamp = { $gte: new Date(parseInt(start)) }
-        if (end) query.timestamp = { ...query.timestamp, $lte: new Date(parseInt(end)) }
-        
-        const results = await statsCollection
-          .find(query)
-          .sort({ timestamp: 1 })
-          .toArray()
-        
-        results.forEach(stat => {
-          history.push({
-            timestamp: stat.timestamp,
-            connections: stat.activeConnections,
-            messages: stat.totalMessages
-          })
-        })
-      } catch (mongoError) {
-        console.warn('获取MongoDB历史数据失败:', mongoError)
-      }
+// 历史统计未指定start时默认查询的时长
+const STATS_HISTORY_DEFAULT_RANGES = {
+  minute: 3600000,
+  hour: 86400000,
+  day: 30 * 86400000
+}
+
+// 获取历史统计数据，按interval（minute/hour/day，默认hour）降采样
+// 参数: start, end 毫秒时间戳，默认查询到当前时间；未指定start时minute查最近1小时、hour查最近1天、day查最近30天
+router.get('/stats/history', requirePermission('stats:read'), async (req, res) => {
+  try {
+    const { interval = 'hour' } = req.query
+    const end = req.query.end === undefined ? Date.now() : Number(req.query.end)
+    const start = req.query.start === undefined
+      ? end - (STATS_HISTORY_DEFAULT_RANGES[interval] || 0)
+      : Number(req.query.start)
+    
+    let details = null
+    if (!STATS_INTERVALS[interval]) {
+      details = `interval 必须是 ${Object.keys(STATS_INTERVALS).join('/')} 之一`
+    } else if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+      details = 'start 和 end 必须是毫秒时间戳，且 start 不能晚于 end'
+    }
+    if (details) {
+      return res.status(400).json({
+        success: false,
+        error: req.t('errors.validation'),
+        details
+      })
+    }
+    
+    const result = await getStatsHistory(start, end, interval)
+    if (!result.success) {
+      return sendAdminError(req, res, result)
     }
     
     res.json({
       success: true,
-      data: history
+      data: result.data,
+      range: { start, end, interval },
+      truncated: result.truncated
     })
   } catch (error) {
     res.status(500).json({
@@ -151,30 +322,85 @@ router.get('/stats/history', async (req, res) => {
 
 // 3. 房间管理
 
-// 获取所有房间信息
-router.get('/rooms', async (req, res) => {
-  try {
-    const rooms = {}
-    
-    if (redisClient) {
-      try {
-        const roomKeys = await redisClient.keys('danmaku:room:*:count')
-        for (const key of roomKeys) {
-          const roomName = key.replace('danmaku:room:', '').replace(':count', '')
-          const count = await redisClient.get(key)
-          rooms[roomName] = {
-            name: roomName,
-            activeUsers: parseInt(count || '0')
-          }
-        }
-      } catch (redisError) {
-        console.warn('获取房间信息失败:', redisError)
-      }
+// 房间列表的排序字段：在线人数、每分钟弹幕数、创建时间
+const ROOM_SORT_FIELDS = {
+  viewers: room => room.activeUsers,
+  messageRate: room => room.messageRate,
+  createdAt: room => Date.parse(room.createdAt) || 0
+}
+
+// 解析分页参数中的正整数，不合法时返回null
+const parsePositiveInt = (value, defaultValue) => {
+  if (value === undefined) return defaultValue
+  const number = Number(value)
+  return Number.isInteger(number) && number > 0 ? number : null
+}
+
+// 获取已登记的房间列表（可用status筛选），附带在线人数和消息速率
+// 参数: status, sort (viewers/messageRate/createdAt，默认viewers), order (desc/asc，默认desc), page (默认1), pageSize (默认20，最大100)
+router.get('/rooms', requirePermission('rooms:read'), async (req, res) => {
+  try {
+    const { status, sort = 'viewers', order = 'desc' } = req.query
+    const page = parsePositiveInt(req.query.page, 1)
+    const pageSize = parsePositiveInt(req.query.pageSize, 20)
+    
+    let details = null
+    if (status && !ROOM_STATUSES.includes(status)) {
+      details = `status 必须是 ${ROOM_STATUSES.join('/')} 之一`
+    } else if (!ROOM_SORT_FIELDS[sort]) {
+      details = `sort 必须是 ${Object.keys(ROOM_SORT_FIELDS).join('/')} 之一`
+    } else if (order !== 'desc' && order !== 'asc') {
+      details = 'order 必须是 desc/asc 之一'
+    } else if (!page || !pageSize || pageSize > 100) {
+      details = 'page 必须是正整数，pageSize 必须是1~100的整数'
+    }
+    if (details) {
+      return res.status(400).json({
+        success: false,
+        error: req.t('errors.validation'),
+        details
+      })
+    }
+    
+    // 优先在Redis房间索引中排序分页，只读取当前页的房间；无Redis时在内存中排序
+    const offset = (page - 1) * pageSize
+    const indexPage = await pageRoomIndex(roomIndexKey(status), { sort, order, offset, count: pageSize })
+    let pageRooms
+    let total
+    if (indexPage) {
+      // 索引中有但本实例尚未加载的房间（刚由其他实例登记）跳过
+      pageRooms = indexPage.roomIds.map(roomId => getRoom(roomId)).filter(Boolean)
+      total = indexPage.total
+    } else {
+      pageRooms = listRooms({ status })
+      total = pageRooms.length
+    }
+    
+    // 在线人数和消息速率从房间索引批量读取，读取失败时按0处理
+    let activity = new Map()
+    try {
+      activity = await getRoomActivity(pageRooms.map(room => room.id))
+    } catch (redisError) {
+      console.warn('获取房间信息失败:', redisError)
+    }
+    
+    const rooms = pageRooms.map(room => ({
+      ...room,
+      name: room.id,
+      activeUsers: activity.get(room.id)?.online || 0,
+      messageRate: activity.get(room.id)?.messageRate || 0
+    }))
+    
+    if (!indexPage) {
+      const sortValue = ROOM_SORT_FIELDS[sort]
+      const direction = order === 'asc' ? 1 : -1
+      rooms.sort((a, b) => (sortValue(a) - sortValue(b)) * direction || a.id.localeCompare(b.id))
     }
     
     res.json({
       success: true,
-      data: rooms
+      data: indexPage ? rooms : rooms.slice(offset, offset + pageSize),
+      pagination: { page, pageSize, total, sort, order }
     })
   } catch (error) {
     res.status(500).json({
@@ -184,19 +410,121 @@ router.get('/rooms', async (req, res) => {
   }
 })
 
+// 登记房间
+// 参数: { id, title, description, owner, maxViewers, access (public/password/invite), password, invitees, open }
+// 新房间处于created状态，open为true时直接开放
+router.post('/rooms', requirePermission('rooms:write'), async (req, res) => {
+  try {
+    const result = await createRoom(req.body || {})
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'room.create', result.room.id, null, result.room)
+    
+    res.status(201).json({
+      success: true,
+      message: req.t('danmaku.roomCreated'),
+      data: result.room
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 获取已登记房间的信息
+router.get('/rooms/:room', requirePermission('rooms:read'), async (req, res) => {
+  const room = getRoom(req.params.room)
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      error: req.t('errors.notFound')
+    })
+  }
+  
+  res.json({
+    success: true,
+    data: room
+  })
+})
+
+// 修改房间信息和访问限制（参数同登记房间，只修改请求中出现的项）
+// maxViewers传null表示不限人数，password传null清除密码
+router.put('/rooms/:room', requirePermission('rooms:write'), async (req, res) => {
+  try {
+    const { title, description, owner, maxViewers, access, password, invitees } = req.body || {}
+    const before = getRoom(req.params.room)
+    const result = await updateRoom(req.params.room, { title, description, owner, maxViewers, access, password, invitees })
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'room.update', req.params.room, before, result.room)
+    
+    res.json({
+      success: true,
+      message: req.t('danmaku.roomUpdated'),
+      data: result.room
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 开放、关闭或归档房间；关闭和归档时房间内的连接会收到room-closed事件并被移出房间
+const ROOM_STATUS_ACTIONS = {
+  open: { status: 'open', message: 'admin.roomOpened' },
+  close: { status: 'closed', message: 'admin.roomClosed' },
+  archive: { status: 'archived', message: 'admin.roomArchived' }
+}
+
+router.post('/rooms/:room/:action(open|close|archive)', requirePermission('rooms:write'), async (req, res) => {
+  try {
+    const { status, message } = ROOM_STATUS_ACTIONS[req.params.action]
+    const before = getRoom(req.params.room)
+    const result = await setRoomStatus(req.params.room, status)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, `room.${req.params.action}`, req.params.room, { status: before?.status }, { status: result.room.status })
+    
+    res.json({
+      success: true,
+      message: req.t(message),
+      data: result.room
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
 // 清空指定房间弹幕
-router.post('/rooms/:room/clear', async (req, res) => {
+router.post('/rooms/:room/clear', requirePermission('moderate', roomParam), async (req, res) => {
   try {
     const roomName = req.params.room
     
-    // 向指定房间发送清空指令
+    // 向指定房间发送清空指令（连接加入的房间名就是房间ID）
     if (req.app.locals.io) {
-      req.app.locals.io.to(`room:${roomName}`).emit('clear-danmaku', {
+      req.app.locals.io.to(roomName).emit('clear-danmaku', {
         room: roomName,
         timestamp: Date.now(),
         adminAction: true
       })
     }
+    await audit(req, 'room.clear', roomName)
     
     res.json({
       success: true,
@@ -210,51 +538,713 @@ router.post('/rooms/:room/clear', async (req, res) => {
   }
 })
 
-// 4. 系统配置管理
+// 撤回房间内的一条弹幕：从存储中删除，并向房间广播danmaku-removed
+// data.deleted为false表示存储中没有该弹幕（未持久化或已删除），客户端仍会移除
+router.delete('/rooms/:room/danmaku/:id', requirePermission('moderate', roomParam), async (req, res) => {
+  try {
+    const { room, id } = req.params
+    const result = await retractDanmaku(room, id)
+    
+    if (req.app.locals.io) {
+      req.app.locals.io.to(room).emit('danmaku-removed', { roomId: room, id })
+    }
+    await audit(req, 'danmaku.retract', `${room}/${id}`, null, { deleted: result.deleted })
+    
+    res.json({
+      success: true,
+      message: req.t('admin.danmakuRetracted'),
+      data: { roomId: room, id, deleted: result.deleted }
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
 
-// 获取系统配置
-router.get('/config', async (req, res) => {
-  try {
-    const config = {
-      server: {
-        version: process.env.APP_VERSION || '1.0.0',
-        uptime: process.uptime()
-      },
-      redis: redisClient ? 'connected' : 'disconnected',
-      mongodb: mongoClient ? 'connected' : 'disconnected',
-      settings: {
-        maxMessageLength: parseInt(process.env.MAX_MESSAGE_LENGTH || '100'),
-        messageRateLimit: parseInt(process.env.MESSAGE_RATE_LIMIT || '10'),
-        rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW || '60')
-      }
+// 获取房间内的连接（集群内所有实例），供踢出和禁言时查找socketId和userId
+router.get('/rooms/:room/sockets', requirePermission('moderate', roomParam), async (req, res) => {
+  try {
+    const sockets = req.app.locals.io ? await req.app.locals.io.in(req.params.room).fetchSockets() : []
+    res.json({
+      success: true,
+      data: sockets.map(({ id, data }) => ({
+        socketId: id,
+        userId: data.user?.userId,
+        nickname: data.user?.nickname,
+        isGuest: !!data.user?.isGuest,
+        ip: data.ip
+      }))
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 获取房间内生效中的禁言
+router.get('/rooms/:room/mutes', requirePermission('moderate', roomParam), async (req, res) => {
+  res.json({
+    success: true,
+    data: listSanctions({ type: 'mute', roomId: req.params.room })
+  })
+})
+
+// 在房间内禁言用户
+// 参数: { userId, duration: 禁言时长（秒）, reason }，重复禁言时覆盖原来的时长
+router.post('/rooms/:room/mutes', requirePermission('moderate', roomParam), async (req, res) => {
+  try {
+    if (!getRoom(req.params.room)) {
+      return res.status(404).json({
+        success: false,
+        error: req.t('errors.notFound')
+      })
+    }
+    
+    const { userId, duration, reason } = req.body || {}
+    const result = await muteUser(req.params.room, { userId, duration, reason })
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'user.mute', result.sanction.id, result.previous, result.sanction)
+    
+    res.status(201).json({
+      success: true,
+      message: req.t('admin.userMuted'),
+      data: result.sanction
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 解除房间内的禁言
+router.delete('/rooms/:room/mutes/:userId', requirePermission('moderate', roomParam), async (req, res) => {
+  try {
+    const result = await unmuteUser(req.params.room, req.params.userId)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
     }
+    await audit(req, 'user.unmute', result.previous.id, result.previous, null)
     
     res.json({
       success: true,
-      data: config
+      message: req.t('admin.userUnmuted')
     })
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: error.message
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 获取房间策略（房间词库、覆盖的限制以及最终生效的限制）
+router.get('/rooms/:room/policy', requirePermission('rooms:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getRoomPolicy(req.params.room)
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
     })
   }
 })
 
-// 更新系统配置
-router.put('/config', async (req, res) => {
+// 修改房间限制：userRateLimit.messagesPerSecond、maxDuplicateCount、maxLength
+// 只修改请求中出现的项，传null恢复为全局配置
+router.put('/rooms/:room/policy', requirePermission('rooms:write'), async (req, res) => {
   try {
-    // 在实际项目中，这里应该有更严格的配置验证
-    // 并将配置持久化存储
+    const { userRateLimit, maxDuplicateCount, maxLength } = req.body || {}
+    const before = getRoomPolicy(req.params.room).overrides
+    const result = await updateRoomPolicy(req.params.room, { userRateLimit, maxDuplicateCount, maxLength })
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'room_policy.update', req.params.room, before, result.policy.overrides)
     
     res.json({
       success: true,
-      message: '配置更新成功'
+      message: req.t('admin.configUpdated'),
+      data: result.policy
     })
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: error.message
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 删除房间策略，房间恢复使用全局词库和配置
+router.delete('/rooms/:room/policy', requirePermission('rooms:write'), async (req, res) => {
+  try {
+    const { overrides, rules } = getRoomPolicy(req.params.room)
+    const result = await deleteRoomPolicy(req.params.room)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'room_policy.delete', req.params.room, { overrides, rules }, null)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.policyReset')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 添加房间过滤规则（参数同 POST /filter-rules），只对该房间生效
+router.post('/rooms/:room/policy/rules', requirePermission('moderate', roomParam), async (req, res) => {
+  try {
+    const { rule, type, matchType, replacement } = req.body || {}
+    const before = getRoomPolicy(req.params.room).rules.find(item => item.rule === (typeof rule === 'string' ? rule.trim() : rule)) || null
+    const result = await addRoomFilterRule(req.params.room, { rule, type, matchType, replacement })
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'room_filter_rule.save', `${req.params.room}/${result.rule.rule}`, before, result.rule)
+    
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: req.t('admin.ruleAdded'),
+      data: result.rule
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 删除房间过滤规则
+router.delete('/rooms/:room/policy/rules/:rule', requirePermission('moderate', roomParam), async (req, res) => {
+  try {
+    const before = getRoomPolicy(req.params.room).rules.find(item => item.rule === req.params.rule) || null
+    const result = await removeRoomFilterRule(req.params.room, req.params.rule)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'room_filter_rule.delete', `${req.params.room}/${req.params.rule}`, before, null)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.ruleDeleted')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 4. 系统配置管理
+
+// 获取系统配置：settings为当前生效的运行时配置，fields为各配置项的类型、取值范围、默认值和最近修改信息
+router.get('/config', requirePermission('config:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        server: {
+          version: process.env.APP_VERSION || '1.0.0',
+          uptime: process.uptime()
+        },
+        redis: redisClient ? 'connected' : 'disconnected',
+        mongodb: mongoClient ? 'connected' : 'disconnected',
+        settings: getRuntimeConfig(),
+        fields: describeRuntimeConfig()
+      }
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 更新系统配置（只修改传入的项，传null恢复默认值），立即在所有实例生效
+// 参数结构同GET返回的settings，如 { filter: { maxLength: 80, userRateLimit: { messagesPerSecond: 3 } } }
+router.put('/config', requirePermission('config:write'), async (req, res) => {
+  try {
+    const result = await updateRuntimeConfig(req.body, req.admin.actor)
+    
+    if (Object.keys(result.after || {}).length > 0) {
+      await audit(req, 'config.update', 'system', result.before, result.after)
+    }
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    
+    res.json({
+      success: true,
+      message: req.t('admin.configUpdated'),
+      data: result.config
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 5. 用户处罚
+
+// 踢出连接：通知客户端后断开（集群内任意实例上的连接都可以踢出），客户端可以重新连接
+// 版主只能踢出自己房间内的连接
+// 参数: { reason }
+router.post('/sockets/:socketId/kick', async (req, res) => {
+  try {
+    if (!req.admin.permissions.includes('moderate')) {
+      return res.status(403).json({
+        success: false,
+        error: req.t('errors.permission')
+      })
+    }
+    
+    const io = req.app.locals.io
+    const { socketId } = req.params
+    const sockets = io ? await io.in(socketId).fetchSockets() : []
+    if (sockets.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: req.t('errors.notFound')
+      })
+    }
+    if (![...sockets[0].rooms].some(roomId => hasPermission(req.admin, 'moderate', roomId))) {
+      return res.status(403).json({
+        success: false,
+        error: req.t('errors.permission')
+      })
+    }
+    
+    const { reason } = req.body || {}
+    io.to(socketId).emit('kicked', { reason: typeof reason === 'string' ? reason : '' })
+    io.in(socketId).disconnectSockets(true)
+    await audit(req, 'socket.kick', socketId, null, { userId: sockets[0].data.user?.userId, reason: reason ?? null })
+    
+    res.json({
+      success: true,
+      message: req.t('admin.userKicked'),
+      data: { socketId, userId: sockets[0].data.user?.userId }
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 获取生效中的封禁
+router.get('/bans', requirePermission('bans:manage'), async (req, res) => {
+  res.json({
+    success: true,
+    data: listSanctions({ type: 'ban' })
+  })
+})
+
+// 全局封禁用户或IP：被封禁的连接立即断开，之后的连接和发送都会被拒绝
+// 参数: { userId 或 ip, duration: 封禁时长（秒，不传为永久）, reason }
+router.post('/bans', requirePermission('bans:manage'), async (req, res) => {
+  try {
+    const { userId, ip, duration, reason } = req.body || {}
+    const result = await banUser({ userId, ip, duration, reason })
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'user.ban', result.sanction.id, result.previous, result.sanction)
+    
+    res.status(201).json({
+      success: true,
+      message: req.t('admin.userBanned'),
+      data: result.sanction
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 解除封禁
+router.delete('/bans/:target(user|ip)/:value', requirePermission('bans:manage'), async (req, res) => {
+  try {
+    const result = await unbanUser(req.params.target, req.params.value)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'user.unban', result.previous.id, result.previous, null)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.userUnbanned')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 6. 审计日志
+
+// 解析审计日志的筛选参数，返回 { filters } 或 { error }
+// start/end 为毫秒时间戳，actor/action/target 精确匹配
+const parseAuditFilters = (query) => {
+  const { actor, action, target } = query
+  const start = query.start === undefined ? undefined : Number(query.start)
+  const end = query.end === undefined ? undefined : Number(query.end)
+  if ((start !== undefined && !Number.isFinite(start)) || (end !== undefined && !Number.isFinite(end)) ||
+    (start !== undefined && end !== undefined && start > end)) {
+    return { error: 'start 和 end 必须是毫秒时间戳，且 start 不能晚于 end' }
+  }
+  for (const [name, value] of [['actor', actor], ['action', action], ['target', target]]) {
+    if (value !== undefined && typeof value !== 'string') {
+      return { error: `${name} 只能指定一个值` }
+    }
+  }
+  return { filters: { actor, action, target, start, end } }
+}
+
+// 查询审计日志，按时间倒序分页返回
+// 参数: actor, action, target, start, end, page (默认1), pageSize (默认50，最大200)
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const page = parsePositiveInt(req.query.page, 1)
+    const pageSize = parsePositiveInt(req.query.pageSize, 50)
+    const { filters, error } = parseAuditFilters(req.query)
+    
+    let details = error || null
+    if (!details && (!page || !pageSize || pageSize > auditConfig.maxPageSize)) {
+      details = `page 必须是正整数，pageSize 必须是1~${auditConfig.maxPageSize}的整数`
+    }
+    if (details) {
+      return res.status(400).json({
+        success: false,
+        error: req.t('errors.validation'),
+        details
+      })
+    }
+    
+    const { entries, total } = await queryAuditLog(filters, pageSize, (page - 1) * pageSize)
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { page, pageSize, total }
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 导出审计日志（按时间倒序，最多 auditConfig.maxExport 条）
+// 参数: format (csv/ndjson，默认csv)，筛选参数同 GET /audit
+router.get('/audit/export', requirePermission('audit:read'), async (req, res) => {
+  const { format = 'csv' } = req.query
+  const { filters, error } = parseAuditFilters(req.query)
+  const details = error || (!AUDIT_EXPORT_FORMATS.includes(format) ? `format 必须是 ${AUDIT_EXPORT_FORMATS.join('/')} 之一` : null)
+  if (details) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('errors.validation'),
+      details
+    })
+  }
+  
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8')
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${Date.now()}.${format}"`)
+  try {
+    await exportAuditLog(filters, format, chunk => res.write(chunk))
+    res.end()
+  } catch (error) {
+    // 已经开始写出，中断连接让客户端知道导出不完整
+    console.error('[审计] 导出审计日志失败:', error)
+    res.destroy(error)
+  }
+})
+
+// 7. 管理员账号与API密钥
+
+// 当前身份和权限
+router.get('/auth/me', async (req, res) => {
+  const { type, actor, role, permissions, rooms, expiresAt } = req.admin
+  res.json({
+    success: true,
+    data: { type, actor, role, permissions, rooms, expiresAt: expiresAt || null }
+  })
+})
+
+// 退出登录：吊销当前令牌
+router.post('/auth/logout', async (req, res) => {
+  try {
+    if (req.admin.type !== 'account') {
+      return res.status(400).json({
+        success: false,
+        error: req.t('errors.validation'),
+        details: '只有登录令牌可以退出登录'
+      })
+    }
+    
+    const result = await revokeToken(req.admin.username, req.admin.jti, req.admin.expiresAt)
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'auth.logout', req.admin.username)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.loggedOut')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 修改自己的密码，修改后已签发的令牌全部失效，需要重新登录
+// 参数: { currentPassword, newPassword }
+router.put('/auth/password', async (req, res) => {
+  try {
+    if (req.admin.type !== 'account') {
+      return res.status(400).json({
+        success: false,
+        error: req.t('errors.validation'),
+        details: '只有登录令牌可以修改密码'
+      })
+    }
+    
+    const { currentPassword, newPassword } = req.body || {}
+    const result = await changePassword(req.admin.username, currentPassword, newPassword)
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'auth.password_change', req.admin.username)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.passwordChanged')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 获取管理员账号列表
+router.get('/accounts', requirePermission('accounts:manage'), async (req, res) => {
+  res.json({
+    success: true,
+    data: listAccounts()
+  })
+})
+
+// 创建管理员账号
+// 参数: { username, password, role (super_admin/moderator/analyst), rooms: 版主可管理的房间ID列表 }
+router.post('/accounts', requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const { username, password, role, rooms } = req.body || {}
+    const result = await createAccount({ username, password, role, rooms })
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'account.create', result.account.username, null, result.account)
+    
+    res.status(201).json({
+      success: true,
+      message: req.t('admin.accountCreated'),
+      data: result.account
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 修改管理员账号（只修改请求中出现的项）：{ password, role, rooms, disabled }
+// 修改密码或停用账号时，该账号已签发的令牌全部失效；不能降级或停用最后一个超级管理员
+router.put('/accounts/:username', requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const { password, role, rooms, disabled } = req.body || {}
+    const before = listAccounts().find(account => account.username === req.params.username) || null
+    const result = await updateAccount(req.params.username, { password, role, rooms, disabled })
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'account.update', req.params.username, before, {
+      ...result.account,
+      ...(password !== undefined && { passwordChanged: true })
+    })
+    
+    res.json({
+      success: true,
+      message: req.t('admin.accountUpdated'),
+      data: result.account
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 删除管理员账号
+router.delete('/accounts/:username', requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const result = await deleteAccount(req.params.username)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'account.delete', req.params.username, result.account, null)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.accountDeleted')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 吊销账号已签发的全部令牌（强制重新登录）
+router.post('/accounts/:username/revoke-tokens', requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const result = await revokeAllTokens(req.params.username)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'account.revoke_tokens', req.params.username)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.tokensRevoked')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 获取API密钥列表（不包含密钥本身）
+router.get('/api-keys', requirePermission('accounts:manage'), async (req, res) => {
+  res.json({
+    success: true,
+    data: listApiKeys()
+  })
+})
+
+// 创建API密钥，响应中的key只返回这一次，之后通过 x-admin-token 请求头使用
+// 参数: { name, scopes: 权限列表, rooms: 限定的房间ID列表（不传为不限）, duration: 有效期（秒，不传为永久） }
+router.post('/api-keys', requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const { name, scopes, rooms, duration } = req.body || {}
+    const result = await createApiKey({ name, scopes, rooms: rooms ?? null, duration }, req.admin.actor)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'api_key.create', result.apiKey.id, null, result.apiKey)
+    
+    res.status(201).json({
+      success: true,
+      message: req.t('admin.apiKeyCreated'),
+      data: { ...result.apiKey, key: result.key }
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+// 吊销API密钥
+router.delete('/api-keys/:id', requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const result = await deleteApiKey(req.params.id)
+    
+    if (!result.success) {
+      return sendAdminError(req, res, result)
+    }
+    await audit(req, 'api_key.delete', req.params.id, result.apiKey, null)
+    
+    res.json({
+      success: true,
+      message: req.t('admin.apiKeyDeleted')
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
     })
   }
 })
@@ -0,0 +1,567 @@
+import crypto from 'crypto'
+import { redisClient, redisUtils, dbAdapter, instanceId } from './database.js'
+import { ROOM_ID_PATTERN } from './socketSchemas.js'
+import { hashPassword, verifyPassword, issueAdminToken, verifyAdminToken } from './auth.js'
+
+// 管理后台账号：具名账号使用密码登录，换取有时效的令牌（Authorization: Bearer）；角色决定可以访问的接口，版主只能管理分配给自己的房间
+// 自动化脚本使用API密钥（x-admin-token请求头），只保存密钥哈希，权限范围和可管理的房间在创建时指定
+// 账号和密钥保存到数据库并缓存在各实例内存中，认证时只查内存；变更通过Redis把记录同步给其他实例
+
+// 权限
+export const ADMIN_PERMISSIONS = [
+  'stats:read',
+  'audit:read',
+  'rules:read',
+  'rules:write',
+  'rooms:read',
+  'rooms:write',
+  'moderate',
+  'bans:manage',
+  'config:read',
+  'config:write',
+  'accounts:manage'
+]
+
+// 按房间授权的权限：版主和限定了房间的API密钥只能在指定房间内使用
+const ROOM_SCOPED_PERMISSIONS = ['moderate']
+
+// 角色及其权限：super_admin 超级管理员，moderator 版主，analyst 数据分析
+export const ADMIN_ROLES = {
+  super_admin: ADMIN_PERMISSIONS,
+  moderator: ['rules:read', 'rooms:read', 'moderate'],
+  analyst: ['stats:read', 'audit:read', 'rules:read', 'rooms:read', 'config:read']
+}
+
+// 账号配置
+export const adminConfig = {
+  // 登录令牌有效期
+  tokenExpiresIn: process.env.ADMIN_TOKEN_EXPIRES_IN || '12h',
+  // 同一IP对同一账号连续登录失败达到该次数后锁定（只锁定该IP，其他IP仍可登录）
+  maxLoginFailures: 5,
+  // 登录锁定时长（毫秒），也是失败次数的统计窗口：距上次失败超过该时长后重新计数
+  loginLockout: 15 * 60 * 1000,
+  // 无Redis时最多记录的登录失败数，超出时丢弃最早的记录
+  maxLoginFailureRecords: 10000,
+  // 密码长度范围
+  password: { min: 8, max: 128 },
+  // 版主最多分配的房间数
+  maxRooms: 100,
+  // API密钥有效期上限（秒）
+  maxApiKeyDuration: 365 * 24 * 3600
+}
+
+// 账号和密钥变更通知频道
+const ADMIN_CHANNEL = 'admin:changed'
+
+// 账号名格式
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,64}$/
+
+// API密钥格式：dk_密钥ID_随机串
+const API_KEY_PATTERN = /^dk_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$/
+
+// 管理员账号：账号名 -> { username, passwordHash, role, rooms, disabled, tokensValidAfter, revokedTokens, createdAt, updatedAt }
+// tokensValidAfter及之前签发的令牌全部失效；revokedTokens为单独吊销的令牌 [{ jti, expiresAt }]
+const accounts = new Map()
+
+// API密钥：密钥ID -> { id, name, keyHash, scopes, rooms, createdBy, createdAt, expiresAt }，rooms为null表示不限房间
+const apiKeys = new Map()
+
+// 登录失败记录（无Redis时使用）：账号名:IP -> { count, expiresAt }
+// 有Redis时记录在 danmaku:admin:login-failures:{账号名}:{IP}，所有实例共享同一份计数
+const loginFailures = new Map()
+
+// 账号不存在时用于比对的密码哈希，使登录耗时与账号是否存在无关
+let dummyPasswordHash = null
+
+// 数据库适配器是否可用
+const isAdapterReady = () => {
+  return !!dbAdapter && dbAdapter.isConnected
+}
+
+// API密钥哈希
+const hashApiKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex')
+
+// 对外返回的账号信息（不包含密码哈希和吊销记录）
+const toPublicAccount = (account) => ({
+  username: account.username,
+  role: account.role,
+  rooms: account.role === 'moderator' ? account.rooms : null,
+  disabled: account.disabled,
+  createdAt: account.createdAt,
+  updatedAt: account.updatedAt
+})
+
+// 对外返回的API密钥信息（不包含密钥哈希）
+const toPublicApiKey = ({ keyHash, ...apiKey }) => apiKey
+
+// 是否还有可用的超级管理员账号
+const hasActiveSuperAdmin = (except = null) => {
+  for (const account of accounts.values()) {
+    if (account.username !== except && account.role === 'super_admin' && !account.disabled) return true
+  }
+  return false
+}
+
+// 应用账号或密钥变更（本实例或其他实例发起），record为null表示删除
+const applyChange = (kind, id, record) => {
+  const store = kind === 'account' ? accounts : apiKeys
+  if (record) {
+    store.set(id, record)
+  } else {
+    store.delete(id)
+  }
+}
+
+// 处理其他实例发布的变更，消息中带有完整记录，不需要重新查询数据库
+const handleAdminChanged = (message) => {
+  if (!message || message.origin === instanceId || !message.id) return
+  if (message.kind !== 'account' && message.kind !== 'api_key') return
+  applyChange(message.kind, message.id, message.record || null)
+}
+
+// 保存账号：写入数据库、更新本地缓存并通知其他实例
+const saveAccount = async (account) => {
+  if (isAdapterReady() && !(await dbAdapter.saveAdminAccount(account))) {
+    return { success: false, code: 'storage', message: '管理员账号保存失败' }
+  }
+
+  applyChange('account', account.username, account)
+  await redisUtils.publish(ADMIN_CHANNEL, { origin: instanceId, kind: 'account', id: account.username, record: account })
+  return { success: true, account: toPublicAccount(account) }
+}
+
+// 初始化管理员账号和API密钥
+export const initializeAdminAccounts = async () => {
+  if (isAdapterReady()) {
+    const [savedAccounts, savedApiKeys] = await Promise.all([dbAdapter.getAdminAccounts(), dbAdapter.getApiKeys()])
+    accounts.clear()
+    apiKeys.clear()
+    savedAccounts.forEach(account => accounts.set(account.username, account))
+    savedApiKeys.forEach(apiKey => apiKeys.set(apiKey.id, apiKey))
+  } else {
+    console.warn('未连接数据库：管理员账号和API密钥只保存在内存中，重启后丢失')
+  }
+
+  // 订阅账号和密钥变更，保证多副本一致
+  const subscribeResult = await redisUtils.subscribe(ADMIN_CHANNEL, handleAdminChanged)
+  if (!subscribeResult.success) {
+    console.warn('管理员账号变更订阅失败，账号和密钥的变更将只在当前实例生效')
+  }
+
+  if (!hasActiveSuperAdmin()) {
+    console.warn(process.env.ADMIN_TOKEN
+      ? '尚未创建超级管理员账号：ADMIN_TOKEN 暂时拥有全部权限，请尽快创建账号，创建后 ADMIN_TOKEN 将失效'
+      : '尚未创建超级管理员账号，且未配置ADMIN_TOKEN，管理后台无法使用')
+  }
+
+  console.log(`管理员账号加载完成，共 ${accounts.size} 个账号、${apiKeys.size} 个API密钥`)
+}
+
+// 校验房间列表（版主分配的房间、API密钥限定的房间）
+const parseRooms = (rooms) => {
+  if (!Array.isArray(rooms) || rooms.length > adminConfig.maxRooms ||
+    !rooms.every(roomId => typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId))) {
+    return { error: `rooms 必须是不超过${adminConfig.maxRooms}个房间ID的数组` }
+  }
+  return { rooms: [...new Set(rooms)] }
+}
+
+// 校验密码
+const checkPassword = (password) => {
+  const { min, max } = adminConfig.password
+  if (typeof password !== 'string' || password.length < min || password.length > max) {
+    return `password 必须是 ${min}~${max} 个字符的字符串`
+  }
+  return null
+}
+
+// 创建账号
+// 参数: { username, password, role, rooms }，rooms为版主可管理的房间
+export const createAccount = async ({ username, password, role, rooms = [] } = {}) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return { success: false, code: 'invalid', message: 'username 必须是3~64个字母、数字或 _ . - 组成的字符串' }
+  }
+  const passwordError = checkPassword(password)
+  if (passwordError) {
+    return { success: false, code: 'invalid', message: passwordError }
+  }
+  if (!ADMIN_ROLES[role]) {
+    return { success: false, code: 'invalid', message: `role 必须是 ${Object.keys(ADMIN_ROLES).join('/')} 之一` }
+  }
+  const parsedRooms = parseRooms(rooms)
+  if (parsedRooms.error) {
+    return { success: false, code: 'invalid', message: parsedRooms.error }
+  }
+  if (accounts.has(username)) {
+    return { success: false, code: 'conflict', message: '账号已存在' }
+  }
+
+  const now = new Date().toISOString()
+  return saveAccount({
+    username,
+    passwordHash: await hashPassword(password),
+    role,
+    rooms: role === 'moderator' ? parsedRooms.rooms : [],
+    disabled: false,
+    tokensValidAfter: null,
+    revokedTokens: [],
+    createdAt: now,
+    updatedAt: now
+  })
+}
+
+// 令牌全部失效的时间点（毫秒精度，与令牌的iatMs比较，该时间点及之前签发的令牌失效）
+const tokensRevokedNow = () => new Date().toISOString()
+
+// 修改账号（只修改传入的项）：{ password, role, rooms, disabled }
+// 修改密码或停用账号时，该账号已签发的令牌全部失效
+export const updateAccount = async (username, { password, role, rooms, disabled } = {}) => {
+  const current = accounts.get(username)
+  if (!current) {
+    return { success: false, code: 'not_found', message: '账号不存在' }
+  }
+
+  const next = { ...current, updatedAt: new Date().toISOString() }
+  if (password !== undefined) {
+    const passwordError = checkPassword(password)
+    if (passwordError) {
+      return { success: false, code: 'invalid', message: passwordError }
+    }
+    next.passwordHash = await hashPassword(password)
+    next.tokensValidAfter = tokensRevokedNow()
+  }
+  if (role !== undefined) {
+    if (!ADMIN_ROLES[role]) {
+      return { success: false, code: 'invalid', message: `role 必须是 ${Object.keys(ADMIN_ROLES).join('/')} 之一` }
+    }
+    next.role = role
+  }
+  if (rooms !== undefined) {
+    const parsedRooms = parseRooms(rooms)
+    if (parsedRooms.error) {
+      return { success: false, code: 'invalid', message: parsedRooms.error }
+    }
+    next.rooms = parsedRooms.rooms
+  }
+  if (disabled !== undefined) {
+    if (typeof disabled !== 'boolean') {
+      return { success: false, code: 'invalid', message: 'disabled 必须是布尔值' }
+    }
+    next.disabled = disabled
+    if (disabled) next.tokensValidAfter = tokensRevokedNow()
+  }
+  if (next.role !== 'moderator') {
+    next.rooms = []
+  }
+
+  if (current.role === 'super_admin' && !current.disabled &&
+    (next.role !== 'super_admin' || next.disabled) && !hasActiveSuperAdmin(username)) {
+    return { success: false, code: 'conflict', message: '不能降级或停用最后一个超级管理员' }
+  }
+
+  return saveAccount(next)
+}
+
+// 删除账号
+export const deleteAccount = async (username) => {
+  const current = accounts.get(username)
+  if (!current) {
+    return { success: false, code: 'not_found', message: '账号不存在' }
+  }
+  if (current.role === 'super_admin' && !current.disabled && !hasActiveSuperAdmin(username)) {
+    return { success: false, code: 'conflict', message: '不能删除最后一个超级管理员' }
+  }
+  if (isAdapterReady() && !(await dbAdapter.deleteAdminAccount(username))) {
+    return { success: false, code: 'storage', message: '管理员账号删除失败' }
+  }
+
+  applyChange('account', username, null)
+  await redisUtils.publish(ADMIN_CHANNEL, { origin: instanceId, kind: 'account', id: username, record: null })
+  return { success: true, account: toPublicAccount(current) }
+}
+
+// 获取所有账号
+export const listAccounts = () => {
+  return [...accounts.values()]
+    .map(toPublicAccount)
+    .sort((a, b) => a.username.localeCompare(b.username))
+}
+
+const loginFailureKey = (username, ip) => `danmaku:admin:login-failures:${username}:${ip}`
+
+// 获取登录失败次数和计数剩余的有效期（毫秒）
+const getLoginFailures = async (username, ip) => {
+  if (redisClient) {
+    try {
+      const key = loginFailureKey(username, ip)
+      const [count, ttl] = await redisClient.multi().get(key).pTTL(key).exec()
+      return { count: parseInt(count) || 0, ttl: Math.max(Number(ttl) || 0, 0) }
+    } catch (error) {
+      console.error('[管理员账号] 读取登录失败次数失败:', error)
+    }
+  }
+
+  const failure = loginFailures.get(`${username}:${ip}`)
+  if (!failure || failure.expiresAt <= Date.now()) return { count: 0, ttl: 0 }
+  return { count: failure.count, ttl: failure.expiresAt - Date.now() }
+}
+
+// 记录一次登录失败，计数在最后一次失败loginLockout毫秒后过期
+const recordLoginFailure = async (username, ip) => {
+  if (redisClient) {
+    try {
+      const key = loginFailureKey(username, ip)
+      await redisClient.multi().incr(key).pExpire(key, adminConfig.loginLockout).exec()
+      return
+    } catch (error) {
+      console.error('[管理员账号] 记录登录失败次数失败:', error)
+    }
+  }
+
+  const key = `${username}:${ip}`
+  const { count } = await getLoginFailures(username, ip)
+  loginFailures.delete(key)
+  if (loginFailures.size >= adminConfig.maxLoginFailureRecords) {
+    loginFailures.delete(loginFailures.keys().next().value)
+  }
+  loginFailures.set(key, { count: count + 1, expiresAt: Date.now() + adminConfig.loginLockout })
+}
+
+// 登录成功后清除失败记录
+const clearLoginFailures = async (username, ip) => {
+  loginFailures.delete(`${username}:${ip}`)
+  if (!redisClient) return
+  try {
+    await redisClient.del(loginFailureKey(username, ip))
+  } catch (error) {
+    console.error('[管理员账号] 清除登录失败次数失败:', error)
+  }
+}
+
+// 登录，返回 { success: true, token, expiresAt, account }
+// ip为请求IP，失败次数按账号名和IP统计，其他IP的失败不会锁定该账号
+// 失败时code为 invalid_credentials（账号不存在、已停用或密码错误）、locked（连续失败被锁定）、auth_unavailable（未配置JWT_SECRET）
+export const login = async (username, password, ip = '') => {
+  const key = String(username)
+  // 账号名最长64个字符，截断后不会与其他账号混淆，避免超长的输入写入Redis键
+  const failureName = key.slice(0, 64)
+  const failure = await getLoginFailures(failureName, ip)
+  if (failure.count >= adminConfig.maxLoginFailures) {
+    return { success: false, code: 'locked', message: '登录失败次数过多，请稍后再试', retryAfter: failure.ttl }
+  }
+
+  const account = accounts.get(key)
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString('hex'))
+  }
+  const passwordMatched = await verifyPassword(typeof password === 'string' ? password : '', account?.passwordHash || dummyPasswordHash)
+  if (!account || account.disabled || !passwordMatched) {
+    await recordLoginFailure(failureName, ip)
+    return { success: false, code: 'invalid_credentials', message: '账号或密码错误' }
+  }
+
+  const issued = issueAdminToken(account.username, adminConfig.tokenExpiresIn)
+  if (!issued) {
+    return { success: false, code: 'auth_unavailable', message: '服务端未配置JWT_SECRET，无法签发令牌' }
+  }
+  await clearLoginFailures(failureName, ip)
+  return { success: true, token: issued.token, expiresAt: issued.expiresAt, account: toPublicAccount(account) }
+}
+
+// 修改自己的密码，需要校验当前密码；已签发的令牌全部失效，需要重新登录
+export const changePassword = async (username, currentPassword, newPassword) => {
+  const account = accounts.get(username)
+  if (!account || !(await verifyPassword(typeof currentPassword === 'string' ? currentPassword : '', account.passwordHash))) {
+    return { success: false, code: 'invalid', message: '当前密码错误' }
+  }
+  return updateAccount(username, { password: newPassword })
+}
+
+// 吊销一个令牌（退出登录），只保留未过期的吊销记录
+export const revokeToken = async (username, jti, expiresAt) => {
+  const account = accounts.get(username)
+  if (!account) {
+    return { success: false, code: 'not_found', message: '账号不存在' }
+  }
+
+  const now = Date.now()
+  const revokedTokens = account.revokedTokens
+    .filter(token => new Date(token.expiresAt).getTime() > now)
+    .concat({ jti, expiresAt })
+  return saveAccount({ ...account, revokedTokens, updatedAt: new Date().toISOString() })
+}
+
+// 吊销账号已签发的全部令牌
+export const revokeAllTokens = async (username) => {
+  const account = accounts.get(username)
+  if (!account) {
+    return { success: false, code: 'not_found', message: '账号不存在' }
+  }
+  return saveAccount({ ...account, tokensValidAfter: tokensRevokedNow(), revokedTokens: [], updatedAt: new Date().toISOString() })
+}
+
+// 创建API密钥，返回的key只在创建时出现一次
+// 参数: { name, scopes: 权限列表（不能包含accounts:manage）, rooms: 限定的房间（不传为不限）, duration: 有效期（秒，不传为永久） }
+export const createApiKey = async ({ name, scopes, rooms = null, duration } = {}, createdBy = null) => {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return { success: false, code: 'invalid', message: 'name 必须是1~100个字符的字符串' }
+  }
+  const grantable = ADMIN_PERMISSIONS.filter(permission => permission !== 'accounts:manage')
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => grantable.includes(scope))) {
+    return { success: false, code: 'invalid', message: `scopes 必须是 ${grantable.join('/')} 中的一项或多项` }
+  }
+  let parsedRooms = null
+  if (rooms !== null) {
+    const parsed = parseRooms(rooms)
+    if (parsed.error) {
+      return { success: false, code: 'invalid', message: parsed.error }
+    }
+    parsedRooms = parsed.rooms
+  }
+  if (duration !== undefined && (!Number.isInteger(duration) || duration < 1 || duration > adminConfig.maxApiKeyDuration)) {
+    return { success: false, code: 'invalid', message: `duration 必须是 1~${adminConfig.maxApiKeyDuration} 之间的整数（秒）` }
+  }
+
+  const id = crypto.randomBytes(6).toString('hex')
+  const secret = crypto.randomBytes(24).toString('base64url')
+  const apiKey = {
+    id,
+    name: name.trim(),
+    keyHash: hashApiKey(secret),
+    scopes: [...new Set(scopes)],
+    rooms: parsedRooms,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    expiresAt: duration ? new Date(Date.now() + duration * 1000).toISOString() : null
+  }
+
+  if (isAdapterReady() && !(await dbAdapter.saveApiKey(apiKey))) {
+    return { success: false, code: 'storage', message: 'API密钥保存失败' }
+  }
+  applyChange('api_key', id, apiKey)
+  await redisUtils.publish(ADMIN_CHANNEL, { origin: instanceId, kind: 'api_key', id, record: apiKey })
+  return { success: true, key: `dk_${id}_${secret}`, apiKey: toPublicApiKey(apiKey) }
+}
+
+// 删除（吊销）API密钥
+export const deleteApiKey = async (id) => {
+  const current = apiKeys.get(id)
+  if (!current) {
+    return { success: false, code: 'not_found', message: 'API密钥不存在' }
+  }
+  if (isAdapterReady() && !(await dbAdapter.deleteApiKey(id))) {
+    return { success: false, code: 'storage', message: 'API密钥删除失败' }
+  }
+
+  applyChange('api_key', id, null)
+  await redisUtils.publish(ADMIN_CHANNEL, { origin: instanceId, kind: 'api_key', id, record: null })
+  return { success: true, apiKey: toPublicApiKey(current) }
+}
+
+// 获取所有API密钥
+export const listApiKeys = () => {
+  return [...apiKeys.values()]
+    .map(toPublicApiKey)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+// 比较两个字符串是否相同（耗时与内容无关）
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a)
+  const bufferB = Buffer.from(b)
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+// 校验登录令牌
+const authenticateToken = (token) => {
+  let claims
+  try {
+    claims = verifyAdminToken(token)
+  } catch (error) {
+    return { code: error.data?.code || 'invalid_token', message: error.message }
+  }
+
+  const account = accounts.get(claims.username)
+  if (!account || account.disabled) {
+    return { code: 'invalid_token', message: '账号不存在或已停用' }
+  }
+  if ((account.tokensValidAfter && claims.issuedAt <= new Date(account.tokensValidAfter).getTime()) ||
+    account.revokedTokens.some(({ jti }) => jti === claims.jti)) {
+    return { code: 'token_revoked', message: '令牌已被吊销' }
+  }
+
+  return {
+    principal: {
+      type: 'account',
+      actor: account.username,
+      username: account.username,
+      role: account.role,
+      permissions: ADMIN_ROLES[account.role],
+      rooms: account.role === 'moderator' ? account.rooms : null,
+      jti: claims.jti,
+      expiresAt: claims.expiresAt
+    }
+  }
+}
+
+// 校验API密钥；还没有超级管理员账号时，ADMIN_TOKEN作为初始化用的超级管理员密钥
+const authenticateApiKey = (key) => {
+  const match = API_KEY_PATTERN.exec(key)
+  if (match) {
+    const apiKey = apiKeys.get(match[1])
+    if (!apiKey || !safeEqual(hashApiKey(match[2]), apiKey.keyHash)) {
+      return { code: 'invalid_api_key', message: 'API密钥无效' }
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= Date.now()) {
+      return { code: 'api_key_expired', message: 'API密钥已过期' }
+    }
+    return {
+      principal: {
+        type: 'api_key',
+        actor: `api_key:${apiKey.name}`,
+        keyId: apiKey.id,
+        role: null,
+        permissions: apiKey.scopes,
+        rooms: apiKey.rooms
+      }
+    }
+  }
+
+  if (process.env.ADMIN_TOKEN && !hasActiveSuperAdmin() && safeEqual(key, process.env.ADMIN_TOKEN)) {
+    return {
+      principal: {
+        type: 'bootstrap',
+        actor: 'admin_token',
+        role: 'super_admin',
+        permissions: ADMIN_ROLES.super_admin,
+        rooms: null
+      }
+    }
+  }
+
+  return { code: 'invalid_api_key', message: 'API密钥无效' }
+}
+
+// 认证管理后台请求，返回 { principal } 或 { code, message }
+// 登录令牌通过 Authorization: Bearer 传递，API密钥通过 x-admin-token 传递
+// principal: { type: account/api_key/bootstrap, actor, role, permissions, rooms }，rooms为null表示不限房间
+export const authenticateAdmin = (headers) => {
+  const authorization = headers.authorization
+  if (typeof authorization === 'string' && authorization.startsWith('Bearer ')) {
+    return authenticateToken(authorization.slice(7).trim())
+  }
+
+  const key = headers['x-admin-token']
+  if (typeof key === 'string' && key) {
+    return authenticateApiKey(key)
+  }
+
+  return { code: 'credentials_required', message: '缺少登录令牌或API密钥' }
+}
+
+// 检查权限；按房间授权的权限需要传入roomId，版主和限定房间的密钥只能操作自己的房间
+export const hasPermission = (principal, permission, roomId) => {
+  if (!principal || !principal.permissions.includes(permission)) return false
+  if (!ROOM_SCOPED_PERMISSIONS.includes(permission) || principal.rooms === null) return true
+  return !!roomId && principal.rooms.includes(roomId)
+}
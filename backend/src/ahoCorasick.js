@@ -0,0 +1,171 @@
+// Aho-Corasick自动机：一次扫描文本即可找出所有命中的敏感词
+// 与Trie树接口一致（addWord/removeWord/check/filter），可直接替换
+
+class AhoCorasickNode {
+  constructor(depth = 0) {
+    this.children = new Map()
+    this.isEnd = false
+    // 以该节点结尾的词（规范化后的键）
+    this.word = null
+    // 从根节点到当前节点的字符数（即以该节点结尾的词长度）
+    this.depth = depth
+    // 失败指针：当前节点对应字符串的最长真后缀所在节点
+    this.fail = null
+    // 输出指针：沿失败指针能到达的最近一个词尾节点
+    this.output = null
+  }
+}
+
+export class AhoCorasick {
+  // normalize为可选的文本规范化函数，敏感词和待检查文本都会先经过规范化
+  constructor(normalize = null) {
+    this.root = new AhoCorasickNode()
+    this.normalize = normalize
+    // 增删词后失败指针需要重新计算，延迟到下次匹配时统一构建
+    this.dirty = false
+  }
+
+  // 获取敏感词规范化后的形式（即自动机中实际存储的键）
+  getKey(word) {
+    return this.normalize ? this.normalize(word).chars.join('') : word
+  }
+
+  // 添加敏感词，返回实际存储的键（规范化后为空时不添加）
+  addWord(word) {
+    const key = this.getKey(word)
+    if (!key) return key
+
+    let node = this.root
+    for (const char of key) {
+      if (!node.children.has(char)) {
+        node.children.set(char, new AhoCorasickNode(node.depth + 1))
+      }
+      node = node.children.get(char)
+    }
+    if (!node.isEnd) {
+      node.isEnd = true
+      node.word = key
+      this.dirty = true
+    }
+    return key
+  }
+
+  // 删除敏感词，并清理不再被其他词使用的节点
+  removeWord(word) {
+    const key = this.getKey(word)
+    const path = [this.root]
+    let node = this.root
+    for (const char of key) {
+      node = node.children.get(char)
+      if (!node) return false
+      path.push(node)
+    }
+    if (!node.isEnd) return false
+
+    node.isEnd = false
+    node.word = null
+
+    // 自底向上删除没有子节点且不是词尾的节点
+    const chars = [...key]
+    for (let i = chars.length; i > 0; i--) {
+      const current = path[i]
+      if (current.isEnd || current.children.size > 0) break
+      path[i - 1].children.delete(chars[i - 1])
+    }
+    this.dirty = true
+    return true
+  }
+
+  // 按广度优先顺序计算失败指针和输出指针
+  build() {
+    const queue = []
+    this.root.fail = null
+    this.root.output = null
+
+    for (const child of this.root.children.values()) {
+      child.fail = this.root
+      child.output = null
+      queue.push(child)
+    }
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head]
+      for (const [char, child] of node.children) {
+        let fail = node.fail
+        while (fail && !fail.children.has(char)) {
+          fail = fail.fail
+        }
+        child.fail = fail ? fail.children.get(char) : this.root
+        child.output = child.fail.isEnd ? child.fail : child.fail.output
+        queue.push(child)
+      }
+    }
+
+    this.dirty = false
+  }
+
+  // 检查文本中是否包含敏感词
+  // 返回的word为命中的键，start/end为原文中的区间（包含夹在敏感词中间的分隔符）
+  check(text) {
+    if (this.dirty) {
+      this.build()
+    }
+
+    const sensitiveWords = []
+    const { chars, starts, ends } = this.normalize
+      ? this.normalize(text)
+      : { chars: [...text], starts: null, ends: null }
+
+    // 命中的首尾必须落在原文字符的边界上（拼音模式下不能只命中某个字拼音的一部分）
+    const isStartBoundary = (i) => !starts || i === 0 || starts[i] !== starts[i - 1]
+    const isEndBoundary = (j) => !ends || j === chars.length || ends[j] !== ends[j - 1]
+
+    let node = this.root
+    for (let j = 0; j < chars.length; j++) {
+      const char = chars[j]
+      while (node !== this.root && !node.children.has(char)) {
+        node = node.fail
+      }
+      node = node.children.get(char) || this.root
+
+      if (!isEndBoundary(j + 1)) continue
+
+      // 当前节点及其输出链上的每个词尾都是一次命中
+      for (let match = node.isEnd ? node : node.output; match; match = match.output) {
+        const i = j + 1 - match.depth
+        if (!isStartBoundary(i)) continue
+
+        sensitiveWords.push({
+          word: match.word,
+          start: starts ? starts[i] : i,
+          end: ends ? ends[j] : j + 1
+        })
+      }
+    }
+
+    // 与Trie树保持一致：按起始位置升序、同一起点短词在前
+    if (sensitiveWords.length > 1) sensitiveWords.sort((a, b) => a.start - b.start || a.end - b.end)
+
+    return {
+      hasSensitive: sensitiveWords.length > 0,
+      words: sensitiveWords
+    }
+  }
+
+  // 过滤文本中的敏感词（按原文区间逐字遮盖），只重建一次字符串
+  filter(text) {
+    const result = this.check(text)
+    if (!result.hasSensitive) return text
+
+    const masked = new Uint8Array(text.length)
+    for (const { start, end } of result.words) {
+      masked.fill(1, start, end)
+    }
+
+    let filteredText = ''
+    for (let i = 0; i < text.length; i++) {
+      filteredText += masked[i] ? '*' : text[i]
+    }
+    return filteredText
+  }
+}
@@ -0,0 +1,124 @@
+import express from 'express'
+import { getDanmakuByVideoTime } from '../danmakuStore.js'
+import { getRoom } from '../roomRegistry.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/rooms/{room}/danmaku:
+ *   get:
+ *     summary: 获取点播弹幕
+ *     description: 按视频播放位置区间获取弹幕，供播放器跳转（seek）后加载对应时段的弹幕。只开放公开房间，设置了密码或仅限受邀的房间需要加入房间后通过Socket事件get-danmaku-range获取
+ *     tags: [Danmaku]
+ *     parameters:
+ *       - in: path
+ *         name: room
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 房间ID
+ *       - in: query
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         description: 视频ID，缺省为房间ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: 区间起点（毫秒）
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: 区间终点（毫秒），缺省为起点后60秒，单次最多10分钟
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 500
+ *         description: 最大返回条数（不超过2000）
+ *     responses:
+ *       200:
+ *         description: 区间内的弹幕，按videoTime升序排列
+ *       400:
+ *         description: 参数格式错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: 房间不是公开房间
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 房间不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: 服务器错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+// 查询参数只接受单个字符串，拒绝 ?videoId[$ne]= 这类被解析为对象或数组的参数
+const RANGE_QUERY_PARAMS = ['videoId', 'from', 'to', 'limit']
+
+router.get('/rooms/:room/danmaku', async (req, res) => {
+  try {
+    const roomId = req.params.room
+    const invalid = RANGE_QUERY_PARAMS.filter(name => {
+      const value = req.query[name]
+      return value !== undefined && (typeof value !== 'string' || value.length > 128)
+    })
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: req.t('errors.validation'),
+        details: `${invalid.join(', ')} 格式不正确`
+      })
+    }
+
+    // 该接口不校验身份，密码和邀请房间的弹幕不对外开放
+    const room = getRoom(roomId)
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: req.t('errors.notFound')
+      })
+    }
+    if (room.access !== 'public') {
+      return res.status(403).json({
+        success: false,
+        error: req.t('errors.permission'),
+        details: '该房间需要加入后获取弹幕'
+      })
+    }
+
+    const { videoId, from, to, limit } = req.query
+    const result = await getDanmakuByVideoTime(roomId, videoId, from, to, limit)
+
+    res.json({
+      success: true,
+      data: {
+        roomId,
+        ...result
+      }
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: req.t('common.serverError'),
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    })
+  }
+})
+
+export default router
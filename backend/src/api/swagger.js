@@ -61,6 +61,14 @@ const swaggerDefinition = {
           timestamp: {
             type: 'integer',
             description: '发送时间戳'
+          },
+          videoId: {
+            type: 'string',
+            description: '点播模式：所属视频ID，缺省为房间ID'
+          },
+          videoTime: {
+            type: 'integer',
+            description: '点播模式：弹幕锚定的视频播放位置（毫秒）'
           }
         }
       },
@@ -74,10 +82,20 @@ const swaggerDefinition = {
           },
           type: {
             type: 'string',
-            description: '规则类型',
-            enum: ['ban', 'warn', 'replace'],
+            description: '规则类型：ban拒绝发送，warn放行并标记待审核，replace替换命中内容，shadow仅发送者可见',
+            enum: ['ban', 'warn', 'replace', 'shadow'],
             default: 'ban'
           },
+          matchType: {
+            type: 'string',
+            description: '匹配方式：word敏感词，regex正则表达式（不允许嵌套量词和反向引用），glob通配符（*任意个非空白字符，?单个字符）',
+            enum: ['word', 'regex', 'glob'],
+            default: 'word'
+          },
+          replacement: {
+            type: 'string',
+            description: 'replace规则的替换文本，缺省时按字数用*遮盖'
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -147,6 +165,11 @@ const swaggerDefinition = {
         type: 'apiKey',
         in: 'header',
         name: 'x-admin-token'
+      },
+      AdminBearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT'
       }
     }
   }
@@ -181,18 +204,32 @@ const setupSwagger = (app) => {
  * 
  * 客户端事件：
  * - connect: 连接到服务器
- * - join-room: 加入指定房间
- *   参数: { room: '房间ID' }
+ * - join-room: 加入指定房间（房间需已登记且处于开放状态）
+ *   参数: '房间ID' 或 { roomId: '房间ID', password: '房间密码' }
+ *   确认: { success: true, roomId, room } 或 { success: false, roomId, code, reason }
+ *   code: room_not_found / room_closed / room_full / password_required / wrong_password / not_invited
  * - leave-room: 离开当前房间
- *   参数: { room: '房间ID' }
+ *   参数: '房间ID' 或 { roomId: '房间ID' }，可选确认: { success, roomId }
+ *   以上事件的参数均按 socketSchemas.js 校验，不合法时返回 { success: false, code: 'invalid', reason, errors: [{ field, message }] }
  * - send-danmaku: 发送弹幕
- *   参数: Danmaku对象
+ *   参数: { roomId: '房间ID', tempId: '客户端临时ID', danmaku: Danmaku对象 }
+ *   确认: { tempId, success: true, id: '服务端弹幕ID', danmaku } 或 { tempId, success: false, code, reason }
+ *   code: rate_limited / duplicate / sensitive / too_long / room_missing / invalid / server_error / queue_full / muted / banned
+ *   rate_limited 表示单用户、单IP或房间的发送频率超限，queue_full 表示房间消息队列已满，均附带 retryAfter（毫秒）
+ *   muted 表示在该房间被禁言，banned 表示账号或IP被封禁，均附带 expiresAt（到期时间，null为永久）
+ *   相同tempId的重试返回首次处理结果；未传确认回调时失败通过send-failed事件通知
+ * - get-danmaku-range: 获取点播弹幕
+ *   参数: { roomId: '房间ID', videoId: '视频ID', from: 起点毫秒, to: 终点毫秒, limit: 条数 }
+ *   确认: { success: true, roomId, videoId, from, to, danmakus } 或 { success: false, roomId, code, reason }
+ *   参数同样按 socketSchemas.js 校验；需先加入该房间，否则返回 code 为 room_missing；未传确认回调时结果通过danmaku-range事件返回
  * - disconnect: 断开连接
  * 
  * 服务端事件：
  * - connect: 连接成功
  * - danmaku: 接收新弹幕
  *   数据: Danmaku对象
+ * - new-danmaku-batch: 热门房间的合并广播（开启BROADCAST_BATCH_INTERVAL时）
+ *   数据: { roomId, interval: 帧间隔毫秒, danmakus: Danmaku[] }，密度控制合并的相似弹幕带 count
  * - error: 错误通知
  *   数据: { message: '错误信息', code: '错误代码' }
  * - user-joined: 用户加入房间
@@ -203,6 +240,22 @@ const setupSwagger = (app) => {
  *   数据: { room: '房间ID', userCount: 100 }
  * - clear-danmaku: 清空弹幕
  *   数据: { room: '房间ID', timestamp: 时间戳 }
+ * - join-failed: 加入房间失败（未传确认回调时发送）
+ *   数据: { roomId, code, reason }
+ * - room-closed: 房间被关闭或归档，连接已被移出房间
+ *   数据: { roomId, status: 'closed' | 'archived' }
+ * - server-shutdown: 实例即将关闭，随后服务端会断开连接；客户端应在窗口内随机延迟后重连
+ *   数据: { reconnectWindow: 重连窗口毫秒 }
+ * - invalid-payload: 事件参数不合法（未传确认回调时发送）
+ *   数据: { event: '事件名', code: 'invalid', reason, errors: [{ field, message }] }
+ * - danmaku-removed: 管理员撤回了一条弹幕，客户端应从屏幕和历史中移除
+ *   数据: { roomId, id: '弹幕ID' }
+ * - kicked: 连接被管理员踢出，随后服务端断开连接
+ *   数据: { reason }
+ * - banned: 账号或IP被封禁，随后服务端断开连接；之后的连接会以 connect_error（data.code 为 banned）被拒绝
+ *   数据: { reason, expiresAt }
+ * - danmaku-range: 点播弹幕区间（get-danmaku-range未传确认回调时的响应）
+ *   数据: { success: true, roomId, videoId, from, to, danmakus: Danmaku[] } 或 { success: false, roomId, code, reason }
  */
 
 export default setupSwagger
\ No newline at end of file
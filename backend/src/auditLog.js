@@ -0,0 +1,119 @@
+import { nanoid } from 'nanoid'
+import { dbAdapter } from './database.js'
+
+// 审计日志：记录管理员的每一次变更操作（操作者、操作、对象、变更前后、IP、时间），只追加不修改
+// 日志通过数据库适配器保存；未连接数据库时保存在内存中（只保留最近的记录，重启后丢失）
+
+// 审计日志配置
+export const auditConfig = {
+  // 未连接数据库时内存中保留的条数
+  memoryLimit: 1000,
+  // 单页最多返回的条数
+  maxPageSize: 200,
+  // 单次导出的最大条数
+  maxExport: 50000,
+  // 导出时每批读取的条数
+  exportBatchSize: 500
+}
+
+// 导出格式
+export const AUDIT_EXPORT_FORMATS = ['csv', 'ndjson']
+
+// 未连接数据库时的审计日志，按时间正序
+const memoryLog = []
+
+// 数据库适配器是否可用
+const isAdapterReady = () => {
+  return !!dbAdapter && dbAdapter.isConnected
+}
+
+// 记录一条审计日志，保存失败时只打印错误，不影响管理操作本身
+// entry: { actor, action, target, before, after, ip }
+export const recordAudit = async ({ actor, action, target = '', before = null, after = null, ip = null }) => {
+  const entry = {
+    id: nanoid(),
+    actor: actor || 'unknown',
+    action,
+    target: String(target),
+    before,
+    after,
+    ip,
+    timestamp: new Date().toISOString()
+  }
+
+  if (isAdapterReady()) {
+    if (!(await dbAdapter.saveAuditEntry(entry))) {
+      console.error(`[审计] 审计日志保存失败: ${entry.actor} ${entry.action} ${entry.target}`)
+    }
+    return entry
+  }
+
+  memoryLog.push(entry)
+  if (memoryLog.length > auditConfig.memoryLimit) {
+    memoryLog.shift()
+  }
+  return entry
+}
+
+// 是否符合筛选条件
+const matchesFilters = (entry, { actor, action, target, start, end }) => {
+  const time = new Date(entry.timestamp).getTime()
+  return (!actor || entry.actor === actor) &&
+    (!action || entry.action === action) &&
+    (!target || entry.target === target) &&
+    (!start || time >= new Date(start).getTime()) &&
+    (!end || time <= new Date(end).getTime())
+}
+
+// 按条件查询审计日志，按时间倒序返回 { entries, total }
+// filters: { actor, action, target, start, end }
+export const queryAuditLog = async (filters = {}, limit = 50, offset = 0) => {
+  if (isAdapterReady()) {
+    return dbAdapter.getAuditLog(filters, limit, offset)
+  }
+
+  const matched = memoryLog.filter(entry => matchesFilters(entry, filters)).reverse()
+  return {
+    entries: matched.slice(offset, offset + limit),
+    total: matched.length
+  }
+}
+
+// CSV字段转义：包含逗号、引号或换行时用引号包裹
+// 以 = + - @（及制表符、回车）开头的内容会被表格软件当作公式执行，前面加单引号按文本显示
+const csvField = (value) => {
+  if (value === null || value === undefined) return ''
+  const raw = typeof value === 'string' ? value : JSON.stringify(value)
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// 导出的列
+const CSV_COLUMNS = ['id', 'timestamp', 'actor', 'action', 'target', 'ip', 'before', 'after']
+
+// 按批读取符合条件的审计日志并逐行写出，write为写出函数，返回导出的条数
+// 导出开始后新写入的日志不会导出，保证分批读取时不会重复或遗漏
+export const exportAuditLog = async (filters, format, write) => {
+  const end = filters.end ? Math.min(new Date(filters.end).getTime(), Date.now()) : Date.now()
+  const range = { ...filters, end }
+
+  if (format === 'csv') {
+    write(CSV_COLUMNS.join(',') + '\n')
+  }
+
+  let exported = 0
+  while (exported < auditConfig.maxExport) {
+    const limit = Math.min(auditConfig.exportBatchSize, auditConfig.maxExport - exported)
+    const { entries } = await queryAuditLog(range, limit, exported)
+    if (entries.length === 0) break
+
+    const lines = entries.map(entry => format === 'csv'
+      ? CSV_COLUMNS.map(column => csvField(entry[column])).join(',')
+      : JSON.stringify(entry))
+    write(lines.join('\n') + '\n')
+
+    exported += entries.length
+    if (entries.length < limit) break
+  }
+  return exported
+}
@@ -0,0 +1,185 @@
+import crypto from 'crypto'
+import { promisify } from 'util'
+import jwt from 'jsonwebtoken'
+import { nanoid } from 'nanoid'
+
+const scrypt = promisify(crypto.scrypt)
+
+// 认证配置
+const authConfig = {
+  // 签名算法（只接受HS256，防止算法混淆攻击）
+  algorithms: ['HS256'],
+  // 游客令牌有效期
+  guestTokenExpiresIn: '7d',
+  // 是否允许未携带令牌的游客连接
+  allowGuests: process.env.ALLOW_GUESTS !== 'false',
+  // 用户ID最大长度，超过时拒绝令牌（用户ID不能截断，否则不同用户可能冲突）
+  maxUserIdLength: 128,
+  // 昵称最大长度（字符），超过时截断
+  maxNicknameLength: 64
+}
+
+// 管理后台令牌的受众，与用户令牌区分，两种令牌不能互相冒用
+const ADMIN_AUDIENCE = 'danmaku-admin'
+
+// 签名密钥（多副本部署时必须使用同一个密钥）
+const getSecret = () => process.env.JWT_SECRET || null
+
+// 创建连接认证错误，客户端在connect_error事件中通过err.data.code区分原因
+const createAuthError = (code, message) => {
+  const error = new Error(message)
+  error.data = { code, message }
+  return error
+}
+
+// 根据令牌声明生成服务端用户资料
+// 用户令牌：sub 用户ID，name/nickname 昵称，level 用户等级，role 为admin或isAdmin为true时是管理员
+// 游客令牌：由服务端签发，guest为true
+const toUserProfile = (payload) => {
+  if (payload.guest) {
+    return createGuestProfile(payload.sub)
+  }
+
+  return {
+    userId: String(payload.sub),
+    // 昵称按字符截断，避免超出数据库字段长度导致弹幕写入失败
+    nickname: Array.from(String(payload.name || payload.nickname || payload.sub)).slice(0, authConfig.maxNicknameLength).join(''),
+    userLevel: Number.isInteger(payload.level) ? payload.level : 0,
+    isAdmin: payload.role === 'admin' || payload.isAdmin === true,
+    isGuest: false
+  }
+}
+
+// 生成游客资料（游客ID由服务端分配，客户端无法指定）
+const createGuestProfile = (guestId = `guest_${nanoid(12)}`) => ({
+  userId: guestId,
+  nickname: `游客${guestId.slice(-4)}`,
+  userLevel: 0,
+  isAdmin: false,
+  isGuest: true
+})
+
+// 签发游客令牌，客户端重连时携带可保持同一个游客ID
+export const issueGuestToken = (guestId) => {
+  const secret = getSecret()
+  if (!secret) return null
+
+  return jwt.sign({ sub: guestId, guest: true }, secret, {
+    algorithm: authConfig.algorithms[0],
+    expiresIn: authConfig.guestTokenExpiresIn
+  })
+}
+
+// 校验令牌，返回用户资料；令牌无效时抛出认证错误
+export const verifyToken = (token) => {
+  const secret = getSecret()
+  if (!secret) {
+    throw createAuthError('auth_unavailable', '服务端未配置JWT_SECRET，无法校验令牌')
+  }
+
+  try {
+    const payload = jwt.verify(token, secret, { algorithms: authConfig.algorithms })
+    if (!payload.sub) {
+      throw createAuthError('invalid_token', '令牌缺少用户ID')
+    }
+    if (String(payload.sub).length > authConfig.maxUserIdLength) {
+      throw createAuthError('invalid_token', '令牌中的用户ID过长')
+    }
+    if (payload.aud === ADMIN_AUDIENCE) {
+      throw createAuthError('invalid_token', '管理后台令牌不能用于连接')
+    }
+    return toUserProfile(payload)
+  } catch (error) {
+    if (error.data) throw error
+    const code = error.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token'
+    throw createAuthError(code, error.message)
+  }
+}
+
+// Socket.IO握手认证中间件：校验 socket.handshake.auth.token，把用户资料保存到 socket.data.user
+export const socketAuthMiddleware = (socket, next) => {
+  const token = socket.handshake.auth?.token
+
+  if (token) {
+    try {
+      socket.data.user = verifyToken(token)
+      return next()
+    } catch (error) {
+      console.warn(`[连接认证] 连接 ${socket.id} 令牌校验失败: ${error.message}`)
+      return next(error)
+    }
+  }
+
+  if (!authConfig.allowGuests) {
+    return next(createAuthError('token_required', '需要登录后才能连接'))
+  }
+
+  socket.data.user = createGuestProfile()
+  next()
+}
+
+// 启动时检查认证配置
+export const checkAuthConfig = () => {
+  if (!getSecret()) {
+    console.warn('未配置JWT_SECRET：所有连接都将以游客身份接入，且游客ID在重连后会变化')
+  }
+}
+
+// 签发管理后台令牌，sub为管理员账号，jti用于单独吊销；返回 { token, jti, expiresAt }，未配置JWT_SECRET时返回null
+// iatMs为毫秒精度的签发时间：iat只精确到秒，吊销全部令牌后同一秒内签发的新旧令牌无法区分
+export const issueAdminToken = (username, expiresIn) => {
+  const secret = getSecret()
+  if (!secret) return null
+
+  const jti = nanoid()
+  const token = jwt.sign({ sub: username, iatMs: Date.now() }, secret, {
+    algorithm: authConfig.algorithms[0],
+    audience: ADMIN_AUDIENCE,
+    jwtid: jti,
+    expiresIn
+  })
+  const { exp } = jwt.decode(token)
+  return { token, jti, expiresAt: new Date(exp * 1000).toISOString() }
+}
+
+// 校验管理后台令牌，返回 { username, jti, issuedAt, expiresAt }（issuedAt为毫秒，旧令牌没有iatMs时按iat计算）；令牌无效时抛出认证错误
+export const verifyAdminToken = (token) => {
+  const secret = getSecret()
+  if (!secret) {
+    throw createAuthError('auth_unavailable', '服务端未配置JWT_SECRET，无法校验令牌')
+  }
+
+  try {
+    const payload = jwt.verify(token, secret, { algorithms: authConfig.algorithms, audience: ADMIN_AUDIENCE })
+    if (!payload.sub || !payload.jti) {
+      throw createAuthError('invalid_token', '令牌缺少账号或令牌ID')
+    }
+    return {
+      username: payload.sub,
+      jti: payload.jti,
+      issuedAt: Number.isFinite(payload.iatMs) ? payload.iatMs : payload.iat * 1000,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    }
+  } catch (error) {
+    if (error.data) throw error
+    const code = error.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token'
+    throw createAuthError(code, error.message)
+  }
+}
+
+// 计算密码哈希，格式为 盐:哈希
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex')
+  const hash = await scrypt(password, salt, 32)
+  return `${salt}:${hash.toString('hex')}`
+}
+
+// 校验密码
+export const verifyPassword = async (password, passwordHash) => {
+  const [salt, expected] = (passwordHash || '').split(':')
+  if (!salt || !expected) return false
+
+  const hash = await scrypt(password, salt, 32)
+  const expectedBuffer = Buffer.from(expected, 'hex')
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer)
+}
@@ -0,0 +1,206 @@
+import { recordBroadcastLatency, recordBroadcastCompacted } from './metrics.js'
+import { registerConfig } from './runtimeConfig.js'
+import { redisUtils } from './database.js'
+
+// 弹幕广播：普通房间每条弹幕立即广播；热门房间按固定间隔合并为new-danmaku-batch帧广播
+// 房间弹幕速率超过密度阈值时，同一帧内相似的弹幕（如40条"666"）合并为一条带count的弹幕，超出配额的再随机抽样
+// 速率按集群统计（Redis中每个房间每秒一个计数器），无Redis时按本实例接收的弹幕统计；被抽样丢弃的弹幕仍会持久化，并单独回显给发送者
+
+// 读取整数环境变量，未设置或不合法时使用默认值（允许设置为0）
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+// 广播配置
+export const broadcastConfig = {
+  // 合并广播的间隔（毫秒），0为不合并
+  batchInterval: envInt('BROADCAST_BATCH_INTERVAL', 0),
+  // 房间每秒弹幕数达到该值时才合并广播
+  hotRoomRate: envInt('BROADCAST_HOT_ROOM_RATE', 20),
+  // 密度阈值（每秒弹幕数），超过后合并相似弹幕并抽样，0为不启用
+  densityThreshold: envInt('DANMAKU_DENSITY_THRESHOLD', 0),
+  // 未开启合并广播时，密度控制的帧间隔（毫秒）
+  densityInterval: 200
+}
+
+// 可在运行时修改的配置项（PUT /admin/config），环境变量的值作为默认值
+registerConfig('broadcast', broadcastConfig, {
+  batchInterval: { type: 'integer', min: 0, max: 5000, description: '合并广播的间隔（毫秒），0为不合并' },
+  hotRoomRate: { type: 'integer', min: 1, max: 100000, description: '房间每秒弹幕数达到该值时合并广播' },
+  densityThreshold: { type: 'integer', min: 0, max: 100000, description: '密度阈值（每秒弹幕数），0为不启用' },
+  densityInterval: { type: 'integer', min: 50, max: 5000, description: '未开启合并广播时密度控制的帧间隔（毫秒）' }
+})
+
+// 房间ID -> { io, second, count, clusterCount, rate, pending, timer }
+// count为本实例当前秒的弹幕数，clusterCount为最近一次从Redis读到的集群当前秒的弹幕数
+const rooms = new Map()
+
+// 获取房间广播状态
+const getRoomState = (io, roomId) => {
+  if (!rooms.has(roomId)) {
+    rooms.set(roomId, { io, second: 0, count: 0, clusterCount: 0, clusterRetryAt: 0, rate: 0, pending: [], timer: null })
+  }
+  return rooms.get(roomId)
+}
+
+// 房间当前速率：上一秒和当前秒中较大的值，突发时能立即生效
+const currentRate = (state) => Math.max(state.rate, state.count, state.clusterCount)
+
+// Redis不可用时暂停集群计数的时间（毫秒），期间只按本实例计数，避免热门房间每条弹幕都请求Redis并输出错误日志
+const CLUSTER_RATE_RETRY_DELAY = 5000
+
+// 记录一条弹幕并返回房间当前速率
+// 集群计数异步更新，不阻塞广播；计数返回前按已知的值判断，无Redis时clusterCount保持为0
+const trackRate = (state, roomId, now) => {
+  const second = Math.floor(now / 1000)
+  if (second !== state.second) {
+    state.rate = second === state.second + 1 ? Math.max(state.count, state.clusterCount) : 0
+    state.second = second
+    state.count = 0
+    state.clusterCount = 0
+  }
+  state.count++
+
+  if (now >= state.clusterRetryAt) {
+    redisUtils.incrWithExpire(`broadcast:rate:${roomId}:${second}`, 3).then(({ value, hasRedis }) => {
+      if (!hasRedis) {
+        state.clusterRetryAt = Date.now() + CLUSTER_RATE_RETRY_DELAY
+      } else if (state.second === second) {
+        state.clusterCount = Math.max(state.clusterCount, value)
+      }
+    })
+  }
+  return currentRate(state)
+}
+
+// 相似弹幕的比较键：忽略大小写、空白、标点，连续3个及以上相同的字符视为1个，"666"、"6666 "、"６６６!"视为相同
+// 连续2个的不折叠，避免"good"和"god"这类不同的词被合并
+const similarityKey = (danmaku) => {
+  if (danmaku.type === 'emoji' && danmaku.emojiInfo) {
+    return `[emoji:${danmaku.emojiInfo.value}]`
+  }
+  return (danmaku.content || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]/gu, '')
+    .replace(/(.)\1{2,}/gu, '$1')
+}
+
+// 压缩一帧弹幕：先合并相似弹幕，超过limit条时保留管理员弹幕和合并数多的弹幕，其余随机抽样
+// items为 [{ danmaku, socket, receivedAt }]，返回 { kept, dropped, merged }，kept保持原有顺序，合并后的弹幕带count
+export const compactDanmakus = (items, limit, random = Math.random) => {
+  const groups = new Map()
+  const unique = []
+  for (const item of items) {
+    const key = similarityKey(item.danmaku)
+    if (!key) {
+      unique.push({ ...item, order: unique.length })
+      continue
+    }
+    if (groups.has(key)) {
+      groups.get(key).count++
+      continue
+    }
+    const group = { ...item, count: 1, order: unique.length }
+    groups.set(key, group)
+    unique.push(group)
+  }
+  const merged = items.length - unique.length
+
+  const ranked = unique
+    .map(item => ({ item, weight: random() }))
+    .sort((a, b) =>
+      (b.item.danmaku.isAdmin ? 1 : 0) - (a.item.danmaku.isAdmin ? 1 : 0) ||
+      (b.item.count || 1) - (a.item.count || 1) ||
+      a.weight - b.weight
+    )
+    .map(({ item }) => item)
+
+  const toDanmaku = (item) => item.count > 1 ? { ...item.danmaku, count: item.count } : item.danmaku
+  const kept = ranked.slice(0, limit)
+    .sort((a, b) => a.order - b.order)
+    .map(item => ({ ...item, danmaku: toDanmaku(item) }))
+  const dropped = ranked.slice(limit)
+
+  return { kept, dropped, merged }
+}
+
+// 发送一帧：密度过高时压缩，热门房间合并为一帧，否则逐条广播
+const flushRoom = (roomId, state) => {
+  clearTimeout(state.timer)
+  state.timer = null
+  const items = state.pending.splice(0)
+  if (items.length === 0) return
+
+  const rate = currentRate(state)
+  const batched = broadcastConfig.batchInterval > 0 && rate >= broadcastConfig.hotRoomRate
+  const interval = broadcastConfig.batchInterval || broadcastConfig.densityInterval
+
+  let kept = items
+  if (broadcastConfig.densityThreshold > 0 && rate > broadcastConfig.densityThreshold) {
+    const limit = Math.max(1, Math.ceil(broadcastConfig.densityThreshold * interval / 1000))
+    const compacted = compactDanmakus(items, limit)
+    kept = compacted.kept
+    recordBroadcastCompacted(compacted.merged, compacted.dropped.length)
+
+    // 被抽样丢弃的弹幕只回显给发送者，避免发送者以为发送失败
+    for (const { socket, danmaku } of compacted.dropped) {
+      if (socket.connected) {
+        socket.emit('new-danmaku', { roomId, danmaku })
+      }
+    }
+  }
+
+  if (batched) {
+    state.io.to(roomId).emit('new-danmaku-batch', {
+      roomId,
+      interval,
+      danmakus: kept.map(({ danmaku }) => danmaku)
+    })
+  } else {
+    for (const { danmaku } of kept) {
+      state.io.to(roomId).emit('new-danmaku', { roomId, danmaku })
+    }
+  }
+
+  const now = Date.now()
+  for (const { receivedAt } of kept) {
+    recordBroadcastLatency(now - receivedAt)
+  }
+}
+
+// 广播一条已通过检查的弹幕
+// receivedAt为收到send-danmaku的时间，用于统计广播延迟
+export const publishDanmaku = (io, socket, roomId, danmaku, receivedAt = Date.now()) => {
+  const state = getRoomState(io, roomId)
+  const rate = trackRate(state, roomId, Date.now())
+  const hot = broadcastConfig.batchInterval > 0 && rate >= broadcastConfig.hotRoomRate
+  const dense = broadcastConfig.densityThreshold > 0 && rate > broadcastConfig.densityThreshold
+
+  if (!hot && !dense && state.pending.length === 0) {
+    io.to(roomId).emit('new-danmaku', { roomId, danmaku })
+    recordBroadcastLatency(Date.now() - receivedAt)
+    return
+  }
+
+  state.pending.push({ danmaku, socket, receivedAt })
+  if (!state.timer) {
+    const interval = broadcastConfig.batchInterval || broadcastConfig.densityInterval
+    state.timer = setTimeout(() => flushRoom(roomId, state), interval)
+  }
+}
+
+// 本实例不再有该房间的连接时：发送剩余的弹幕并清理房间状态
+export const releaseBroadcastRoom = (roomId) => {
+  const state = rooms.get(roomId)
+  if (!state) return
+  flushRoom(roomId, state)
+  rooms.delete(roomId)
+}
+
+// 发送所有房间剩余的弹幕（优雅关闭时调用）
+export const flushBroadcasts = () => {
+  rooms.forEach((state, roomId) => flushRoom(roomId, state))
+  rooms.clear()
+}
@@ -0,0 +1,227 @@
+import { dbAdapter } from './database.js'
+
+// 写缓冲配置
+const storeConfig = {
+  // 定时刷写间隔（毫秒）
+  flushInterval: 1000,
+  // 单批最多写入条数，缓冲达到该值时立即刷写
+  batchSize: 100,
+  // 单个房间缓冲上限，数据库长时间不可用时丢弃最旧的弹幕
+  maxBufferSize: 5000,
+  // 单条弹幕最多写入失败的次数，超过后丢弃；只在同批有其他弹幕写入成功时计数，数据库不可用期间不会因此丢弃
+  maxRetries: 5
+}
+
+// 各房间待写入的弹幕缓冲
+const roomBuffers = new Map()
+
+// 正在刷写的房间，避免同一房间并发写入导致乱序
+const flushingRooms = new Set()
+
+// 正在写入的批次：房间ID -> { ids, retracted }，写入期间被撤回的弹幕在写入完成后删除
+const inFlightBatches = new Map()
+
+// 弹幕写入失败的次数：弹幕对象 -> 次数
+const failureCounts = new WeakMap()
+
+let flushIntervalId = null
+
+// 数据库适配器是否可用
+const isAdapterReady = () => {
+  return !!dbAdapter && dbAdapter.isConnected
+}
+
+// 将弹幕加入房间写缓冲（不阻塞广播）
+export const enqueueDanmaku = (roomId, danmaku) => {
+  if (!isAdapterReady()) return false
+
+  if (!roomBuffers.has(roomId)) {
+    roomBuffers.set(roomId, [])
+  }
+  const buffer = roomBuffers.get(roomId)
+  buffer.push(danmaku)
+
+  if (buffer.length > storeConfig.maxBufferSize) {
+    const dropped = buffer.splice(0, buffer.length - storeConfig.maxBufferSize)
+    console.warn(`[弹幕存储] 房间 ${roomId} 写缓冲已满，丢弃 ${dropped.length} 条最旧的弹幕`)
+  }
+
+  if (buffer.length >= storeConfig.batchSize) {
+    flushRoom(roomId)
+  }
+
+  return true
+}
+
+// 从写入失败的弹幕中挑出需要重试的：写入期间被撤回的不再重试，
+// countFailures为true时（数据库可写但这些弹幕写入失败，如数据不合法）计入失败次数，达到上限的丢弃
+const takeRetries = (roomId, failed, inFlight, countFailures) => {
+  const retries = []
+  for (const danmaku of failed) {
+    if (inFlight.retracted.has(danmaku.id)) continue
+    if (countFailures) {
+      const failures = (failureCounts.get(danmaku) || 0) + 1
+      if (failures >= storeConfig.maxRetries) {
+        console.error(`[弹幕存储] 房间 ${roomId} 的弹幕 ${danmaku.id} 写入失败 ${failures} 次，已丢弃:`, danmaku)
+        continue
+      }
+      failureCounts.set(danmaku, failures)
+    }
+    retries.push(danmaku)
+  }
+  return retries
+}
+
+// 刷写单个房间的缓冲
+export const flushRoom = async (roomId) => {
+  const buffer = roomBuffers.get(roomId)
+  if (!buffer || buffer.length === 0 || flushingRooms.has(roomId) || !isAdapterReady()) return 0
+
+  flushingRooms.add(roomId)
+  const batch = buffer.splice(0, storeConfig.batchSize)
+  const inFlight = { ids: new Set(batch.map(danmaku => danmaku.id)), retracted: new Set() }
+  inFlightBatches.set(roomId, inFlight)
+
+  try {
+    // 逐条结果与批次按下标对应；适配器出错时返回空结果，整批视为失败
+    const results = await dbAdapter.batchSaveDanmaku(roomId, batch)
+    const saved = batch.filter((danmaku, index) => results[index]?.success)
+    const failed = batch.filter((danmaku, index) => !results[index]?.success)
+
+    // 写入失败的弹幕放回缓冲等待下次重试；同批有弹幕写入成功时说明数据库可用，失败的弹幕计入失败次数
+    if (failed.length > 0) {
+      buffer.unshift(...takeRetries(roomId, failed, inFlight, saved.length > 0))
+      console.warn(`[弹幕存储] 房间 ${roomId} 批量写入失败 ${failed.length}/${batch.length} 条，等待重试`)
+    }
+    for (const danmaku of saved) {
+      if (inFlight.retracted.has(danmaku.id)) {
+        await dbAdapter.deleteDanmaku(roomId, danmaku.id)
+      }
+    }
+
+    return saved.length
+  } catch (error) {
+    buffer.unshift(...takeRetries(roomId, batch, inFlight, false))
+    console.error(`[弹幕存储] 房间 ${roomId} 批量写入异常:`, error)
+    return 0
+  } finally {
+    flushingRooms.delete(roomId)
+    inFlightBatches.delete(roomId)
+    if (buffer.length === 0 && roomBuffers.get(roomId) === buffer) {
+      roomBuffers.delete(roomId)
+    }
+  }
+}
+
+// 刷写所有房间的缓冲
+export const flushAll = async () => {
+  const roomIds = [...roomBuffers.keys()]
+  const counts = await Promise.all(roomIds.map(roomId => flushRoom(roomId)))
+  return counts.reduce((sum, count) => sum + count, 0)
+}
+
+// 撤回缓冲中（包括正在写入）的弹幕，返回是否找到
+export const removeBufferedDanmaku = (roomId, danmakuId) => {
+  const buffer = roomBuffers.get(roomId) || []
+  const index = buffer.findIndex(danmaku => danmaku.id === danmakuId)
+  if (index > -1) {
+    buffer.splice(index, 1)
+    return true
+  }
+
+  const inFlight = inFlightBatches.get(roomId)
+  if (inFlight?.ids.has(danmakuId)) {
+    inFlight.retracted.add(danmakuId)
+    return true
+  }
+  return false
+}
+
+// 获取当前缓冲中的弹幕总数
+export const getPendingCount = () => {
+  let count = 0
+  roomBuffers.forEach(buffer => {
+    count += buffer.length
+  })
+  return count
+}
+
+// 启动定时刷写
+export const startDanmakuStore = () => {
+  if (flushIntervalId) return
+
+  flushIntervalId = setInterval(() => {
+    roomBuffers.forEach((buffer, roomId) => {
+      if (buffer.length > 0) {
+        flushRoom(roomId)
+      }
+    })
+  }, storeConfig.flushInterval)
+}
+
+// 停止定时刷写
+export const stopDanmakuStore = () => {
+  if (flushIntervalId) {
+    clearInterval(flushIntervalId)
+    flushIntervalId = null
+  }
+}
+
+// 关闭前写入所有缓冲：停止定时刷写后反复刷写，直到缓冲清空或写入不再有进展，返回未能写入的弹幕数
+export const drainDanmakuStore = async () => {
+  stopDanmakuStore()
+
+  let pending = getPendingCount()
+  while (pending > 0) {
+    // 等待进行中的刷写完成，避免跳过这些房间
+    while (flushingRooms.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 20))
+    }
+    await flushAll()
+
+    const remaining = getPendingCount()
+    if (remaining >= pending) break
+    pending = remaining
+  }
+  return getPendingCount()
+}
+
+// 获取房间最近的直播弹幕（包含尚未写入数据库的缓冲），按时间正序返回
+export const getRoomHistory = async (roomId, limit = 50) => {
+  const persisted = isAdapterReady() ? await dbAdapter.getRoomHistory(roomId, limit, 0) : []
+  const pending = (roomBuffers.get(roomId) || []).filter(danmaku => danmaku.videoTime === undefined)
+
+  // 写入过程中同一条弹幕可能同时出现在两处，按id去重
+  const persistedIds = new Set(persisted.map(danmaku => danmaku.id))
+  const merged = persisted.concat(pending.filter(danmaku => !persistedIds.has(danmaku.id)))
+
+  return merged.slice(-limit)
+}
+
+// 获取点播模式下指定播放区间内的弹幕（按videoTime升序）
+export const getDanmakuByVideoTime = async (roomId, videoId, from = 0, to, limit = 500) => {
+  // 规范化查询区间（缺省查询起点后60秒），单次最多查询10分钟、2000条
+  const start = Math.max(0, Math.floor(Number(from) || 0))
+  const requestedEnd = to === undefined ? start + 60000 : Math.floor(Number(to) || 0)
+  const end = Math.min(Math.max(start, requestedEnd), start + 10 * 60 * 1000)
+  const maxCount = Math.min(Math.max(1, parseInt(limit) || 500), 2000)
+  const targetVideoId = videoId || roomId
+
+  const persisted = isAdapterReady()
+    ? await dbAdapter.getVideoDanmaku(roomId, targetVideoId, start, end, maxCount)
+    : []
+  const persistedIds = new Set(persisted.map(danmaku => danmaku.id))
+  const pending = (roomBuffers.get(roomId) || []).filter(danmaku =>
+    danmaku.videoId === targetVideoId &&
+    danmaku.videoTime >= start &&
+    danmaku.videoTime <= end &&
+    !persistedIds.has(danmaku.id)
+  )
+
+  const danmakus = persisted
+    .concat(pending)
+    .sort((a, b) => a.videoTime - b.videoTime)
+    .slice(0, maxCount)
+
+  return { danmakus, videoId: targetVideoId, from: start, to: end }
+}
@@ -1,12 +1,30 @@
+import os from 'os'
+import crypto from 'crypto'
 import { createClient } from 'redis'
 import { MongoClient } from 'mongodb'
+import { recordRedisError } from './metrics.js'
+
+// 当前实例标识，用于多副本间区分消息来源
+export const instanceId = `${os.hostname()}:${process.pid}`
 
 // Redis客户端实例
 export let redisClient = null
 
+// Redis订阅客户端（订阅模式下的连接不能执行普通命令，需要单独的连接）
+let redisSubscriber = null
+let redisSubscriberPromise = null
+
 // MongoDB客户端实例
 export let mongoClient = null
 
+// 当前使用的数据库适配器实例（由index.js根据DB_TYPE创建）
+export let dbAdapter = null
+
+// 设置数据库适配器，供实时链路（socketHandlers等）使用
+export const setDatabaseAdapter = (adapter) => {
+  dbAdapter = adapter
+}
+
 // 初始化Redis连接
 export const initializeRedis = async () => {
   try {
@@ -60,7 +78,11 @@ export const initializeRedis = async () => {
   } catch (error) {
     console.error('Redis初始化失败:', error)
     // 即使Redis连接失败，也不抛出异常，让系统尝试以无Redis模式运行
-    // throw error
+    // 关闭客户端并置空，否则redisUtils的命令会在离线队列中一直等待重连
+    if (redisClient) {
+      redisClient.disconnect().catch(() => {})
+      redisClient = null
+    }
   }
 }
 
@@ -115,6 +137,12 @@ async function createCollectionsAndIndexes(db) {
 // 关闭数据库连接
 export const closeDatabaseConnections = async () => {
   try {
+    if (redisSubscriber) {
+      await redisSubscriber.disconnect()
+      redisSubscriber = null
+      redisSubscriberPromise = null
+    }
+    
     if (redisClient) {
       await redisClient.disconnect()
       console.log('Redis连接已关闭')
@@ -152,9 +180,84 @@ export async function initializeDatabases() {
   }
 }
 
+// Lua脚本：计数、写入和设置过期时间在一个脚本中原子完成，多副本并发调用也不会出现竞争或留下永不过期的键
+export const defineScript = (source) => ({
+  source,
+  sha: crypto.createHash('sha1').update(source).digest('hex')
+})
+
+// 计数器加1，键没有过期时间时设置（兼容旧版本非原子写入遗留的键）
+// KEYS[1] 计数键；ARGV[1] 过期时间（秒）
+const INCR_WITH_EXPIRE_SCRIPT = defineScript(`
+local value = redis.call('INCR', KEYS[1])
+if value == 1 or redis.call('TTL', KEYS[1]) == -1 then
+  redis.call('EXPIRE', KEYS[1], ARGV[1])
+end
+return value
+`)
+
+// 多项限流：先逐项判断，全部放行时才计数，任何一项拒绝时都不消耗其他项的额度；时间取Redis服务器时间，各实例一致
+// 滑动窗口：有序集合记录窗口内每次放行的时间，任意窗口长度的时间段内都不会超过上限
+// 令牌桶：按经过的时间补充令牌，桶满后不再增加，允许不超过桶容量的突发；桶补满后键自动过期
+// KEYS[i] 第i项的限流键；ARGV[1] 本次请求的唯一标识，之后每项4个参数：
+// 算法（sliding_window/token_bucket）、上限（令牌桶为每个周期补充的令牌数）、窗口/周期（毫秒）、桶容量
+// 返回 { 第一个拒绝的项的序号（全部放行为0）, 被拒绝时需要等待的毫秒数 }
+const RATE_LIMIT_SCRIPT = defineScript(`
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local tokens = {}
+for i = 1, #KEYS do
+  local base = 2 + (i - 1) * 4
+  local limit = tonumber(ARGV[base + 1])
+  local window = tonumber(ARGV[base + 2])
+  if ARGV[base] == 'token_bucket' then
+    local capacity = tonumber(ARGV[base + 3])
+    local rate = limit / window
+    local bucket = redis.call('HMGET', KEYS[i], 'tokens', 'updatedAt')
+    local current = tonumber(bucket[1]) or capacity
+    local updatedAt = tonumber(bucket[2]) or now
+    current = math.min(capacity, current + math.max(0, now - updatedAt) * rate)
+    if current < 1 then
+      return { i, math.ceil((1 - current) / rate) }
+    end
+    tokens[i] = current
+  else
+    redis.call('ZREMRANGEBYSCORE', KEYS[i], '-inf', now - window)
+    if redis.call('ZCARD', KEYS[i]) >= limit then
+      local oldest = redis.call('ZRANGE', KEYS[i], 0, 0, 'WITHSCORES')
+      return { i, math.max(1, tonumber(oldest[2]) + window - now) }
+    end
+  end
+end
+for i = 1, #KEYS do
+  local base = 2 + (i - 1) * 4
+  local window = tonumber(ARGV[base + 2])
+  if ARGV[base] == 'token_bucket' then
+    local rate = tonumber(ARGV[base + 1]) / window
+    redis.call('HSET', KEYS[i], 'tokens', tostring(tokens[i] - 1), 'updatedAt', tostring(now))
+    redis.call('PEXPIRE', KEYS[i], math.ceil(tonumber(ARGV[base + 3]) / rate))
+  else
+    redis.call('ZADD', KEYS[i], now, ARGV[1])
+    redis.call('PEXPIRE', KEYS[i], window)
+  end
+end
+return { 0, 0 }
+`)
+
+// 执行Lua脚本：优先用EVALSHA只传脚本摘要，Redis中没有缓存该脚本（NOSCRIPT，如重启后）时用EVAL重新加载
+export const runScript = async (script, keys, args) => {
+  const options = { keys, arguments: args.map(String) }
+  try {
+    return await redisClient.evalSha(script.sha, options)
+  } catch (error) {
+    if (!error.message?.startsWith('NOSCRIPT')) throw error
+    return redisClient.eval(script.source, options)
+  }
+}
+
 // Redis工具函数
 export const redisUtils = {
-  // 增加计数器并设置过期时间
+  // 增加计数器并设置过期时间（原子操作）
   async incrWithExpire(key, expireSeconds = 60) {
     if (!redisClient) {
       // 无Redis模式下返回模拟数据
@@ -162,21 +265,42 @@ export const redisUtils = {
     }
     
     try {
-      const fullKey = `danmaku:${key}`
-      const value = await redisClient.incr(fullKey)
-      
-      // 只有第一次增加时设置过期时间
-      if (value === 1) {
-        await redisClient.expire(fullKey, expireSeconds)
-      }
-      
+      const value = await runScript(INCR_WITH_EXPIRE_SCRIPT, [`danmaku:${key}`], [expireSeconds])
       return { value, hasRedis: true }
     } catch (error) {
       console.error('Redis incrWithExpire操作失败:', error)
+      recordRedisError('incrWithExpire')
       return { value: 1, hasRedis: false }
     }
   },
   
+  // 多项限流：limits为 [{ key, algorithm, limit, windowMs, capacity }]，algorithm为sliding_window或token_bucket，
+  // 滑动窗口任意windowMs毫秒内最多放行limit次，令牌桶容量capacity、每windowMs毫秒补充limit个令牌
+  // 所有项在一个脚本中判断，全部放行时才计数，任何一项拒绝时不消耗其他项的额度
+  // 返回 { allowed, index: 第一个拒绝的项在limits中的下标（放行时为-1）, retryAfter: 被拒绝时需要等待的毫秒数, hasRedis }
+  async rateLimit(limits) {
+    if (!redisClient) {
+      // 无Redis模式下不限流
+      return { allowed: true, index: -1, retryAfter: 0, hasRedis: false }
+    }
+    
+    try {
+      const [denied, retryAfter] = await runScript(
+        RATE_LIMIT_SCRIPT,
+        limits.map(({ key }) => `danmaku:${key}`),
+        [
+          crypto.randomUUID(),
+          ...limits.flatMap(({ algorithm, limit, windowMs, capacity = 0 }) => [algorithm, limit, windowMs, capacity])
+        ]
+      )
+      return { allowed: denied === 0, index: denied - 1, retryAfter, hasRedis: true }
+    } catch (error) {
+      console.error('Redis rateLimit操作失败:', error)
+      recordRedisError('rateLimit')
+      return { allowed: true, index: -1, retryAfter: 0, hasRedis: false }
+    }
+  },
+  
   // 设置带有过期时间的键值对
   async setWithExpire(key, value, expireSeconds = 60) {
     if (!redisClient) {
@@ -190,6 +314,7 @@ export const redisUtils = {
       return { success: true, hasRedis: true }
     } catch (error) {
       console.error('Redis setWithExpire操作失败:', error)
+      recordRedisError('setWithExpire')
       return { success: false, hasRedis: false }
     }
   },
@@ -206,6 +331,7 @@ export const redisUtils = {
       return { value, hasRedis: true }
     } catch (error) {
       console.error('Redis get操作失败:', error)
+      recordRedisError('get')
       return { value: null, hasRedis: false }
     }
   },
@@ -222,6 +348,7 @@ export const redisUtils = {
       return { success: true, hasRedis: true }
     } catch (error) {
       console.error('Redis del操作失败:', error)
+      recordRedisError('del')
       return { success: false, hasRedis: false }
     }
   },
@@ -238,6 +365,7 @@ export const redisUtils = {
       return { exists: result > 0, hasRedis: true }
     } catch (error) {
       console.error('Redis exists操作失败:', error)
+      recordRedisError('exists')
       return { exists: false, hasRedis: false }
     }
   },
@@ -254,8 +382,63 @@ export const redisUtils = {
       return { oldValue, hasRedis: true }
     } catch (error) {
       console.error('Redis getSet操作失败:', error)
+      recordRedisError('getSet')
       return { oldValue: null, hasRedis: false }
     }
+  },
+  
+  // 发布消息到频道（对象自动序列化为JSON）
+  async publish(channel, message) {
+    if (!redisClient) {
+      return { success: false, hasRedis: false }
+    }
+    
+    try {
+      const fullChannel = `danmaku:${channel}`
+      const payload = typeof message === 'string' ? message : JSON.stringify(message)
+      await redisClient.publish(fullChannel, payload)
+      return { success: true, hasRedis: true }
+    } catch (error) {
+      console.error('Redis publish操作失败:', error)
+      recordRedisError('publish')
+      return { success: false, hasRedis: false }
+    }
+  },
+  
+  // 订阅频道，所有订阅共用一个订阅连接；JSON消息自动解析后传给listener
+  async subscribe(channel, listener) {
+    if (!redisClient) {
+      return { success: false, hasRedis: false }
+    }
+    
+    try {
+      if (!redisSubscriberPromise) {
+        redisSubscriber = redisClient.duplicate()
+        redisSubscriber.on('error', (err) => {
+          console.error('Redis订阅连接错误:', err)
+        })
+        redisSubscriberPromise = redisSubscriber.connect()
+      }
+      await redisSubscriberPromise
+      
+      const fullChannel = `danmaku:${channel}`
+      await redisSubscriber.subscribe(fullChannel, (payload) => {
+        let message = payload
+        try {
+          message = JSON.parse(payload)
+        } catch (error) {
+          // 非JSON消息按原始字符串传递
+        }
+        listener(message)
+      })
+      return { success: true, hasRedis: true }
+    } catch (error) {
+      console.error('Redis subscribe操作失败:', error)
+      recordRedisError('subscribe')
+      redisSubscriber = null
+      redisSubscriberPromise = null
+      return { success: false, hasRedis: false }
+    }
   }
 }
 
@@ -35,6 +35,377 @@ class DatabaseLogger {
   }
 }
 
+// 弹幕扩展字段（SQL适配器以JSON形式存储在meta列中）
+const DANMAKU_META_FIELDS = ['userLevel', 'isAdmin', 'emojiInfo', 'fontSize', 'opacity', 'flagged'];
+
+// 提取弹幕扩展字段并序列化
+function serializeDanmakuMeta(danmaku) {
+  const meta = {};
+  for (const field of DANMAKU_META_FIELDS) {
+    if (danmaku[field] !== undefined) {
+      meta[field] = danmaku[field];
+    }
+  }
+  return JSON.stringify(meta);
+}
+
+// 将SQL行记录转换为弹幕对象（PostgreSQL会把未加引号的列名转为小写）
+function rowToDanmaku(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  let meta = {};
+  const rawMeta = pick('meta');
+  if (rawMeta) {
+    try {
+      meta = typeof rawMeta === 'string' ? JSON.parse(rawMeta) : rawMeta;
+    } catch (error) {
+      meta = {};
+    }
+  }
+  const videoTime = pick('videoTime');
+
+  return {
+    ...meta,
+    id: pick('danmakuId') || String(row.id),
+    room: row.room,
+    userId: pick('userId'),
+    nickname: row.nickname,
+    content: row.content,
+    type: row.type,
+    color: row.color,
+    timestamp: new Date(row.timestamp).getTime(),
+    videoId: pick('videoId') || undefined,
+    videoTime: videoTime === null || videoTime === undefined ? undefined : Number(videoTime)
+  };
+}
+
+// 将SQL行记录转换为过滤规则对象
+function rowToFilterRule(row) {
+  return {
+    rule: row.rule,
+    type: row.type,
+    matchType: row.matchType || row.matchtype || 'word',
+    replacement: row.replacement || undefined,
+    createdAt: new Date(row.createdAt || row.createdat).toISOString()
+  };
+}
+
+// 房间策略中以JSON形式存储的字段
+const ROOM_POLICY_FIELDS = ['userRateLimit', 'maxDuplicateCount', 'maxLength', 'rules'];
+
+// 提取房间策略字段并序列化
+function serializeRoomPolicy(policy) {
+  const data = {};
+  for (const field of ROOM_POLICY_FIELDS) {
+    if (policy[field] !== undefined && policy[field] !== null) {
+      data[field] = policy[field];
+    }
+  }
+  return JSON.stringify(data);
+}
+
+// 将SQL行记录转换为房间策略对象
+function rowToRoomPolicy(row) {
+  let data = {};
+  try {
+    data = JSON.parse(row.policy || '{}');
+  } catch (error) {
+    data = {};
+  }
+  return {
+    ...data,
+    room: row.room,
+    rules: data.rules || [],
+    updatedAt: new Date(row.updatedAt || row.updatedat).toISOString()
+  };
+}
+
+// 将SQL行记录转换为房间对象
+function rowToRoom(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  let invitees = [];
+  try {
+    invitees = JSON.parse(pick('invitees') || '[]');
+  } catch (error) {
+    invitees = [];
+  }
+  const maxViewers = pick('maxViewers');
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description || '',
+    owner: row.owner || null,
+    status: row.status,
+    maxViewers: maxViewers === null || maxViewers === undefined ? null : Number(maxViewers),
+    access: row.access,
+    passwordHash: pick('passwordHash') || null,
+    invitees,
+    createdAt: new Date(pick('createdAt')).toISOString(),
+    updatedAt: new Date(pick('updatedAt')).toISOString()
+  };
+}
+
+// 房间记录写入SQL时的参数顺序
+function roomToParams(room) {
+  return [
+    room.id,
+    room.title,
+    room.description || '',
+    room.owner || null,
+    room.status,
+    room.maxViewers ?? null,
+    room.access,
+    room.passwordHash || null,
+    JSON.stringify(room.invitees || []),
+    new Date(room.createdAt),
+    new Date(room.updatedAt)
+  ];
+}
+
+// 将SQL行记录转换为处罚记录（禁言/封禁）
+function rowToSanction(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  const expiresAt = pick('expiresAt');
+  return {
+    id: row.id,
+    type: row.type,
+    roomId: pick('roomId') || null,
+    userId: pick('userId') || null,
+    ip: row.ip || null,
+    reason: row.reason || '',
+    createdAt: new Date(pick('createdAt')).toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+  };
+}
+
+// 处罚记录写入SQL时的参数顺序
+function sanctionToParams(sanction) {
+  return [
+    sanction.id,
+    sanction.type,
+    sanction.roomId || null,
+    sanction.userId || null,
+    sanction.ip || null,
+    sanction.reason || '',
+    new Date(sanction.createdAt),
+    sanction.expiresAt ? new Date(sanction.expiresAt) : null
+  ];
+}
+
+// 解析SQL中以JSON存储的列，解析失败时返回fallback
+function parseJsonColumn(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// 将SQL行记录转换为管理员账号
+function rowToAdminAccount(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  const tokensValidAfter = pick('tokensValidAfter');
+  return {
+    username: row.username,
+    passwordHash: pick('passwordHash'),
+    role: row.role,
+    rooms: parseJsonColumn(row.rooms, []),
+    disabled: !!row.disabled,
+    tokensValidAfter: tokensValidAfter ? new Date(tokensValidAfter).toISOString() : null,
+    revokedTokens: parseJsonColumn(pick('revokedTokens'), []),
+    createdAt: new Date(pick('createdAt')).toISOString(),
+    updatedAt: new Date(pick('updatedAt')).toISOString()
+  };
+}
+
+// 管理员账号写入SQL时的参数顺序
+function adminAccountToParams(account) {
+  return [
+    account.username,
+    account.passwordHash,
+    account.role,
+    JSON.stringify(account.rooms || []),
+    !!account.disabled,
+    account.tokensValidAfter ? new Date(account.tokensValidAfter) : null,
+    JSON.stringify(account.revokedTokens || []),
+    new Date(account.createdAt),
+    new Date(account.updatedAt)
+  ];
+}
+
+// 将SQL行记录转换为API密钥
+function rowToApiKey(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  const expiresAt = pick('expiresAt');
+  return {
+    id: row.id,
+    name: row.name,
+    keyHash: pick('keyHash'),
+    scopes: parseJsonColumn(row.scopes, []),
+    rooms: parseJsonColumn(row.rooms, null),
+    createdBy: pick('createdBy') || null,
+    createdAt: new Date(pick('createdAt')).toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+  };
+}
+
+// API密钥写入SQL时的参数顺序
+function apiKeyToParams(apiKey) {
+  return [
+    apiKey.id,
+    apiKey.name,
+    apiKey.keyHash,
+    JSON.stringify(apiKey.scopes || []),
+    apiKey.rooms ? JSON.stringify(apiKey.rooms) : null,
+    apiKey.createdBy || null,
+    new Date(apiKey.createdAt),
+    apiKey.expiresAt ? new Date(apiKey.expiresAt) : null
+  ];
+}
+
+// 将SQL行记录转换为运行时配置项
+function rowToConfigSetting(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  return {
+    key: pick('settingKey'),
+    value: parseJsonColumn(pick('settingValue'), null),
+    updatedBy: pick('updatedBy') || null,
+    updatedAt: new Date(pick('updatedAt')).toISOString()
+  };
+}
+
+// 运行时配置项写入SQL时的参数顺序（值以JSON形式存储）
+function configSettingToParams(setting) {
+  return [
+    setting.key,
+    JSON.stringify(setting.value),
+    setting.updatedBy || null,
+    new Date(setting.updatedAt)
+  ];
+}
+
+// 审计日志写入SQL时的参数顺序（before/after以JSON形式存储）
+function auditEntryToParams(entry) {
+  return [
+    entry.id,
+    entry.actor,
+    entry.action,
+    entry.target || '',
+    entry.before === undefined ? null : JSON.stringify(entry.before),
+    entry.after === undefined ? null : JSON.stringify(entry.after),
+    entry.ip || null,
+    new Date(entry.timestamp)
+  ];
+}
+
+// 将SQL行记录转换为审计日志
+function rowToAuditEntry(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  return {
+    id: row.id,
+    actor: row.actor,
+    action: row.action,
+    target: row.target || '',
+    before: parseJsonColumn(pick('beforeValue'), null),
+    after: parseJsonColumn(pick('afterValue'), null),
+    ip: row.ip || null,
+    timestamp: new Date(row.timestamp).toISOString()
+  };
+}
+
+// 审计日志筛选条件转换为WHERE子句，placeholder根据参数序号生成占位符（PostgreSQL为$n，MySQL为?）
+function auditFiltersToSql(filters, placeholder) {
+  const conditions = [];
+  const params = [];
+  const add = (column, operator, value) => {
+    params.push(value);
+    conditions.push(`${column} ${operator} ${placeholder(params.length)}`);
+  };
+  if (filters.actor) add('actor', '=', filters.actor);
+  if (filters.action) add('action', '=', filters.action);
+  if (filters.target) add('target', '=', filters.target);
+  if (filters.start) add('timestamp', '>=', new Date(filters.start));
+  if (filters.end) add('timestamp', '<=', new Date(filters.end));
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+// 系统统计采样写入SQL时的参数顺序（rooms和rejected以JSON形式存储在details列中）
+function systemStatsToParams(stats) {
+  return [
+    stats.instanceId || null,
+    stats.activeConnections || 0,
+    stats.totalMessages || 0,
+    stats.messagesPerSecond || 0,
+    stats.queueDepth || 0,
+    stats.avgLatency || 0,
+    stats.maxLatency || 0,
+    JSON.stringify({ rooms: stats.rooms || {}, rejected: stats.rejected || {} }),
+    stats.timestamp ? new Date(stats.timestamp) : new Date()
+  ];
+}
+
+// 将SQL行记录转换为系统统计采样
+function rowToSystemStats(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  let details = {};
+  try {
+    details = JSON.parse(row.details || '{}');
+  } catch (error) {
+    details = {};
+  }
+  return {
+    instanceId: pick('instanceId') || null,
+    activeConnections: Number(pick('activeConnections')) || 0,
+    totalMessages: Number(pick('totalMessages')) || 0,
+    messagesPerSecond: Number(pick('messagesPerSecond')) || 0,
+    queueDepth: Number(pick('queueDepth')) || 0,
+    avgLatency: Number(pick('avgLatency')) || 0,
+    maxLatency: Number(pick('maxLatency')) || 0,
+    rooms: details.rooms || {},
+    rejected: details.rejected || {},
+    timestamp: new Date(row.timestamp).getTime()
+  };
+}
+
+// 统计汇总写入SQL时的参数顺序（粒度、时间段起点和实例ID之外的汇总值以JSON形式存储在data列中）
+function statsRollupToParams(rollup) {
+  const { interval, timestamp, instanceId, ...data } = rollup;
+  return [interval, timestamp, instanceId || '', JSON.stringify(data)];
+}
+
+// 将SQL行记录转换为统计汇总
+function rowToStatsRollup(row) {
+  const pick = (name) => (row[name] !== undefined ? row[name] : row[name.toLowerCase()]);
+  let data = {};
+  try {
+    data = JSON.parse(row.data || '{}');
+  } catch (error) {
+    data = {};
+  }
+  return {
+    ...data,
+    interval: pick('granularity'),
+    instanceId: pick('instanceId') || null,
+    timestamp: Number(pick('bucketStart'))
+  };
+}
+
+// MongoDB重复键错误码
+const DUPLICATE_KEY_ERROR = 11000;
+
+// 将MongoDB文档转换为弹幕对象
+function documentToDanmaku(doc) {
+  const { _id, ...danmaku } = doc;
+  return {
+    ...danmaku,
+    id: danmaku.id || String(_id),
+    timestamp: danmaku.timestamp instanceof Date ? danmaku.timestamp.getTime() : danmaku.timestamp
+  };
+}
+
 // 数据库适配器基础类
 class BaseDatabaseAdapter {
   constructor(config) {
@@ -58,16 +429,152 @@ class BaseDatabaseAdapter {
     throw new Error('saveDanmaku 方法必须在子类中实现');
   }
 
-  // 获取房间历史弹幕（必须在子类中实现）
+  // 获取房间历史弹幕，只包含直播弹幕，按时间正序返回（必须在子类中实现）
   async getRoomHistory(room, limit = 100, offset = 0) {
     throw new Error('getRoomHistory 方法必须在子类中实现');
   }
 
+  // 获取点播弹幕：指定视频播放区间内的弹幕，按videoTime升序返回（必须在子类中实现）
+  async getVideoDanmaku(room, videoId, from, to, limit = 500) {
+    throw new Error('getVideoDanmaku 方法必须在子类中实现');
+  }
+
   // 保存系统统计（必须在子类中实现）
   async saveSystemStats(stats) {
     throw new Error('saveSystemStats 方法必须在子类中实现');
   }
 
+  // 获取时间范围内的系统统计采样，按时间正序返回（必须在子类中实现）
+  async getSystemStats(start, end, limit = 20000) {
+    throw new Error('getSystemStats 方法必须在子类中实现');
+  }
+
+  // 保存统计汇总：按粒度、时间段起点和实例ID覆盖写入（必须在子类中实现）
+  async saveStatsRollup(rollup) {
+    throw new Error('saveStatsRollup 方法必须在子类中实现');
+  }
+
+  // 获取时间范围内某个粒度的统计汇总，按时间段起点正序返回（必须在子类中实现）
+  async getStatsRollups(interval, start, end, limit = 20000) {
+    throw new Error('getStatsRollups 方法必须在子类中实现');
+  }
+
+  // 获取所有过滤规则（必须在子类中实现）
+  async getFilterRules() {
+    throw new Error('getFilterRules 方法必须在子类中实现');
+  }
+
+  // 保存过滤规则，规则已存在时更新（必须在子类中实现）
+  async saveFilterRule(filterRule) {
+    throw new Error('saveFilterRule 方法必须在子类中实现');
+  }
+
+  // 删除过滤规则，返回是否删除成功（必须在子类中实现）
+  async deleteFilterRule(rule) {
+    throw new Error('deleteFilterRule 方法必须在子类中实现');
+  }
+
+  // 获取所有房间策略（必须在子类中实现）
+  async getRoomPolicies() {
+    throw new Error('getRoomPolicies 方法必须在子类中实现');
+  }
+
+  // 保存房间策略，已存在时整体覆盖（必须在子类中实现）
+  async saveRoomPolicy(policy) {
+    throw new Error('saveRoomPolicy 方法必须在子类中实现');
+  }
+
+  // 删除房间策略，返回是否删除成功（必须在子类中实现）
+  async deleteRoomPolicy(room) {
+    throw new Error('deleteRoomPolicy 方法必须在子类中实现');
+  }
+
+  // 获取所有已登记的房间（必须在子类中实现）
+  async getRooms() {
+    throw new Error('getRooms 方法必须在子类中实现');
+  }
+
+  // 保存房间，已存在时整体覆盖（必须在子类中实现）
+  async saveRoom(room) {
+    throw new Error('saveRoom 方法必须在子类中实现');
+  }
+
+  // 按弹幕ID删除房间内的一条弹幕，返回是否删除成功（必须在子类中实现）
+  async deleteDanmaku(room, danmakuId) {
+    throw new Error('deleteDanmaku 方法必须在子类中实现');
+  }
+
+  // 获取所有处罚记录（禁言/封禁）（必须在子类中实现）
+  async getSanctions() {
+    throw new Error('getSanctions 方法必须在子类中实现');
+  }
+
+  // 保存处罚记录，已存在时整体覆盖（必须在子类中实现）
+  async saveSanction(sanction) {
+    throw new Error('saveSanction 方法必须在子类中实现');
+  }
+
+  // 删除处罚记录，返回是否删除成功（必须在子类中实现）
+  async deleteSanction(id) {
+    throw new Error('deleteSanction 方法必须在子类中实现');
+  }
+
+  // 追加一条审计日志，审计日志只追加不修改（必须在子类中实现）
+  async saveAuditEntry(entry) {
+    throw new Error('saveAuditEntry 方法必须在子类中实现');
+  }
+
+  // 按条件查询审计日志，按时间倒序返回 { entries, total }（必须在子类中实现）
+  // filters: { actor, action, target, start, end }
+  async getAuditLog(filters = {}, limit = 50, offset = 0) {
+    throw new Error('getAuditLog 方法必须在子类中实现');
+  }
+
+  // 获取所有管理员账号（必须在子类中实现）
+  async getAdminAccounts() {
+    throw new Error('getAdminAccounts 方法必须在子类中实现');
+  }
+
+  // 保存管理员账号，已存在时整体覆盖（必须在子类中实现）
+  async saveAdminAccount(account) {
+    throw new Error('saveAdminAccount 方法必须在子类中实现');
+  }
+
+  // 删除管理员账号（必须在子类中实现）
+  async deleteAdminAccount(username) {
+    throw new Error('deleteAdminAccount 方法必须在子类中实现');
+  }
+
+  // 获取所有API密钥（只保存密钥哈希）（必须在子类中实现）
+  async getApiKeys() {
+    throw new Error('getApiKeys 方法必须在子类中实现');
+  }
+
+  // 保存API密钥（必须在子类中实现）
+  async saveApiKey(apiKey) {
+    throw new Error('saveApiKey 方法必须在子类中实现');
+  }
+
+  // 删除API密钥（必须在子类中实现）
+  async deleteApiKey(id) {
+    throw new Error('deleteApiKey 方法必须在子类中实现');
+  }
+
+  // 获取所有被修改过的运行时配置项（必须在子类中实现）
+  async getConfigSettings() {
+    throw new Error('getConfigSettings 方法必须在子类中实现');
+  }
+
+  // 保存运行时配置项（必须在子类中实现）
+  async saveConfigSetting(setting) {
+    throw new Error('saveConfigSetting 方法必须在子类中实现');
+  }
+
+  // 删除运行时配置项，恢复为默认值（必须在子类中实现）
+  async deleteConfigSetting(key) {
+    throw new Error('deleteConfigSetting 方法必须在子类中实现');
+  }
+
   // 统一的错误处理包装器
   async safeExecute(operationName, fn, fallbackValue = null) {
     try {
@@ -78,6 +585,10 @@ class BaseDatabaseAdapter {
     } catch (error) {
       const errorMessage = `${operationName} 失败: ${error.message}`;
       this.logger.error(errorMessage, { error });
+      // 配置了onError时通知调用方（用于错误计数等监控）
+      if (typeof this.config.onError === 'function') {
+        this.config.onError(error, operationName);
+      }
       
       // 返回fallback值或抛出错误
       if (fallbackValue !== undefined) {
@@ -87,7 +598,8 @@ class BaseDatabaseAdapter {
     }
   }
 
-  // 批量保存弹幕（通用方法）
+  // 批量保存弹幕（通用方法）：逐条保存，返回与danmakus按下标对应的逐条结果
+  // 子类的批量写入整批失败时也用它逐条重试，单条异常数据不影响同批的其他弹幕
   async batchSaveDanmaku(room, danmakus) {
     if (!Array.isArray(danmakus) || danmakus.length === 0) {
       return [];
@@ -96,8 +608,9 @@ class BaseDatabaseAdapter {
     const results = [];
     for (const danmaku of danmakus) {
       try {
+        // saveDanmaku出错时返回null
         const id = await this.saveDanmaku(room, danmaku);
-        results.push({ id, success: true });
+        results.push(id === null || id === undefined ? { success: false, error: '保存失败' } : { id, success: true });
       } catch (error) {
         results.push({ success: false, error: error.message });
       }
@@ -190,6 +703,18 @@ class MongoDBAdapter extends BaseDatabaseAdapter {
     super(config);
     this.client = null;
     this.db = null;
+    // 已创建索引的房间弹幕集合
+    this.indexedRooms = new Set();
+  }
+
+  // 获取房间弹幕集合，首次使用时创建点播查询的索引（对应SQL适配器的idx_room_video）
+  async getRoomCollection(room) {
+    const collection = this.db.collection(`room_${room}`);
+    if (!this.indexedRooms.has(room)) {
+      await collection.createIndex({ videoId: 1, videoTime: 1 });
+      this.indexedRooms.add(room);
+    }
+    return collection;
   }
 
   async connect() {
@@ -221,11 +746,35 @@ class MongoDBAdapter extends BaseDatabaseAdapter {
       // 为每个房间创建默认集合（动态创建）
       const systemCollection = this.db.collection('system_stats');
       await systemCollection.createIndex({ timestamp: 1 });
+      await this.db.collection('system_stats_rollups')
+        .createIndex({ interval: 1, timestamp: 1, instanceId: 1 }, { unique: true });
+      
+      const filterRuleCollection = this.db.collection('filter_rules');
+      await filterRuleCollection.createIndex({ rule: 1 }, { unique: true });
+      
+      const roomPolicyCollection = this.db.collection('room_policies');
+      await roomPolicyCollection.createIndex({ room: 1 }, { unique: true });
+      
+      const roomCollection = this.db.collection('rooms');
+      await roomCollection.createIndex({ id: 1 }, { unique: true });
+      await roomCollection.createIndex({ status: 1 });
       
       const messageCollection = this.db.collection('messages');
       await messageCollection.createIndex({ room: 1, timestamp: 1 });
       await messageCollection.createIndex({ userId: 1 });
       
+      const sanctionCollection = this.db.collection('sanctions');
+      await sanctionCollection.createIndex({ id: 1 }, { unique: true });
+      
+      const auditCollection = this.db.collection('audit_log');
+      await auditCollection.createIndex({ timestamp: -1 });
+      await auditCollection.createIndex({ actor: 1, timestamp: -1 });
+      await auditCollection.createIndex({ action: 1, timestamp: -1 });
+      
+      await this.db.collection('admin_accounts').createIndex({ username: 1 }, { unique: true });
+      await this.db.collection('admin_api_keys').createIndex({ id: 1 }, { unique: true });
+      await this.db.collection('runtime_config').createIndex({ key: 1 }, { unique: true });
+      
       this.logger.info('MongoDB索引创建成功');
       return true;
     }, false);
@@ -251,17 +800,17 @@ class MongoDBAdapter extends BaseDatabaseAdapter {
         return null;
       }
       
-      // 标准化数据格式
+      // 标准化数据格式（保留服务端分配的发送时间）
       const normalizedDanmaku = {
         ...danmaku,
         room,
-        timestamp: new Date(),
+        timestamp: danmaku.timestamp ? new Date(danmaku.timestamp) : new Date(),
         type: danmaku.type || 'scroll',
         color: danmaku.color || '#FFFFFF'
       };
       
       // 选择集合（根据room动态选择）
-      const collection = this.db.collection(`room_${room}`);
+      const collection = await this.getRoomCollection(room);
       const result = await collection.insertOne(normalizedDanmaku);
       
       this.logger.debug('弹幕保存成功', { room, userId: danmaku.userId, id: result.insertedId });
@@ -277,7 +826,8 @@ class MongoDBAdapter extends BaseDatabaseAdapter {
       }
       
       const collection = this.db.collection(`room_${room}`);
-      const query = {};
+      // 只返回直播弹幕（videoTime为空或不存在）
+      const query = { videoTime: null };
       
       const messages = await collection
         .find(query)
@@ -287,7 +837,26 @@ class MongoDBAdapter extends BaseDatabaseAdapter {
         .toArray();
       
       this.logger.debug('获取历史弹幕成功', { room, count: messages.length, limit, offset });
-      return messages.reverse(); // 按时间正序返回
+      return messages.reverse().map(documentToDanmaku); // 按时间正序返回
+    }, []);
+  }
+
+  async getVideoDanmaku(room, videoId, from, to, limit = 500) {
+    return this.safeExecute(`获取房间 ${room} 的点播弹幕`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法获取点播弹幕');
+        return [];
+      }
+      
+      const collection = await this.getRoomCollection(room);
+      const messages = await collection
+        .find({ videoId, videoTime: { $gte: from, $lte: to } })
+        .sort({ videoTime: 1 })
+        .limit(limit)
+        .toArray();
+      
+      this.logger.debug('获取点播弹幕成功', { room, videoId, count: messages.length, from, to });
+      return messages.map(documentToDanmaku);
     }, []);
   }
 
@@ -301,7 +870,7 @@ class MongoDBAdapter extends BaseDatabaseAdapter {
       const collection = this.db.collection('system_stats');
       const normalizedStats = {
         ...stats,
-        timestamp: new Date(),
+        timestamp: stats.timestamp ? new Date(stats.timestamp) : new Date(),
         activeConnections: stats.activeConnections || 0,
         totalMessages: stats.totalMessages || 0
       };
@@ -312,296 +881,1317 @@ class MongoDBAdapter extends BaseDatabaseAdapter {
     }, null);
   }
 
-  // 实现批量保存弹幕的优化版本
-  async batchSaveDanmaku(room, danmakus) {
-    return this.safeExecute(`批量保存弹幕到房间 ${room}`, async () => {
-      if (!this.db || !Array.isArray(danmakus) || danmakus.length === 0) {
+  async getSystemStats(start, end, limit = 20000) {
+    return this.safeExecute('获取系统统计', async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法获取系统统计');
         return [];
       }
       
-      const collection = this.db.collection(`room_${room}`);
-      const normalizedDanmakus = danmakus.map(danmaku => ({
-        ...danmaku,
-        room,
-        timestamp: new Date(),
-        type: danmaku.type || 'scroll',
-        color: danmaku.color || '#FFFFFF'
-      }));
-      
-      const result = await collection.insertMany(normalizedDanmakus);
-      const insertedIds = Object.values(result.insertedIds);
+      const samples = await this.db.collection('system_stats')
+        .find({ timestamp: { $gte: new Date(start), $lte: new Date(end) } })
+        .sort({ timestamp: 1 })
+        .limit(limit)
+        .toArray();
       
-      this.logger.info('批量弹幕保存成功', { room, count: insertedIds.length });
-      return insertedIds.map(id => ({ id, success: true }));
+      this.logger.debug('获取系统统计成功', { count: samples.length, start, end });
+      return samples.map(({ _id, ...sample }) => ({
+        ...sample,
+        timestamp: sample.timestamp.getTime()
+      }));
     }, []);
   }
 
-  // 实现获取用户弹幕历史的优化版本
-  async getUserDanmakus(userId, limit = 50) {
-    return this.safeExecute(`获取用户 ${userId} 的弹幕历史`, async () => {
+  async saveStatsRollup(rollup) {
+    return this.safeExecute('保存统计汇总', async () => {
       if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存统计汇总');
+        return false;
+      }
+      
+      const { interval, timestamp, instanceId } = rollup;
+      await this.db.collection('system_stats_rollups').replaceOne(
+        { interval, timestamp, instanceId },
+        rollup,
+        { upsert: true }
+      );
+      return true;
+    }, false);
+  }
+
+  async getStatsRollups(interval, start, end, limit = 20000) {
+    return this.safeExecute('获取统计汇总', async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法获取统计汇总');
         return [];
       }
       
-      // 优化查询策略：
-      // 1. 检查是否存在用户消息索引集合
-      const userIndexExists = await this.db.listCollections({ name: 'user_message_index' }).hasNext();
+      const rollups = await this.db.collection('system_stats_rollups')
+        .find({ interval, timestamp: { $gte: start, $lte: end } })
+        .sort({ timestamp: 1 })
+        .limit(limit)
+        .toArray();
       
-      if (userIndexExists) {
-        // 使用用户-消息索引集合进行高效查询
-        const indexCollection = this.db.collection('user_message_index');
-        const messageRefs = await indexCollection
-          .find({ userId })
-          .sort({ timestamp: -1 })
-          .limit(limit)
-          .toArray();
-        
-        // 并行获取实际消息
-        const messages = await Promise.all(messageRefs.map(async (ref) => {
-          const roomCollection = this.db.collection(`room_${ref.roomId}`);
-          return roomCollection.findOne({ _id: ref.messageId });
-        }));
-        
-        return messages.filter(Boolean).sort((a, b) => b.timestamp - a.timestamp);
-      } else {
-        // 回退到原有查询方式，但优化实现
-        const messages = [];
-        const collections = await this.db.listCollections({ name: /^room_/ }).toArray();
-        
-        // 并行查询所有集合
-        const messageArrays = await Promise.all(collections.map(async (collInfo) => {
-          const coll = this.db.collection(collInfo.name);
-          // 添加索引提示，确保userId字段有索引
-          return coll
-            .find({ userId })
-            .sort({ timestamp: -1 })
-            .limit(Math.ceil(limit / collections.length)) // 每个集合限制较少的数量
-            .toArray();
-        }));
-        
-        // 合并结果
-        messageArrays.forEach(arr => messages.push(...arr));
-        
-        // 按时间排序并限制总数
-        return messages
-          .sort((a, b) => b.timestamp - a.timestamp)
-          .slice(0, limit);
-      }
+      this.logger.debug('获取统计汇总成功', { interval, count: rollups.length, start, end });
+      return rollups.map(({ _id, ...rollup }) => rollup);
     }, []);
   }
 
-  // 实现获取房间统计信息
-  async getRoomStats(room) {
-    return this.safeExecute(`获取房间 ${room} 的统计信息`, async () => {
+  async getFilterRules() {
+    return this.safeExecute('获取过滤规则', async () => {
       if (!this.db) {
-        return null;
+        return [];
       }
       
-      const collection = this.db.collection(`room_${room}`);
-      const totalMessages = await collection.countDocuments();
-      
-      // 获取最近一小时的消息数
-      const oneHourAgo = new Date();
-      oneHourAgo.setHours(oneHourAgo.getHours() - 1);
-      const recentMessages = await collection.countDocuments({ timestamp: { $gte: oneHourAgo } });
-      
-      // 获取活跃用户数（去重）
-      const activeUsers = await collection.distinct('userId', { timestamp: { $gte: oneHourAgo } });
+      const rules = await this.db.collection('filter_rules')
+        .find({})
+        .sort({ createdAt: 1 })
+        .toArray();
       
-      return {
-        room,
-        totalMessages,
-        recentMessages,
-        activeUsersCount: activeUsers.length,
-        lastUpdated: new Date()
-      };
-    }, null);
+      return rules.map(({ rule, type, matchType, replacement, createdAt }) => ({
+        rule,
+        type,
+        matchType: matchType || 'word',
+        replacement: replacement || undefined,
+        createdAt: new Date(createdAt).toISOString()
+      }));
+    }, []);
   }
 
-  // 实现清理过期数据
-  async cleanupOldData(daysToKeep = 7) {
-    return this.safeExecute(`清理 ${daysToKeep} 天前的过期数据`, async () => {
+  async saveFilterRule(filterRule) {
+    return this.safeExecute(`保存过滤规则 ${filterRule.rule}`, async () => {
       if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存过滤规则');
         return false;
       }
       
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+      await this.db.collection('filter_rules').updateOne(
+        { rule: filterRule.rule },
+        {
+          $set: {
+            type: filterRule.type || 'ban',
+            matchType: filterRule.matchType || 'word',
+            replacement: filterRule.replacement || null
+          },
+          $setOnInsert: { createdAt: filterRule.createdAt ? new Date(filterRule.createdAt) : new Date() }
+        },
+        { upsert: true }
+      );
+      return true;
+    }, false);
+  }
+
+  async deleteFilterRule(rule) {
+    return this.safeExecute(`删除过滤规则 ${rule}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法删除过滤规则');
+        return false;
+      }
       
-      // 清理所有房间的旧数据
-      const collections = await this.db.listCollections({ name: /^room_/ }).toArray();
-      let totalDeleted = 0;
+      const result = await this.db.collection('filter_rules').deleteOne({ rule });
+      return result.deletedCount > 0;
+    }, false);
+  }
+
+  async getRoomPolicies() {
+    return this.safeExecute('获取房间策略', async () => {
+      if (!this.db) {
+        return [];
+      }
+      
+      const policies = await this.db.collection('room_policies').find({}).toArray();
+      return policies.map(({ _id, updatedAt, rules, ...policy }) => ({
+        ...policy,
+        rules: rules || [],
+        updatedAt: new Date(updatedAt).toISOString()
+      }));
+    }, []);
+  }
+
+  async saveRoomPolicy(policy) {
+    return this.safeExecute(`保存房间策略 ${policy.room}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存房间策略');
+        return false;
+      }
+      
+      await this.db.collection('room_policies').replaceOne(
+        { room: policy.room },
+        {
+          ...JSON.parse(serializeRoomPolicy(policy)),
+          room: policy.room,
+          updatedAt: policy.updatedAt ? new Date(policy.updatedAt) : new Date()
+        },
+        { upsert: true }
+      );
+      return true;
+    }, false);
+  }
+
+  async deleteRoomPolicy(room) {
+    return this.safeExecute(`删除房间策略 ${room}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法删除房间策略');
+        return false;
+      }
+      
+      const result = await this.db.collection('room_policies').deleteOne({ room });
+      return result.deletedCount > 0;
+    }, false);
+  }
+
+  async getRooms() {
+    return this.safeExecute('获取房间列表', async () => {
+      if (!this.db) {
+        return [];
+      }
+      
+      const rooms = await this.db.collection('rooms').find({}).toArray();
+      return rooms.map(({ _id, createdAt, updatedAt, ...room }) => ({
+        ...room,
+        invitees: room.invitees || [],
+        createdAt: new Date(createdAt).toISOString(),
+        updatedAt: new Date(updatedAt).toISOString()
+      }));
+    }, []);
+  }
+
+  async saveRoom(room) {
+    return this.safeExecute(`保存房间 ${room.id}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存房间');
+        return false;
+      }
+      
+      await this.db.collection('rooms').replaceOne(
+        { id: room.id },
+        {
+          ...room,
+          createdAt: new Date(room.createdAt),
+          updatedAt: new Date(room.updatedAt)
+        },
+        { upsert: true }
+      );
+      return true;
+    }, false);
+  }
+
+  async deleteDanmaku(room, danmakuId) {
+    return this.safeExecute(`删除房间 ${room} 的弹幕 ${danmakuId}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法删除弹幕');
+        return false;
+      }
+      
+      const result = await this.db.collection(`room_${room}`).deleteOne({ id: danmakuId });
+      return result.deletedCount > 0;
+    }, false);
+  }
+
+  async getSanctions() {
+    return this.safeExecute('获取处罚记录', async () => {
+      if (!this.db) {
+        return [];
+      }
+      
+      const sanctions = await this.db.collection('sanctions').find({}).toArray();
+      return sanctions.map(({ _id, createdAt, expiresAt, ...sanction }) => ({
+        ...sanction,
+        createdAt: new Date(createdAt).toISOString(),
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+      }));
+    }, []);
+  }
+
+  async saveSanction(sanction) {
+    return this.safeExecute(`保存处罚记录 ${sanction.id}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存处罚记录');
+        return false;
+      }
+      
+      await this.db.collection('sanctions').replaceOne(
+        { id: sanction.id },
+        {
+          ...sanction,
+          createdAt: new Date(sanction.createdAt),
+          expiresAt: sanction.expiresAt ? new Date(sanction.expiresAt) : null
+        },
+        { upsert: true }
+      );
+      return true;
+    }, false);
+  }
+
+  async deleteSanction(id) {
+    return this.safeExecute(`删除处罚记录 ${id}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法删除处罚记录');
+        return false;
+      }
+      
+      // 记录不存在也视为成功，解除处罚是幂等的
+      await this.db.collection('sanctions').deleteOne({ id });
+      return true;
+    }, false);
+  }
+
+  async saveAuditEntry(entry) {
+    return this.safeExecute(`保存审计日志 ${entry.action}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存审计日志');
+        return false;
+      }
+      
+      await this.db.collection('audit_log').insertOne({
+        ...entry,
+        timestamp: new Date(entry.timestamp)
+      });
+      return true;
+    }, false);
+  }
+
+  async getAuditLog(filters = {}, limit = 50, offset = 0) {
+    return this.safeExecute('获取审计日志', async () => {
+      if (!this.db) {
+        return { entries: [], total: 0 };
+      }
+      
+      const query = {};
+      if (filters.actor) query.actor = filters.actor;
+      if (filters.action) query.action = filters.action;
+      if (filters.target) query.target = filters.target;
+      if (filters.start || filters.end) {
+        query.timestamp = {};
+        if (filters.start) query.timestamp.$gte = new Date(filters.start);
+        if (filters.end) query.timestamp.$lte = new Date(filters.end);
+      }
+      
+      const collection = this.db.collection('audit_log');
+      const [entries, total] = await Promise.all([
+        collection.find(query).sort({ timestamp: -1, _id: -1 }).skip(offset).limit(limit).toArray(),
+        collection.countDocuments(query)
+      ]);
+      return {
+        entries: entries.map(({ _id, timestamp, ...entry }) => ({
+          ...entry,
+          before: entry.before ?? null,
+          after: entry.after ?? null,
+          timestamp: new Date(timestamp).toISOString()
+        })),
+        total
+      };
+    }, { entries: [], total: 0 });
+  }
+
+  async getAdminAccounts() {
+    return this.safeExecute('获取管理员账号', async () => {
+      if (!this.db) {
+        return [];
+      }
+      
+      const accounts = await this.db.collection('admin_accounts').find({}).toArray();
+      return accounts.map(({ _id, tokensValidAfter, createdAt, updatedAt, ...account }) => ({
+        ...account,
+        rooms: account.rooms || [],
+        revokedTokens: account.revokedTokens || [],
+        tokensValidAfter: tokensValidAfter ? new Date(tokensValidAfter).toISOString() : null,
+        createdAt: new Date(createdAt).toISOString(),
+        updatedAt: new Date(updatedAt).toISOString()
+      }));
+    }, []);
+  }
+
+  async saveAdminAccount(account) {
+    return this.safeExecute(`保存管理员账号 ${account.username}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存管理员账号');
+        return false;
+      }
+      
+      await this.db.collection('admin_accounts').replaceOne(
+        { username: account.username },
+        {
+          ...account,
+          tokensValidAfter: account.tokensValidAfter ? new Date(account.tokensValidAfter) : null,
+          createdAt: new Date(account.createdAt),
+          updatedAt: new Date(account.updatedAt)
+        },
+        { upsert: true }
+      );
+      return true;
+    }, false);
+  }
+
+  async deleteAdminAccount(username) {
+    return this.safeExecute(`删除管理员账号 ${username}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法删除管理员账号');
+        return false;
+      }
+      
+      await this.db.collection('admin_accounts').deleteOne({ username });
+      return true;
+    }, false);
+  }
+
+  async getApiKeys() {
+    return this.safeExecute('获取API密钥', async () => {
+      if (!this.db) {
+        return [];
+      }
+      
+      const apiKeys = await this.db.collection('admin_api_keys').find({}).toArray();
+      return apiKeys.map(({ _id, createdAt, expiresAt, ...apiKey }) => ({
+        ...apiKey,
+        rooms: apiKey.rooms || null,
+        createdAt: new Date(createdAt).toISOString(),
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+      }));
+    }, []);
+  }
+
+  async saveApiKey(apiKey) {
+    return this.safeExecute(`保存API密钥 ${apiKey.id}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存API密钥');
+        return false;
+      }
+      
+      await this.db.collection('admin_api_keys').replaceOne(
+        { id: apiKey.id },
+        {
+          ...apiKey,
+          createdAt: new Date(apiKey.createdAt),
+          expiresAt: apiKey.expiresAt ? new Date(apiKey.expiresAt) : null
+        },
+        { upsert: true }
+      );
+      return true;
+    }, false);
+  }
+
+  async deleteApiKey(id) {
+    return this.safeExecute(`删除API密钥 ${id}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法删除API密钥');
+        return false;
+      }
+      
+      await this.db.collection('admin_api_keys').deleteOne({ id });
+      return true;
+    }, false);
+  }
+
+  async getConfigSettings() {
+    return this.safeExecute('获取运行时配置', async () => {
+      if (!this.db) {
+        return [];
+      }
+      
+      const settings = await this.db.collection('runtime_config').find({}).toArray();
+      return settings.map(({ _id, updatedAt, ...setting }) => ({
+        ...setting,
+        updatedBy: setting.updatedBy || null,
+        updatedAt: new Date(updatedAt).toISOString()
+      }));
+    }, []);
+  }
+
+  async saveConfigSetting(setting) {
+    return this.safeExecute(`保存运行时配置 ${setting.key}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法保存运行时配置');
+        return false;
+      }
+      
+      await this.db.collection('runtime_config').replaceOne(
+        { key: setting.key },
+        { ...setting, updatedAt: new Date(setting.updatedAt) },
+        { upsert: true }
+      );
+      return true;
+    }, false);
+  }
+
+  async deleteConfigSetting(key) {
+    return this.safeExecute(`删除运行时配置 ${key}`, async () => {
+      if (!this.db) {
+        this.logger.warn('数据库未连接，无法删除运行时配置');
+        return false;
+      }
+      
+      await this.db.collection('runtime_config').deleteOne({ key });
+      return true;
+    }, false);
+  }
+
+  // 实现批量保存弹幕的优化版本
+  // 以弹幕ID作为_id，重试已写入的弹幕时按重复键视为成功；无序写入，单条失败不影响其他弹幕
+  async batchSaveDanmaku(room, danmakus) {
+    return this.safeExecute(`批量保存弹幕到房间 ${room}`, async () => {
+      if (!this.db || !Array.isArray(danmakus) || danmakus.length === 0) {
+        return [];
+      }
+      
+      const collection = await this.getRoomCollection(room);
+      const normalizedDanmakus = danmakus.map(danmaku => ({
+        ...danmaku,
+        _id: danmaku.id,
+        room,
+        timestamp: danmaku.timestamp ? new Date(danmaku.timestamp) : new Date(),
+        type: danmaku.type || 'scroll',
+        color: danmaku.color || '#FFFFFF'
+      }));
+      
+      // 写入失败的弹幕：下标 -> 错误信息
+      const failed = new Map();
+      try {
+        await collection.insertMany(normalizedDanmakus, { ordered: false });
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+        for (const writeError of [].concat(error.writeErrors)) {
+          if (writeError.code !== DUPLICATE_KEY_ERROR) {
+            failed.set(writeError.index, writeError.errmsg);
+          }
+        }
+      }
+      
+      this.logger.info('批量弹幕保存完成', { room, count: danmakus.length - failed.size, failed: failed.size });
+      return normalizedDanmakus.map(({ _id }, index) => (
+        failed.has(index) ? { success: false, error: failed.get(index) } : { id: _id, success: true }
+      ));
+    }, []);
+  }
+
+  // 实现获取用户弹幕历史的优化版本
+  async getUserDanmakus(userId, limit = 50) {
+    return this.safeExecute(`获取用户 ${userId} 的弹幕历史`, async () => {
+      if (!this.db) {
+        return [];
+      }
+      
+      // 优化查询策略：
+      // 1. 检查是否存在用户消息索引集合
+      const userIndexExists = await this.db.listCollections({ name: 'user_message_index' }).hasNext();
+      
+      if (userIndexExists) {
+        // 使用用户-消息索引集合进行高效查询
+        const indexCollection = this.db.collection('user_message_index');
+        const messageRefs = await indexCollection
+          .find({ userId })
+          .sort({ timestamp: -1 })
+          .limit(limit)
+          .toArray();
+        
+        // 并行获取实际消息
+        const messages = await Promise.all(messageRefs.map(async (ref) => {
+          const roomCollection = this.db.collection(`room_${ref.roomId}`);
+          return roomCollection.findOne({ _id: ref.messageId });
+        }));
+        
+        return messages.filter(Boolean).sort((a, b) => b.timestamp - a.timestamp);
+      } else {
+        // 回退到原有查询方式，但优化实现
+        const messages = [];
+        const collections = await this.db.listCollections({ name: /^room_/ }).toArray();
+        
+        // 并行查询所有集合
+        const messageArrays = await Promise.all(collections.map(async (collInfo) => {
+          const coll = this.db.collection(collInfo.name);
+          // 添加索引提示，确保userId字段有索引
+          return coll
+            .find({ userId })
+            .sort({ timestamp: -1 })
+            .limit(Math.ceil(limit / collections.length)) // 每个集合限制较少的数量
+            .toArray();
+        }));
+        
+        // 合并结果
+        messageArrays.forEach(arr => messages.push(...arr));
+        
+        // 按时间排序并限制总数
+        return messages
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, limit);
+      }
+    }, []);
+  }
+
+  // 实现获取房间统计信息
+  async getRoomStats(room) {
+    return this.safeExecute(`获取房间 ${room} 的统计信息`, async () => {
+      if (!this.db) {
+        return null;
+      }
+      
+      const collection = this.db.collection(`room_${room}`);
+      const totalMessages = await collection.countDocuments();
+      
+      // 获取最近一小时的消息数
+      const oneHourAgo = new Date();
+      oneHourAgo.setHours(oneHourAgo.getHours() - 1);
+      const recentMessages = await collection.countDocuments({ timestamp: { $gte: oneHourAgo } });
+      
+      // 获取活跃用户数（去重）
+      const activeUsers = await collection.distinct('userId', { timestamp: { $gte: oneHourAgo } });
+      
+      return {
+        room,
+        totalMessages,
+        recentMessages,
+        activeUsersCount: activeUsers.length,
+        lastUpdated: new Date()
+      };
+    }, null);
+  }
+
+  // 实现清理过期数据
+  async cleanupOldData(daysToKeep = 7) {
+    return this.safeExecute(`清理 ${daysToKeep} 天前的过期数据`, async () => {
+      if (!this.db) {
+        return false;
+      }
+      
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+      
+      // 清理所有房间的旧数据
+      const collections = await this.db.listCollections({ name: /^room_/ }).toArray();
+      let totalDeleted = 0;
+      
+      for (const collInfo of collections) {
+        const coll = this.db.collection(collInfo.name);
+        const result = await coll.deleteMany({ timestamp: { $lt: cutoffDate } });
+        totalDeleted += result.deletedCount;
+      }
+      
+      this.logger.info('过期数据清理完成', { daysToKeep, totalDeleted });
+      return { success: true, totalDeleted };
+    }, { success: false, totalDeleted: 0 });
+  }
+}
+
+// PostgreSQL适配器
+class PostgreSQLAdapter extends BaseDatabaseAdapter {
+  constructor(config) {
+    super(config);
+    this.pool = null;
+  }
+
+  async connect() {
+    return this.safeExecute('PostgreSQL连接', async () => {
+      const { Pool } = await import('pg');
+      this.pool = new Pool({
+        host: this.config.host || 'localhost',
+        port: this.config.port || 5432,
+        user: this.config.user || 'postgres',
+        password: this.config.password,
+        database: this.config.database || 'danmaku_system',
+        max: 10,
+        idleTimeoutMillis: 30000
+      });
+
+      // 测试连接
+      await this.pool.query('SELECT NOW()');
+      this.isConnected = true;
+      this.logger.info('PostgreSQL连接成功', { database: this.config.database || 'danmaku_system' });
       
-      for (const collInfo of collections) {
-        const coll = this.db.collection(collInfo.name);
-        const result = await coll.deleteMany({ timestamp: { $lt: cutoffDate } });
-        totalDeleted += result.deletedCount;
+      // 创建必要的表
+      await this._createTables();
+      
+      return true;
+    });
+  }
+
+  async _createTables() {
+    return this.safeExecute('创建PostgreSQL表', async () => {
+      // 创建消息表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS messages (
+          id SERIAL PRIMARY KEY,
+          room VARCHAR(255) NOT NULL,
+          danmakuId VARCHAR(64),
+          userId VARCHAR(255) NOT NULL,
+          nickname VARCHAR(255) NOT NULL,
+          content TEXT NOT NULL,
+          type VARCHAR(50) NOT NULL DEFAULT 'scroll',
+          color VARCHAR(20) NOT NULL DEFAULT '#FFFFFF',
+          videoId VARCHAR(255),
+          videoTime BIGINT,
+          meta TEXT,
+          timestamp TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+
+      // 兼容旧版本创建的消息表
+      await this.pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS danmakuId VARCHAR(64)');
+      await this.pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS videoId VARCHAR(255)');
+      await this.pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS videoTime BIGINT');
+      await this.pool.query('ALTER TABLE messages ADD COLUMN IF NOT EXISTS meta TEXT');
+
+      // 创建索引
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_room_timestamp ON messages(room, timestamp)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_userId ON messages(userId)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_room_video ON messages(room, videoId, videoTime)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_room_danmaku ON messages(room, danmakuId)');
+
+      // 创建系统统计表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS system_stats (
+          id SERIAL PRIMARY KEY,
+          instanceId VARCHAR(64),
+          activeConnections INT NOT NULL DEFAULT 0,
+          totalMessages INT NOT NULL DEFAULT 0,
+          messagesPerSecond DOUBLE PRECISION NOT NULL DEFAULT 0,
+          queueDepth INT NOT NULL DEFAULT 0,
+          avgLatency DOUBLE PRECISION NOT NULL DEFAULT 0,
+          maxLatency DOUBLE PRECISION NOT NULL DEFAULT 0,
+          details TEXT,
+          timestamp TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      // 兼容旧版本创建的统计表
+      await this.pool.query('ALTER TABLE system_stats ADD COLUMN IF NOT EXISTS instanceId VARCHAR(64)');
+      await this.pool.query('ALTER TABLE system_stats ADD COLUMN IF NOT EXISTS messagesPerSecond DOUBLE PRECISION NOT NULL DEFAULT 0');
+      await this.pool.query('ALTER TABLE system_stats ADD COLUMN IF NOT EXISTS queueDepth INT NOT NULL DEFAULT 0');
+      await this.pool.query('ALTER TABLE system_stats ADD COLUMN IF NOT EXISTS avgLatency DOUBLE PRECISION NOT NULL DEFAULT 0');
+      await this.pool.query('ALTER TABLE system_stats ADD COLUMN IF NOT EXISTS maxLatency DOUBLE PRECISION NOT NULL DEFAULT 0');
+      await this.pool.query('ALTER TABLE system_stats ADD COLUMN IF NOT EXISTS details TEXT');
+      
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_stats_timestamp ON system_stats(timestamp)');
+      
+      // 创建统计汇总表（每个实例在每个粒度的每个时间段一行）
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS system_stats_rollups (
+          granularity VARCHAR(16) NOT NULL,
+          bucketStart BIGINT NOT NULL,
+          instanceId VARCHAR(128) NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (granularity, bucketStart, instanceId)
+        )
+      `);
+      
+      // 创建过滤规则表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS filter_rules (
+          id SERIAL PRIMARY KEY,
+          rule VARCHAR(255) NOT NULL UNIQUE,
+          type VARCHAR(20) NOT NULL DEFAULT 'ban',
+          matchType VARCHAR(10) NOT NULL DEFAULT 'word',
+          replacement VARCHAR(255),
+          createdAt TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      await this.pool.query('ALTER TABLE filter_rules ADD COLUMN IF NOT EXISTS replacement VARCHAR(255)');
+      await this.pool.query("ALTER TABLE filter_rules ADD COLUMN IF NOT EXISTS matchType VARCHAR(10) NOT NULL DEFAULT 'word'");
+      
+      // 创建房间策略表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS room_policies (
+          room VARCHAR(255) PRIMARY KEY,
+          policy TEXT NOT NULL,
+          updatedAt TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      
+      // 创建房间表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS rooms (
+          id VARCHAR(255) PRIMARY KEY,
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          owner VARCHAR(255),
+          status VARCHAR(20) NOT NULL DEFAULT 'created',
+          maxViewers INT,
+          access VARCHAR(20) NOT NULL DEFAULT 'public',
+          passwordHash VARCHAR(255),
+          invitees TEXT,
+          createdAt TIMESTAMP NOT NULL DEFAULT NOW(),
+          updatedAt TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      
+      // 创建处罚记录表（禁言/封禁）
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS sanctions (
+          id VARCHAR(255) PRIMARY KEY,
+          type VARCHAR(20) NOT NULL,
+          roomId VARCHAR(255),
+          userId VARCHAR(255),
+          ip VARCHAR(64),
+          reason TEXT,
+          createdAt TIMESTAMP NOT NULL DEFAULT NOW(),
+          expiresAt TIMESTAMP
+        )
+      `);
+      
+      // 创建审计日志表（只追加）
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id VARCHAR(64) PRIMARY KEY,
+          actor VARCHAR(255) NOT NULL,
+          action VARCHAR(64) NOT NULL,
+          target VARCHAR(512) NOT NULL DEFAULT '',
+          beforeValue TEXT,
+          afterValue TEXT,
+          ip VARCHAR(64),
+          timestamp TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log(actor, timestamp)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action, timestamp)');
+
+      // 创建管理员账号表和API密钥表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS admin_accounts (
+          username VARCHAR(64) PRIMARY KEY,
+          passwordHash VARCHAR(255) NOT NULL,
+          role VARCHAR(20) NOT NULL,
+          rooms TEXT,
+          disabled BOOLEAN NOT NULL DEFAULT FALSE,
+          tokensValidAfter TIMESTAMP,
+          revokedTokens TEXT,
+          createdAt TIMESTAMP NOT NULL DEFAULT NOW(),
+          updatedAt TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS admin_api_keys (
+          id VARCHAR(64) PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          keyHash VARCHAR(128) NOT NULL,
+          scopes TEXT,
+          rooms TEXT,
+          createdBy VARCHAR(64),
+          createdAt TIMESTAMP NOT NULL DEFAULT NOW(),
+          expiresAt TIMESTAMP
+        )
+      `);
+      
+      // 创建运行时配置表（只保存被修改过的配置项）
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS runtime_config (
+          settingKey VARCHAR(128) PRIMARY KEY,
+          settingValue TEXT NOT NULL,
+          updatedBy VARCHAR(128),
+          updatedAt TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      
+      this.logger.info('PostgreSQL表创建成功');
+      return true;
+    }, false);
+  }
+
+  async disconnect() {
+    return this.safeExecute('PostgreSQL断开连接', async () => {
+      if (this.pool) {
+        await this.pool.end();
+        this.pool = null;
+        this.isConnected = false;
+        this.logger.info('PostgreSQL连接已关闭');
+      }
+      return true;
+    }, true);
+  }
+
+  async saveDanmaku(room, danmaku) {
+    return this.safeExecute(`保存弹幕到房间 ${room}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存弹幕');
+        return null;
+      }
+      
+      const query = `
+        INSERT INTO messages (room, danmakuId, userId, nickname, content, type, color, videoId, videoTime, meta, timestamp)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id
+      `;
+      const values = [
+        room,
+        danmaku.id || null,
+        danmaku.userId || '',
+        danmaku.nickname || '',
+        danmaku.content || '',
+        danmaku.type || 'scroll',
+        danmaku.color || '#FFFFFF',
+        danmaku.videoId || null,
+        danmaku.videoTime ?? null,
+        serializeDanmakuMeta(danmaku),
+        danmaku.timestamp ? new Date(danmaku.timestamp) : new Date()
+      ];
+      
+      const result = await this.pool.query(query, values);
+      const insertedId = result.rows[0].id;
+      
+      this.logger.debug('弹幕保存成功', { room, userId: danmaku.userId, id: insertedId });
+      return insertedId;
+    }, null);
+  }
+
+  async getRoomHistory(room, limit = 100, offset = 0) {
+    return this.safeExecute(`获取房间 ${room} 的历史弹幕`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法获取历史弹幕');
+        return [];
+      }
+      
+      const query = `
+        SELECT * FROM messages
+        WHERE room = $1 AND videoTime IS NULL
+        ORDER BY timestamp DESC
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await this.pool.query(query, [room, limit, offset]);
+      
+      this.logger.debug('获取历史弹幕成功', { room, count: result.rows.length, limit, offset });
+      return result.rows.reverse().map(rowToDanmaku); // 按时间正序返回
+    }, []);
+  }
+
+  async getVideoDanmaku(room, videoId, from, to, limit = 500) {
+    return this.safeExecute(`获取房间 ${room} 的点播弹幕`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法获取点播弹幕');
+        return [];
+      }
+      
+      const query = `
+        SELECT * FROM messages
+        WHERE room = $1 AND videoId = $2 AND videoTime BETWEEN $3 AND $4
+        ORDER BY videoTime ASC
+        LIMIT $5
+      `;
+      const result = await this.pool.query(query, [room, videoId, from, to, limit]);
+      
+      this.logger.debug('获取点播弹幕成功', { room, videoId, count: result.rows.length, from, to });
+      return result.rows.map(rowToDanmaku);
+    }, []);
+  }
+
+  async saveSystemStats(stats) {
+    return this.safeExecute('保存系统统计', async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存系统统计');
+        return null;
+      }
+      
+      const query = `
+        INSERT INTO system_stats
+          (instanceId, activeConnections, totalMessages, messagesPerSecond, queueDepth, avgLatency, maxLatency, details, timestamp)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `;
+      
+      const result = await this.pool.query(query, systemStatsToParams(stats));
+      const insertedId = result.rows[0].id;
+      
+      this.logger.debug('系统统计保存成功', { id: insertedId });
+      return insertedId;
+    }, null);
+  }
+
+  async getSystemStats(start, end, limit = 20000) {
+    return this.safeExecute('获取系统统计', async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法获取系统统计');
+        return [];
+      }
+      
+      const query = `
+        SELECT * FROM system_stats
+        WHERE timestamp BETWEEN $1 AND $2
+        ORDER BY timestamp ASC
+        LIMIT $3
+      `;
+      const result = await this.pool.query(query, [new Date(start), new Date(end), limit]);
+      
+      this.logger.debug('获取系统统计成功', { count: result.rows.length, start, end });
+      return result.rows.map(rowToSystemStats);
+    }, []);
+  }
+
+  async saveStatsRollup(rollup) {
+    return this.safeExecute('保存统计汇总', async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存统计汇总');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO system_stats_rollups (granularity, bucketStart, instanceId, data)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (granularity, bucketStart, instanceId) DO UPDATE SET data = EXCLUDED.data
+      `;
+      await this.pool.query(query, statsRollupToParams(rollup));
+      return true;
+    }, false);
+  }
+
+  async getStatsRollups(interval, start, end, limit = 20000) {
+    return this.safeExecute('获取统计汇总', async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法获取统计汇总');
+        return [];
+      }
+      
+      const query = `
+        SELECT * FROM system_stats_rollups
+        WHERE granularity = $1 AND bucketStart BETWEEN $2 AND $3
+        ORDER BY bucketStart ASC
+        LIMIT $4
+      `;
+      const result = await this.pool.query(query, [interval, start, end, limit]);
+      
+      this.logger.debug('获取统计汇总成功', { interval, count: result.rows.length, start, end });
+      return result.rows.map(rowToStatsRollup);
+    }, []);
+  }
+
+  async getFilterRules() {
+    return this.safeExecute('获取过滤规则', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const result = await this.pool.query('SELECT * FROM filter_rules ORDER BY createdAt ASC');
+      return result.rows.map(rowToFilterRule);
+    }, []);
+  }
+
+  async saveFilterRule(filterRule) {
+    return this.safeExecute(`保存过滤规则 ${filterRule.rule}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存过滤规则');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO filter_rules (rule, type, matchType, replacement, createdAt)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (rule) DO UPDATE SET
+          type = EXCLUDED.type,
+          matchType = EXCLUDED.matchType,
+          replacement = EXCLUDED.replacement
+      `;
+      await this.pool.query(query, [
+        filterRule.rule,
+        filterRule.type || 'ban',
+        filterRule.matchType || 'word',
+        filterRule.replacement || null,
+        filterRule.createdAt ? new Date(filterRule.createdAt) : new Date()
+      ]);
+      return true;
+    }, false);
+  }
+
+  async deleteFilterRule(rule) {
+    return this.safeExecute(`删除过滤规则 ${rule}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除过滤规则');
+        return false;
+      }
+      
+      const result = await this.pool.query('DELETE FROM filter_rules WHERE rule = $1', [rule]);
+      return result.rowCount > 0;
+    }, false);
+  }
+
+  async getRoomPolicies() {
+    return this.safeExecute('获取房间策略', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const result = await this.pool.query('SELECT * FROM room_policies');
+      return result.rows.map(rowToRoomPolicy);
+    }, []);
+  }
+
+  async saveRoomPolicy(policy) {
+    return this.safeExecute(`保存房间策略 ${policy.room}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存房间策略');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO room_policies (room, policy, updatedAt)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (room) DO UPDATE SET policy = EXCLUDED.policy, updatedAt = EXCLUDED.updatedAt
+      `;
+      await this.pool.query(query, [
+        policy.room,
+        serializeRoomPolicy(policy),
+        policy.updatedAt ? new Date(policy.updatedAt) : new Date()
+      ]);
+      return true;
+    }, false);
+  }
+
+  async deleteRoomPolicy(room) {
+    return this.safeExecute(`删除房间策略 ${room}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除房间策略');
+        return false;
       }
       
-      this.logger.info('过期数据清理完成', { daysToKeep, totalDeleted });
-      return { success: true, totalDeleted };
-    }, { success: false, totalDeleted: 0 });
+      const result = await this.pool.query('DELETE FROM room_policies WHERE room = $1', [room]);
+      return result.rowCount > 0;
+    }, false);
   }
-}
 
-// PostgreSQL适配器
-class PostgreSQLAdapter extends BaseDatabaseAdapter {
-  constructor(config) {
-    super(config);
-    this.pool = null;
+  async getRooms() {
+    return this.safeExecute('获取房间列表', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const result = await this.pool.query('SELECT * FROM rooms');
+      return result.rows.map(rowToRoom);
+    }, []);
   }
 
-  async connect() {
-    return this.safeExecute('PostgreSQL连接', async () => {
-      const { Pool } = await import('pg');
-      this.pool = new Pool({
-        host: this.config.host || 'localhost',
-        port: this.config.port || 5432,
-        user: this.config.user || 'postgres',
-        password: this.config.password,
-        database: this.config.database || 'danmaku_system',
-        max: 10,
-        idleTimeoutMillis: 30000
-      });
-
-      // 测试连接
-      await this.pool.query('SELECT NOW()');
-      this.isConnected = true;
-      this.logger.info('PostgreSQL连接成功', { database: this.config.database || 'danmaku_system' });
-      
-      // 创建必要的表
-      await this._createTables();
+  async saveRoom(room) {
+    return this.safeExecute(`保存房间 ${room.id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存房间');
+        return false;
+      }
       
+      const query = `
+        INSERT INTO rooms (id, title, description, owner, status, maxViewers, access, passwordHash, invitees, createdAt, updatedAt)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (id) DO UPDATE SET
+          title = EXCLUDED.title, description = EXCLUDED.description, owner = EXCLUDED.owner,
+          status = EXCLUDED.status, maxViewers = EXCLUDED.maxViewers, access = EXCLUDED.access,
+          passwordHash = EXCLUDED.passwordHash, invitees = EXCLUDED.invitees, updatedAt = EXCLUDED.updatedAt
+      `;
+      await this.pool.query(query, roomToParams(room));
       return true;
-    });
+    }, false);
   }
 
-  async _createTables() {
-    return this.safeExecute('创建PostgreSQL表', async () => {
-      // 创建消息表
-      await this.pool.query(`
-        CREATE TABLE IF NOT EXISTS messages (
-          id SERIAL PRIMARY KEY,
-          room VARCHAR(255) NOT NULL,
-          userId VARCHAR(255) NOT NULL,
-          nickname VARCHAR(255) NOT NULL,
-          content TEXT NOT NULL,
-          type VARCHAR(50) NOT NULL DEFAULT 'scroll',
-          color VARCHAR(20) NOT NULL DEFAULT '#FFFFFF',
-          timestamp TIMESTAMP NOT NULL DEFAULT NOW()
-        )
-      `);
-
-      // 创建索引
-      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_room_timestamp ON messages(room, timestamp)');
-      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_userId ON messages(userId)');
+  async deleteDanmaku(room, danmakuId) {
+    return this.safeExecute(`删除房间 ${room} 的弹幕 ${danmakuId}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除弹幕');
+        return false;
+      }
+      
+      const result = await this.pool.query('DELETE FROM messages WHERE room = $1 AND danmakuId = $2', [room, danmakuId]);
+      return result.rowCount > 0;
+    }, false);
+  }
 
-      // 创建系统统计表
-      await this.pool.query(`
-        CREATE TABLE IF NOT EXISTS system_stats (
-          id SERIAL PRIMARY KEY,
-          activeConnections INT NOT NULL DEFAULT 0,
-          totalMessages INT NOT NULL DEFAULT 0,
-          timestamp TIMESTAMP NOT NULL DEFAULT NOW()
-        )
-      `);
+  async getSanctions() {
+    return this.safeExecute('获取处罚记录', async () => {
+      if (!this.pool) {
+        return [];
+      }
       
-      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_stats_timestamp ON system_stats(timestamp)');
+      const result = await this.pool.query('SELECT * FROM sanctions');
+      return result.rows.map(rowToSanction);
+    }, []);
+  }
+
+  async saveSanction(sanction) {
+    return this.safeExecute(`保存处罚记录 ${sanction.id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存处罚记录');
+        return false;
+      }
       
-      this.logger.info('PostgreSQL表创建成功');
+      const query = `
+        INSERT INTO sanctions (id, type, roomId, userId, ip, reason, createdAt, expiresAt)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (id) DO UPDATE SET
+          type = EXCLUDED.type, roomId = EXCLUDED.roomId, userId = EXCLUDED.userId, ip = EXCLUDED.ip,
+          reason = EXCLUDED.reason, createdAt = EXCLUDED.createdAt, expiresAt = EXCLUDED.expiresAt
+      `;
+      await this.pool.query(query, sanctionToParams(sanction));
       return true;
     }, false);
   }
 
-  async disconnect() {
-    return this.safeExecute('PostgreSQL断开连接', async () => {
-      if (this.pool) {
-        await this.pool.end();
-        this.pool = null;
-        this.isConnected = false;
-        this.logger.info('PostgreSQL连接已关闭');
+  async deleteSanction(id) {
+    return this.safeExecute(`删除处罚记录 ${id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除处罚记录');
+        return false;
       }
+      
+      await this.pool.query('DELETE FROM sanctions WHERE id = $1', [id]);
       return true;
-    }, true);
+    }, false);
   }
 
-  async saveDanmaku(room, danmaku) {
-    return this.safeExecute(`保存弹幕到房间 ${room}`, async () => {
+  async saveAuditEntry(entry) {
+    return this.safeExecute(`保存审计日志 ${entry.action}`, async () => {
       if (!this.pool) {
-        this.logger.warn('数据库连接池未初始化，无法保存弹幕');
-        return null;
+        this.logger.warn('数据库连接池未初始化，无法保存审计日志');
+        return false;
       }
       
       const query = `
-        INSERT INTO messages (room, userId, nickname, content, type, color)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id
+        INSERT INTO audit_log (id, actor, action, target, beforeValue, afterValue, ip, timestamp)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       `;
-      const values = [
-        room,
-        danmaku.userId,
-        danmaku.nickname,
-        danmaku.content,
-        danmaku.type || 'scroll',
-        danmaku.color || '#FFFFFF'
-      ];
-      
-      const result = await this.pool.query(query, values);
-      const insertedId = result.rows[0].id;
+      await this.pool.query(query, auditEntryToParams(entry));
+      return true;
+    }, false);
+  }
+
+  async getAuditLog(filters = {}, limit = 50, offset = 0) {
+    return this.safeExecute('获取审计日志', async () => {
+      if (!this.pool) {
+        return { entries: [], total: 0 };
+      }
       
-      this.logger.debug('弹幕保存成功', { room, userId: danmaku.userId, id: insertedId });
-      return insertedId;
-    }, null);
+      const { where, params } = auditFiltersToSql(filters, (index) => `$${index}`);
+      const [result, countResult] = await Promise.all([
+        this.pool.query(
+          `SELECT * FROM audit_log ${where} ORDER BY timestamp DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
+        ),
+        this.pool.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params)
+      ]);
+      return {
+        entries: result.rows.map(rowToAuditEntry),
+        total: parseInt(countResult.rows[0].total)
+      };
+    }, { entries: [], total: 0 });
   }
 
-  async getRoomHistory(room, limit = 100, offset = 0) {
-    return this.safeExecute(`获取房间 ${room} 的历史弹幕`, async () => {
+  async getAdminAccounts() {
+    return this.safeExecute('获取管理员账号', async () => {
       if (!this.pool) {
-        this.logger.warn('数据库连接池未初始化，无法获取历史弹幕');
         return [];
       }
       
+      const { rows } = await this.pool.query('SELECT * FROM admin_accounts');
+      return rows.map(rowToAdminAccount);
+    }, []);
+  }
+
+  async saveAdminAccount(account) {
+    return this.safeExecute(`保存管理员账号 ${account.username}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存管理员账号');
+        return false;
+      }
+      
       const query = `
-        SELECT * FROM messages
-        WHERE room = $1
-        ORDER BY timestamp DESC
-        LIMIT $2 OFFSET $3
+        INSERT INTO admin_accounts (username, passwordHash, role, rooms, disabled, tokensValidAfter, revokedTokens, createdAt, updatedAt)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (username) DO UPDATE SET
+          passwordHash = EXCLUDED.passwordHash, role = EXCLUDED.role, rooms = EXCLUDED.rooms, disabled = EXCLUDED.disabled,
+          tokensValidAfter = EXCLUDED.tokensValidAfter, revokedTokens = EXCLUDED.revokedTokens, updatedAt = EXCLUDED.updatedAt
       `;
-      const result = await this.pool.query(query, [room, limit, offset]);
+      await this.pool.query(query, adminAccountToParams(account));
+      return true;
+    }, false);
+  }
+
+  async deleteAdminAccount(username) {
+    return this.safeExecute(`删除管理员账号 ${username}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除管理员账号');
+        return false;
+      }
       
-      this.logger.debug('获取历史弹幕成功', { room, count: result.rows.length, limit, offset });
-      return result.rows.reverse(); // 按时间正序返回
+      await this.pool.query('DELETE FROM admin_accounts WHERE username = $1', [username]);
+      return true;
+    }, false);
+  }
+
+  async getApiKeys() {
+    return this.safeExecute('获取API密钥', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const { rows } = await this.pool.query('SELECT * FROM admin_api_keys');
+      return rows.map(rowToApiKey);
     }, []);
   }
 
-  async saveSystemStats(stats) {
-    return this.safeExecute('保存系统统计', async () => {
+  async saveApiKey(apiKey) {
+    return this.safeExecute(`保存API密钥 ${apiKey.id}`, async () => {
       if (!this.pool) {
-        this.logger.warn('数据库连接池未初始化，无法保存系统统计');
-        return null;
+        this.logger.warn('数据库连接池未初始化，无法保存API密钥');
+        return false;
       }
       
       const query = `
-        INSERT INTO system_stats (activeConnections, totalMessages)
-        VALUES ($1, $2)
-        RETURNING id
+        INSERT INTO admin_api_keys (id, name, keyHash, scopes, rooms, createdBy, createdAt, expiresAt)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (id) DO UPDATE SET
+          name = EXCLUDED.name, keyHash = EXCLUDED.keyHash, scopes = EXCLUDED.scopes, rooms = EXCLUDED.rooms, expiresAt = EXCLUDED.expiresAt
       `;
-      const values = [
-        stats.activeConnections || 0,
-        stats.totalMessages || 0
-      ];
+      await this.pool.query(query, apiKeyToParams(apiKey));
+      return true;
+    }, false);
+  }
+
+  async deleteApiKey(id) {
+    return this.safeExecute(`删除API密钥 ${id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除API密钥');
+        return false;
+      }
       
-      const result = await this.pool.query(query, values);
-      const insertedId = result.rows[0].id;
+      await this.pool.query('DELETE FROM admin_api_keys WHERE id = $1', [id]);
+      return true;
+    }, false);
+  }
+
+  async getConfigSettings() {
+    return this.safeExecute('获取运行时配置', async () => {
+      if (!this.pool) {
+        return [];
+      }
       
-      this.logger.debug('系统统计保存成功', { id: insertedId });
-      return insertedId;
-    }, null);
+      const { rows } = await this.pool.query('SELECT * FROM runtime_config');
+      return rows.map(rowToConfigSetting);
+    }, []);
   }
 
-  // 实现批量保存弹幕的优化版本
+  async saveConfigSetting(setting) {
+    return this.safeExecute(`保存运行时配置 ${setting.key}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存运行时配置');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO runtime_config (settingKey, settingValue, updatedBy, updatedAt)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (settingKey) DO UPDATE SET
+          settingValue = EXCLUDED.settingValue, updatedBy = EXCLUDED.updatedBy, updatedAt = EXCLUDED.updatedAt
+      `;
+      await this.pool.query(query, configSettingToParams(setting));
+      return true;
+    }, false);
+  }
+
+  async deleteConfigSetting(key) {
+    return this.safeExecute(`删除运行时配置 ${key}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除运行时配置');
+        return false;
+      }
+      
+      await this.pool.query('DELETE FROM runtime_config WHERE settingKey = $1', [key]);
+      return true;
+    }, false);
+  }
+
+  // 实现批量保存弹幕的优化版本：多行插入，整批失败时（如某条数据超出字段长度）逐条写入，返回逐条结果
   async batchSaveDanmaku(room, danmakus) {
-    return this.safeExecute(`批量保存弹幕到房间 ${room}`, async () => {
+    const results = await this.safeExecute(`批量保存弹幕到房间 ${room}`, async () => {
       if (!this.pool || !Array.isArray(danmakus) || danmakus.length === 0) {
         return [];
       }
@@ -610,22 +2200,29 @@ class PostgreSQLAdapter extends BaseDatabaseAdapter {
       const values = [];
       const placeholders = [];
       
+      const columnCount = 11;
       danmakus.forEach((danmaku, index) => {
-        const baseIndex = index * 6;
-        placeholders.push(`($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}, $${baseIndex + 4}, $${baseIndex + 5}, $${baseIndex + 6})`);
+        const baseIndex = index * columnCount;
+        const rowPlaceholders = Array.from({ length: columnCount }, (_, i) => `$${baseIndex + i + 1}`);
+        placeholders.push(`(${rowPlaceholders.join(', ')})`);
         
         values.push(
           room,
-          danmaku.userId,
-          danmaku.nickname,
-          danmaku.content,
+          danmaku.id || null,
+          danmaku.userId || '',
+          danmaku.nickname || '',
+          danmaku.content || '',
           danmaku.type || 'scroll',
-          danmaku.color || '#FFFFFF'
+          danmaku.color || '#FFFFFF',
+          danmaku.videoId || null,
+          danmaku.videoTime ?? null,
+          serializeDanmakuMeta(danmaku),
+          danmaku.timestamp ? new Date(danmaku.timestamp) : new Date()
         );
       });
       
       const query = `
-        INSERT INTO messages (room, userId, nickname, content, type, color)
+        INSERT INTO messages (room, danmakuId, userId, nickname, content, type, color, videoId, videoTime, meta, timestamp)
         VALUES ${placeholders.join(', ')}
         RETURNING id
       `;
@@ -635,7 +2232,8 @@ class PostgreSQLAdapter extends BaseDatabaseAdapter {
       
       this.logger.info('批量弹幕保存成功', { room, count: insertedIds.length });
       return insertedIds.map(id => ({ id, success: true }));
-    }, []);
+    }, null);
+    return results || super.batchSaveDanmaku(room, danmakus);
   }
 
   // 实现获取用户弹幕历史的优化版本
@@ -653,7 +2251,7 @@ class PostgreSQLAdapter extends BaseDatabaseAdapter {
       `;
       
       const result = await this.pool.query(query, [userId, limit]);
-      return result.rows;
+      return result.rows.map(rowToDanmaku);
     }, []);
   }
 
@@ -757,30 +2355,201 @@ class MySQLAdapter extends BaseDatabaseAdapter {
         CREATE TABLE IF NOT EXISTS messages (
           id INT AUTO_INCREMENT PRIMARY KEY,
           room VARCHAR(255) NOT NULL,
+          danmakuId VARCHAR(64),
           userId VARCHAR(255) NOT NULL,
           nickname VARCHAR(255) NOT NULL,
           content TEXT NOT NULL,
           type VARCHAR(50) NOT NULL DEFAULT 'scroll',
           color VARCHAR(20) NOT NULL DEFAULT '#FFFFFF',
+          videoId VARCHAR(255),
+          videoTime BIGINT,
+          meta TEXT,
+          timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // 兼容旧版本创建的消息表（MySQL不支持ADD COLUMN IF NOT EXISTS，忽略列已存在的错误）
+      const newColumns = [
+        'danmakuId VARCHAR(64)',
+        'videoId VARCHAR(255)',
+        'videoTime BIGINT',
+        'meta TEXT'
+      ];
+      for (const column of newColumns) {
+        try {
+          await this.pool.query(`ALTER TABLE messages ADD COLUMN ${column}`);
+        } catch (error) {
+          if (error.code !== 'ER_DUP_FIELDNAME') throw error;
+        }
+      }
+
+      // 创建索引
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_room_timestamp ON messages(room, timestamp)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_userId ON messages(userId)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_room_video ON messages(room, videoId, videoTime)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_room_danmaku ON messages(room, danmakuId)');
+
+      // 创建系统统计表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS system_stats (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          instanceId VARCHAR(64),
+          activeConnections INT NOT NULL DEFAULT 0,
+          totalMessages INT NOT NULL DEFAULT 0,
+          messagesPerSecond DOUBLE NOT NULL DEFAULT 0,
+          queueDepth INT NOT NULL DEFAULT 0,
+          avgLatency DOUBLE NOT NULL DEFAULT 0,
+          maxLatency DOUBLE NOT NULL DEFAULT 0,
+          details TEXT,
           timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
         )
       `);
-
-      // 创建索引
-      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_room_timestamp ON messages(room, timestamp)');
-      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_userId ON messages(userId)');
-
-      // 创建系统统计表
+      // 兼容旧版本创建的统计表
+      const systemStatsColumns = [
+        'instanceId VARCHAR(64)',
+        'messagesPerSecond DOUBLE NOT NULL DEFAULT 0',
+        'queueDepth INT NOT NULL DEFAULT 0',
+        'avgLatency DOUBLE NOT NULL DEFAULT 0',
+        'maxLatency DOUBLE NOT NULL DEFAULT 0',
+        'details TEXT'
+      ];
+      for (const column of systemStatsColumns) {
+        try {
+          await this.pool.query(`ALTER TABLE system_stats ADD COLUMN ${column}`);
+        } catch (error) {
+          if (error.code !== 'ER_DUP_FIELDNAME') throw error;
+        }
+      }
+      
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_stats_timestamp ON system_stats(timestamp)');
+      
+      // 创建统计汇总表（每个实例在每个粒度的每个时间段一行）
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS system_stats_rollups (
+          granularity VARCHAR(16) NOT NULL,
+          bucketStart BIGINT NOT NULL,
+          instanceId VARCHAR(128) NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (granularity, bucketStart, instanceId)
+        )
+      `);
+      
+      // 创建过滤规则表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS filter_rules (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          rule VARCHAR(255) NOT NULL UNIQUE,
+          type VARCHAR(20) NOT NULL DEFAULT 'ban',
+          matchType VARCHAR(10) NOT NULL DEFAULT 'word',
+          replacement VARCHAR(255),
+          createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      const filterRuleColumns = [
+        'replacement VARCHAR(255)',
+        "matchType VARCHAR(10) NOT NULL DEFAULT 'word'"
+      ];
+      for (const column of filterRuleColumns) {
+        try {
+          await this.pool.query(`ALTER TABLE filter_rules ADD COLUMN ${column}`);
+        } catch (error) {
+          if (error.code !== 'ER_DUP_FIELDNAME') throw error;
+        }
+      }
+      
+      // 创建房间策略表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS room_policies (
+          room VARCHAR(255) PRIMARY KEY,
+          policy TEXT NOT NULL,
+          updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // 创建房间表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS rooms (
+          id VARCHAR(255) PRIMARY KEY,
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          owner VARCHAR(255),
+          status VARCHAR(20) NOT NULL DEFAULT 'created',
+          maxViewers INT,
+          access VARCHAR(20) NOT NULL DEFAULT 'public',
+          passwordHash VARCHAR(255),
+          invitees TEXT,
+          createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // 创建处罚记录表（禁言/封禁）
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS sanctions (
+          id VARCHAR(255) PRIMARY KEY,
+          type VARCHAR(20) NOT NULL,
+          roomId VARCHAR(255),
+          userId VARCHAR(255),
+          ip VARCHAR(64),
+          reason TEXT,
+          createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          expiresAt TIMESTAMP NULL DEFAULT NULL
+        )
+      `);
+      
+      // 创建审计日志表（只追加）
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id VARCHAR(64) PRIMARY KEY,
+          actor VARCHAR(255) NOT NULL,
+          action VARCHAR(64) NOT NULL,
+          target VARCHAR(512) NOT NULL DEFAULT '',
+          beforeValue TEXT,
+          afterValue TEXT,
+          ip VARCHAR(64),
+          timestamp TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+          INDEX idx_audit_timestamp (timestamp),
+          INDEX idx_audit_actor (actor, timestamp),
+          INDEX idx_audit_action (action, timestamp)
+        )
+      `);
+
+      // 创建管理员账号表和API密钥表
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS admin_accounts (
+          username VARCHAR(64) PRIMARY KEY,
+          passwordHash VARCHAR(255) NOT NULL,
+          role VARCHAR(20) NOT NULL,
+          rooms TEXT,
+          disabled BOOLEAN NOT NULL DEFAULT FALSE,
+          tokensValidAfter TIMESTAMP NULL DEFAULT NULL,
+          revokedTokens TEXT,
+          createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
       await this.pool.query(`
-        CREATE TABLE IF NOT EXISTS system_stats (
-          id INT AUTO_INCREMENT PRIMARY KEY,
-          activeConnections INT NOT NULL DEFAULT 0,
-          totalMessages INT NOT NULL DEFAULT 0,
-          timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        CREATE TABLE IF NOT EXISTS admin_api_keys (
+          id VARCHAR(64) PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          keyHash VARCHAR(128) NOT NULL,
+          scopes TEXT,
+          rooms TEXT,
+          createdBy VARCHAR(64),
+          createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          expiresAt TIMESTAMP NULL DEFAULT NULL
         )
       `);
       
-      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_stats_timestamp ON system_stats(timestamp)');
+      // 创建运行时配置表（只保存被修改过的配置项）
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS runtime_config (
+          settingKey VARCHAR(128) PRIMARY KEY,
+          settingValue TEXT NOT NULL,
+          updatedBy VARCHAR(128),
+          updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
       
       this.logger.info('MySQL表创建成功');
       return true;
@@ -807,16 +2576,21 @@ class MySQLAdapter extends BaseDatabaseAdapter {
       }
       
       const query = `
-        INSERT INTO messages (room, userId, nickname, content, type, color)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO messages (room, danmakuId, userId, nickname, content, type, color, videoId, videoTime, meta, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       const values = [
         room,
-        danmaku.userId,
-        danmaku.nickname,
-        danmaku.content,
+        danmaku.id || null,
+        danmaku.userId || '',
+        danmaku.nickname || '',
+        danmaku.content || '',
         danmaku.type || 'scroll',
-        danmaku.color || '#FFFFFF'
+        danmaku.color || '#FFFFFF',
+        danmaku.videoId || null,
+        danmaku.videoTime ?? null,
+        serializeDanmakuMeta(danmaku),
+        danmaku.timestamp ? new Date(danmaku.timestamp) : new Date()
       ];
       
       const [result] = await this.pool.query(query, values);
@@ -835,14 +2609,34 @@ class MySQLAdapter extends BaseDatabaseAdapter {
       
       const query = `
         SELECT * FROM messages
-        WHERE room = ?
+        WHERE room = ? AND videoTime IS NULL
         ORDER BY timestamp DESC
         LIMIT ? OFFSET ?
       `;
       const [rows] = await this.pool.query(query, [room, limit, offset]);
       
       this.logger.debug('获取历史弹幕成功', { room, count: rows.length, limit, offset });
-      return rows.reverse(); // 按时间正序返回
+      return rows.reverse().map(rowToDanmaku); // 按时间正序返回
+    }, []);
+  }
+
+  async getVideoDanmaku(room, videoId, from, to, limit = 500) {
+    return this.safeExecute(`获取房间 ${room} 的点播弹幕`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法获取点播弹幕');
+        return [];
+      }
+      
+      const query = `
+        SELECT * FROM messages
+        WHERE room = ? AND videoId = ? AND videoTime BETWEEN ? AND ?
+        ORDER BY videoTime ASC
+        LIMIT ?
+      `;
+      const [rows] = await this.pool.query(query, [room, videoId, from, to, limit]);
+      
+      this.logger.debug('获取点播弹幕成功', { room, videoId, count: rows.length, from, to });
+      return rows.map(rowToDanmaku);
     }, []);
   }
 
@@ -854,24 +2648,417 @@ class MySQLAdapter extends BaseDatabaseAdapter {
       }
       
       const query = `
-        INSERT INTO system_stats (activeConnections, totalMessages)
-        VALUES (?, ?)
+        INSERT INTO system_stats
+          (instanceId, activeConnections, totalMessages, messagesPerSecond, queueDepth, avgLatency, maxLatency, details, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
-      const values = [
-        stats.activeConnections || 0,
-        stats.totalMessages || 0
-      ];
       
-      const [result] = await this.pool.query(query, values);
+      const [result] = await this.pool.query(query, systemStatsToParams(stats));
       
       this.logger.debug('系统统计保存成功', { id: result.insertId });
       return result.insertId;
     }, null);
   }
 
-  // 实现批量保存弹幕的优化版本
+  async getSystemStats(start, end, limit = 20000) {
+    return this.safeExecute('获取系统统计', async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法获取系统统计');
+        return [];
+      }
+      
+      const query = `
+        SELECT * FROM system_stats
+        WHERE timestamp BETWEEN ? AND ?
+        ORDER BY timestamp ASC
+        LIMIT ?
+      `;
+      const [rows] = await this.pool.query(query, [new Date(start), new Date(end), limit]);
+      
+      this.logger.debug('获取系统统计成功', { count: rows.length, start, end });
+      return rows.map(rowToSystemStats);
+    }, []);
+  }
+
+  async saveStatsRollup(rollup) {
+    return this.safeExecute('保存统计汇总', async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存统计汇总');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO system_stats_rollups (granularity, bucketStart, instanceId, data)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE data = VALUES(data)
+      `;
+      await this.pool.query(query, statsRollupToParams(rollup));
+      return true;
+    }, false);
+  }
+
+  async getStatsRollups(interval, start, end, limit = 20000) {
+    return this.safeExecute('获取统计汇总', async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法获取统计汇总');
+        return [];
+      }
+      
+      const query = `
+        SELECT * FROM system_stats_rollups
+        WHERE granularity = ? AND bucketStart BETWEEN ? AND ?
+        ORDER BY bucketStart ASC
+        LIMIT ?
+      `;
+      const [rows] = await this.pool.query(query, [interval, start, end, limit]);
+      
+      this.logger.debug('获取统计汇总成功', { interval, count: rows.length, start, end });
+      return rows.map(rowToStatsRollup);
+    }, []);
+  }
+
+  async getFilterRules() {
+    return this.safeExecute('获取过滤规则', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const [rows] = await this.pool.query('SELECT * FROM filter_rules ORDER BY createdAt ASC');
+      return rows.map(rowToFilterRule);
+    }, []);
+  }
+
+  async saveFilterRule(filterRule) {
+    return this.safeExecute(`保存过滤规则 ${filterRule.rule}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存过滤规则');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO filter_rules (rule, type, matchType, replacement, createdAt)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          type = VALUES(type),
+          matchType = VALUES(matchType),
+          replacement = VALUES(replacement)
+      `;
+      await this.pool.query(query, [
+        filterRule.rule,
+        filterRule.type || 'ban',
+        filterRule.matchType || 'word',
+        filterRule.replacement || null,
+        filterRule.createdAt ? new Date(filterRule.createdAt) : new Date()
+      ]);
+      return true;
+    }, false);
+  }
+
+  async deleteFilterRule(rule) {
+    return this.safeExecute(`删除过滤规则 ${rule}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除过滤规则');
+        return false;
+      }
+      
+      const [result] = await this.pool.query('DELETE FROM filter_rules WHERE rule = ?', [rule]);
+      return result.affectedRows > 0;
+    }, false);
+  }
+
+  async getRoomPolicies() {
+    return this.safeExecute('获取房间策略', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const [rows] = await this.pool.query('SELECT * FROM room_policies');
+      return rows.map(rowToRoomPolicy);
+    }, []);
+  }
+
+  async saveRoomPolicy(policy) {
+    return this.safeExecute(`保存房间策略 ${policy.room}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存房间策略');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO room_policies (room, policy, updatedAt)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE policy = VALUES(policy), updatedAt = VALUES(updatedAt)
+      `;
+      await this.pool.query(query, [
+        policy.room,
+        serializeRoomPolicy(policy),
+        policy.updatedAt ? new Date(policy.updatedAt) : new Date()
+      ]);
+      return true;
+    }, false);
+  }
+
+  async deleteRoomPolicy(room) {
+    return this.safeExecute(`删除房间策略 ${room}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除房间策略');
+        return false;
+      }
+      
+      const [result] = await this.pool.query('DELETE FROM room_policies WHERE room = ?', [room]);
+      return result.affectedRows > 0;
+    }, false);
+  }
+
+  async getRooms() {
+    return this.safeExecute('获取房间列表', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const [rows] = await this.pool.query('SELECT * FROM rooms');
+      return rows.map(rowToRoom);
+    }, []);
+  }
+
+  async saveRoom(room) {
+    return this.safeExecute(`保存房间 ${room.id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存房间');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO rooms (id, title, description, owner, status, maxViewers, access, passwordHash, invitees, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          title = VALUES(title), description = VALUES(description), owner = VALUES(owner),
+          status = VALUES(status), maxViewers = VALUES(maxViewers), access = VALUES(access),
+          passwordHash = VALUES(passwordHash), invitees = VALUES(invitees), updatedAt = VALUES(updatedAt)
+      `;
+      await this.pool.query(query, roomToParams(room));
+      return true;
+    }, false);
+  }
+
+  async deleteDanmaku(room, danmakuId) {
+    return this.safeExecute(`删除房间 ${room} 的弹幕 ${danmakuId}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除弹幕');
+        return false;
+      }
+      
+      const [result] = await this.pool.query('DELETE FROM messages WHERE room = ? AND danmakuId = ?', [room, danmakuId]);
+      return result.affectedRows > 0;
+    }, false);
+  }
+
+  async getSanctions() {
+    return this.safeExecute('获取处罚记录', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const [rows] = await this.pool.query('SELECT * FROM sanctions');
+      return rows.map(rowToSanction);
+    }, []);
+  }
+
+  async saveSanction(sanction) {
+    return this.safeExecute(`保存处罚记录 ${sanction.id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存处罚记录');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO sanctions (id, type, roomId, userId, ip, reason, createdAt, expiresAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          type = VALUES(type), roomId = VALUES(roomId), userId = VALUES(userId), ip = VALUES(ip),
+          reason = VALUES(reason), createdAt = VALUES(createdAt), expiresAt = VALUES(expiresAt)
+      `;
+      await this.pool.query(query, sanctionToParams(sanction));
+      return true;
+    }, false);
+  }
+
+  async deleteSanction(id) {
+    return this.safeExecute(`删除处罚记录 ${id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除处罚记录');
+        return false;
+      }
+      
+      await this.pool.query('DELETE FROM sanctions WHERE id = ?', [id]);
+      return true;
+    }, false);
+  }
+
+  async saveAuditEntry(entry) {
+    return this.safeExecute(`保存审计日志 ${entry.action}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存审计日志');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO audit_log (id, actor, action, target, beforeValue, afterValue, ip, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      await this.pool.query(query, auditEntryToParams(entry));
+      return true;
+    }, false);
+  }
+
+  async getAuditLog(filters = {}, limit = 50, offset = 0) {
+    return this.safeExecute('获取审计日志', async () => {
+      if (!this.pool) {
+        return { entries: [], total: 0 };
+      }
+      
+      const { where, params } = auditFiltersToSql(filters, () => '?');
+      const [[rows], [countRows]] = await Promise.all([
+        this.pool.query(
+          `SELECT * FROM audit_log ${where} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`,
+          [...params, limit, offset]
+        ),
+        this.pool.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params)
+      ]);
+      return {
+        entries: rows.map(rowToAuditEntry),
+        total: Number(countRows[0].total)
+      };
+    }, { entries: [], total: 0 });
+  }
+
+  async getAdminAccounts() {
+    return this.safeExecute('获取管理员账号', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const [rows] = await this.pool.query('SELECT * FROM admin_accounts');
+      return rows.map(rowToAdminAccount);
+    }, []);
+  }
+
+  async saveAdminAccount(account) {
+    return this.safeExecute(`保存管理员账号 ${account.username}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存管理员账号');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO admin_accounts (username, passwordHash, role, rooms, disabled, tokensValidAfter, revokedTokens, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          passwordHash = VALUES(passwordHash), role = VALUES(role), rooms = VALUES(rooms), disabled = VALUES(disabled),
+          tokensValidAfter = VALUES(tokensValidAfter), revokedTokens = VALUES(revokedTokens), updatedAt = VALUES(updatedAt)
+      `;
+      await this.pool.query(query, adminAccountToParams(account));
+      return true;
+    }, false);
+  }
+
+  async deleteAdminAccount(username) {
+    return this.safeExecute(`删除管理员账号 ${username}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除管理员账号');
+        return false;
+      }
+      
+      await this.pool.query('DELETE FROM admin_accounts WHERE username = ?', [username]);
+      return true;
+    }, false);
+  }
+
+  async getApiKeys() {
+    return this.safeExecute('获取API密钥', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const [rows] = await this.pool.query('SELECT * FROM admin_api_keys');
+      return rows.map(rowToApiKey);
+    }, []);
+  }
+
+  async saveApiKey(apiKey) {
+    return this.safeExecute(`保存API密钥 ${apiKey.id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存API密钥');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO admin_api_keys (id, name, keyHash, scopes, rooms, createdBy, createdAt, expiresAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          name = VALUES(name), keyHash = VALUES(keyHash), scopes = VALUES(scopes), rooms = VALUES(rooms), expiresAt = VALUES(expiresAt)
+      `;
+      await this.pool.query(query, apiKeyToParams(apiKey));
+      return true;
+    }, false);
+  }
+
+  async deleteApiKey(id) {
+    return this.safeExecute(`删除API密钥 ${id}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除API密钥');
+        return false;
+      }
+      
+      await this.pool.query('DELETE FROM admin_api_keys WHERE id = ?', [id]);
+      return true;
+    }, false);
+  }
+
+  async getConfigSettings() {
+    return this.safeExecute('获取运行时配置', async () => {
+      if (!this.pool) {
+        return [];
+      }
+      
+      const [rows] = await this.pool.query('SELECT * FROM runtime_config');
+      return rows.map(rowToConfigSetting);
+    }, []);
+  }
+
+  async saveConfigSetting(setting) {
+    return this.safeExecute(`保存运行时配置 ${setting.key}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法保存运行时配置');
+        return false;
+      }
+      
+      const query = `
+        INSERT INTO runtime_config (settingKey, settingValue, updatedBy, updatedAt)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          settingValue = VALUES(settingValue), updatedBy = VALUES(updatedBy), updatedAt = VALUES(updatedAt)
+      `;
+      await this.pool.query(query, configSettingToParams(setting));
+      return true;
+    }, false);
+  }
+
+  async deleteConfigSetting(key) {
+    return this.safeExecute(`删除运行时配置 ${key}`, async () => {
+      if (!this.pool) {
+        this.logger.warn('数据库连接池未初始化，无法删除运行时配置');
+        return false;
+      }
+      
+      await this.pool.query('DELETE FROM runtime_config WHERE settingKey = ?', [key]);
+      return true;
+    }, false);
+  }
+
+  // 实现批量保存弹幕的优化版本：多行插入，整批失败时（如某条数据超出字段长度）逐条写入，返回逐条结果
   async batchSaveDanmaku(room, danmakus) {
-    return this.safeExecute(`批量保存弹幕到房间 ${room}`, async () => {
+    const results = await this.safeExecute(`批量保存弹幕到房间 ${room}`, async () => {
       if (!this.pool || !Array.isArray(danmakus) || danmakus.length === 0) {
         return [];
       }
@@ -881,19 +3068,24 @@ class MySQLAdapter extends BaseDatabaseAdapter {
       const placeholders = [];
       
       danmakus.forEach((danmaku, index) => {
-        placeholders.push('(?, ?, ?, ?, ?, ?)');
+        placeholders.push('(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
         values.push(
           room,
-          danmaku.userId,
-          danmaku.nickname,
-          danmaku.content,
+          danmaku.id || null,
+          danmaku.userId || '',
+          danmaku.nickname || '',
+          danmaku.content || '',
           danmaku.type || 'scroll',
-          danmaku.color || '#FFFFFF'
+          danmaku.color || '#FFFFFF',
+          danmaku.videoId || null,
+          danmaku.videoTime ?? null,
+          serializeDanmakuMeta(danmaku),
+          danmaku.timestamp ? new Date(danmaku.timestamp) : new Date()
         );
       });
       
       const query = `
-        INSERT INTO messages (room, userId, nickname, content, type, color)
+        INSERT INTO messages (room, danmakuId, userId, nickname, content, type, color, videoId, videoTime, meta, timestamp)
         VALUES ${placeholders.join(', ')}
       `;
       
@@ -908,7 +3100,8 @@ class MySQLAdapter extends BaseDatabaseAdapter {
       
       this.logger.info('批量弹幕保存成功', { room, count: insertedIds.length });
       return insertedIds.map(id => ({ id, success: true }));
-    }, []);
+    }, null);
+    return results || super.batchSaveDanmaku(room, danmakus);
   }
 
   // 实现获取用户弹幕历史的优化版本
@@ -926,7 +3119,7 @@ class MySQLAdapter extends BaseDatabaseAdapter {
       `;
       
       const [rows] = await this.pool.query(query, [userId, limit]);
-      return rows;
+      return rows.map(rowToDanmaku);
     }, []);
   }
 
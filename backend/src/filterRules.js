@@ -1,6 +1,129 @@
-import { redisUtils } from './database.js'
+import vm from 'vm'
+import * as OpenCC from 'opencc-js/t2cn'
+import { pinyin } from 'pinyin-pro'
+import { redisClient, redisUtils, dbAdapter, instanceId } from './database.js'
+import { AhoCorasick } from './ahoCorasick.js'
+import { registerConfig, updateRuntimeConfig } from './runtimeConfig.js'
 
-// 敏感词Trie树结构
+// 文本规范化：把常见的规避写法统一成同一种形式后再匹配敏感词
+// （大小写、全角半角、繁简体、分隔符和零宽字符、形近字符、可选的拼音）
+
+// 繁体转简体
+const toSimplified = OpenCC.Converter({ from: 't', to: 'cn' })
+
+// 零宽字符和软连字符，常被插入敏感词中间规避检测
+const ZERO_WIDTH_PATTERN = /[\u00AD\u180E\u200B-\u200F\u2060-\u2064\uFEFF]/u
+
+// 分隔符：空白、标点和符号（如 s p a m、广*告）
+const SEPARATOR_PATTERN = /[\s\p{P}\p{S}]/u
+
+// 分隔符规范化后的形式：夹在单个字符之间时删除，否则保留为一个空格作为词边界
+const SEPARATOR = ' '
+
+// 汉字
+const CHINESE_PATTERN = /\p{Script=Han}/u
+
+// 形近字符映射：西里尔字母、希腊字母及常见的替代符号
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+  'τ': 't', 'υ': 'u', 'χ': 'x',
+  '@': 'a', '$': 's'
+}
+
+// 单个字符的规范化结果缓存
+const normalizedCharCache = new Map()
+const MAX_NORMALIZED_CHAR_CACHE = 10000
+
+// 规范化单个字符，返回空字符串表示该字符应被忽略，返回SEPARATOR表示分隔符
+const normalizeChar = (char) => {
+  const cached = normalizedCharCache.get(char)
+  if (cached !== undefined) return cached
+
+  let normalized = char
+  if (ZERO_WIDTH_PATTERN.test(normalized)) {
+    normalized = ''
+  } else {
+    // 全角转半角
+    const code = normalized.codePointAt(0)
+    if (code >= 0xFF01 && code <= 0xFF5E) {
+      normalized = String.fromCodePoint(code - 0xFEE0)
+    } else if (code === 0x3000) {
+      normalized = ' '
+    }
+
+    normalized = normalized.toLowerCase()
+    normalized = HOMOGLYPHS[normalized] || normalized
+
+    if (CHINESE_PATTERN.test(normalized)) {
+      normalized = toSimplified(normalized)
+    } else if (SEPARATOR_PATTERN.test(normalized)) {
+      normalized = SEPARATOR
+    }
+  }
+
+  if (normalizedCharCache.size >= MAX_NORMALIZED_CHAR_CACHE) {
+    normalizedCharCache.clear()
+  }
+  normalizedCharCache.set(char, normalized)
+  return normalized
+}
+
+// 分隔符一侧的词是否只有一个字符：汉字之间本来就没有空格，每个汉字按单独的词处理
+// items为规范化后的字符和分隔符，index为分隔符的位置，step为-1（左侧）或1（右侧）
+const isSingleCharWord = (items, index, step) => {
+  const neighbor = items[index + step]
+  const next = items[index + step * 2]
+  return CHINESE_PATTERN.test(neighbor.value) || !next || next.separator || CHINESE_PATTERN.test(next.value)
+}
+
+// 规范化文本，返回规范化后的字符数组，以及每个字符在原文中对应的区间
+// 连续的分隔符只在两侧都是单个字符时删除（s p a m、广 告），普通词之间保留为一个空格，
+// 避免 has pam 这类正常文本跨词命中 spam
+// 开启拼音模式时汉字展开为不带声调的拼音字母（如 广 -> g u a n g）
+export const normalizeText = (text, { usePinyin = false } = {}) => {
+  // 逐字规范化，连续的分隔符合并为一项：{ value, start, end, separator }
+  const items = []
+  let index = 0
+  for (const char of text) {
+    const normalized = normalizeChar(char)
+    const start = index
+    index += char.length
+    if (!normalized) continue
+
+    const last = items[items.length - 1]
+    if (normalized === SEPARATOR && last?.separator) {
+      last.end = index
+    } else {
+      items.push({ value: normalized, start, end: index, separator: normalized === SEPARATOR })
+    }
+  }
+
+  const chars = []
+  const starts = []
+  const ends = []
+  items.forEach((item, i) => {
+    let { value } = item
+    if (item.separator) {
+      // 首尾的分隔符和夹在单个字符之间的分隔符直接删除
+      if (i === 0 || i === items.length - 1) return
+      if (isSingleCharWord(items, i, -1) && isSingleCharWord(items, i, 1)) return
+    } else if (usePinyin && CHINESE_PATTERN.test(value)) {
+      value = pinyin(value, { toneType: 'none' })
+    }
+
+    for (const unit of value) {
+      chars.push(unit)
+      starts.push(item.start)
+      ends.push(item.end)
+    }
+  })
+
+  return { chars, starts, ends }
+}
+
+// 敏感词Trie树结构（过滤已改用Aho-Corasick自动机，保留用于性能对比）
 class TrieNode {
   constructor() {
     this.children = new Map()
@@ -8,42 +131,87 @@ class TrieNode {
   }
 }
 
-class Trie {
-  constructor() {
+export class Trie {
+  // normalize为可选的文本规范化函数，敏感词和待检查文本都会先经过规范化
+  constructor(normalize = null) {
     this.root = new TrieNode()
+    this.normalize = normalize
   }
 
-  // 添加敏感词到Trie树
+  // 获取敏感词规范化后的形式（即Trie树中实际存储的键）
+  getKey(word) {
+    return this.normalize ? this.normalize(word).chars.join('') : word
+  }
+
+  // 添加敏感词到Trie树，返回实际存储的键（规范化后为空时不添加）
   addWord(word) {
+    const key = this.getKey(word)
+    if (!key) return key
+
     let node = this.root
-    for (const char of word) {
+    for (const char of key) {
       if (!node.children.has(char)) {
         node.children.set(char, new TrieNode())
       }
       node = node.children.get(char)
     }
     node.isEnd = true
+    return key
+  }
+
+  // 从Trie树中删除敏感词，并清理不再被其他词使用的节点
+  removeWord(word) {
+    const key = this.getKey(word)
+    const path = [this.root]
+    let node = this.root
+    for (const char of key) {
+      node = node.children.get(char)
+      if (!node) return false
+      path.push(node)
+    }
+    if (!node.isEnd) return false
+    
+    node.isEnd = false
+    
+    // 自底向上删除没有子节点且不是词尾的节点
+    const chars = [...key]
+    for (let i = chars.length; i > 0; i--) {
+      const current = path[i]
+      if (current.isEnd || current.children.size > 0) break
+      path[i - 1].children.delete(chars[i - 1])
+    }
+    return true
   }
 
   // 检查文本中是否包含敏感词
+  // 返回的word为命中的键，start/end为原文中的区间（包含夹在敏感词中间的分隔符）
   check(text) {
     const sensitiveWords = []
+    const { chars, starts, ends } = this.normalize
+      ? this.normalize(text)
+      : { chars: [...text], starts: null, ends: null }
     
-    for (let i = 0; i < text.length; i++) {
+    // 命中的首尾必须落在原文字符的边界上（拼音模式下不能只命中某个字拼音的一部分）
+    const isStartBoundary = (i) => !starts || i === 0 || starts[i] !== starts[i - 1]
+    const isEndBoundary = (j) => !ends || j === chars.length || ends[j] !== ends[j - 1]
+    
+    for (let i = 0; i < chars.length; i++) {
+      if (!isStartBoundary(i)) continue
+      
       let node = this.root
       let j = i
       let currentWord = ''
       
-      while (j < text.length && node.children.has(text[j])) {
-        currentWord += text[j]
-        node = node.children.get(text[j])
+      while (j < chars.length && node.children.has(chars[j])) {
+        currentWord += chars[j]
+        node = node.children.get(chars[j])
         j++
         
-        if (node.isEnd) {
+        if (node.isEnd && isEndBoundary(j)) {
           sensitiveWords.push({
             word: currentWord,
-            start: i,
-            end: j
+            start: starts ? starts[i] : i,
+            end: ends ? ends[j - 1] : j
           })
         }
       }
@@ -55,14 +223,14 @@ class Trie {
     }
   }
 
-  // 过滤文本中的敏感词
+  // 过滤文本中的敏感词（按原文区间逐字遮盖）
   filter(text) {
     let filteredText = text
     const result = this.check(text)
     
     if (result.hasSensitive) {
       // 按长度降序排序，优先替换长词
-      const sortedWords = result.words.sort((a, b) => b.word.length - a.word.length)
+      const sortedWords = result.words.sort((a, b) => (b.end - b.start) - (a.end - a.start))
       
       // 去重并替换
       const uniquePositions = new Set()
@@ -70,7 +238,7 @@ class Trie {
         const positionKey = `${wordInfo.start}-${wordInfo.end}`
         if (!uniquePositions.has(positionKey)) {
           uniquePositions.add(positionKey)
-          const replacement = '*'.repeat(wordInfo.word.length)
+          const replacement = '*'.repeat(wordInfo.end - wordInfo.start)
           filteredText = filteredText.substring(0, wordInfo.start) + replacement + filteredText.substring(wordInfo.end)
         }
       }
@@ -80,56 +248,928 @@ class Trie {
   }
 }
 
-// Trie树实例
-let sensitiveWordTrie = null
+// 全局敏感词匹配器：{ trie, pinyinTrie, ruleIndex, pinyinRuleIndex, patterns, rules }
+// trie和pinyinTrie均为Aho-Corasick自动机，trie按规范化后的文本匹配；pinyinTrie只包含含汉字的规则，开启拼音匹配时使用
+// 不同写法的规则可能规范化为同一个键，ruleIndex记录每个键对应的规则集合
+let matcher = null
+
+// 当前生效的过滤规则：rule -> { rule, type, matchType, replacement, createdAt }
+const filterRules = new Map()
+
+// 房间策略：roomId -> { policy, matcher }
+// policy为 { room, userRateLimit, maxDuplicateCount, maxLength, rules, updatedAt }，未设置的限制沿用全局配置
+// matcher只包含房间自己的规则，过滤时与全局匹配器一起使用
+const roomPolicies = new Map()
+
+// 房间可覆盖的限制项及取值范围
+const ROOM_POLICY_LIMITS = {
+  messagesPerSecond: { min: 1, max: 1000 },
+  maxDuplicateCount: { min: 1, max: 100 },
+  maxLength: { min: 1, max: 500 }
+}
+
+// 频率限制算法
+// sliding_window 滑动窗口：任意 timeWindow 秒内最多 messagesPerSecond 条，窗口边界处也不会出现突发
+// token_bucket 令牌桶：每 timeWindow 秒补充 messagesPerSecond 个令牌，桶容量为 burst，允许不超过burst条的短时突发
+export const RATE_LIMIT_ALGORITHMS = ['sliding_window', 'token_bucket']
+
+// 支持的匹配方式：word 敏感词（规范化后匹配）；regex 正则表达式；glob 通配符（* 任意个字符，? 单个字符）
+const FILTER_MATCH_TYPES = ['word', 'regex', 'glob']
+
+// 支持的规则类型：
+// ban 拒绝发送；warn 放行但标记给管理员审核；replace 替换命中内容后放行；
+// shadow 只回显给发送者本人，其他用户看不到
+const FILTER_RULE_TYPES = ['ban', 'warn', 'replace', 'shadow']
+
+// 多条规则同时命中时按优先级决定最终处理方式（数值越大越严格）
+const FILTER_ACTION_PRIORITY = {
+  pass: 0,
+  replace: 1,
+  warn: 2,
+  shadow: 3,
+  ban: 4
+}
+
+// 过滤规则变更的Redis发布订阅频道
+const FILTER_RULES_CHANNEL = 'filter-rules:changed'
+
+// 无数据库时使用的默认敏感词库
+const DEFAULT_SENSITIVE_WORDS = [
+  // 常见敏感词示例（实际使用时应该通过管理后台维护）
+  '敏感词1', '敏感词2', '违禁词', '广告', 'spam',
+]
+
+// 收到其他实例的变更通知后延迟重载，合并短时间内的多次变更
+const RELOAD_DEBOUNCE_MS = 200
+let reloadTimer = null
 
 // 配置项
 const config = {
-  // 单用户频率限制：每秒最多发送消息数
+  // 单用户频率限制：每个时间窗口最多发送消息数，algorithm为限流算法，burst为令牌桶容量
   userRateLimit: {
     messagesPerSecond: 2,
-    timeWindow: 1 // 秒
+    timeWindow: 1, // 秒
+    algorithm: 'sliding_window',
+    burst: 4
+  },
+  // 单IP频率限制：同一IP下的所有连接共用，防止切换账号或游客身份刷屏
+  ipRateLimit: {
+    messagesPerSecond: 10,
+    timeWindow: 1, // 秒
+    algorithm: 'sliding_window',
+    burst: 20
   },
-  // 房间频率限制：每秒最多接收消息数
+  // 房间频率限制：每个时间窗口最多接收消息数
   roomRateLimit: {
     messagesPerSecond: 1000,
-    timeWindow: 1 // 秒
+    timeWindow: 1, // 秒
+    algorithm: 'sliding_window',
+    burst: 2000
   },
+  // 按用户等级放宽单用户频率限制：[{ minLevel, messagesPerSecond }]
+  // 登录用户使用等级满足条件的最高一档；房间覆盖了单用户限制时以房间为准，游客不适用
+  userLevelTiers: [],
   // 重复消息检测：最多允许连续重复次数
   maxDuplicateCount: 3,
   // 重复消息时间窗口：秒
-  duplicateTimeWindow: 10
+  duplicateTimeWindow: 10,
+  // 弹幕最大长度（字符）
+  maxLength: 50,
+  // replace规则未指定替换文本时，用该字符逐字遮盖命中内容
+  maskChar: '*',
+  // 是否按拼音匹配含汉字的敏感词（可识别拼音和同音字规避，误判率较高，默认关闭）
+  pinyinMatching: false,
+  // 正则/通配符规则匹配一条弹幕的耗时上限（毫秒），超过时强制中断，并停用超时的规则
+  patternTimeBudget: 20,
+  // 游客（未登录连接）的限制，与房间限制取较严格的一方
+  guestLimits: {
+    messagesPerSecond: 1,
+    maxDuplicateCount: 1,
+    maxLength: 20
+  }
+}
+
+// 可在运行时修改的配置项（PUT /admin/config），checkRateLimit、checkDuplicateMessage和filterDanmaku每次都读取最新的值
+registerConfig('filter', config, {
+  'userRateLimit.messagesPerSecond': { type: 'integer', ...ROOM_POLICY_LIMITS.messagesPerSecond, description: '单用户每个时间窗口最多发送的弹幕数' },
+  'userRateLimit.timeWindow': { type: 'integer', min: 1, max: 3600, description: '单用户频率限制的时间窗口（秒）' },
+  'userRateLimit.algorithm': { type: 'enum', values: RATE_LIMIT_ALGORITHMS, description: '单用户频率限制的算法' },
+  'userRateLimit.burst': { type: 'integer', min: 1, max: 10000, description: '单用户令牌桶容量（允许的突发条数）' },
+  'ipRateLimit.messagesPerSecond': { type: 'integer', min: 1, max: 100000, description: '单IP每个时间窗口最多发送的弹幕数' },
+  'ipRateLimit.timeWindow': { type: 'integer', min: 1, max: 3600, description: '单IP频率限制的时间窗口（秒）' },
+  'ipRateLimit.algorithm': { type: 'enum', values: RATE_LIMIT_ALGORITHMS, description: '单IP频率限制的算法' },
+  'ipRateLimit.burst': { type: 'integer', min: 1, max: 100000, description: '单IP令牌桶容量（允许的突发条数）' },
+  'roomRateLimit.messagesPerSecond': { type: 'integer', min: 1, max: 1000000, description: '房间每个时间窗口最多接收的弹幕数' },
+  'roomRateLimit.timeWindow': { type: 'integer', min: 1, max: 3600, description: '房间频率限制的时间窗口（秒）' },
+  'roomRateLimit.algorithm': { type: 'enum', values: RATE_LIMIT_ALGORITHMS, description: '房间频率限制的算法' },
+  'roomRateLimit.burst': { type: 'integer', min: 1, max: 1000000, description: '房间令牌桶容量（允许的突发条数）' },
+  userLevelTiers: {
+    type: 'list',
+    maxItems: 20,
+    items: {
+      minLevel: { type: 'integer', min: 0, max: 1000000 },
+      messagesPerSecond: { type: 'integer', ...ROOM_POLICY_LIMITS.messagesPerSecond }
+    },
+    description: '按用户等级放宽的单用户频率限制'
+  },
+  maxDuplicateCount: { type: 'integer', ...ROOM_POLICY_LIMITS.maxDuplicateCount, description: '时间窗口内允许重复发送同一内容的次数' },
+  duplicateTimeWindow: { type: 'integer', min: 1, max: 3600, description: '重复消息检测的时间窗口（秒）' },
+  maxLength: { type: 'integer', ...ROOM_POLICY_LIMITS.maxLength, description: '弹幕最大长度（字符）' },
+  maskChar: { type: 'string', minLength: 1, maxLength: 1, description: 'replace规则未指定替换文本时的遮盖字符' },
+  pinyinMatching: { type: 'boolean', description: '是否按拼音匹配含汉字的敏感词' },
+  patternTimeBudget: { type: 'integer', min: 1, max: 1000, description: '单条正则/通配符规则的匹配耗时上限（毫秒）' },
+  'guestLimits.messagesPerSecond': { type: 'integer', ...ROOM_POLICY_LIMITS.messagesPerSecond, description: '游客每个时间窗口最多发送的弹幕数' },
+  'guestLimits.maxDuplicateCount': { type: 'integer', ...ROOM_POLICY_LIMITS.maxDuplicateCount, description: '游客允许重复发送同一内容的次数' },
+  'guestLimits.maxLength': { type: 'integer', ...ROOM_POLICY_LIMITS.maxLength, description: '游客弹幕最大长度（字符）' }
+})
+
+// 数据库适配器是否可用
+const isAdapterReady = () => {
+  return !!dbAdapter && dbAdapter.isConnected
+}
+
+// 无上限量词作用于能匹配大部分字符的原子时视为通配量词（如 .* \S+ \w* [^,]+）
+const WILDCARD_ATOM_PATTERN = /^(?:\.|\\[SWwD]|\[\^.*\])$/
+
+// 单条规则最多允许的通配量词数：多个通配量词串联时，匹配失败的回溯次数随文本长度呈多项式增长
+const MAX_WILDCARD_QUANTIFIERS = 2
+
+// 检查正则表达式是否可能出现灾难性回溯（ReDoS），返回错误说明，安全时返回null
+// 拒绝反向引用；对内部已含量词或分支的分组再次使用无上限量词（如 (a+)+、(a|ab)*）；
+// 相邻且可能匹配同一段文本的无上限量词（如 .*.*、\d+\d+）；以及过多的通配量词（如 .*a.*a.*x）
+// 静态检查只能拦截常见写法，匹配时另有耗时上限兜底（见matchPatternRules）
+const checkRegexSafety = (source) => {
+  const stack = [{ start: -1, hasQuantifier: false, hasAlternation: false, unboundedBefore: null }]
+  // 紧挨在量词前面的原子 { text, group }（量词作用于分组时group为分组信息）
+  let lastAtom = null
+  // 当前原子之前紧挨着的、带无上限量词的原子 { text, wildcard }
+  let unboundedBefore = null
+  // 刚解析完的带无上限量词的原子
+  let lastUnbounded = null
+  let wildcardCount = 0
+  
+  // 开始解析一个新原子：记录它前面紧挨着的无上限量词
+  const startAtom = (atom) => {
+    unboundedBefore = lastUnbounded
+    lastUnbounded = null
+    lastAtom = atom
+  }
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    const atomStart = i
+    
+    if (char === '\\') {
+      const next = source[i + 1]
+      if (/[1-9]/.test(next) || next === 'k') {
+        return '不支持反向引用'
+      }
+      i++
+      startAtom({ text: source.slice(atomStart, i + 1) })
+    } else if (char === '[') {
+      // 跳过字符类
+      i++
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++
+        i++
+      }
+      startAtom({ text: source.slice(atomStart, i + 1) })
+    } else if (char === '(') {
+      stack.push({ start: i, hasQuantifier: false, hasAlternation: false, unboundedBefore: lastUnbounded })
+      // 跳过 (?: (?= (?! (?<= (?<! (?<name> 等分组前缀
+      if (source[i + 1] === '?') {
+        const prefix = source.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/)
+        if (prefix) i += prefix[0].length
+      }
+      lastAtom = null
+      lastUnbounded = null
+    } else if (char === ')') {
+      if (stack.length === 1) return '括号不匹配'
+      const group = stack.pop()
+      const parent = stack[stack.length - 1]
+      parent.hasQuantifier = parent.hasQuantifier || group.hasQuantifier
+      lastUnbounded = group.unboundedBefore
+      startAtom({ text: source.slice(group.start, i + 1), group })
+    } else if (char === '|') {
+      stack[stack.length - 1].hasAlternation = true
+      lastAtom = null
+      lastUnbounded = null
+    } else if (char === '*' || char === '+' || char === '?' || char === '{') {
+      let unbounded = char === '*' || char === '+'
+      if (char === '{') {
+        const range = source.slice(i).match(/^\{(\d+)(,(\d*))?\}/)
+        if (!range) {
+          startAtom({ text: char })
+          continue
+        }
+        unbounded = range[2] !== undefined && (range[3] === '' || parseInt(range[3]) > 1)
+        i += range[0].length - 1
+      }
+      // 跳过惰性量词标记
+      if (source[i + 1] === '?') i++
+      if (!lastAtom) continue
+      
+      const { text, group } = lastAtom
+      lastAtom = null
+      stack[stack.length - 1].hasQuantifier = true
+      if (!unbounded) continue
+      
+      if (group && (group.hasQuantifier || group.hasAlternation)) {
+        return '不支持嵌套量词（如 (a+)+ 或 (a|ab)*），可能导致匹配超时'
+      }
+      const wildcard = WILDCARD_ATOM_PATTERN.test(text)
+      if (unboundedBefore && (wildcard || unboundedBefore.wildcard || unboundedBefore.text === text)) {
+        return '不支持相邻的无上限量词（如 .*.* 或 \\d+\\d+），可能导致匹配超时'
+      }
+      if (wildcard && ++wildcardCount > MAX_WILDCARD_QUANTIFIERS) {
+        return `最多只能使用${MAX_WILDCARD_QUANTIFIERS}个通配量词（如 .* 或 \\S+，通配符规则中的 *），可能导致匹配超时`
+      }
+      lastUnbounded = { text, wildcard }
+    } else {
+      startAtom({ text: char })
+    }
+  }
+  
+  return null
+}
+
+// 转义正则表达式特殊字符
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// 把通配符规则转换为正则表达式：* 匹配任意个非空白字符，? 匹配单个非空白字符
+const globToRegExpSource = (glob) => {
+  return glob
+    .replace(/\*+/g, '*')
+    .split('')
+    .map(char => {
+      if (char === '*') return '\\S*'
+      if (char === '?') return '\\S'
+      return escapeRegExp(char)
+    })
+    .join('')
+}
+
+// 编译正则/通配符规则（忽略大小写），返回 { regex } 或 { error }
+const compilePatternRule = (rule, matchType) => {
+  const source = matchType === 'glob' ? globToRegExpSource(rule) : rule
+  
+  const unsafeReason = checkRegexSafety(source)
+  if (unsafeReason) {
+    return { error: `${matchType === 'glob' ? '通配符' : '正则表达式'}不安全：${unsafeReason}` }
+  }
+  
+  try {
+    const regex = new RegExp(source, 'giu')
+    if (regex.test('')) {
+      return { error: '规则不能匹配空字符串' }
+    }
+    return { regex }
+  } catch (error) {
+    return { error: `正则表达式无效：${error.message}` }
+  }
+}
+
+// 正则/通配符规则在单独的vm上下文中执行，超过耗时上限时由V8强制中断，回溯不会长时间阻塞事件循环
+const patternContext = vm.createContext(Object.create(null))
+const patternScript = new vm.Script(`
+  (() => {
+    const hits = []
+    for (let index = 0; index < regexes.length; index++) {
+      const regex = regexes[index]
+      regex.lastIndex = 0
+      let match
+      while ((match = regex.exec(text)) !== null) {
+        // 零宽匹配（如只含断言的正则）不算命中，并手动前进避免死循环
+        if (match[0].length === 0) {
+          regex.lastIndex++
+          continue
+        }
+        hits.push([index, match.index, match.index + match[0].length])
+      }
+    }
+    return hits
+  })()
+`)
+
+// 执行一组规则，返回命中 [[规则下标, start, end]]，超时返回null
+const runPatterns = (text, patterns) => {
+  patternContext.text = text
+  patternContext.regexes = patterns.map(pattern => pattern.regex)
+  try {
+    return patternScript.runInContext(patternContext, { timeout: config.patternTimeBudget })
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return null
+    throw error
+  } finally {
+    patternContext.text = ''
+    patternContext.regexes = []
+  }
+}
+
+// 匹配超时被停用的正则/通配符规则（键为 匹配方式:规则），保存在Redis集合中，所有实例共享且重启后仍然停用
+// 管理员修改或重新保存该规则后恢复
+const DISABLED_PATTERNS_KEY = 'danmaku:filter:disabled-patterns'
+const disabledPatterns = new Set()
+const patternKey = ({ rule, matchType = 'word' }) => `${matchType}:${rule}`
+
+// 从Redis加载被停用的规则（规则变更时随规则一起重新加载）
+const loadDisabledPatterns = async () => {
+  if (!redisClient) return
+
+  try {
+    const keys = await redisClient.sMembers(DISABLED_PATTERNS_KEY)
+    disabledPatterns.clear()
+    keys.forEach(key => disabledPatterns.add(key))
+  } catch (error) {
+    console.error('[内容过滤] 加载停用的正则规则失败:', error)
+  }
+}
+
+// 停用匹配超时的规则并通知其他实例
+const disablePattern = (pattern) => {
+  if (disabledPatterns.has(pattern.key)) return
+  disabledPatterns.add(pattern.key)
+  console.warn(`[内容过滤] 规则 "${pattern.rule}" 匹配超过 ${config.patternTimeBudget}ms 被中断，已停用，修改或重新保存该规则后恢复`)
+  if (!redisClient) return
+
+  redisClient.sAdd(DISABLED_PATTERNS_KEY, pattern.key)
+    .then(() => publishFilterRulesChanged())
+    .catch(error => console.error('[内容过滤] 保存停用的正则规则失败:', error))
+}
+
+// 恢复被停用的规则（规则被重新保存时）
+const enablePattern = async (filterRule) => {
+  const key = patternKey(filterRule)
+  if (!disabledPatterns.delete(key) || !redisClient) return
+
+  try {
+    await redisClient.sRem(DISABLED_PATTERNS_KEY, key)
+  } catch (error) {
+    console.error('[内容过滤] 恢复停用的正则规则失败:', error)
+  }
+}
+
+// 返回给管理接口的规则，被停用的规则带 disabled: true
+const withPatternState = (filterRule) => {
+  return disabledPatterns.has(patternKey(filterRule)) ? { ...filterRule, disabled: true } : filterRule
+}
+
+// 用正则/通配符规则检查文本；整批超时时逐条重新执行，停用超时的规则，其余规则的命中照常处理
+const matchPatternRules = (text, patterns, onHit) => {
+  const active = [...patterns.values()].filter(pattern => !disabledPatterns.has(pattern.key))
+  if (active.length === 0) return
+  
+  let hits = runPatterns(text, active)
+  if (!hits) {
+    hits = []
+    active.forEach((pattern, index) => {
+      const patternHits = runPatterns(text, [pattern])
+      if (!patternHits) {
+        disablePattern(pattern)
+        return
+      }
+      patternHits.forEach(([, start, end]) => hits.push([index, start, end]))
+    })
+  }
+  
+  for (const [index, start, end] of hits) {
+    onHit(active[index].rule, start, end)
+  }
+}
+
+// 创建空的敏感词匹配器
+const createMatcher = (trie = new AhoCorasick(normalizeText)) => ({
+  trie,
+  pinyinTrie: new AhoCorasick(text => normalizeText(text, { usePinyin: true })),
+  ruleIndex: new Map(),
+  pinyinRuleIndex: new Map(),
+  // 正则/通配符规则：rule -> { rule, regex, key }
+  patterns: new Map(),
+  // 匹配器包含的规则：rule -> filterRule
+  rules: new Map()
+})
+
+// 把规则加入匹配器
+const indexRule = (target, filterRule) => {
+  const { rule, matchType = 'word' } = filterRule
+  target.rules.set(rule, filterRule)
+  
+  if (matchType !== 'word') {
+    const { regex, error } = compilePatternRule(rule, matchType)
+    if (error) {
+      console.warn(`[过滤规则] 规则 "${rule}" 编译失败，已跳过: ${error}`)
+      return
+    }
+    target.patterns.set(rule, { rule, regex, key: patternKey(filterRule) })
+    return
+  }
+  
+  const addToIndex = (index, key) => {
+    if (!key) return
+    if (!index.has(key)) {
+      index.set(key, new Set())
+    }
+    index.get(key).add(rule)
+  }
+  
+  addToIndex(target.ruleIndex, target.trie.addWord(rule))
+  if (CHINESE_PATTERN.test(rule)) {
+    addToIndex(target.pinyinRuleIndex, target.pinyinTrie.addWord(rule))
+  }
+}
+
+// 从匹配器中移除规则（同一个键没有其他规则时才从Trie树中删除）
+const unindexRule = (target, filterRule) => {
+  const { rule, matchType = 'word' } = filterRule
+  target.rules.delete(rule)
+  
+  if (matchType !== 'word') {
+    target.patterns.delete(rule)
+    return
+  }
+  
+  const removeFromIndex = (trie, index) => {
+    const key = trie.getKey(rule)
+    const rules = index.get(key)
+    if (!rules) return
+    rules.delete(rule)
+    if (rules.size === 0) {
+      index.delete(key)
+      trie.removeWord(rule)
+    }
+  }
+  
+  removeFromIndex(target.trie, target.ruleIndex)
+  removeFromIndex(target.pinyinTrie, target.pinyinRuleIndex)
+}
+
+// 用一组规则构建匹配器
+const buildMatcher = (rules) => {
+  const nextMatcher = createMatcher()
+  for (const filterRule of rules) {
+    indexRule(nextMatcher, filterRule)
+  }
+  // 提前构建失败指针，避免第一条弹幕承担构建耗时
+  nextMatcher.trie.build()
+  nextMatcher.pinyinTrie.build()
+  return nextMatcher
+}
+
+// 根据当前规则重建匹配器（构建完成后整体替换，过滤请求不会看到中间状态）
+const rebuildTrie = () => {
+  matcher = buildMatcher(filterRules.values())
+}
+
+// 设置房间策略并重建房间匹配器
+const setRoomPolicy = (policy) => {
+  roomPolicies.set(policy.room, {
+    policy,
+    matcher: buildMatcher(policy.rules || [])
+  })
+}
+
+// 从数据库加载所有房间策略
+const loadRoomPolicies = async () => {
+  if (!isAdapterReady()) return roomPolicies.size
+  
+  const policies = await dbAdapter.getRoomPolicies()
+  roomPolicies.clear()
+  for (const policy of policies) {
+    setRoomPolicy(policy)
+  }
+  return policies.length
+}
+
+// 从数据库加载过滤规则；数据库为空时写入默认词库
+const loadFilterRules = async () => {
+  let rules = []
+  
+  if (isAdapterReady()) {
+    rules = await dbAdapter.getFilterRules()
+    
+    if (rules.length === 0) {
+      const createdAt = new Date().toISOString()
+      rules = DEFAULT_SENSITIVE_WORDS.map(rule => ({ rule, type: 'ban', matchType: 'word', createdAt }))
+      for (const rule of rules) {
+        await dbAdapter.saveFilterRule(rule)
+      }
+      console.log('过滤规则表为空，已写入默认敏感词库')
+    }
+  } else {
+    const createdAt = new Date().toISOString()
+    rules = DEFAULT_SENSITIVE_WORDS.map(rule => ({ rule, type: 'ban', matchType: 'word', createdAt }))
+  }
+  
+  filterRules.clear()
+  for (const rule of rules) {
+    filterRules.set(rule.rule, rule)
+  }
+  rebuildTrie()
+  await loadDisabledPatterns()
+  
+  return rules.length
+}
+
+// 通知其他实例重新加载过滤规则
+const publishFilterRulesChanged = async () => {
+  await redisUtils.publish(FILTER_RULES_CHANNEL, {
+    origin: instanceId,
+    timestamp: Date.now()
+  })
+}
+
+// 处理其他实例发布的规则变更
+const handleFilterRulesChanged = (message) => {
+  if (message && message.origin === instanceId) return
+  
+  clearTimeout(reloadTimer)
+  reloadTimer = setTimeout(async () => {
+    try {
+      const count = await loadFilterRules()
+      const roomCount = await loadRoomPolicies()
+      console.log(`[过滤规则] 收到规则变更通知，已重新加载 ${count} 条规则和 ${roomCount} 个房间策略`)
+    } catch (error) {
+      console.error('[过滤规则] 重新加载规则失败:', error)
+    }
+  }, RELOAD_DEBOUNCE_MS)
 }
 
 // 初始化过滤规则
 export const initializeFilterRules = async () => {
-  // 创建Trie树
-  sensitiveWordTrie = new Trie()
+  const count = await loadFilterRules()
+  const roomCount = await loadRoomPolicies()
+  
+  // 订阅规则变更，保证多副本的规则一致
+  const subscribeResult = await redisUtils.subscribe(FILTER_RULES_CHANNEL, handleFilterRulesChanged)
+  if (!subscribeResult.success) {
+    console.warn('过滤规则变更订阅失败，规则修改将只在当前实例生效')
+  }
+  
+  console.log(`敏感词库加载完成，共 ${count} 个敏感词，${roomCount} 个房间策略`)
+}
+
+// 获取所有过滤规则
+export const getFilterRules = () => {
+  return [...filterRules.values()].map(withPatternState)
+}
+
+// 校验并生成过滤规则对象，返回 { filterRule } 或 { error }
+const createFilterRule = ({ rule, type = 'ban', matchType = 'word', replacement } = {}, existing) => {
+  const word = typeof rule === 'string' ? rule.trim() : ''
+  if (!word || word.length > 255) {
+    return { error: '规则内容不能为空且不能超过255个字符' }
+  }
+  if (!FILTER_RULE_TYPES.includes(type)) {
+    return { error: `规则类型必须是 ${FILTER_RULE_TYPES.join('/')} 之一` }
+  }
+  if (!FILTER_MATCH_TYPES.includes(matchType)) {
+    return { error: `匹配方式必须是 ${FILTER_MATCH_TYPES.join('/')} 之一` }
+  }
+  if (replacement !== undefined && replacement !== null && (typeof replacement !== 'string' || replacement.length > 255)) {
+    return { error: '替换文本必须是不超过255个字符的字符串' }
+  }
+  if (matchType !== 'word') {
+    const { error } = compilePatternRule(word, matchType)
+    if (error) {
+      return { error }
+    }
+  }
+  
+  return {
+    filterRule: {
+      rule: word,
+      type,
+      matchType,
+      // 只有replace规则使用替换文本，空字符串表示直接删除命中内容
+      replacement: type === 'replace' && typeof replacement === 'string' ? replacement : undefined,
+      createdAt: existing ? existing.createdAt : new Date().toISOString()
+    }
+  }
+}
+
+// 添加过滤规则（规则已存在时更新类型、匹配方式和替换文本）
+export const addFilterRule = async (input = {}) => {
+  const word = typeof input.rule === 'string' ? input.rule.trim() : ''
+  const existing = filterRules.get(word)
+  const { filterRule, error } = createFilterRule(input, existing)
+  if (error) {
+    return { success: false, code: 'invalid', message: error }
+  }
+  
+  if (isAdapterReady()) {
+    const saved = await dbAdapter.saveFilterRule(filterRule)
+    if (!saved) {
+      return { success: false, code: 'storage', message: '过滤规则保存失败' }
+    }
+  }
+  
+  filterRules.set(filterRule.rule, filterRule)
+  await enablePattern(filterRule)
+  if (!matcher) {
+    rebuildTrie()
+  } else {
+    if (existing) {
+      unindexRule(matcher, existing)
+    }
+    indexRule(matcher, filterRule)
+  }
+  await publishFilterRulesChanged()
+  
+  return { success: true, created: !existing, rule: filterRule }
+}
+
+// 删除过滤规则
+export const removeFilterRule = async (rule) => {
+  if (!filterRules.has(rule)) {
+    return { success: false, code: 'not_found', message: '过滤规则不存在' }
+  }
+  
+  if (isAdapterReady()) {
+    const deleted = await dbAdapter.deleteFilterRule(rule)
+    if (!deleted) {
+      return { success: false, code: 'storage', message: '过滤规则删除失败' }
+    }
+  }
+  
+  const filterRule = filterRules.get(rule)
+  filterRules.delete(rule)
+  if (matcher) {
+    unindexRule(matcher, filterRule)
+  }
+  await publishFilterRulesChanged()
+  
+  return { success: true }
+}
+
+// 用户等级适用的频率限制档位（等级满足条件的最高一档），没有时返回null
+const getLevelTier = (level = 0) => {
+  return config.userLevelTiers
+    .filter(tier => level >= tier.minLevel)
+    .reduce((best, tier) => (!best || tier.minLevel > best.minLevel ? tier : best), null)
+}
+
+// 获取房间生效的限制（房间未覆盖的项沿用全局配置）
+// 传入user时按用户等级放宽单用户频率限制；为游客时再套用游客限制
+export const getEffectivePolicy = (roomId, user = null) => {
+  const policy = roomPolicies.get(roomId)?.policy || {}
+  const tier = user && !user.isGuest ? getLevelTier(user.userLevel) : null
+  const effective = {
+    userRateLimit: {
+      ...config.userRateLimit,
+      ...(tier && { messagesPerSecond: tier.messagesPerSecond }),
+      ...(policy.userRateLimit && { messagesPerSecond: policy.userRateLimit.messagesPerSecond })
+    },
+    maxDuplicateCount: policy.maxDuplicateCount ?? config.maxDuplicateCount,
+    maxLength: policy.maxLength ?? config.maxLength
+  }
+  
+  if (user?.isGuest) {
+    const { guestLimits } = config
+    effective.userRateLimit.messagesPerSecond = Math.min(effective.userRateLimit.messagesPerSecond, guestLimits.messagesPerSecond)
+    effective.maxDuplicateCount = Math.min(effective.maxDuplicateCount, guestLimits.maxDuplicateCount)
+    effective.maxLength = Math.min(effective.maxLength, guestLimits.maxLength)
+  }
+  return effective
+}
+
+// 获取房间策略：房间自己的覆盖项、词库以及最终生效的限制
+export const getRoomPolicy = (roomId) => {
+  const policy = roomPolicies.get(roomId)?.policy
+  return {
+    room: roomId,
+    overrides: {
+      userRateLimit: policy?.userRateLimit ?? null,
+      maxDuplicateCount: policy?.maxDuplicateCount ?? null,
+      maxLength: policy?.maxLength ?? null
+    },
+    rules: (policy?.rules || []).map(withPatternState),
+    effective: getEffectivePolicy(roomId),
+    updatedAt: policy?.updatedAt ?? null
+  }
+}
+
+// 保存房间策略并通知其他实例
+const saveRoomPolicy = async (policy) => {
+  const nextPolicy = { ...policy, updatedAt: new Date().toISOString() }
+  
+  if (isAdapterReady()) {
+    const saved = await dbAdapter.saveRoomPolicy(nextPolicy)
+    if (!saved) {
+      return { success: false, code: 'storage', message: '房间策略保存失败' }
+    }
+  }
+  
+  setRoomPolicy(nextPolicy)
+  await publishFilterRulesChanged()
+  
+  return { success: true, policy: getRoomPolicy(policy.room) }
+}
+
+// 校验房间限制项，null表示取消覆盖
+const parsePolicyLimit = (name, value) => {
+  if (value === null) return { value: undefined }
+  
+  const { min, max } = ROOM_POLICY_LIMITS[name]
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return { error: `${name} 必须是 ${min}~${max} 之间的整数` }
+  }
+  return { value }
+}
+
+// 更新房间限制（只修改传入的项，传null恢复为全局配置）
+export const updateRoomPolicy = async (roomId, { userRateLimit, maxDuplicateCount, maxLength } = {}) => {
+  const current = roomPolicies.get(roomId)?.policy || { room: roomId, rules: [] }
+  const nextPolicy = { ...current }
+  
+  if (userRateLimit !== undefined) {
+    const messagesPerSecond = userRateLimit === null ? null : userRateLimit.messagesPerSecond
+    const { value, error } = parsePolicyLimit('messagesPerSecond', messagesPerSecond)
+    if (error) return { success: false, code: 'invalid', message: error }
+    nextPolicy.userRateLimit = value === undefined ? undefined : { messagesPerSecond: value }
+  }
+  
+  for (const [name, input] of [['maxDuplicateCount', maxDuplicateCount], ['maxLength', maxLength]]) {
+    if (input === undefined) continue
+    const { value, error } = parsePolicyLimit(name, input)
+    if (error) return { success: false, code: 'invalid', message: error }
+    nextPolicy[name] = value
+  }
   
-  // 加载敏感词库
-  const sensitiveWords = [
-    // 常见敏感词示例（实际使用时应该从配置文件或数据库加载）
-    '敏感词1', '敏感词2', '违禁词', '广告', 'spam',
-    // 可以根据实际需求扩展
-  ]
+  return saveRoomPolicy(nextPolicy)
+}
+
+// 删除房间策略，房间恢复使用全局词库和配置
+export const deleteRoomPolicy = async (roomId) => {
+  if (!roomPolicies.has(roomId)) {
+    return { success: false, code: 'not_found', message: '房间策略不存在' }
+  }
+  
+  if (isAdapterReady()) {
+    const deleted = await dbAdapter.deleteRoomPolicy(roomId)
+    if (!deleted) {
+      return { success: false, code: 'storage', message: '房间策略删除失败' }
+    }
+  }
+  
+  roomPolicies.delete(roomId)
+  await publishFilterRulesChanged()
+  
+  return { success: true }
+}
+
+// 添加房间过滤规则（只对该房间生效，同名规则优先于全局规则）
+export const addRoomFilterRule = async (roomId, input = {}) => {
+  const current = roomPolicies.get(roomId)?.policy || { room: roomId, rules: [] }
+  const word = typeof input.rule === 'string' ? input.rule.trim() : ''
+  const existing = current.rules.find(filterRule => filterRule.rule === word)
+  const { filterRule, error } = createFilterRule(input, existing)
+  if (error) {
+    return { success: false, code: 'invalid', message: error }
+  }
+  
+  await enablePattern(filterRule)
+  const result = await saveRoomPolicy({
+    ...current,
+    rules: current.rules.filter(item => item.rule !== filterRule.rule).concat(filterRule)
+  })
+  if (!result.success) return result
+  
+  return { success: true, created: !existing, rule: filterRule }
+}
+
+// 删除房间过滤规则
+export const removeRoomFilterRule = async (roomId, rule) => {
+  const current = roomPolicies.get(roomId)?.policy
+  if (!current || !current.rules.some(filterRule => filterRule.rule === rule)) {
+    return { success: false, code: 'not_found', message: '过滤规则不存在' }
+  }
+  
+  return saveRoomPolicy({
+    ...current,
+    rules: current.rules.filter(filterRule => filterRule.rule !== rule)
+  })
+}
+
+// 各处理方式对应的过滤结果说明
+const FILTER_ACTION_REASONS = {
+  pass: '通过',
+  replace: '敏感内容已替换',
+  warn: '命中警告规则，已标记待审核',
+  shadow: '命中隐藏规则，仅发送者可见',
+  ban: '包含敏感词'
+}
+
+// 同一个键对应多条规则时取最严格的一条
+const resolveRule = (target, index, key) => {
+  let resolved = null
+  const rules = index.get(key) || []
+  for (const rule of rules) {
+    const filterRule = target.rules.get(rule)
+    if (filterRule && (!resolved || FILTER_ACTION_PRIORITY[filterRule.type] > FILTER_ACTION_PRIORITY[resolved.type])) {
+      resolved = filterRule
+    }
+  }
+  return resolved || { rule: key, type: 'ban' }
+}
+
+// 查找文本命中的规则，命中位置为原文中的区间
+// targets为参与匹配的匹配器，靠前的优先（房间规则与全局规则同名时以房间规则为准）
+const findSensitiveWords = (text, targets) => {
+  const hits = []
+  const seen = new Set()
+  
+  const addHit = (filterRule, start, end) => {
+    const hitKey = `${filterRule.rule}:${start}:${end}`
+    if (seen.has(hitKey)) return
+    seen.add(hitKey)
+    hits.push({ filterRule, start, end })
+  }
+  
+  const collect = (target, trie, index) => {
+    for (const { word, start, end } of trie.check(text).words) {
+      addHit(resolveRule(target, index, word), start, end)
+    }
+  }
+  
+  targets.forEach(target => collect(target, target.trie, target.ruleIndex))
+  if (config.pinyinMatching) {
+    targets.forEach(target => collect(target, target.pinyinTrie, target.pinyinRuleIndex))
+  }
+  
+  // 敏感词之后再匹配正则/通配符规则（直接作用于原文，保留标点便于匹配网址、号码等）
+  targets.forEach(target => {
+    matchPatternRules(text, target.patterns, (rule, start, end) => {
+      const filterRule = target.rules.get(rule)
+      if (filterRule) addHit(filterRule, start, end)
+    })
+  })
+  
+  return hits
+}
+
+// 遮盖命中内容
+const maskText = (length) => config.maskChar.repeat(length)
+
+// 根据命中的敏感词生成每条规则的处理决定，并计算最终处理方式和处理后的内容
+const applyFilterRules = (text, hits) => {
+  let action = 'pass'
+  const decisions = hits.map(hit => {
+    const { filterRule } = hit
+    if (FILTER_ACTION_PRIORITY[filterRule.type] > FILTER_ACTION_PRIORITY[action]) {
+      action = filterRule.type
+    }
+    
+    const decision = {
+      rule: filterRule.rule,
+      type: filterRule.type,
+      start: hit.start,
+      end: hit.end
+    }
+    if (filterRule.type === 'replace') {
+      decision.replacement = filterRule.replacement !== undefined
+        ? filterRule.replacement
+        : maskText(hit.end - hit.start)
+    }
+    return decision
+  })
   
-  // 添加到Trie树
-  for (const word of sensitiveWords) {
-    sensitiveWordTrie.addWord(word)
+  // 命中区间重叠时优先处理靠前且更长的词，已被替换的区间不再重复处理
+  // replace规则替换为指定文本；ban规则虽然拒绝发送，仍返回遮盖后的内容便于日志审计
+  const ordered = [...decisions].sort((a, b) => a.start - b.start || b.end - a.end)
+  let content = ''
+  let cursor = 0
+  for (const decision of ordered) {
+    if (decision.start < cursor) continue
+    if (decision.type !== 'replace' && decision.type !== 'ban') continue
+    
+    const replacement = decision.type === 'replace'
+      ? decision.replacement
+      : maskText(decision.end - decision.start)
+    content += text.substring(cursor, decision.start) + replacement
+    cursor = decision.end
   }
+  content += text.substring(cursor)
   
-  console.log(`敏感词库加载完成，共 ${sensitiveWords.length} 个敏感词`)
+  return { action, content, decisions }
 }
 
 // 过滤弹幕内容
-export const filterDanmaku = async (content) => {
+// 返回值中action为最终处理方式（pass/replace/warn/shadow/ban，格式或长度不合法时为reject，
+// 此时code为invalid或too_long），
+// decisions列出每一处命中的规则，供调用方记录日志和审计
+// 传入roomId时同时使用房间词库和房间的长度限制，传入user时游客使用游客长度限制
+export const filterDanmaku = async (content, roomId, user = null) => {
   // 支持表情包弹幕（content可能为空，但emojiInfo不为空）
   // 如果content存在，需要进行检查
   if (content && typeof content !== 'string') {
     return {
       allowed: false,
       reason: '内容格式错误',
-      content: ''
+      code: 'invalid',
+      content: '',
+      action: 'reject',
+      flagged: false,
+      decisions: []
     }
   }
   
@@ -142,11 +1182,16 @@ export const filterDanmaku = async (content) => {
   // 对于有文本内容的弹幕进行检查
   if (content) {
     // 检查长度
-    if (trimmedContent.length > 50) {
+    const { maxLength } = getEffectivePolicy(roomId, user)
+    if (trimmedContent.length > maxLength) {
       return {
         allowed: false,
-        reason: '内容长度不能超过50个字符',
-        content: trimmedContent
+        reason: `内容长度不能超过${maxLength}个字符`,
+        code: 'too_long',
+        content: trimmedContent,
+        action: 'reject',
+        flagged: false,
+        decisions: []
       }
     }
   }
@@ -154,19 +1199,34 @@ export const filterDanmaku = async (content) => {
   // 对于空内容（纯表情弹幕），允许通过基本长度检查
   
   // 检查敏感词
-  if (sensitiveWordTrie) {
-    const filterResult = sensitiveWordTrie.filter(trimmedContent)
-    const hasSensitive = filterResult !== trimmedContent
+  const roomMatcher = roomPolicies.get(roomId)?.matcher
+  if (matcher || roomMatcher) {
+    const hits = findSensitiveWords(trimmedContent, [roomMatcher, matcher].filter(Boolean))
     
-    // 增加日志记录
-    if (hasSensitive) {
-      console.log(`[内容过滤] 检测到敏感词，原文: "${trimmedContent}"，过滤后: "${filterResult}"`)
+    if (hits.length === 0) {
+      return {
+        allowed: true,
+        reason: FILTER_ACTION_REASONS.pass,
+        content: trimmedContent,
+        action: 'pass',
+        flagged: false,
+        decisions: []
+      }
     }
     
+    const { action, content: filteredContent, decisions } = applyFilterRules(trimmedContent, hits)
+    
+    // 增加日志记录
+    console.log(`[内容过滤] 命中 ${decisions.length} 处规则，处理方式: ${action}，原文: "${trimmedContent}"，处理后: "${filteredContent}"`)
+    
     return {
-      allowed: !hasSensitive,
-      reason: hasSensitive ? '包含敏感词' : '通过',
-      content: filterResult
+      allowed: action !== 'ban',
+      reason: FILTER_ACTION_REASONS[action],
+      content: filteredContent,
+      action,
+      // 命中warn规则的弹幕需要管理员审核（即使最终被隐藏或拒绝也保留标记）
+      flagged: decisions.some(decision => decision.type === 'warn'),
+      decisions
     }
   }
   
@@ -174,44 +1234,47 @@ export const filterDanmaku = async (content) => {
   return {
     allowed: true,
     reason: '未启用敏感词过滤',
-    content: trimmedContent
+    content: trimmedContent,
+    action: 'pass',
+    flagged: false,
+    decisions: []
+  }
+}
+
+// 频率限制规则对应的限流项，scope为限制对象（user/ip/room），不同算法使用不同的键，切换算法时互不影响
+const toRateLimit = (scope, id, rule) => {
+  const windowMs = rule.timeWindow * 1000
+  if (rule.algorithm === 'token_bucket') {
+    // 等级档位或房间覆盖提高了速率时，桶容量至少能容纳一个周期的令牌
+    const capacity = Math.max(rule.burst, rule.messagesPerSecond)
+    return { key: `rate_limit:tb:${scope}:${id}`, algorithm: 'token_bucket', limit: rule.messagesPerSecond, windowMs, capacity }
   }
+  return { key: `rate_limit:sw:${scope}:${id}`, algorithm: 'sliding_window', limit: rule.messagesPerSecond, windowMs }
 }
 
-// 检查用户频率限制
-export const checkRateLimit = async (userId, roomId) => {
+// 检查频率限制：单用户、单IP（传入ip时）和房间的限制在一次Redis调用中检查，全部通过时才计数
+// 被某一项拒绝时其他项的额度不会被消耗（如用户超限的弹幕不占用房间和IP的额度）
+// 被拒绝时返回 { allowed: false, scope, reason, limit, retryAfter }，scope为第一个拒绝的项，retryAfter为建议等待的毫秒数
+export const checkRateLimit = async (userId, roomId, user = null, ip = null) => {
   try {
-    // 1. 检查用户频率限制
-    const userKey = `rate_limit:user:${userId}`
-    const userResult = await redisUtils.incrWithExpire(userKey, config.userRateLimit.timeWindow)
-    
-    // 增加日志记录
-    console.log(`[频率限制] 用户 ${userId} 消息计数: ${userResult.hasRedis ? userResult.value : 'N/A'} (Redis: ${userResult.hasRedis ? '可用' : '不可用'})`)
-    
-    if (userResult.hasRedis) {
-      if (userResult.value > config.userRateLimit.messagesPerSecond) {
-        console.log(`[频率限制] 用户 ${userId} 触发限制，当前: ${userResult.value}，限制: ${config.userRateLimit.messagesPerSecond}`)
-        return {
-          allowed: false,
-          reason: `发送太频繁，请稍后再试（${config.userRateLimit.messagesPerSecond}条/秒）`,
-          limit: config.userRateLimit.messagesPerSecond,
-          current: userResult.value
-        }
-      }
-    }
-    
-    // 2. 检查房间频率限制
-    const roomKey = `rate_limit:room:${roomId}`
-    const roomResult = await redisUtils.incrWithExpire(roomKey, config.roomRateLimit.timeWindow)
+    // 房间可以覆盖单用户频率限制，用户等级可以放宽，游客使用更严格的限制
+    const { userRateLimit } = getEffectivePolicy(roomId, user)
+    const checks = [
+      { scope: 'user', id: userId, rule: userRateLimit, reason: `发送太频繁，请稍后再试（${userRateLimit.messagesPerSecond}条/${userRateLimit.timeWindow}秒）` },
+      { scope: 'ip', id: ip, rule: config.ipRateLimit, reason: '当前网络发送太频繁，请稍后再试' },
+      { scope: 'room', id: roomId, rule: config.roomRateLimit, reason: '房间消息过多，请稍后再试' }
+    ].filter(({ id }) => id)
     
-    if (roomResult.hasRedis) {
-      if (roomResult.value > config.roomRateLimit.messagesPerSecond) {
-        return {
-          allowed: false,
-          reason: '房间消息过多，请稍后再试',
-          limit: config.roomRateLimit.messagesPerSecond,
-          current: roomResult.value
-        }
+    const result = await redisUtils.rateLimit(checks.map(({ scope, id, rule }) => toRateLimit(scope, id, rule)))
+    if (!result.allowed) {
+      const { scope, id, rule, reason } = checks[result.index]
+      console.log(`[频率限制] ${scope} ${id} 触发限制（${rule.algorithm}，${rule.messagesPerSecond}条/${rule.timeWindow}秒），${result.retryAfter}ms后可再发送`)
+      return {
+        allowed: false,
+        scope,
+        reason,
+        limit: rule.messagesPerSecond,
+        retryAfter: result.retryAfter
       }
     }
     
@@ -231,8 +1294,11 @@ export const checkRateLimit = async (userId, roomId) => {
 }
 
 // 检查重复消息
-export const checkDuplicateMessage = async (userId, content) => {
+export const checkDuplicateMessage = async (userId, content, roomId, user = null) => {
   try {
+    // 房间可以覆盖允许的重复次数，游客使用更严格的限制
+    const { maxDuplicateCount } = getEffectivePolicy(roomId, user)
+    
     const messageKey = `duplicate:${userId}:${hashString(content)}`
     
     // 获取当前重复次数
@@ -242,13 +1308,13 @@ export const checkDuplicateMessage = async (userId, content) => {
     console.log(`[重复检查] 用户 ${userId} 消息 "${content}" 重复计数: ${result.hasRedis ? result.value : 'N/A'} (Redis: ${result.hasRedis ? '可用' : '不可用'})`)
     
     if (result.hasRedis) {
-      if (result.value > config.maxDuplicateCount) {
-        console.log(`[重复检查] 用户 ${userId} 消息 "${content}" 触发重复限制，当前: ${result.value}，限制: ${config.maxDuplicateCount}`)
+      if (result.value > maxDuplicateCount) {
+        console.log(`[重复检查] 用户 ${userId} 消息 "${content}" 触发重复限制，当前: ${result.value}，限制: ${maxDuplicateCount}`)
         return {
           allowed: false,
           reason: '重复消息过多',
           currentCount: result.value,
-          maxCount: config.maxDuplicateCount
+          maxCount: maxDuplicateCount
         }
       }
     }
@@ -285,21 +1351,21 @@ const hashString = (str) => {
 // 动态更新敏感词
 export const updateSensitiveWords = async (words, action = 'add') => {
   try {
-    if (!sensitiveWordTrie) {
+    if (!matcher) {
       throw new Error('敏感词Trie树未初始化')
     }
     
-    if (action === 'add') {
-      for (const word of words) {
-        sensitiveWordTrie.addWord(word)
-      }
+    let changed = 0
+    for (const word of words) {
+      const result = action === 'add'
+        ? await addFilterRule({ rule: word })
+        : await removeFilterRule(word)
+      if (result.success) changed++
     }
     
-    // 注意：删除操作需要重建Trie树，这里简化处理
-    
     return {
       success: true,
-      message: `成功${action === 'add' ? '添加' : '删除'}${words.length}个敏感词`
+      message: `成功${action === 'add' ? '添加' : '删除'}${changed}个敏感词`
     }
     
   } catch (error) {
@@ -311,34 +1377,19 @@ export const updateSensitiveWords = async (words, action = 'add') => {
   }
 }
 
-// 动态更新配置
-export const updateConfig = async (newConfig) => {
-  try {
-    // 合并新配置
-    Object.assign(config, newConfig)
-    
-    return {
-      success: true,
-      message: '配置更新成功',
-      config: { ...config }
-    }
-    
-  } catch (error) {
-    console.error('更新配置失败:', error)
-    return {
-      success: false,
-      message: error.message
-    }
-  }
+// 动态更新配置：经运行时配置注册表校验、持久化并同步到其他实例，参数结构同config（只修改传入的项）
+export const updateConfig = async (newConfig, updatedBy = null) => {
+  const result = await updateRuntimeConfig({ filter: newConfig }, updatedBy)
+  return result.success ? { ...result, config: getConfig() } : result
 }
 
 // 获取当前配置
 export const getConfig = () => {
-  return { ...config }
+  return structuredClone(config)
 }
 
 // 导出用于测试的方法（生产环境可以移除）
 export const testUtils = {
-  getSensitiveWordTrie: () => sensitiveWordTrie,
-  setSensitiveWordTrie: (trie) => { sensitiveWordTrie = trie }
+  getSensitiveWordTrie: () => matcher && matcher.trie,
+  setSensitiveWordTrie: (trie) => { matcher = trie ? createMatcher(trie) : null }
 }
\ No newline at end of file
@@ -0,0 +1,151 @@
+import { monitorEventLoopDelay } from 'perf_hooks'
+import { redisClient, dbAdapter } from './database.js'
+import { isShuttingDown } from './shutdown.js'
+
+// 健康检查：/health/live 只判断进程是否还能正常响应，/health/ready 检查各依赖，决定实例是否接收流量
+// 依赖状态为 up / degraded / down；必需依赖down时实例未就绪（503），非必需依赖异常时为degraded（仍返回200）
+
+// 健康检查配置
+export const healthConfig = {
+  // Redis和Socket.IO Redis适配器是否为必需依赖（多副本部署时必须，单实例开发可设为false）
+  requireRedis: process.env.HEALTH_REQUIRE_REDIS !== 'false',
+  // 数据库是否为必需依赖（默认不是：数据库不可用时弹幕仍可实时收发，只是不能持久化）
+  requireDatabase: process.env.HEALTH_REQUIRE_DATABASE === 'true',
+  // 单项依赖检查的超时时间（毫秒）
+  checkTimeout: 1000,
+  // 事件循环延迟（p99，毫秒）超过该值时为degraded
+  eventLoopDegradedLag: 200,
+  // 事件循环延迟（p99，毫秒）超过该值时实例未就绪
+  eventLoopMaxLag: 1000,
+  // 事件循环延迟的统计窗口（毫秒）
+  eventLoopWindow: 10000
+}
+
+// Socket.IO Redis适配器使用的发布/订阅连接（由index.js在适配器创建成功后设置）
+let socketAdapterClients = null
+
+// 最近一个统计窗口的事件循环延迟（毫秒）
+let eventLoopLag = { p99: 0, max: 0 }
+let eventLoopMonitor = null
+
+// 设置Socket.IO Redis适配器的连接
+export const setSocketAdapterClients = (pubClient, subClient) => {
+  socketAdapterClients = { pubClient, subClient }
+}
+
+// 开始统计事件循环延迟
+export const startEventLoopMonitor = () => {
+  if (eventLoopMonitor) return
+
+  const histogram = monitorEventLoopDelay({ resolution: 20 })
+  histogram.enable()
+  eventLoopMonitor = setInterval(() => {
+    eventLoopLag = {
+      p99: Math.round(histogram.percentile(99) / 1e6),
+      max: Math.round(histogram.max / 1e6)
+    }
+    histogram.reset()
+  }, healthConfig.eventLoopWindow)
+  // 不阻止进程退出
+  eventLoopMonitor.unref()
+}
+
+// 带超时执行检查
+const withTimeout = (promise) => {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`超过${healthConfig.checkTimeout}ms未响应`)), healthConfig.checkTimeout)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// Redis：连接就绪且PING能在超时内返回
+const checkRedis = async () => {
+  if (!redisClient) {
+    return { status: 'down', message: 'Redis未连接，当前以无Redis模式运行' }
+  }
+  if (!redisClient.isReady) {
+    return { status: 'down', message: 'Redis连接未就绪' }
+  }
+
+  try {
+    const startedAt = Date.now()
+    await withTimeout(redisClient.ping())
+    return { status: 'up', latency: Date.now() - startedAt }
+  } catch (error) {
+    return { status: 'down', message: error.message }
+  }
+}
+
+// 数据库适配器：使用适配器自身的连接状态
+const checkDatabase = () => {
+  if (!dbAdapter) {
+    return { status: 'down', message: '数据库适配器未初始化' }
+  }
+
+  const { connected, adapterType } = dbAdapter.getConnectionStatus()
+  return connected
+    ? { status: 'up', adapter: adapterType }
+    : { status: 'down', adapter: adapterType, message: '数据库未连接' }
+}
+
+// Socket.IO适配器：Redis适配器的发布和订阅连接都就绪时才能跨实例广播
+const checkSocketAdapter = () => {
+  if (!socketAdapterClients) {
+    return { status: 'down', message: '未启用Redis适配器，广播只在当前实例内生效' }
+  }
+
+  const { pubClient, subClient } = socketAdapterClients
+  if (!pubClient.isReady || !subClient.isReady) {
+    return { status: 'down', message: 'Redis适配器连接未就绪' }
+  }
+  return { status: 'up' }
+}
+
+// 事件循环延迟
+const checkEventLoop = () => {
+  const { p99, max } = eventLoopLag
+  if (p99 >= healthConfig.eventLoopMaxLag) {
+    return { status: 'down', p99, max, message: '事件循环延迟过高' }
+  }
+  if (p99 >= healthConfig.eventLoopDegradedLag) {
+    return { status: 'degraded', p99, max, message: '事件循环延迟偏高' }
+  }
+  return { status: 'up', p99, max }
+}
+
+// 存活检查：进程能处理请求即为存活，同时返回事件循环延迟供排查
+export const checkLiveness = () => {
+  return {
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    eventLoop: eventLoopLag,
+    timestamp: new Date().toISOString()
+  }
+}
+
+// 就绪检查，返回 { ready, status, checks }
+// status: ok 全部正常；degraded 非必需依赖异常或延迟偏高；unavailable 必需依赖不可用；shutting_down 正在优雅关闭
+export const checkReadiness = async () => {
+  if (isShuttingDown()) {
+    return { ready: false, status: 'shutting_down', checks: {}, timestamp: new Date().toISOString() }
+  }
+
+  const checks = {
+    redis: { critical: healthConfig.requireRedis, ...(await checkRedis()) },
+    database: { critical: healthConfig.requireDatabase, ...checkDatabase() },
+    socketAdapter: { critical: healthConfig.requireRedis, ...checkSocketAdapter() },
+    eventLoop: { critical: true, ...checkEventLoop() }
+  }
+
+  const results = Object.values(checks)
+  const ready = !results.some(check => check.critical && check.status === 'down')
+  const degraded = results.some(check => check.status !== 'up')
+
+  return {
+    ready,
+    status: !ready ? 'unavailable' : degraded ? 'degraded' : 'ok',
+    checks,
+    timestamp: new Date().toISOString()
+  }
+}
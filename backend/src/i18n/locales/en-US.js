@@ -119,9 +119,28 @@ export default {
     danmakuCleared: 'Danmaku cleared',
     userBanned: 'User banned',
     userUnbanned: 'User unbanned',
+    userMuted: 'User muted',
+    userUnmuted: 'User unmuted',
+    userKicked: 'Connection kicked',
+    danmakuRetracted: 'Danmaku retracted',
+    loginSuccess: 'Logged in',
+    loggedOut: 'Logged out',
+    invalidCredentials: 'Invalid username or password',
+    loginLocked: 'Too many failed login attempts, please try again later',
+    passwordChanged: 'Password changed, please log in again',
+    accountCreated: 'Account created',
+    accountUpdated: 'Account updated',
+    accountDeleted: 'Account deleted',
+    tokensRevoked: 'All login tokens of the account have been revoked',
+    apiKeyCreated: 'API key created. Store it safely, it is only shown once',
+    apiKeyDeleted: 'API key revoked',
     roomMuted: 'Room muted',
     roomUnmuted: 'Room unmuted',
     settingsSaved: 'Settings saved',
+    policyReset: 'Room policy reset',
+    roomOpened: 'Room opened',
+    roomClosed: 'Room closed',
+    roomArchived: 'Room archived',
     cacheCleared: 'Cache cleared',
     restartRequired: 'Service restart required',
     systemInfo: 'System Info',
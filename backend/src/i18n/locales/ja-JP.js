@@ -119,9 +119,28 @@ export default {
     danmakuCleared: 'ダンマクがクリアされました',
     userBanned: 'ユーザーが禁止されました',
     userUnbanned: 'ユーザーの禁止が解除されました',
+    userMuted: 'ユーザーをミュートしました',
+    userUnmuted: 'ユーザーのミュートを解除しました',
+    userKicked: '接続を切断しました',
+    danmakuRetracted: 'ダンマクを取り消しました',
+    loginSuccess: 'ログインしました',
+    loggedOut: 'ログアウトしました',
+    invalidCredentials: 'アカウントまたはパスワードが正しくありません',
+    loginLocked: 'ログイン失敗が多すぎます。しばらくしてから再試行してください',
+    passwordChanged: 'パスワードを変更しました。再度ログインしてください',
+    accountCreated: 'アカウントを作成しました',
+    accountUpdated: 'アカウントを更新しました',
+    accountDeleted: 'アカウントを削除しました',
+    tokensRevoked: 'アカウントのログイントークンをすべて失効しました',
+    apiKeyCreated: 'APIキーを作成しました。キーは一度だけ表示されるため、安全に保管してください',
+    apiKeyDeleted: 'APIキーを失効しました',
     roomMuted: '部屋がミュートされました',
     roomUnmuted: '部屋のミュートが解除されました',
     settingsSaved: '設定が保存されました',
+    policyReset: 'ルームポリシーがリセットされました',
+    roomOpened: '部屋を公開しました',
+    roomClosed: '部屋を閉鎖しました',
+    roomArchived: '部屋をアーカイブしました',
     cacheCleared: 'キャッシュがクリアされました',
     restartRequired: 'サービスの再起動が必要です',
     systemInfo: 'システム情報',
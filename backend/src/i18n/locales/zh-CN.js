@@ -117,11 +117,30 @@ export default {
     ruleDeleted: '规则删除成功',
     configUpdated: '配置更新成功',
     danmakuCleared: '弹幕已清空',
-    userBanned: '用户已禁言',
-    userUnbanned: '用户已解禁',
+    userBanned: '用户已封禁',
+    userUnbanned: '用户已解封',
+    userMuted: '用户已禁言',
+    userUnmuted: '用户已解除禁言',
+    userKicked: '连接已踢出',
+    danmakuRetracted: '弹幕已撤回',
+    loginSuccess: '登录成功',
+    loggedOut: '已退出登录',
+    invalidCredentials: '账号或密码错误',
+    loginLocked: '登录失败次数过多，请稍后再试',
+    passwordChanged: '密码已修改，请重新登录',
+    accountCreated: '账号已创建',
+    accountUpdated: '账号已更新',
+    accountDeleted: '账号已删除',
+    tokensRevoked: '账号的登录令牌已全部吊销',
+    apiKeyCreated: 'API密钥已创建，请妥善保存，密钥只显示这一次',
+    apiKeyDeleted: 'API密钥已吊销',
     roomMuted: '房间已禁言',
     roomUnmuted: '房间已解除禁言',
     settingsSaved: '设置已保存',
+    policyReset: '房间策略已重置',
+    roomOpened: '房间已开放',
+    roomClosed: '房间已关闭',
+    roomArchived: '房间已归档',
     cacheCleared: '缓存已清除',
     restartRequired: '需要重启服务',
     systemInfo: '系统信息',
@@ -6,11 +6,23 @@ import { createAdapter } from '@socket.io/redis-adapter'
 import dotenv from 'dotenv'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { setupSocketHandlers } from './socketHandlers.js'
-import { initializeRedis } from './database.js'
+import { setupSocketHandlers, drainSocketHandlers } from './socketHandlers.js'
+import { initializeRedis, setDatabaseAdapter, closeDatabaseConnections } from './database.js'
+import { drainDanmakuStore } from './danmakuStore.js'
+import { stopStatsCollector } from './statsCollector.js'
+import { onShutdown, handleShutdownSignals } from './shutdown.js'
 import { initializeFilterRules } from './filterRules.js'
+import { initializeRuntimeConfig } from './runtimeConfig.js'
+import { initializeRoomRegistry } from './roomRegistry.js'
+import { initializeSanctions } from './sanctions.js'
+import { initializeModeration } from './moderation.js'
+import { initializeAdminAccounts } from './adminAccounts.js'
+import { socketAuthMiddleware, checkAuthConfig } from './auth.js'
 import adminRouter from './admin/index.js'
+import danmakuRouter from './api/danmaku.js'
 import databaseFactory from './database/adapters.js'
+import { getMetrics, recordDbError } from './metrics.js'
+import { checkLiveness, checkReadiness, setSocketAdapterClients, startEventLoopMonitor } from './health.js'
 import i18n from './i18n/index.js'
 import setupSwagger from './api/swagger.js'
 
@@ -43,6 +55,13 @@ const io = new Server(server, {
 // 保存io实例到app.locals
 app.locals.io = io
 
+// Socket.io Redis适配器的发布/订阅连接，关闭时断开
+const socketAdapterClients = []
+
+// 握手认证：校验客户端令牌，未携带令牌的连接以游客身份接入
+checkAuthConfig()
+io.use(socketAuthMiddleware)
+
 // 初始化数据库连接
 const initDatabases = async () => {
   try {
@@ -56,10 +75,14 @@ const initDatabases = async () => {
     
     await Promise.all([pubClient.connect(), subClient.connect()])
     io.adapter(createAdapter(pubClient, subClient))
+    setSocketAdapterClients(pubClient, subClient)
+    socketAdapterClients.push(pubClient, subClient)
     
     // 根据配置初始化数据库适配器
     let dbAdapter = null
     const dbType = process.env.DB_TYPE || 'mysql' // 默认使用MySQL
+    // 适配器操作失败时计入监控指标
+    const onError = () => recordDbError(dbType)
     
     try {
       switch (dbType) {
@@ -69,7 +92,8 @@ const initDatabases = async () => {
             port: process.env.MYSQL_PORT || 3306,
             user: process.env.MYSQL_USER || 'root',
             password: process.env.MYSQL_PASSWORD,
-            database: process.env.MYSQL_DATABASE || 'danmaku_system'
+            database: process.env.MYSQL_DATABASE || 'danmaku_system',
+            onError
           })
           await dbAdapter.connect()
           app.locals.dbAdapter = dbAdapter
@@ -79,7 +103,8 @@ const initDatabases = async () => {
           if (process.env.MONGODB_URL) {
             dbAdapter = databaseFactory.getAdapter('mongodb', {
               url: process.env.MONGODB_URL,
-              dbName: process.env.MONGODB_DB_NAME || 'danmaku_system'
+              dbName: process.env.MONGODB_DB_NAME || 'danmaku_system',
+              onError
             })
             await dbAdapter.connect()
             app.locals.dbAdapter = dbAdapter
@@ -92,7 +117,8 @@ const initDatabases = async () => {
             port: process.env.PG_PORT || 5432,
             user: process.env.PG_USER || 'postgres',
             password: process.env.PG_PASSWORD,
-            database: process.env.PG_DATABASE || 'danmaku_system'
+            database: process.env.PG_DATABASE || 'danmaku_system',
+            onError
           })
           await dbAdapter.connect()
           app.locals.dbAdapter = dbAdapter
@@ -101,6 +127,9 @@ const initDatabases = async () => {
         default:
           console.warn(`不支持的数据库类型: ${dbType}`)
       }
+      
+      // 实时链路通过同一个适配器持久化弹幕
+      setDatabaseAdapter(app.locals.dbAdapter || null)
     } catch (dbError) {
       console.warn(`数据库连接失败，但将继续运行（部分功能可能受限）: ${dbError.message}`)
     }
@@ -122,6 +151,19 @@ const startServer = async () => {
     // 初始化数据库
     await initDatabases()
     
+    // 加载房间登记（Redis或数据库不可用时只保存在当前实例内存中）
+    await initializeRoomRegistry()
+    
+    // 加载禁言/封禁记录，订阅处罚和弹幕撤回通知
+    await initializeSanctions()
+    await initializeModeration()
+    
+    // 加载管理员账号和API密钥
+    await initializeAdminAccounts()
+    
+    // 加载运行时配置（覆盖各模块的默认配置）
+    await initializeRuntimeConfig()
+    
     // 配置中间件
     app.use(express.json())
     app.use(i18n.middleware())
@@ -132,9 +174,41 @@ const startServer = async () => {
     // 设置管理后台路由
     app.use('/admin', adminRouter)
     
+    // 设置公开弹幕API路由
+    app.use('/api', danmakuRouter)
+    
     // 设置Socket.io事件处理
     setupSocketHandlers(io)
     
+    // 存活检查：进程能响应即返回200
+    startEventLoopMonitor()
+    app.get('/health/live', (req, res) => {
+      res.json(checkLiveness())
+    })
+    
+    // 就绪检查：返回各依赖的状态，必需依赖不可用时返回503，k8s据此把实例移出Service
+    app.get('/health/ready', async (req, res) => {
+      const report = await checkReadiness()
+      res.status(report.ready ? 200 : 503).json(report)
+    })
+    
+    // 兼容旧的健康检查地址，返回就绪检查结果
+    app.get('/health', async (req, res) => {
+      const report = await checkReadiness()
+      res.status(report.ready ? 200 : 503).json({ ...report, version: '1.0.0' })
+    })
+    
+    // Prometheus指标
+    app.get('/metrics', async (req, res) => {
+      try {
+        const { contentType, body } = await getMetrics()
+        res.set('Content-Type', contentType)
+        res.send(body)
+      } catch (error) {
+        res.status(500).send(error.message)
+      }
+    })
+    
     // 启动HTTP服务器
     const PORT = process.env.PORT || 8000
     server.listen(PORT, () => {
@@ -144,15 +218,6 @@ const startServer = async () => {
       console.log(`API文档: http://localhost:${PORT}/api-docs`)
     })
     
-    // 健康检查接口
-    app.get('/health', (req, res) => {
-      res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-      })
-    })
-    
   } catch (error) {
     console.error('服务器启动失败:', error)
     process.exit(1)
@@ -162,22 +227,31 @@ const startServer = async () => {
 // 启动服务器
 startServer()
 
-// 优雅关闭
-process.on('SIGINT', async () => {
-  console.log('正在关闭服务器...')
-  
-  // 关闭数据库连接
+// 优雅关闭：按顺序断开客户端、写入缓冲、关闭HTTP服务和各连接，超过SHUTDOWN_TIMEOUT时强制退出
+onShutdown('断开Socket连接', () => drainSocketHandlers(io))
+
+onShutdown('写入弹幕缓冲', async () => {
+  stopStatsCollector()
+  const remaining = await drainDanmakuStore()
+  if (remaining > 0) {
+    console.warn(`[优雅关闭] ${remaining} 条弹幕未能写入数据库`)
+  }
+})
+
+onShutdown('关闭HTTP服务', () => new Promise((resolve) => {
+  io.close(() => resolve())
+  server.closeIdleConnections()
+}))
+
+onShutdown('关闭Redis适配器连接', () => Promise.all(
+  socketAdapterClients.map(client => client.quit().catch(() => client.disconnect()))
+))
+
+onShutdown('关闭数据库连接', async () => {
   if (app.locals.dbAdapter) {
-    try {
-      await app.locals.dbAdapter.disconnect()
-    } catch (error) {
-      console.error('关闭数据库连接失败:', error)
-    }
+    await app.locals.dbAdapter.disconnect()
   }
-  
-  // 关闭服务器
-  server.close(() => {
-    console.log('服务器已关闭')
-    process.exit(0)
-  })
-})
\ No newline at end of file
+  await closeDatabaseConnections()
+})
+
+handleShutdownSignals()
@@ -0,0 +1,145 @@
+import client from 'prom-client'
+
+// Prometheus指标：实时链路的收发、队列、广播延迟、存储错误和连接数
+// 房间标签只使用已登记的房间ID，未登记的房间统一记为unregistered，避免标签数量失控
+
+export const metricsRegistry = new client.Registry()
+
+// 进程级默认指标（CPU、内存、事件循环延迟等）
+client.collectDefaultMetrics({ register: metricsRegistry })
+
+const sendReceived = new client.Counter({
+  name: 'danmaku_send_received_total',
+  help: '收到的send-danmaku事件数',
+  labelNames: ['room'],
+  registers: [metricsRegistry]
+})
+
+const sendAccepted = new client.Counter({
+  name: 'danmaku_send_accepted_total',
+  help: '发送成功的弹幕数',
+  labelNames: ['room'],
+  registers: [metricsRegistry]
+})
+
+const sendRejected = new client.Counter({
+  name: 'danmaku_send_rejected_total',
+  help: '被拒绝的弹幕数，reason为send-danmaku的错误码',
+  labelNames: ['room', 'reason'],
+  registers: [metricsRegistry]
+})
+
+const queueBatchSize = new client.Histogram({
+  name: 'danmaku_queue_batch_size',
+  help: '房间消息队列每批处理的弹幕数',
+  buckets: [1, 5, 10, 20, 50, 100],
+  registers: [metricsRegistry]
+})
+
+const queueWaitSeconds = new client.Histogram({
+  name: 'danmaku_queue_wait_seconds',
+  help: '弹幕在房间消息队列中的等待时间（秒）',
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [metricsRegistry]
+})
+
+const broadcastLatencySeconds = new client.Histogram({
+  name: 'danmaku_broadcast_latency_seconds',
+  help: '从收到send-danmaku到向房间广播的延迟（秒）',
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [metricsRegistry]
+})
+
+const broadcastCompacted = new client.Counter({
+  name: 'danmaku_broadcast_compacted_total',
+  help: '密度控制合并（merged）和抽样丢弃（sampled）的弹幕数',
+  labelNames: ['action'],
+  registers: [metricsRegistry]
+})
+
+const redisErrors = new client.Counter({
+  name: 'danmaku_redis_errors_total',
+  help: 'redisUtils操作失败次数',
+  labelNames: ['operation'],
+  registers: [metricsRegistry]
+})
+
+const dbErrors = new client.Counter({
+  name: 'danmaku_db_errors_total',
+  help: '数据库适配器操作失败次数',
+  labelNames: ['db'],
+  registers: [metricsRegistry]
+})
+
+const socketConnections = new client.Gauge({
+  name: 'danmaku_socket_connections',
+  help: '本实例当前的Socket连接数',
+  registers: [metricsRegistry]
+})
+
+const socketConnectionsTotal = new client.Counter({
+  name: 'danmaku_socket_connections_total',
+  help: '本实例累计建立的Socket连接数',
+  registers: [metricsRegistry]
+})
+
+// 收到一条send-danmaku
+export const recordSendReceived = (room) => {
+  sendReceived.inc({ room })
+}
+
+// 一条弹幕的处理结果（每条弹幕只记录一次，重试返回首次结果时不重复记录）
+export const recordSendResult = (room, result) => {
+  if (result.success) {
+    sendAccepted.inc({ room })
+  } else {
+    sendRejected.inc({ room, reason: result.code || 'unknown' })
+  }
+}
+
+// 一批队列处理：本批弹幕数和各条弹幕的排队时间（毫秒）
+export const recordQueueBatch = (waitTimes) => {
+  queueBatchSize.observe(waitTimes.length)
+  for (const waitTime of waitTimes) {
+    queueWaitSeconds.observe(waitTime / 1000)
+  }
+}
+
+// 广播延迟（毫秒）
+export const recordBroadcastLatency = (latency) => {
+  broadcastLatencySeconds.observe(latency / 1000)
+}
+
+// 密度控制：一帧内合并和抽样丢弃的弹幕数
+export const recordBroadcastCompacted = (merged, sampled) => {
+  if (merged > 0) broadcastCompacted.inc({ action: 'merged' }, merged)
+  if (sampled > 0) broadcastCompacted.inc({ action: 'sampled' }, sampled)
+}
+
+// redisUtils操作失败
+export const recordRedisError = (operation) => {
+  redisErrors.inc({ operation })
+}
+
+// 数据库适配器操作失败
+export const recordDbError = (db) => {
+  dbErrors.inc({ db })
+}
+
+// 建立和断开Socket连接
+export const recordSocketConnected = () => {
+  socketConnections.inc()
+  socketConnectionsTotal.inc()
+}
+
+export const recordSocketDisconnected = () => {
+  socketConnections.dec()
+}
+
+// 导出Prometheus文本格式的指标
+export const getMetrics = async () => {
+  return {
+    contentType: metricsRegistry.contentType,
+    body: await metricsRegistry.metrics()
+  }
+}
@@ -0,0 +1,162 @@
+import { redisClient, redisUtils, dbAdapter, instanceId } from './database.js'
+import { removeBufferedDanmaku } from './danmakuStore.js'
+
+// 待审核弹幕（命中warn规则）保存在Redis中，所有实例和重启后都能看到同一份列表：
+// danmaku:flagged:room:{roomId}  列表，元素为JSON格式的待审核记录，最新的在最前
+// danmaku:flagged:rooms          有序集合，成员为房间ID，分数为最近一条待审核弹幕的时间
+// 无Redis时退化为只保存在本实例内存中
+
+// 待审核弹幕的保留配置
+const moderationConfig = {
+  // 每个房间最多保留的待审核弹幕条数
+  maxFlaggedPerRoom: 200,
+  // 待审核弹幕的保留时间（秒），超过后没有新记录的房间列表自动过期
+  flaggedTtl: 7 * 86400
+}
+
+const KEY_PREFIX = 'danmaku:'
+const flaggedKey = (roomId) => `${KEY_PREFIX}flagged:room:${roomId}`
+const FLAGGED_ROOMS_KEY = `${KEY_PREFIX}flagged:rooms`
+
+// 无Redis时各房间待审核的弹幕，按时间正序保存
+const flaggedDanmaku = new Map()
+
+// 弹幕撤回通知频道：各实例删除自己写缓冲中的同一条弹幕
+const RETRACT_CHANNEL = 'danmaku:retracted'
+
+// 记录到本实例内存（无Redis或写入Redis失败时）
+const recordLocalFlagged = (roomId, entry) => {
+  if (!flaggedDanmaku.has(roomId)) {
+    flaggedDanmaku.set(roomId, [])
+  }
+  const list = flaggedDanmaku.get(roomId)
+  list.push(entry)
+
+  if (list.length > moderationConfig.maxFlaggedPerRoom) {
+    list.splice(0, list.length - moderationConfig.maxFlaggedPerRoom)
+  }
+}
+
+// 记录命中warn规则的弹幕，供管理员审核
+export const recordFlaggedDanmaku = async (roomId, danmaku, decisions = []) => {
+  const entry = {
+    roomId,
+    danmaku,
+    rules: decisions.filter(decision => decision.type === 'warn').map(decision => decision.rule),
+    decisions,
+    flaggedAt: Date.now()
+  }
+  if (!redisClient) return recordLocalFlagged(roomId, entry)
+
+  try {
+    const key = flaggedKey(roomId)
+    await redisClient.multi()
+      .lPush(key, JSON.stringify(entry))
+      .lTrim(key, 0, moderationConfig.maxFlaggedPerRoom - 1)
+      .expire(key, moderationConfig.flaggedTtl)
+      .zAdd(FLAGGED_ROOMS_KEY, { score: entry.flaggedAt, value: roomId })
+      .zRemRangeByScore(FLAGGED_ROOMS_KEY, '-inf', entry.flaggedAt - moderationConfig.flaggedTtl * 1000)
+      .exec()
+  } catch (error) {
+    console.error('[内容审核] 保存待审核弹幕失败:', error)
+    recordLocalFlagged(roomId, entry)
+  }
+}
+
+// 解析Redis中的待审核记录，损坏的记录跳过
+const parseFlagged = (values) => values.flatMap(value => {
+  try {
+    return [JSON.parse(value)]
+  } catch (error) {
+    return []
+  }
+})
+
+// 从Redis读取待审核弹幕：未指定房间时，最新的maxCount条只可能来自最近有记录的maxCount个房间
+const getRedisFlagged = async (roomId, maxCount) => {
+  const roomIds = roomId
+    ? [roomId]
+    : await redisClient.zRange(FLAGGED_ROOMS_KEY, 0, maxCount - 1, { REV: true })
+  if (roomIds.length === 0) return []
+
+  const multi = redisClient.multi()
+  roomIds.forEach(id => multi.lRange(flaggedKey(id), 0, maxCount - 1))
+  const replies = await multi.exec()
+  return parseFlagged(replies.flat())
+}
+
+// 获取待审核弹幕（未指定房间时返回所有房间），按时间倒序返回
+export const getFlaggedDanmaku = async (roomId, limit = 50) => {
+  const maxCount = Math.min(Math.max(1, parseInt(limit) || 50), moderationConfig.maxFlaggedPerRoom)
+
+  let entries
+  if (redisClient) {
+    try {
+      entries = await getRedisFlagged(roomId, maxCount)
+    } catch (error) {
+      console.error('[内容审核] 读取待审核弹幕失败:', error)
+    }
+  }
+  if (!entries) {
+    entries = (roomId ? [flaggedDanmaku.get(roomId) || []] : [...flaggedDanmaku.values()]).flat()
+  }
+
+  return entries
+    .sort((a, b) => b.flaggedAt - a.flaggedAt)
+    .slice(0, maxCount)
+}
+
+// 从Redis的待审核列表中删除弹幕（列表元素需要按原值删除）
+const removeRedisFlagged = async (roomId, danmakuId) => {
+  if (!redisClient) return
+
+  try {
+    const key = flaggedKey(roomId)
+    const values = await redisClient.lRange(key, 0, -1)
+    const matched = values.filter(value => parseFlagged([value])[0]?.danmaku?.id === danmakuId)
+    if (matched.length === 0) return
+
+    const multi = redisClient.multi()
+    matched.forEach(value => multi.lRem(key, 0, value))
+    await multi.exec()
+  } catch (error) {
+    console.error('[内容审核] 删除待审核弹幕失败:', error)
+  }
+}
+
+// 从本实例的写缓冲和待审核列表中删除弹幕，返回是否找到
+const removeLocalDanmaku = (roomId, danmakuId) => {
+  const list = flaggedDanmaku.get(roomId)
+  if (list) {
+    const index = list.findIndex(item => item.danmaku.id === danmakuId)
+    if (index > -1) list.splice(index, 1)
+  }
+  return removeBufferedDanmaku(roomId, danmakuId)
+}
+
+// 处理其他实例发布的弹幕撤回
+const handleDanmakuRetracted = (message) => {
+  if (!message || message.origin === instanceId) return
+  removeLocalDanmaku(message.roomId, message.danmakuId)
+}
+
+// 初始化审核模块：订阅弹幕撤回通知
+export const initializeModeration = async () => {
+  const subscribeResult = await redisUtils.subscribe(RETRACT_CHANNEL, handleDanmakuRetracted)
+  if (!subscribeResult.success) {
+    console.warn('弹幕撤回订阅失败，其他实例写缓冲中的弹幕可能在撤回后仍被写入')
+  }
+}
+
+// 撤回弹幕：从数据库、写缓冲和待审核列表中删除，返回 { success, deleted }
+// deleted为false表示存储中没有找到该弹幕（未持久化或已被删除），客户端仍会收到撤回通知
+export const retractDanmaku = async (roomId, danmakuId) => {
+  const buffered = removeLocalDanmaku(roomId, danmakuId)
+  await removeRedisFlagged(roomId, danmakuId)
+  const persisted = dbAdapter && dbAdapter.isConnected
+    ? await dbAdapter.deleteDanmaku(roomId, danmakuId)
+    : false
+
+  await redisUtils.publish(RETRACT_CHANNEL, { origin: instanceId, roomId, danmakuId })
+  return { success: true, deleted: buffered || persisted }
+}
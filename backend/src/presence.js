@@ -0,0 +1,389 @@
+import crypto from 'crypto'
+import { redisClient, defineScript, runScript } from './database.js'
+
+// 在线状态：集群内每个连接在Redis中登记一条带心跳的记录，所有实例读取同一份数据
+// danmaku:presence:room:{roomId}       有序集合，成员为socketId，分数为过期时间（毫秒）
+// danmaku:presence:rooms               集合，有在线记录的房间
+// danmaku:presence:uv:{roomId}:{date}  HyperLogLog，房间当天的独立访客（按userId）
+// danmaku:total_messages               累计发送成功的弹幕数
+// 房间索引（加入、离开、发送弹幕时维护，管理后台按在线人数和消息速率排序时使用）：
+// danmaku:room-index:viewers            有序集合，成员为房间ID，分数为集群在线人数
+// danmaku:room-index:messages:{minute}  有序集合，成员为房间ID，分数为该分钟发送成功的弹幕数
+// （已登记房间按状态的索引由roomRegistry维护，管理后台分页时作为筛选范围传入pageRoomIndex）
+// 无Redis时退化为只统计本实例的连接
+
+// 在线状态配置
+export const presenceConfig = {
+  // 连接记录的有效期（毫秒），实例异常退出后其连接在有效期后自动失效
+  ttl: 45000,
+  // 心跳间隔（毫秒），需明显小于ttl
+  heartbeatInterval: 15000,
+  // 向房间推送在线人数的最小间隔（毫秒）
+  broadcastInterval: 2000,
+  // 独立访客统计的保留天数
+  uniqueViewerDays: 2
+}
+
+const KEY_PREFIX = 'danmaku:'
+const roomKey = (roomId) => `${KEY_PREFIX}presence:room:${roomId}`
+const ROOMS_KEY = `${KEY_PREFIX}presence:rooms`
+const TOTAL_MESSAGES_KEY = `${KEY_PREFIX}total_messages`
+const uniqueViewerKey = (roomId, date = new Date()) => `${KEY_PREFIX}presence:uv:${roomId}:${date.toISOString().slice(0, 10)}`
+const VIEWERS_INDEX_KEY = `${KEY_PREFIX}room-index:viewers`
+const messagesIndexKey = (minute) => `${KEY_PREFIX}room-index:messages:${minute}`
+
+// 当前的分钟序号
+const currentMinute = (now = Date.now()) => Math.floor(now / 60000)
+
+// 本实例的连接：房间ID -> socketId集合（用于心跳，以及无Redis时的计数）
+const localPresence = new Map()
+
+// 本实例发送成功的弹幕数（无Redis时使用）
+let localTotalMessages = 0
+
+// 本实例按分钟统计的房间弹幕数：分钟序号 -> Map(roomId -> count)，只保留最近两分钟（无Redis时使用）
+const localMessageCounts = new Map()
+
+// 在事务中追加清理过期连接并统计在线人数的命令
+const addCountCommands = (multi, roomId, now) => {
+  return multi
+    .zRemRangeByScore(roomKey(roomId), '-inf', now)
+    .zCard(roomKey(roomId))
+}
+
+// 将在线人数写入房间索引，人数为0的房间移出索引
+const indexViewers = async (counts) => {
+  if (counts.size === 0) return
+
+  const multi = redisClient.multi()
+  for (const [roomId, count] of counts) {
+    if (count > 0) {
+      multi.zAdd(VIEWERS_INDEX_KEY, { score: count, value: roomId })
+    } else {
+      multi.zRem(VIEWERS_INDEX_KEY, roomId)
+    }
+  }
+  await multi.exec()
+}
+
+// 检查人数上限并登记连接：清理过期连接、判断人数和写入在一个脚本中原子完成，多副本并发加入也不会超出上限
+// KEYS[1] 房间在线记录；ARGV[1] 当前时间，ARGV[2] 过期时间（毫秒），ARGV[3] socketId，ARGV[4] 人数上限（0为不限）
+// 返回 { 是否加入, 在线人数 }；已在房间内的连接重复加入时不再占用名额
+const RESERVE_PRESENCE_SCRIPT = defineScript(`
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+local count = redis.call('ZCARD', KEYS[1])
+local capacity = tonumber(ARGV[4])
+if capacity > 0 and count >= capacity and not redis.call('ZSCORE', KEYS[1], ARGV[3]) then
+  return { 0, count }
+end
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[3])
+return { 1, redis.call('ZCARD', KEYS[1]) }
+`)
+
+// 记录连接加入房间，返回 { hasRedis, online }（online为加入后的在线人数）
+// capacity为房间人数上限（0为不限），已满时不登记并返回 { hasRedis, full: true, online }
+export const joinPresence = async (roomId, socketId, userId, { capacity = 0 } = {}) => {
+  const joinLocal = () => {
+    const sockets = localPresence.get(roomId) || new Set()
+    if (capacity > 0 && sockets.size >= capacity && !sockets.has(socketId)) {
+      return { hasRedis: false, full: true, online: sockets.size }
+    }
+    localPresence.set(roomId, sockets.add(socketId))
+    return { hasRedis: false, online: sockets.size }
+  }
+  if (!redisClient) return joinLocal()
+
+  try {
+    const now = Date.now()
+    const [joined, online] = await runScript(
+      RESERVE_PRESENCE_SCRIPT,
+      [roomKey(roomId)],
+      [now, now + presenceConfig.ttl, socketId, capacity]
+    )
+    if (joined !== 1) {
+      return { hasRedis: true, full: true, online }
+    }
+
+    if (!localPresence.has(roomId)) {
+      localPresence.set(roomId, new Set())
+    }
+    localPresence.get(roomId).add(socketId)
+
+    const uvKey = uniqueViewerKey(roomId)
+    await redisClient.multi()
+      .sAdd(ROOMS_KEY, roomId)
+      .pfAdd(uvKey, userId)
+      .expire(uvKey, presenceConfig.uniqueViewerDays * 86400)
+      .exec()
+    await indexViewers(new Map([[roomId, online]]))
+    return { hasRedis: true, online }
+  } catch (error) {
+    console.error('[在线状态] 记录加入房间失败:', error)
+    return joinLocal()
+  }
+}
+
+// 记录连接离开房间，返回 { hasRedis, online }（online为离开后的在线人数）
+export const leavePresence = async (roomId, socketId) => {
+  const sockets = localPresence.get(roomId)
+  if (sockets) {
+    sockets.delete(socketId)
+    if (sockets.size === 0) {
+      localPresence.delete(roomId)
+    }
+  }
+
+  const localResult = () => ({ hasRedis: false, online: localPresence.get(roomId)?.size || 0 })
+  if (!redisClient) return localResult()
+
+  try {
+    const multi = redisClient.multi().zRem(roomKey(roomId), socketId)
+    const replies = await addCountCommands(multi, roomId, Date.now()).exec()
+    const online = Number(replies[replies.length - 1]) || 0
+    await indexViewers(new Map([[roomId, online]]))
+    return { hasRedis: true, online }
+  } catch (error) {
+    console.error('[在线状态] 记录离开房间失败:', error)
+    return localResult()
+  }
+}
+
+// 心跳：延长本实例所有连接记录的有效期
+export const refreshPresence = async () => {
+  if (!redisClient || localPresence.size === 0) return { hasRedis: !!redisClient }
+
+  try {
+    const expiresAt = Date.now() + presenceConfig.ttl
+    const multi = redisClient.multi()
+    for (const [roomId, sockets] of localPresence) {
+      multi.zAdd(roomKey(roomId), [...sockets].map(socketId => ({ score: expiresAt, value: socketId })))
+      multi.sAdd(ROOMS_KEY, roomId)
+    }
+    await multi.exec()
+    return { hasRedis: true }
+  } catch (error) {
+    console.error('[在线状态] 心跳刷新失败:', error)
+    return { hasRedis: false }
+  }
+}
+
+// 获取本实例有连接的房间
+export const getLocalRooms = () => [...localPresence.keys()]
+
+// 获取房间的集群在线人数（同时清理已过期的连接记录并更新房间索引），返回 Map(roomId -> count)
+export const getOnlineCounts = async (roomIds) => {
+  const counts = new Map()
+  const localCounts = () => {
+    for (const roomId of roomIds) {
+      counts.set(roomId, localPresence.get(roomId)?.size || 0)
+    }
+    return counts
+  }
+
+  if (!redisClient || roomIds.length === 0) return localCounts()
+
+  try {
+    const now = Date.now()
+    const multi = redisClient.multi()
+    for (const roomId of roomIds) {
+      addCountCommands(multi, roomId, now)
+    }
+    const replies = await multi.exec()
+    roomIds.forEach((roomId, index) => {
+      counts.set(roomId, Number(replies[index * 2 + 1]) || 0)
+    })
+    await indexViewers(counts)
+    return counts
+  } catch (error) {
+    console.error('[在线状态] 获取在线人数失败:', error)
+    counts.clear()
+    return localCounts()
+  }
+}
+
+// 获取单个房间的集群在线人数
+export const getOnlineCount = async (roomId) => {
+  return (await getOnlineCounts([roomId])).get(roomId)
+}
+
+// 记录一条发送成功的弹幕
+export const recordMessage = async (roomId) => {
+  const minute = currentMinute()
+  localTotalMessages++
+  if (!localMessageCounts.has(minute)) {
+    localMessageCounts.set(minute, new Map())
+    for (const key of localMessageCounts.keys()) {
+      if (key < minute - 1) localMessageCounts.delete(key)
+    }
+  }
+  const roomCounts = localMessageCounts.get(minute)
+  roomCounts.set(roomId, (roomCounts.get(roomId) || 0) + 1)
+
+  if (!redisClient) return
+
+  try {
+    const indexKey = messagesIndexKey(minute)
+    await redisClient.multi()
+      .incr(TOTAL_MESSAGES_KEY)
+      .zIncrBy(indexKey, 1, roomId)
+      .expire(indexKey, 180)
+      .exec()
+  } catch (error) {
+    console.error('[在线状态] 记录消息数失败:', error)
+  }
+}
+
+// 获取累计弹幕数（无Redis时为本实例的数量）
+export const getTotalMessages = async () => {
+  if (!redisClient) return localTotalMessages
+
+  try {
+    return parseInt(await redisClient.get(TOTAL_MESSAGES_KEY) || '0')
+  } catch (error) {
+    console.error('[在线状态] 获取累计弹幕数失败:', error)
+    return localTotalMessages
+  }
+}
+
+// 按最近两个分钟桶估算每分钟弹幕数：上一分钟按当前分钟已过去的比例折算，再加上当前分钟
+const estimateRate = (previous, current, now) => {
+  const elapsed = (now % 60000) / 60000
+  return Math.round(previous * (1 - elapsed) + current)
+}
+
+// 从房间索引批量读取在线人数和消息速率（每分钟弹幕数），一次往返
+// 返回 Map(roomId -> { online, messageRate })
+export const getRoomActivity = async (roomIds) => {
+  const now = Date.now()
+  const minute = currentMinute(now)
+  const activity = new Map()
+  const localActivity = () => {
+    for (const roomId of roomIds) {
+      activity.set(roomId, {
+        online: localPresence.get(roomId)?.size || 0,
+        messageRate: estimateRate(
+          localMessageCounts.get(minute - 1)?.get(roomId) || 0,
+          localMessageCounts.get(minute)?.get(roomId) || 0,
+          now
+        )
+      })
+    }
+    return activity
+  }
+
+  if (!redisClient || roomIds.length === 0) return localActivity()
+
+  try {
+    const [online, previous, current] = await redisClient.multi()
+      .zmScore(VIEWERS_INDEX_KEY, roomIds)
+      .zmScore(messagesIndexKey(minute - 1), roomIds)
+      .zmScore(messagesIndexKey(minute), roomIds)
+      .exec()
+    roomIds.forEach((roomId, index) => {
+      activity.set(roomId, {
+        online: Number(online[index]) || 0,
+        messageRate: estimateRate(Number(previous[index]) || 0, Number(current[index]) || 0, now)
+      })
+    })
+    return activity
+  } catch (error) {
+    console.error('[在线状态] 读取房间索引失败:', error)
+    activity.clear()
+    return localActivity()
+  }
+}
+
+// 按排序分数分页读取房间：把排序分数合并到筛选范围内的房间上（不在排序集合中的房间分数为0），在临时键上取一页后删除
+// KEYS[1] 筛选范围（成员为房间ID的有序集合），KEYS[2] 临时键，KEYS[3..] 排序分数所在的有序集合
+// ARGV 依次为筛选范围和各排序集合的权重，然后是起始下标、结束下标、是否倒序（1为倒序）
+// 返回 { 筛选范围内的房间数, 当前页的房间ID }
+const PAGE_ROOM_INDEX_SCRIPT = defineScript(`
+local sources = #KEYS - 1
+local union = { 'ZUNIONSTORE', KEYS[2], sources, KEYS[1] }
+for i = 3, #KEYS do union[#union + 1] = KEYS[i] end
+union[#union + 1] = 'WEIGHTS'
+for i = 1, sources do union[#union + 1] = ARGV[i] end
+redis.call(unpack(union))
+redis.call('ZINTERSTORE', KEYS[2], 2, KEYS[2], KEYS[1], 'WEIGHTS', 1, 0)
+local total = redis.call('ZCARD', KEYS[2])
+local range = { 'ZRANGE', KEYS[2], ARGV[sources + 1], ARGV[sources + 2] }
+if ARGV[sources + 3] == '1' then range[#range + 1] = 'REV' end
+local roomIds = redis.call(unpack(range))
+redis.call('DEL', KEYS[2])
+return { total, roomIds }
+`)
+
+// 在Redis中按在线人数（viewers）、每分钟弹幕数（messageRate）或筛选范围自身的分数（createdAt）分页
+// scopeKey为筛选范围的有序集合；返回 { total, roomIds }，无Redis或读取失败时返回null（由调用方在内存中分页）
+export const pageRoomIndex = async (scopeKey, { sort = 'viewers', order = 'desc', offset = 0, count = 20 } = {}) => {
+  if (!redisClient) return null
+
+  const now = Date.now()
+  const minute = currentMinute(now)
+  const sources = {
+    viewers: [[VIEWERS_INDEX_KEY, 1]],
+    // 与estimateRate一致：上一分钟按当前分钟已过去的比例折算
+    messageRate: [[messagesIndexKey(minute - 1), 1 - (now % 60000) / 60000], [messagesIndexKey(minute), 1]],
+    createdAt: []
+  }[sort]
+  if (!sources) return null
+
+  try {
+    const [total, roomIds] = await runScript(
+      PAGE_ROOM_INDEX_SCRIPT,
+      [scopeKey, `${KEY_PREFIX}room-index:page:${crypto.randomUUID()}`, ...sources.map(([key]) => key)],
+      [sort === 'createdAt' ? 1 : 0, ...sources.map(([, weight]) => weight), offset, offset + count - 1, order === 'desc' ? 1 : 0]
+    )
+    return { total, roomIds }
+  } catch (error) {
+    console.error('[在线状态] 分页读取房间索引失败:', error)
+    return null
+  }
+}
+
+// 获取集群统计：各房间在线人数和当天独立访客、总连接数、累计弹幕数
+// 没有在线连接的房间会从房间集合中移除
+export const getPresenceStats = async () => {
+  if (!redisClient) {
+    const rooms = {}
+    let activeConnections = 0
+    for (const [roomId, sockets] of localPresence) {
+      rooms[roomId] = { online: sockets.size, uniqueViewers: null }
+      activeConnections += sockets.size
+    }
+    return { rooms, activeConnections, totalMessages: localTotalMessages, hasRedis: false }
+  }
+
+  const roomIds = await redisClient.sMembers(ROOMS_KEY)
+  const counts = await getOnlineCounts(roomIds)
+
+  const multi = redisClient.multi().get(TOTAL_MESSAGES_KEY)
+  for (const roomId of roomIds) {
+    multi.pfCount(uniqueViewerKey(roomId))
+  }
+  const [totalMessages, ...uniqueViewers] = await multi.exec()
+
+  const rooms = {}
+  const emptyRooms = []
+  let activeConnections = 0
+  roomIds.forEach((roomId, index) => {
+    const online = counts.get(roomId)
+    if (online === 0) {
+      emptyRooms.push(roomId)
+      return
+    }
+    rooms[roomId] = { online, uniqueViewers: Number(uniqueViewers[index]) || 0 }
+    activeConnections += online
+  })
+
+  if (emptyRooms.length > 0) {
+    await redisClient.sRem(ROOMS_KEY, emptyRooms)
+  }
+
+  return {
+    rooms,
+    activeConnections,
+    totalMessages: parseInt(totalMessages || '0'),
+    hasRedis: true
+  }
+}
@@ -0,0 +1,168 @@
+// 房间消息队列：按用户分组轮流出队，单个用户刷屏不会挤占其他用户的处理机会
+// 队列有总长度和单用户长度上限，超出时按溢出策略丢弃或拒绝；同一用户的弹幕不会并发处理，保证发送顺序
+
+// 溢出策略
+// drop_oldest 丢弃最早排队的弹幕，drop_lowest_priority 丢弃优先级最低（同优先级中最早）的弹幕，
+// reject 拒绝新弹幕并返回重试时间（背压）
+export const OVERFLOW_POLICIES = ['drop_oldest', 'drop_lowest_priority', 'reject']
+
+// 房间队列配置
+export const queueConfig = {
+  // 每个房间最多排队的弹幕数
+  maxLength: parseInt(process.env.ROOM_QUEUE_MAX_LENGTH) || 500,
+  // 每个用户在一个房间内最多排队的弹幕数（公平份额）
+  maxPerUser: parseInt(process.env.ROOM_QUEUE_MAX_PER_USER) || 5,
+  // 队列满时的溢出策略
+  overflowPolicy: OVERFLOW_POLICIES.includes(process.env.ROOM_QUEUE_OVERFLOW_POLICY)
+    ? process.env.ROOM_QUEUE_OVERFLOW_POLICY
+    : 'reject',
+  // 每个房间同时处理的弹幕数
+  concurrency: parseInt(process.env.ROOM_QUEUE_CONCURRENCY) || 8,
+  // 拒绝时建议客户端等待的时间（毫秒）
+  retryAfter: 1000
+}
+
+// 弹幕优先级：管理员 > 登录用户 > 游客
+export const getSendPriority = (user) => {
+  if (user.isAdmin) return 2
+  return user.isGuest ? 0 : 1
+}
+
+export class RoomQueue {
+  // options可覆盖queueConfig中的 maxLength / maxPerUser / overflowPolicy
+  constructor(options = {}) {
+    this.maxLength = options.maxLength ?? queueConfig.maxLength
+    this.maxPerUser = options.maxPerUser ?? queueConfig.maxPerUser
+    this.overflowPolicy = options.overflowPolicy ?? queueConfig.overflowPolicy
+    // 用户ID -> 该用户排队中的弹幕（按入队顺序）
+    this.users = new Map()
+    // 有弹幕排队的用户，按轮转顺序排列
+    this.turns = []
+    // 正在处理弹幕的用户
+    this.active = new Set()
+    this.size = 0
+    this.running = 0
+    // 入队序号，用于比较先后
+    this.sequence = 0
+    // 等待队列清空的回调
+    this.idleWaiters = []
+  }
+
+  // 排队中的弹幕数（不含正在处理的）
+  get length() {
+    return this.size
+  }
+
+  // 入队，entry需包含userId和priority
+  // 返回 { accepted, dropped }，dropped为因溢出被丢弃的弹幕；不接受时 accepted 为false，由调用方返回背压错误
+  push(entry) {
+    const queued = this.users.get(entry.userId) || []
+    const dropped = []
+
+    // 超过单用户份额：drop_oldest策略丢弃该用户自己最早的弹幕，其他策略拒绝新弹幕
+    if (queued.length >= this.maxPerUser) {
+      if (this.overflowPolicy !== 'drop_oldest') {
+        return { accepted: false, dropped }
+      }
+      dropped.push(this.removeAt(entry.userId, 0))
+    }
+
+    if (this.size >= this.maxLength) {
+      const victim = this.findVictim(entry)
+      if (!victim) {
+        return { accepted: false, dropped }
+      }
+      dropped.push(this.removeAt(victim.userId, victim.index))
+    }
+
+    entry.sequence = this.sequence++
+    if (!this.users.has(entry.userId)) {
+      this.users.set(entry.userId, [])
+      this.turns.push(entry.userId)
+    }
+    this.users.get(entry.userId).push(entry)
+    this.size++
+    return { accepted: true, dropped }
+  }
+
+  // 队列已满时按溢出策略选出要丢弃的弹幕，返回 { userId, index }；reject策略或新弹幕优先级最低时返回null
+  findVictim(entry) {
+    if (this.overflowPolicy === 'reject') return null
+
+    let victim = null
+    for (const [userId, entries] of this.users) {
+      entries.forEach((queued, index) => {
+        if (this.overflowPolicy === 'drop_oldest' && index > 0) return
+        if (!victim || this.isLowerThan(queued, victim.entry)) {
+          victim = { userId, index, entry: queued }
+        }
+      })
+    }
+
+    if (this.overflowPolicy === 'drop_lowest_priority' && victim && victim.entry.priority >= entry.priority) {
+      return null
+    }
+    return victim
+  }
+
+  // 比较丢弃顺序：drop_lowest_priority先比较优先级，再比较入队先后
+  isLowerThan(a, b) {
+    if (this.overflowPolicy === 'drop_lowest_priority' && a.priority !== b.priority) {
+      return a.priority < b.priority
+    }
+    return a.sequence < b.sequence
+  }
+
+  // 移除某个用户排队中的第index条弹幕
+  removeAt(userId, index) {
+    const entries = this.users.get(userId)
+    const [removed] = entries.splice(index, 1)
+    this.size--
+    if (entries.length === 0) {
+      this.users.delete(userId)
+      this.turns.splice(this.turns.indexOf(userId), 1)
+    }
+    return removed
+  }
+
+  // 按用户轮转取出下一条可处理的弹幕，跳过正在处理弹幕的用户；没有可处理的弹幕时返回null
+  take() {
+    const turn = this.turns.findIndex(userId => !this.active.has(userId))
+    if (turn === -1) return null
+
+    const userId = this.turns[turn]
+    const entry = this.removeAt(userId, 0)
+    // 该用户还有弹幕时排到队尾
+    if (this.users.has(userId)) {
+      this.turns.splice(this.turns.indexOf(userId), 1)
+      this.turns.push(userId)
+    }
+    this.active.add(userId)
+    this.running++
+    return entry
+  }
+
+  // 一条弹幕处理完成
+  done(entry) {
+    this.active.delete(entry.userId)
+    this.running--
+    if (this.size === 0 && this.running === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve())
+    }
+  }
+
+  // 清空排队中的弹幕并返回，正在处理的不受影响
+  clear() {
+    const entries = [...this.users.values()].flat()
+    this.users.clear()
+    this.turns = []
+    this.size = 0
+    return entries
+  }
+
+  // 等待排队和处理中的弹幕全部完成
+  onIdle() {
+    if (this.size === 0 && this.running === 0) return Promise.resolve()
+    return new Promise(resolve => this.idleWaiters.push(resolve))
+  }
+}
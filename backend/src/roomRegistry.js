@@ -0,0 +1,367 @@
+import { redisClient, redisUtils, dbAdapter, instanceId } from './database.js'
+import { ROOM_ID_PATTERN } from './socketSchemas.js'
+import { hashPassword, verifyPassword } from './auth.js'
+
+// 房间状态：created 已创建未开放，open 开放中，closed 已关闭（可重新开放），archived 已归档（不可再开放）
+export const ROOM_STATUSES = ['created', 'open', 'closed', 'archived']
+
+// 房间访问方式：public 公开，password 需要密码，invite 仅受邀用户
+export const ROOM_ACCESS_MODES = ['public', 'password', 'invite']
+
+// 允许的状态流转
+const ROOM_TRANSITIONS = {
+  created: ['open', 'archived'],
+  open: ['closed', 'archived'],
+  closed: ['open', 'archived'],
+  archived: []
+}
+
+// 房间登记配置
+const registryConfig = {
+  // 未登记的房间在首次加入时自动创建并开放（仅用于开发和压测）
+  autoCreate: process.env.ROOM_AUTO_CREATE === 'true',
+  // 启动时确保存在的默认房间（前端演示页使用）
+  defaultRooms: ['default-room'],
+  // 人数上限的取值范围
+  maxViewers: { min: 1, max: 100000 },
+  // 受邀用户名单的最大长度
+  maxInvitees: 1000
+}
+
+// 房间变更通知频道
+const ROOMS_CHANNEL = 'rooms:changed'
+
+// 房间索引：有序集合，成员为房间ID，分数为创建时间（毫秒），管理后台在Redis中分页时作为筛选范围
+// danmaku:room-index:rooms:all       所有已登记的房间
+// danmaku:room-index:rooms:{status}  处于该状态的房间
+export const roomIndexKey = (status) => `danmaku:room-index:rooms:${status || 'all'}`
+
+// 已登记的房间：房间ID -> 房间记录
+const rooms = new Map()
+
+// 房间变更监听器（本实例和其他实例的变更都会通知）
+const listeners = new Set()
+
+// 数据库适配器是否可用
+const isAdapterReady = () => {
+  return !!dbAdapter && dbAdapter.isConnected
+}
+
+// 对外返回的房间信息（不包含密码哈希）
+const toPublicRoom = (room) => {
+  const { passwordHash, ...publicRoom } = room
+  return { ...publicRoom, hasPassword: !!passwordHash }
+}
+
+// 通知房间变更监听器
+const notifyRoomChanged = (roomId) => {
+  const room = rooms.get(roomId)
+  for (const listener of listeners) {
+    try {
+      listener(roomId, room ? toPublicRoom(room) : null)
+    } catch (error) {
+      console.error('[房间登记] 房间变更监听器执行失败:', error)
+    }
+  }
+}
+
+// 校验并整理房间字段，返回 { fields } 或 { error }；只处理input中出现的字段
+const parseRoomInput = async (input) => {
+  const fields = {}
+
+  if (input.title !== undefined) {
+    if (typeof input.title !== 'string' || !input.title.trim() || input.title.length > 100) {
+      return { error: 'title 必须是1~100个字符的字符串' }
+    }
+    fields.title = input.title.trim()
+  }
+
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || input.description.length > 500) {
+      return { error: 'description 必须是不超过500个字符的字符串' }
+    }
+    fields.description = input.description
+  }
+
+  if (input.owner !== undefined) {
+    if (input.owner !== null && (typeof input.owner !== 'string' || !input.owner || input.owner.length > 255)) {
+      return { error: 'owner 必须是用户ID或null' }
+    }
+    fields.owner = input.owner
+  }
+
+  if (input.maxViewers !== undefined) {
+    const { min, max } = registryConfig.maxViewers
+    if (input.maxViewers !== null && (!Number.isInteger(input.maxViewers) || input.maxViewers < min || input.maxViewers > max)) {
+      return { error: `maxViewers 必须是 ${min}~${max} 之间的整数或null（不限人数）` }
+    }
+    fields.maxViewers = input.maxViewers
+  }
+
+  if (input.access !== undefined) {
+    if (!ROOM_ACCESS_MODES.includes(input.access)) {
+      return { error: `access 必须是 ${ROOM_ACCESS_MODES.join('/')} 之一` }
+    }
+    fields.access = input.access
+  }
+
+  if (input.password !== undefined) {
+    if (input.password === null) {
+      fields.passwordHash = null
+    } else if (typeof input.password !== 'string' || input.password.length < 4 || input.password.length > 128) {
+      return { error: 'password 必须是4~128个字符的字符串，传null清除密码' }
+    } else {
+      fields.passwordHash = await hashPassword(input.password)
+    }
+  }
+
+  if (input.invitees !== undefined) {
+    const { invitees } = input
+    if (!Array.isArray(invitees) || invitees.length > registryConfig.maxInvitees ||
+        invitees.some(userId => typeof userId !== 'string' || !userId || userId.length > 255)) {
+      return { error: `invitees 必须是不超过${registryConfig.maxInvitees}个用户ID的数组` }
+    }
+    fields.invitees = [...new Set(invitees)]
+  }
+
+  return { fields }
+}
+
+// 将房间写入房间索引，并从其他状态的索引中移除
+const indexRooms = async (roomList) => {
+  if (!redisClient || roomList.length === 0) return
+
+  try {
+    const multi = redisClient.multi()
+    for (const room of roomList) {
+      const member = { score: Date.parse(room.createdAt) || 0, value: room.id }
+      multi.zAdd(roomIndexKey(), member)
+      for (const status of ROOM_STATUSES) {
+        if (status === room.status) {
+          multi.zAdd(roomIndexKey(status), member)
+        } else {
+          multi.zRem(roomIndexKey(status), room.id)
+        }
+      }
+    }
+    await multi.exec()
+  } catch (error) {
+    console.error('[房间登记] 更新房间索引失败:', error)
+  }
+}
+
+// 保存房间：写入数据库、更新本地缓存并通知其他实例
+const saveRoom = async (room) => {
+  const nextRoom = { ...room, updatedAt: new Date().toISOString() }
+
+  if (isAdapterReady()) {
+    const saved = await dbAdapter.saveRoom(nextRoom)
+    if (!saved) {
+      return { success: false, code: 'storage', message: '房间保存失败' }
+    }
+  }
+
+  rooms.set(nextRoom.id, nextRoom)
+  await indexRooms([nextRoom])
+  notifyRoomChanged(nextRoom.id)
+  await redisUtils.publish(ROOMS_CHANNEL, {
+    origin: instanceId,
+    roomId: nextRoom.id,
+    timestamp: Date.now()
+  })
+
+  return { success: true, room: toPublicRoom(nextRoom) }
+}
+
+// 生成新的房间记录
+const buildRoom = (id, fields, status = 'created') => {
+  const now = new Date().toISOString()
+  return {
+    id,
+    title: id,
+    description: '',
+    owner: null,
+    status,
+    maxViewers: null,
+    access: 'public',
+    passwordHash: null,
+    invitees: [],
+    ...fields,
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+// 从数据库加载房间，并补齐默认房间
+const loadRooms = async () => {
+  if (isAdapterReady()) {
+    const savedRooms = await dbAdapter.getRooms()
+    rooms.clear()
+    for (const room of savedRooms) {
+      rooms.set(room.id, room)
+    }
+  }
+
+  for (const roomId of registryConfig.defaultRooms) {
+    if (!rooms.has(roomId)) {
+      const room = buildRoom(roomId, { title: '默认房间' }, 'open')
+      if (isAdapterReady()) {
+        await dbAdapter.saveRoom(room)
+      }
+      rooms.set(roomId, room)
+    }
+  }
+
+  return rooms.size
+}
+
+// 处理其他实例发布的房间变更
+const handleRoomsChanged = async (message) => {
+  if (!message || message.origin === instanceId) return
+
+  try {
+    await loadRooms()
+    notifyRoomChanged(message.roomId)
+  } catch (error) {
+    console.error('[房间登记] 重新加载房间失败:', error)
+  }
+}
+
+// 初始化房间登记
+export const initializeRoomRegistry = async () => {
+  const count = await loadRooms()
+  // 补齐索引（索引之前登记的房间、Redis不可用期间的修改）
+  await indexRooms([...rooms.values()])
+
+  // 订阅房间变更，保证多副本的房间状态一致
+  const subscribeResult = await redisUtils.subscribe(ROOMS_CHANNEL, handleRoomsChanged)
+  if (!subscribeResult.success) {
+    console.warn('房间变更订阅失败，房间修改将只在当前实例生效')
+  }
+
+  console.log(`房间登记加载完成，共 ${count} 个房间${registryConfig.autoCreate ? '（已开启自动创建房间）' : ''}`)
+}
+
+// 注册房间变更监听器，参数为 (roomId, room)
+export const onRoomChanged = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// 获取房间列表，可按状态筛选
+export const listRooms = ({ status } = {}) => {
+  return [...rooms.values()]
+    .filter(room => !status || room.status === status)
+    .map(toPublicRoom)
+}
+
+// 获取房间信息，不存在时返回null
+export const getRoom = (roomId) => {
+  const room = rooms.get(roomId)
+  return room ? toPublicRoom(room) : null
+}
+
+// 房间是否处于开放状态
+export const isRoomOpen = (roomId) => {
+  return rooms.get(roomId)?.status === 'open'
+}
+
+// 创建房间，新房间处于created状态（open为true时直接开放）
+export const createRoom = async (input = {}) => {
+  const { id, open = false, ...rest } = input
+  if (typeof id !== 'string' || !ROOM_ID_PATTERN.test(id)) {
+    return { success: false, code: 'invalid', message: 'id 必须是1~64个字符且不含空白' }
+  }
+  if (rooms.has(id)) {
+    return { success: false, code: 'conflict', message: '房间已存在' }
+  }
+
+  const { fields, error } = await parseRoomInput(rest)
+  if (error) {
+    return { success: false, code: 'invalid', message: error }
+  }
+
+  const room = buildRoom(id, fields, open ? 'open' : 'created')
+  if (room.access === 'password' && !room.passwordHash) {
+    return { success: false, code: 'invalid', message: '需要密码的房间必须设置password' }
+  }
+
+  return saveRoom(room)
+}
+
+// 修改房间信息和访问限制，只修改input中出现的字段
+export const updateRoom = async (roomId, input = {}) => {
+  const room = rooms.get(roomId)
+  if (!room) {
+    return { success: false, code: 'not_found', message: '房间不存在' }
+  }
+  if (room.status === 'archived') {
+    return { success: false, code: 'conflict', message: '已归档的房间不能修改' }
+  }
+
+  const { fields, error } = await parseRoomInput(input)
+  if (error) {
+    return { success: false, code: 'invalid', message: error }
+  }
+
+  const nextRoom = { ...room, ...fields }
+  if (nextRoom.access === 'password' && !nextRoom.passwordHash) {
+    return { success: false, code: 'invalid', message: '需要密码的房间必须设置password' }
+  }
+
+  return saveRoom(nextRoom)
+}
+
+// 切换房间状态（open/close/archive），不允许的流转返回conflict
+export const setRoomStatus = async (roomId, status) => {
+  const room = rooms.get(roomId)
+  if (!room) {
+    return { success: false, code: 'not_found', message: '房间不存在' }
+  }
+  if (room.status === status) {
+    return { success: true, room: toPublicRoom(room) }
+  }
+  if (!ROOM_TRANSITIONS[room.status].includes(status)) {
+    return { success: false, code: 'conflict', message: `房间不能从 ${room.status} 变为 ${status}` }
+  }
+
+  return saveRoom({ ...room, status })
+}
+
+// 检查用户能否加入房间
+// 管理员和房主不受人数和访问方式限制；人数上限在登记在线状态时原子判断（joinPresence），这里只返回适用的上限
+// 返回 { allowed: true, room, capacity }（capacity为0表示不限人数）或 { allowed: false, code, reason }
+export const checkRoomAccess = async (roomId, user, { password } = {}) => {
+  let room = rooms.get(roomId)
+
+  if (!room && registryConfig.autoCreate) {
+    const result = await saveRoom(buildRoom(roomId, {}, 'open'))
+    if (result.success) {
+      console.log(`[房间登记] 自动创建房间 ${roomId}`)
+      room = rooms.get(roomId)
+    }
+  }
+
+  if (!room) {
+    return { allowed: false, code: 'room_not_found', reason: '房间不存在' }
+  }
+  if (room.status !== 'open') {
+    return { allowed: false, code: 'room_closed', reason: '房间未开放', status: room.status }
+  }
+  if (user?.isAdmin || (room.owner && room.owner === user?.userId)) {
+    return { allowed: true, room: toPublicRoom(room), capacity: 0 }
+  }
+  if (room.access === 'password') {
+    if (!password) {
+      return { allowed: false, code: 'password_required', reason: '房间需要密码' }
+    }
+    if (!(await verifyPassword(password, room.passwordHash))) {
+      return { allowed: false, code: 'wrong_password', reason: '房间密码错误' }
+    }
+  }
+  if (room.access === 'invite' && !room.invitees.includes(user?.userId)) {
+    return { allowed: false, code: 'not_invited', reason: '仅受邀用户可以加入' }
+  }
+
+  return { allowed: true, room: toPublicRoom(room), capacity: room.maxViewers || 0 }
+}
@@ -0,0 +1,255 @@
+import { redisUtils, dbAdapter, instanceId } from './database.js'
+
+// 运行时配置注册表：各模块把自己正在使用的配置对象和字段定义注册进来，读取和修改的都是这些对象本身
+// 修改经过字段定义校验后写入数据库（只保存与默认值不同的项），并通过Redis把变更同步给其他实例；启动时从数据库加载覆盖默认值
+
+// 配置变更通知频道
+const CONFIG_CHANNEL = 'config:changed'
+
+// 支持的字段类型
+// integer 整数（min/max），boolean 布尔值，string 字符串（minLength/maxLength），enum 枚举（values），
+// list 对象数组（maxItems，items为每个对象的字段定义，字段类型不能再是list）
+const FIELD_TYPES = ['integer', 'boolean', 'string', 'enum', 'list']
+
+// 配置分组：分组名 -> { target, fields, defaults }
+// fields: 配置项路径（如 userRateLimit.messagesPerSecond）-> 字段定义；defaults为注册时的值
+const sections = new Map()
+
+// 被修改过的配置项：完整键名（分组名.路径）-> { key, value, updatedBy, updatedAt }
+const overrides = new Map()
+
+// 数据库适配器是否可用
+const isAdapterReady = () => {
+  return !!dbAdapter && dbAdapter.isConnected
+}
+
+// 是否为普通对象
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// 配置值是否相同（list类型按内容比较）
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// 按路径读取和写入配置对象，写入时中间层不存在则创建
+const getPath = (target, path) => path.split('.').reduce((value, name) => value?.[name], target)
+const setPath = (target, path, value) => {
+  const names = path.split('.')
+  const last = names.pop()
+  names.reduce((object, name) => (object[name] ??= {}), target)[last] = value
+}
+
+// 拆分完整键名，返回 { section, path, field }，未注册时返回null
+const resolveKey = (key) => {
+  const index = key.indexOf('.')
+  const section = sections.get(key.slice(0, index))
+  const path = key.slice(index + 1)
+  if (index < 0 || !section || !section.fields[path]) return null
+  return { section, path, field: section.fields[path] }
+}
+
+// 校验配置项的值，返回错误说明，合法时返回null
+const validateValue = (key, field, value) => {
+  switch (field.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        return `${key} 必须是 ${field.min}~${field.max} 之间的整数`
+      }
+      return null
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} 必须是布尔值`
+    case 'string':
+      if (typeof value !== 'string' || value.length < (field.minLength ?? 0) || value.length > field.maxLength) {
+        return `${key} 必须是 ${field.minLength ?? 0}~${field.maxLength} 个字符的字符串`
+      }
+      return null
+    case 'enum':
+      return field.values.includes(value) ? null : `${key} 必须是 ${field.values.join('/')} 之一`
+    case 'list': {
+      if (!Array.isArray(value) || value.length > field.maxItems) {
+        return `${key} 必须是不超过${field.maxItems}项的数组`
+      }
+      const names = Object.keys(field.items)
+      for (const [index, item] of value.entries()) {
+        if (!isPlainObject(item) || Object.keys(item).some(name => !field.items[name])) {
+          return `${key}[${index}] 只能包含 ${names.join('/')}`
+        }
+        for (const name of names) {
+          const error = validateValue(`${key}[${index}].${name}`, field.items[name], item[name])
+          if (error) return error
+        }
+      }
+      return null
+    }
+    default:
+      return `${key} 的类型未知`
+  }
+}
+
+// 注册配置分组：target为模块实际使用的配置对象，fields为可在运行时修改的配置项及其定义
+// 字段定义: { type, description, min, max, minLength, maxLength, values }
+export const registerConfig = (name, target, fields) => {
+  for (const [path, field] of Object.entries(fields)) {
+    const itemTypes = field.type === 'list' ? Object.values(field.items).map(item => item.type) : []
+    if (!FIELD_TYPES.includes(field.type) || itemTypes.some(type => type === 'list' || !FIELD_TYPES.includes(type))) {
+      throw new Error(`配置项 ${name}.${path} 的类型不受支持`)
+    }
+  }
+
+  const defaults = {}
+  for (const path of Object.keys(fields)) {
+    defaults[path] = structuredClone(getPath(target, path))
+  }
+  sections.set(name, { target, fields, defaults })
+}
+
+// 应用配置项变更（本实例或其他实例发起），setting为null表示恢复默认值
+const applySetting = (key, setting) => {
+  const resolved = resolveKey(key)
+  if (!resolved) return
+
+  const { section, path } = resolved
+  if (setting) {
+    overrides.set(key, setting)
+    setPath(section.target, path, setting.value)
+  } else {
+    overrides.delete(key)
+    setPath(section.target, path, structuredClone(section.defaults[path]))
+  }
+}
+
+// 处理其他实例发布的配置变更，消息中带有完整的配置项，不需要重新查询数据库
+const handleConfigChanged = (message) => {
+  if (!message || message.origin === instanceId || !Array.isArray(message.changes)) return
+  message.changes.forEach(({ key, setting }) => applySetting(key, setting || null))
+}
+
+// 从数据库加载被修改过的配置项，未注册或不合法的项跳过（如升级后删除或收紧了配置项）
+const loadConfigSettings = async () => {
+  if (!isAdapterReady()) return overrides.size
+
+  const saved = await dbAdapter.getConfigSettings()
+  for (const setting of saved) {
+    const resolved = resolveKey(setting.key)
+    const error = resolved ? validateValue(setting.key, resolved.field, setting.value) : '未注册的配置项'
+    if (error) {
+      console.warn(`[运行时配置] 跳过数据库中的配置项 ${setting.key}: ${error}`)
+      continue
+    }
+    applySetting(setting.key, setting)
+  }
+  return overrides.size
+}
+
+// 初始化运行时配置（需在各模块注册配置之后调用）
+export const initializeRuntimeConfig = async () => {
+  const count = await loadConfigSettings()
+
+  // 订阅配置变更，保证多副本的配置一致
+  const subscribeResult = await redisUtils.subscribe(CONFIG_CHANNEL, handleConfigChanged)
+  if (!subscribeResult.success) {
+    console.warn('运行时配置变更订阅失败，配置修改将只在当前实例生效')
+  }
+
+  console.log(`运行时配置加载完成，共 ${count} 项与默认值不同`)
+}
+
+// 获取当前生效的配置：{ 分组名: { 配置项... } }
+export const getRuntimeConfig = () => {
+  const config = {}
+  for (const [name, { target, fields }] of sections) {
+    config[name] = {}
+    for (const path of Object.keys(fields)) {
+      setPath(config[name], path, getPath(target, path))
+    }
+  }
+  return config
+}
+
+// 获取配置项定义：[{ key, type, description, ..., default, value, updatedBy, updatedAt }]
+export const describeRuntimeConfig = () => {
+  const fields = []
+  for (const [name, { target, fields: sectionFields, defaults }] of sections) {
+    for (const [path, field] of Object.entries(sectionFields)) {
+      const key = `${name}.${path}`
+      fields.push({
+        key,
+        ...field,
+        default: defaults[path],
+        value: getPath(target, path),
+        updatedBy: overrides.get(key)?.updatedBy ?? null,
+        updatedAt: overrides.get(key)?.updatedAt ?? null
+      })
+    }
+  }
+  return fields
+}
+
+// 把嵌套的修改内容展开为 [[完整键名, 值]]，遇到已注册的配置项时停止展开
+const flattenChanges = (changes, prefix = '') => {
+  const entries = []
+  for (const [name, value] of Object.entries(changes)) {
+    const key = prefix ? `${prefix}.${name}` : name
+    if (!resolveKey(key) && isPlainObject(value)) {
+      entries.push(...flattenChanges(value, key))
+    } else {
+      entries.push([key, value])
+    }
+  }
+  return entries
+}
+
+// 修改配置（只修改传入的项，传null恢复默认值），结构与getRuntimeConfig一致，如 { filter: { maxLength: 80 } }
+// 全部配置项校验通过后才写入；返回的before/after为实际变化的配置项（完整键名 -> 值）
+export const updateRuntimeConfig = async (changes, updatedBy = null) => {
+  if (!isPlainObject(changes)) {
+    return { success: false, code: 'invalid', message: '配置必须是对象' }
+  }
+
+  const entries = flattenChanges(changes)
+  if (entries.length === 0) {
+    return { success: false, code: 'invalid', message: '没有需要修改的配置项' }
+  }
+  for (const [key, value] of entries) {
+    const resolved = resolveKey(key)
+    if (!resolved) {
+      return { success: false, code: 'invalid', message: `未知的配置项 ${key}` }
+    }
+    const error = value === null ? null : validateValue(key, resolved.field, value)
+    if (error) {
+      return { success: false, code: 'invalid', message: error }
+    }
+  }
+
+  const before = {}
+  const after = {}
+  const applied = []
+  let failed = null
+  for (const [key, value] of entries) {
+    const { section, path } = resolveKey(key)
+    const current = getPath(section.target, path)
+    const reset = value === null || isSameValue(value, section.defaults[path])
+    const setting = reset ? null : { key, value, updatedBy, updatedAt: new Date().toISOString() }
+    if (reset && !overrides.has(key)) continue
+    if (!reset && isSameValue(value, current)) continue
+
+    if (isAdapterReady()) {
+      const saved = reset ? await dbAdapter.deleteConfigSetting(key) : await dbAdapter.saveConfigSetting(setting)
+      if (!saved) {
+        failed = key
+        break
+      }
+    }
+    applySetting(key, setting)
+    applied.push({ key, setting })
+    before[key] = current
+    after[key] = getPath(section.target, path)
+  }
+
+  // 保存失败时已写入数据库的项仍然生效，保证内存与数据库一致
+  if (applied.length > 0) {
+    await redisUtils.publish(CONFIG_CHANNEL, { origin: instanceId, changes: applied })
+  }
+  if (failed) {
+    return { success: false, code: 'storage', message: `配置项 ${failed} 保存失败`, before, after }
+  }
+  return { success: true, config: getRuntimeConfig(), before, after }
+}
@@ -0,0 +1,276 @@
+import { redisUtils, dbAdapter, instanceId } from './database.js'
+
+// 处罚：房间内禁言（mute）、全局封禁用户或IP（ban）
+// 处罚记录保存到数据库并缓存在各实例内存中，发送弹幕和建立连接时只查内存；变更通过Redis把记录同步给其他实例
+
+// 处罚配置
+const sanctionConfig = {
+  // 禁言/封禁时长上限（秒）
+  maxDuration: 365 * 24 * 3600,
+  // 处罚原因的最大长度
+  maxReasonLength: 200
+}
+
+// 处罚变更通知频道
+const SANCTIONS_CHANNEL = 'sanctions:changed'
+
+// 处罚记录：ID -> { id, type, roomId, userId, ip, reason, createdAt, expiresAt }
+// ID由处罚对象决定（mute:房间:用户、ban:user:用户、ban:ip:IP），重复处罚时覆盖原记录
+const sanctions = new Map()
+
+// 处罚变更监听器，参数为 (id, sanction)，解除时sanction为null
+const listeners = new Set()
+
+// 数据库适配器是否可用
+const isAdapterReady = () => {
+  return !!dbAdapter && dbAdapter.isConnected
+}
+
+// 处罚记录ID
+const muteId = (roomId, userId) => `mute:${roomId}:${userId}`
+const banId = (target, value) => `ban:${target}:${value}`
+
+// 去掉IPv4映射地址的前缀，::ffff:1.2.3.4 与 1.2.3.4 视为同一IP
+export const normalizeIp = (ip) => {
+  return typeof ip === 'string' ? ip.trim().replace(/^::ffff:/, '') : ''
+}
+
+// 受信任的反向代理层数：TRUST_PROXY为非负整数，true按1层处理，未设置或false为0（不信任X-Forwarded-For）
+export const trustedProxyHops = (value = process.env.TRUST_PROXY) => {
+  if (value === 'true') return 1
+  const hops = parseInt(value)
+  return Number.isInteger(hops) && hops > 0 ? hops : 0
+}
+
+// 客户端IP：与express的trust proxy取数字时的语义一致
+// 把连接地址接在X-Forwarded-For之后，从右往左跳过受信任的代理层数；
+// 客户端自己填写的地址只会出现在左侧，无法冒充由代理追加的地址
+export const resolveClientIp = (headers, address, hops = trustedProxyHops()) => {
+  const header = headers['x-forwarded-for']
+  const forwarded = hops > 0 && header
+    ? (Array.isArray(header) ? header.join(',') : header).split(',').map(ip => ip.trim()).filter(Boolean)
+    : []
+  const chain = [...forwarded, address]
+  return normalizeIp(chain[Math.max(0, chain.length - 1 - hops)])
+}
+
+// 处罚是否已过期
+const isExpired = (sanction, now = Date.now()) => {
+  return !!sanction.expiresAt && new Date(sanction.expiresAt).getTime() <= now
+}
+
+// 获取生效中的处罚，过期的记录顺便从内存中移除
+const getActiveSanction = (id) => {
+  const sanction = sanctions.get(id)
+  if (!sanction) return null
+  if (isExpired(sanction)) {
+    sanctions.delete(id)
+    return null
+  }
+  return sanction
+}
+
+// 通知处罚变更监听器
+const notifySanctionChanged = (id, sanction) => {
+  for (const listener of listeners) {
+    try {
+      listener(id, sanction)
+    } catch (error) {
+      console.error('[处罚] 处罚变更监听器执行失败:', error)
+    }
+  }
+}
+
+// 应用处罚变更（本实例或其他实例发起）
+const applySanction = (id, sanction) => {
+  if (sanction) {
+    sanctions.set(id, sanction)
+  } else {
+    sanctions.delete(id)
+  }
+  notifySanctionChanged(id, sanction)
+}
+
+// 处理其他实例发布的处罚变更，消息中带有完整记录，不需要重新查询数据库
+const handleSanctionsChanged = (message) => {
+  if (!message || message.origin === instanceId || !message.id) return
+  applySanction(message.id, message.sanction || null)
+}
+
+// 从数据库加载处罚记录，并删除已过期的记录
+const loadSanctions = async () => {
+  if (!isAdapterReady()) return sanctions.size
+
+  const saved = await dbAdapter.getSanctions()
+  sanctions.clear()
+  for (const sanction of saved) {
+    if (isExpired(sanction)) {
+      await dbAdapter.deleteSanction(sanction.id)
+    } else {
+      sanctions.set(sanction.id, sanction)
+    }
+  }
+  return sanctions.size
+}
+
+// 初始化处罚记录
+export const initializeSanctions = async () => {
+  const count = await loadSanctions()
+
+  // 订阅处罚变更，保证多副本的处罚一致
+  const subscribeResult = await redisUtils.subscribe(SANCTIONS_CHANNEL, handleSanctionsChanged)
+  if (!subscribeResult.success) {
+    console.warn('处罚变更订阅失败，禁言和封禁将只在当前实例生效')
+  }
+
+  console.log(`处罚记录加载完成，共 ${count} 条生效中的禁言/封禁`)
+}
+
+// 注册处罚变更监听器，参数为 (id, sanction)
+export const onSanctionChanged = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// 保存处罚：写入数据库、更新本地缓存并通知其他实例
+// 返回的previous为被覆盖的生效中处罚（没有时为null）
+const saveSanction = async (sanction) => {
+  const previous = getActiveSanction(sanction.id)
+  if (isAdapterReady() && !(await dbAdapter.saveSanction(sanction))) {
+    return { success: false, code: 'storage', message: '处罚记录保存失败' }
+  }
+
+  applySanction(sanction.id, sanction)
+  await redisUtils.publish(SANCTIONS_CHANNEL, { origin: instanceId, id: sanction.id, sanction })
+  return { success: true, sanction, previous }
+}
+
+// 解除处罚，不存在（或已过期）时返回not_found；成功时previous为被解除的处罚
+const liftSanction = async (id) => {
+  const previous = getActiveSanction(id)
+  if (!previous) {
+    return { success: false, code: 'not_found', message: '处罚记录不存在或已过期' }
+  }
+  if (isAdapterReady() && !(await dbAdapter.deleteSanction(id))) {
+    return { success: false, code: 'storage', message: '处罚记录删除失败' }
+  }
+
+  applySanction(id, null)
+  await redisUtils.publish(SANCTIONS_CHANNEL, { origin: instanceId, id, sanction: null })
+  return { success: true, previous }
+}
+
+// 校验处罚时长（秒）和原因，返回 { expiresAt, reason } 或 { error }；required为false时不传时长表示永久
+const parseSanctionInput = ({ duration, reason }, required) => {
+  if (duration === undefined || duration === null) {
+    if (required) {
+      return { error: 'duration 必须是禁言时长（秒）' }
+    }
+  } else if (!Number.isInteger(duration) || duration < 1 || duration > sanctionConfig.maxDuration) {
+    return { error: `duration 必须是 1~${sanctionConfig.maxDuration} 之间的整数（秒）` }
+  }
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > sanctionConfig.maxReasonLength)) {
+    return { error: `reason 必须是不超过${sanctionConfig.maxReasonLength}个字符的字符串` }
+  }
+
+  return {
+    expiresAt: duration ? new Date(Date.now() + duration * 1000).toISOString() : null,
+    reason: reason || ''
+  }
+}
+
+// 校验用户ID
+const isValidUserId = (userId) => typeof userId === 'string' && userId.length > 0 && userId.length <= 255
+
+// 在房间内禁言用户，duration为禁言时长（秒）
+export const muteUser = async (roomId, { userId, duration, reason } = {}) => {
+  if (!isValidUserId(userId)) {
+    return { success: false, code: 'invalid', message: 'userId 必须是1~255个字符的字符串' }
+  }
+  const { expiresAt, reason: parsedReason, error } = parseSanctionInput({ duration, reason }, true)
+  if (error) {
+    return { success: false, code: 'invalid', message: error }
+  }
+
+  return saveSanction({
+    id: muteId(roomId, userId),
+    type: 'mute',
+    roomId,
+    userId,
+    ip: null,
+    reason: parsedReason,
+    createdAt: new Date().toISOString(),
+    expiresAt
+  })
+}
+
+// 解除房间内的禁言
+export const unmuteUser = (roomId, userId) => liftSanction(muteId(roomId, userId))
+
+// 全局封禁用户或IP（userId和ip二选一），不传duration时永久封禁
+export const banUser = async ({ userId, ip, duration, reason } = {}) => {
+  if ((userId === undefined) === (ip === undefined)) {
+    return { success: false, code: 'invalid', message: 'userId 和 ip 必须且只能指定一个' }
+  }
+  if (userId !== undefined && !isValidUserId(userId)) {
+    return { success: false, code: 'invalid', message: 'userId 必须是1~255个字符的字符串' }
+  }
+  const normalizedIp = normalizeIp(ip)
+  if (ip !== undefined && (!normalizedIp || normalizedIp.length > 64 || /\s/.test(normalizedIp))) {
+    return { success: false, code: 'invalid', message: 'ip 必须是IP地址' }
+  }
+  const { expiresAt, reason: parsedReason, error } = parseSanctionInput({ duration, reason }, false)
+  if (error) {
+    return { success: false, code: 'invalid', message: error }
+  }
+
+  return saveSanction({
+    id: userId !== undefined ? banId('user', userId) : banId('ip', normalizedIp),
+    type: 'ban',
+    roomId: null,
+    userId: userId ?? null,
+    ip: userId !== undefined ? null : normalizedIp,
+    reason: parsedReason,
+    createdAt: new Date().toISOString(),
+    expiresAt
+  })
+}
+
+// 解除封禁，target为user或ip
+export const unbanUser = (target, value) => {
+  return liftSanction(banId(target, target === 'ip' ? normalizeIp(value) : value))
+}
+
+// 获取生效中的处罚，可按类型和房间筛选，按处罚时间倒序返回
+export const listSanctions = ({ type, roomId } = {}) => {
+  return [...sanctions.keys()]
+    .map(getActiveSanction)
+    .filter(sanction => sanction &&
+      (!type || sanction.type === type) &&
+      (!roomId || sanction.roomId === roomId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+// 查找对用户或IP生效的封禁
+export const findBan = (userId, ip) => {
+  return (userId && getActiveSanction(banId('user', userId))) ||
+    (ip && getActiveSanction(banId('ip', normalizeIp(ip)))) ||
+    null
+}
+
+// 检查用户能否在房间内发送弹幕，返回 { allowed: true } 或 { allowed: false, code, reason, expiresAt }
+// code: banned 已被封禁，muted 已被禁言
+export const checkSendSanctions = (userId, roomId, ip) => {
+  const ban = findBan(userId, ip)
+  if (ban) {
+    return { allowed: false, code: 'banned', reason: '账号已被封禁', expiresAt: ban.expiresAt }
+  }
+
+  const mute = getActiveSanction(muteId(roomId, userId))
+  if (mute) {
+    return { allowed: false, code: 'muted', reason: '你已被禁言', expiresAt: mute.expiresAt }
+  }
+
+  return { allowed: true }
+}
@@ -0,0 +1,71 @@
+// 优雅关闭：收到SIGTERM/SIGINT后按登记顺序执行关闭步骤，超过期限时强制退出
+// 关闭开始后就绪检查返回未就绪，新的连接和加入房间请求会被拒绝；已建立的连接照常收发弹幕，
+// 等待drainDelay后进入排空阶段，不再接收新弹幕，再执行关闭步骤（断开连接等）
+
+// 优雅关闭配置
+export const shutdownConfig = {
+  // 关闭的最长时间（毫秒，包含drainDelay），超过后强制退出；需小于k8s的terminationGracePeriodSeconds
+  timeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 25000,
+  // 开始关闭后到断开连接前的等待时间（毫秒）：等负载均衡根据就绪检查把实例移出后再断开，
+  // 否则客户端重连可能再次落到本实例；K8s中需大于就绪检查的失败判定时间（periodSeconds x failureThreshold）
+  drainDelay: parseInt(process.env.SHUTDOWN_DRAIN_DELAY) || 0,
+  // 客户端收到server-shutdown后在该时间窗口内随机延迟重连（毫秒），避免同时涌向其他实例
+  reconnectWindow: 5000
+}
+
+// 关闭步骤：[{ name, step }]，按登记顺序执行
+const steps = []
+
+let shuttingDown = false
+let draining = false
+
+// 是否已开始关闭（就绪检查返回未就绪，拒绝新连接和加入房间）
+export const isShuttingDown = () => shuttingDown
+
+// 是否已进入排空阶段（drainDelay结束后，拒绝新弹幕并断开连接）
+export const isDraining = () => draining
+
+// 登记关闭步骤，某一步失败不影响后续步骤
+export const onShutdown = (name, step) => {
+  steps.push({ name, step })
+}
+
+// 执行关闭
+export const shutdown = async (signal) => {
+  if (shuttingDown) return
+  shuttingDown = true
+  console.log(`收到 ${signal}，开始优雅关闭（最长 ${shutdownConfig.timeout}ms）...`)
+
+  const forceExitTimer = setTimeout(() => {
+    console.error('优雅关闭超时，强制退出')
+    process.exit(1)
+  }, shutdownConfig.timeout)
+  forceExitTimer.unref()
+
+  if (shutdownConfig.drainDelay > 0) {
+    console.log(`[优雅关闭] 等待 ${shutdownConfig.drainDelay}ms，待实例移出负载均衡后断开连接`)
+    await new Promise(resolve => setTimeout(resolve, shutdownConfig.drainDelay))
+  }
+  draining = true
+
+  for (const { name, step } of steps) {
+    const startedAt = Date.now()
+    try {
+      await step()
+      console.log(`[优雅关闭] ${name} 完成（${Date.now() - startedAt}ms）`)
+    } catch (error) {
+      console.error(`[优雅关闭] ${name} 失败:`, error)
+    }
+  }
+
+  clearTimeout(forceExitTimer)
+  console.log('服务器已关闭')
+  process.exit(0)
+}
+
+// 监听关闭信号（k8s发送SIGTERM，本地Ctrl+C为SIGINT）
+export const handleShutdownSignals = () => {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => shutdown(signal))
+  }
+}
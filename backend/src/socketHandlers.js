@@ -1,48 +1,170 @@
 import { nanoid } from 'nanoid'
-import { redisClient, mongoClient } from './database.js'
+import { redisUtils } from './database.js'
 import { filterDanmaku, checkRateLimit, checkDuplicateMessage } from './filterRules.js'
+import { enqueueDanmaku, getRoomHistory, getDanmakuByVideoTime, startDanmakuStore } from './danmakuStore.js'
+import { recordFlaggedDanmaku } from './moderation.js'
+import { issueGuestToken } from './auth.js'
+import { validateSocketPayload } from './socketSchemas.js'
+import { checkRoomAccess, isRoomOpen, onRoomChanged, getRoom } from './roomRegistry.js'
+import {
+  presenceConfig,
+  joinPresence,
+  leavePresence,
+  refreshPresence,
+  getLocalRooms,
+  getOnlineCounts,
+  recordMessage
+} from './presence.js'
+import { startStatsCollector, recordDanmakuSent, recordDanmakuRejected, recordSendLatency } from './statsCollector.js'
+import {
+  recordSendReceived,
+  recordSendResult,
+  recordQueueBatch,
+  recordSocketConnected,
+  recordSocketDisconnected
+} from './metrics.js'
+import { isShuttingDown, isDraining, shutdownConfig } from './shutdown.js'
+import { RoomQueue, queueConfig, getSendPriority } from './roomQueue.js'
+import { publishDanmaku, releaseBroadcastRoom, flushBroadcasts } from './broadcaster.js'
+import { checkSendSanctions, findBan, onSanctionChanged, resolveClientIp } from './sanctions.js'
 
 // 房间信息管理
 const roomInfo = new Map()
 
+// 定时任务，优雅关闭时统一停止
+const timers = []
+
 // 为每个用户存储最近发送的消息
 const userMessages = new Map()
 
+// 发送结果缓存：客户端用同一个tempId重试时返回首次处理的结果，不会重复发送
+// 键为 `${userId}:${tempId}`，值为 { promise, expiresAt }；成功结果同时写入Redis，重连到其他实例后重试也能命中
+const sendResults = new Map()
+const SEND_RESULT_TTL = 120 // 秒
+
+// send-danmaku失败时返回的错误码
+// rate_limited 频率超限（附带retryAfter毫秒），duplicate 重复消息，sensitive 命中敏感词，too_long 内容过长，
+// room_missing 未加入房间，room_closed 房间已关闭，invalid 内容格式错误，server_error 服务端处理失败，
+// server_shutdown 实例正在关闭（客户端重连到其他实例后可用同一个tempId重试），
+// queue_full 房间消息队列已满（附带retryAfter毫秒）或排队中的弹幕因溢出被丢弃，
+// muted 在该房间被禁言，banned 已被封禁（均附带expiresAt，永久封禁为null）
+const sendFailure = (code, reason) => ({ success: false, code, reason })
+
+// 监控指标的房间标签：未登记的房间统一记为unregistered
+const roomLabel = (roomId) => getRoom(roomId) ? roomId : 'unregistered'
+
+// 回复发送结果：客户端传入ack回调时通过确认返回，否则（旧客户端）失败时发送send-failed事件
+const replySend = (socket, ack, tempId, result) => {
+  const payload = { tempId, ...result }
+  if (typeof ack === 'function') {
+    ack(payload)
+  } else if (!result.success && socket.connected) {
+    socket.emit('send-failed', payload)
+  }
+}
+
+// 事件参数不合法：有ack回调时通过确认返回，否则发送invalid-payload事件
+const replyInvalid = (socket, ack, event, result) => {
+  console.log(`[参数校验] 用户 ${socket.id} 的 ${event} 参数不合法:`, result.errors)
+  if (typeof ack === 'function') {
+    ack(result)
+  } else {
+    socket.emit('invalid-payload', { event, ...result })
+  }
+}
+
+// join-room/leave-room兼容直接传房间ID字符串的旧写法
+const toRoomPayload = (payload) => typeof payload === 'string' ? { roomId: payload } : payload
+
 // 初始化房间
 const initRoom = (roomId) => {
   if (!roomInfo.has(roomId)) {
     roomInfo.set(roomId, {
       onlineUsers: new Set(),
-      messageQueue: [],
-      lastProcessTime: Date.now()
+      messageQueue: new RoomQueue()
     })
   }
 }
 
-// 更新在线人数
-const updateOnlineCount = (io, roomId) => {
+// 各房间最近一次推送的在线人数
+const pushedOnlineCounts = new Map()
+
+// 推送在线人数：每个实例只向本实例的连接推送集群总人数，人数没有变化的房间不推送
+const pushOnlineCounts = async (io) => {
+  const counts = await getOnlineCounts(getLocalRooms())
+  
+  for (const [roomId, count] of counts) {
+    if (pushedOnlineCounts.get(roomId) === count) continue
+    pushedOnlineCounts.set(roomId, count)
+    io.local.to(roomId).emit('online-count', { roomId, count })
+  }
+  
+  for (const roomId of pushedOnlineCounts.keys()) {
+    if (!counts.has(roomId)) {
+      pushedOnlineCounts.delete(roomId)
+    }
+  }
+}
+
+// 连接离开房间：更新本地房间信息和在线状态，清理空房间
+const removeFromRoom = (socket, roomId) => {
   const room = roomInfo.get(roomId)
-  if (room) {
-    io.to(roomId).emit('online-count', {
-      roomId,
-      count: room.onlineUsers.size
-    })
+  if (!room) return
+  
+  room.onlineUsers.delete(socket.id)
+  leavePresence(roomId, socket.id)
+  
+  if (room.onlineUsers.size === 0 && room.messageQueue.length === 0) {
+    roomInfo.delete(roomId)
+    releaseBroadcastRoom(roomId)
   }
 }
 
+// 转换为下发给客户端的弹幕格式（去除存储层字段）
+const toClientDanmaku = (danmaku) => ({
+  id: danmaku.id,
+  content: danmaku.content,
+  type: danmaku.type,
+  color: danmaku.color,
+  timestamp: danmaku.timestamp,
+  userId: danmaku.userId,
+  nickname: danmaku.nickname,
+  userLevel: danmaku.userLevel,
+  isAdmin: danmaku.isAdmin,
+  emojiInfo: danmaku.emojiInfo,
+  fontSize: danmaku.fontSize,
+  opacity: danmaku.opacity,
+  videoId: danmaku.videoId,
+  videoTime: danmaku.videoTime
+})
+
+// 解析点播弹幕的视频播放位置（毫秒），非点播弹幕返回undefined
+const parseVideoTime = (videoTime) => {
+  return Number.isFinite(videoTime) && videoTime >= 0 ? Math.floor(videoTime) : undefined
+}
+
 // 处理单条弹幕消息
-const processDanmaku = async (io, socket, data) => {
+// receivedAt为收到send-danmaku的时间，用于统计广播延迟
+const processDanmaku = async (io, socket, data, receivedAt = Date.now()) => {
   const { roomId, danmaku } = data
-  const userId = danmaku.userId || socket.id
+  // 身份信息只信任握手时校验过的用户资料，忽略客户端提交的userId/isAdmin/userLevel
+  const user = socket.data.user
+  const userId = user.userId
   
   try {
-    // 1. 检查频率限制
-    const rateLimitResult = await checkRateLimit(userId, roomId)
+    // 0. 检查禁言和封禁
+    const sanctionResult = checkSendSanctions(userId, roomId, socket.data.ip)
+    if (!sanctionResult.allowed) {
+      return { ...sendFailure(sanctionResult.code, sanctionResult.reason), expiresAt: sanctionResult.expiresAt }
+    }
+    
+    // 1. 检查频率限制（单用户、单IP、房间）
+    const rateLimitResult = await checkRateLimit(userId, roomId, user, socket.data.ip)
     if (!rateLimitResult.allowed) {
-      socket.emit('send-failed', {
-        reason: rateLimitResult.reason || '发送太频繁，请稍后再试'
-      })
-      return
+      return {
+        ...sendFailure('rate_limited', rateLimitResult.reason || '发送太频繁，请稍后再试'),
+        ...(rateLimitResult.retryAfter && { retryAfter: rateLimitResult.retryAfter })
+      }
     }
     
     // 2. 检查重复消息（对于表情弹幕，使用emojiInfo或content作为标识）
@@ -50,34 +172,43 @@ const processDanmaku = async (io, socket, data) => {
       ? `[emoji:${danmaku.emojiInfo.value}]` 
       : danmaku.content
     
-    const duplicateResult = await checkDuplicateMessage(userId, checkContent)
+    const duplicateResult = await checkDuplicateMessage(userId, checkContent, roomId, user)
     if (!duplicateResult.allowed) {
-      socket.emit('send-failed', {
-        reason: '请勿发送重复消息'
-      })
-      return
+      return sendFailure('duplicate', '请勿发送重复消息')
     }
     
     // 3. 过滤敏感内容（只对文本内容进行过滤）
-    let filterResult = { allowed: true, content: danmaku.content }
+    let filterResult = { allowed: true, content: danmaku.content, action: 'pass', flagged: false, decisions: [] }
     if (danmaku.content) {
-      filterResult = await filterDanmaku(danmaku.content)
+      filterResult = await filterDanmaku(danmaku.content, roomId, user)
+      if (filterResult.decisions.length > 0) {
+        console.log(`[内容过滤] 用户 ${userId} 在房间 ${roomId} 的弹幕命中规则，处理方式: ${filterResult.action}`, filterResult.decisions)
+      }
       if (!filterResult.allowed) {
-        socket.emit('send-failed', {
-          reason: '内容包含敏感词'
-        })
-        return
+        return filterResult.action === 'reject'
+          ? sendFailure(filterResult.code, filterResult.reason)
+          : sendFailure('sensitive', '内容包含敏感词')
       }
     }
     
     // 4. 创建完整的弹幕对象
+    // 点播模式：携带videoTime的弹幕锚定到视频播放位置，videoId缺省为房间ID
+    const videoTime = parseVideoTime(danmaku.videoTime)
+    // danmaku已按schema过滤，只包含白名单字段；ID和身份信息由服务端填写
     const finalDanmaku = {
-      id: nanoid(),
       ...danmaku,
+      id: nanoid(),
+      userId,
+      nickname: user.nickname,
+      userLevel: user.userLevel,
+      isAdmin: user.isAdmin,
+      isGuest: user.isGuest,
       content: filterResult.content, // 使用过滤后的内容
       timestamp: Date.now(),
       // 确保emojiInfo在表情弹幕中存在
-      emojiInfo: danmaku.type === 'emoji' ? danmaku.emojiInfo : undefined
+      emojiInfo: danmaku.type === 'emoji' ? danmaku.emojiInfo : undefined,
+      videoTime,
+      videoId: videoTime !== undefined ? (danmaku.videoId || roomId) : undefined
     }
     
     // 5. 存储用户最近发送的消息
@@ -91,82 +222,286 @@ const processDanmaku = async (io, socket, data) => {
       messages.shift()
     }
     
-    // 6. 广播消息到房间
-    console.log(`[消息广播] 向房间 ${roomId} 广播弹幕: "${finalDanmaku.content || '[表情]'}"`)  
-    io.to(roomId).emit('new-danmaku', {
-      roomId,
-      danmaku: finalDanmaku
-    })
+    // 命中warn规则：正常发送，同时记录给管理员审核（异步写入Redis，不阻塞发送）
+    if (filterResult.flagged) {
+      recordFlaggedDanmaku(roomId, finalDanmaku, filterResult.decisions)
+    }
     
-    // 7. 可选：存储到MongoDB（历史记录）
-    if (mongoClient) {
-      try {
-        const db = mongoClient.db('danmaku')
-        const collection = db.collection(`room_${roomId}`)
-        
-        // 插入新消息
-        await collection.insertOne(finalDanmaku)
-        
-        // 只保留最近1000条消息
-        const count = await collection.countDocuments()
-        if (count > 1000) {
-          const docs = await collection.find().sort({ timestamp: 1 }).limit(count - 1000).toArray()
-          const idsToDelete = docs.map(doc => doc._id)
-          await collection.deleteMany({ _id: { $in: idsToDelete } })
-        }
-      } catch (error) {
-        console.error('MongoDB存储失败:', error)
-      }
+    // 命中shadow规则：只回显给发送者本人，不广播也不持久化
+    if (filterResult.action === 'shadow') {
+      console.log(`[消息广播] 弹幕命中隐藏规则，仅回显给用户 ${userId}: "${finalDanmaku.content}"`)
+      socket.emit('new-danmaku', {
+        roomId,
+        danmaku: finalDanmaku
+      })
+      // 对发送者表现为发送成功
+      return { success: true, id: finalDanmaku.id, danmaku: toClientDanmaku(finalDanmaku) }
     }
     
+    // 6. 广播消息到房间（热门房间合并广播，密度过高时合并相似弹幕并抽样）
+    console.log(`[消息广播] 向房间 ${roomId} 广播弹幕: "${finalDanmaku.content || '[表情]'}"`)  
+    publishDanmaku(io, socket, roomId, finalDanmaku, receivedAt)
+    
+    // 7. 写入存储缓冲，由数据库适配器异步批量持久化，不阻塞广播
+    enqueueDanmaku(roomId, filterResult.flagged ? { ...finalDanmaku, flagged: true } : finalDanmaku)
+    recordMessage(roomId)
+    recordDanmakuSent(roomId)
+    
+    return { success: true, id: finalDanmaku.id, danmaku: toClientDanmaku(finalDanmaku) }
+    
   } catch (error) {
     console.error('处理弹幕失败:', error)
-    socket.emit('send-failed', {
-      reason: '服务器处理失败'
-    })
+    return sendFailure('server_error', '服务器处理失败')
   }
 }
 
-// 批量处理弹幕（高并发场景）
-const processMessageQueue = async (io, roomId) => {
+// 调度房间消息队列：在并发上限内按用户轮转取出弹幕并行处理，每条处理完成后继续调度
+const processMessageQueue = (io, roomId) => {
   const room = roomInfo.get(roomId)
-  if (!room || room.messageQueue.length === 0) return
+  if (!room) return
+  const queue = room.messageQueue
   
-  console.log(`[队列处理] 开始处理房间 ${roomId} 的消息队列，当前队列长度: ${room.messageQueue.length}`)
+  const started = []
+  while (queue.running < queueConfig.concurrency) {
+    const entry = queue.take()
+    if (!entry) break
+    started.push(entry)
+  }
+  if (started.length === 0) return
   
-  // 限制每批处理的消息数量
-  const batchSize = 50
-  const messagesToProcess = room.messageQueue.splice(0, batchSize)
+  const startedAt = Date.now()
+  recordQueueBatch(started.map(({ enqueuedAt }) => startedAt - enqueuedAt))
   
-  console.log(`[队列处理] 本次处理 ${messagesToProcess.length} 条消息`)
+  for (const entry of started) {
+    const { socket, data, receivedAt, resolve } = entry
+    processDanmaku(io, socket, data, receivedAt)
+      .catch(error => {
+        console.error(`[队列处理] 处理消息失败:`, error)
+        return sendFailure('server_error', '服务器处理失败')
+      })
+      .then(result => {
+        resolve(result)
+        queue.done(entry)
+        processMessageQueue(io, roomId)
+      })
+  }
+}
+
+// 将弹幕加入房间队列，返回处理结果
+const submitDanmaku = (io, socket, data, receivedAt = Date.now()) => {
+  const { roomId } = data
+  const room = roomInfo.get(roomId)
   
-  // 批量处理
-  for (const { socket, data } of messagesToProcess) {
-    try {
-      await processDanmaku(io, socket, data)
-    } catch (error) {
-      console.error(`[队列处理] 处理消息失败:`, error)
-      // 发送错误通知给用户
-      if (socket && socket.connected) {
-        socket.emit('send-failed', {
-          reason: '服务器处理失败'
-        })
+  // 只能向已加入的房间发送，避免绕过房间密码和邀请限制
+  if (!room || !socket.rooms.has(roomId)) {
+    console.log(`[接收弹幕] 用户 ${socket.id} 发送弹幕失败: 未加入房间`, roomId)
+    return Promise.resolve(sendFailure('room_missing', '未加入该房间'))
+  }
+  if (!isRoomOpen(roomId)) {
+    return Promise.resolve(sendFailure('room_closed', '房间已关闭'))
+  }
+  if (isDraining()) {
+    return Promise.resolve(sendFailure('server_shutdown', '服务器正在重启，请稍后重试'))
+  }
+  
+  return new Promise((resolve) => {
+    const { user } = socket.data
+    const entry = {
+      socket,
+      data,
+      userId: user.userId,
+      priority: getSendPriority(user),
+      receivedAt,
+      enqueuedAt: Date.now(),
+      resolve
+    }
+    const { accepted, dropped } = room.messageQueue.push(entry)
+    
+    // 因溢出被丢弃的弹幕按发送失败处理
+    for (const { resolve: resolveDropped } of dropped) {
+      resolveDropped(sendFailure('queue_full', '房间消息过多，弹幕已被丢弃'))
+    }
+    if (dropped.length > 0) {
+      console.log(`[接收弹幕] 房间 ${roomId} 队列溢出，丢弃 ${dropped.length} 条排队中的弹幕`)
+    }
+    
+    if (!accepted) {
+      console.log(`[接收弹幕] 房间 ${roomId} 队列已满，拒绝用户 ${socket.id} 的弹幕`)
+      resolve({ ...sendFailure('queue_full', '房间消息过多，请稍后重试'), retryAfter: queueConfig.retryAfter })
+      return
+    }
+    
+    processMessageQueue(io, roomId)
+  })
+}
+
+// 处理带tempId的发送：先查找之前的成功结果，失败的结果不缓存，允许客户端重试
+// 处理过程中出现异常时按服务端处理失败返回，同样不缓存
+const submitOnce = async (io, socket, data, sendKey, receivedAt) => {
+  try {
+    const stored = await redisUtils.get(`send_result:${sendKey}`)
+    if (stored.value) {
+      try {
+        return JSON.parse(stored.value)
+      } catch (error) {
+        // 结果损坏时按新消息处理
       }
     }
+    
+    const result = await submitDanmaku(io, socket, data, receivedAt)
+    if (result.success) {
+      await redisUtils.setWithExpire(`send_result:${sendKey}`, JSON.stringify(result), SEND_RESULT_TTL)
+    } else {
+      sendResults.delete(sendKey)
+    }
+    return result
+  } catch (error) {
+    console.error(`[接收弹幕] 处理消息 ${sendKey} 失败:`, error)
+    sendResults.delete(sendKey)
+    return sendFailure('server_error', '服务器处理失败')
   }
+}
+
+// 获取客户端临时ID（非空字符串，最长64个字符）
+const getTempId = (data) => {
+  const tempId = data?.tempId
+  return typeof tempId === 'string' && tempId.length > 0 && tempId.length <= 64 ? tempId : null
+}
+
+// 房间关闭、归档时：通知本实例房间内的连接并让它们离开，排队中的弹幕按发送失败处理
+// 各实例都会收到房间变更通知，因此只处理本实例的连接
+const closeLocalRoom = (io, roomId, status) => {
+  io.local.to(roomId).emit('room-closed', { roomId, status })
+  io.local.in(roomId).socketsLeave(roomId)
   
-  room.lastProcessTime = Date.now()
-  console.log(`[队列处理] 完成处理，剩余队列长度: ${room.messageQueue.length}`)
+  const room = roomInfo.get(roomId)
+  if (room) {
+    for (const { resolve } of room.messageQueue.clear()) {
+      resolve(sendFailure('room_closed', '房间已关闭'))
+    }
+    for (const socketId of room.onlineUsers) {
+      leavePresence(roomId, socketId)
+    }
+    roomInfo.delete(roomId)
+  }
+  releaseBroadcastRoom(roomId)
+  console.log(`[房间登记] 房间 ${roomId} 已${status === 'archived' ? '归档' : '关闭'}，已移出本实例的连接`)
+}
+
+// 加入房间失败：有ack回调时通过确认返回，否则发送join-failed事件
+const replyJoinFailed = (socket, ack, roomId, access) => {
+  const payload = { success: false, roomId, code: access.code, reason: access.reason }
+  if (typeof ack === 'function') {
+    ack(payload)
+  } else {
+    socket.emit('join-failed', payload)
+  }
 }
 
 // 设置Socket.io事件处理
 export const setupSocketHandlers = (io) => {
+  // 启动弹幕存储的定时批量写入
+  startDanmakuStore()
+  
+  // 启动统计采集：本实例的连接数和待处理的弹幕数
+  startStatsCollector(() => {
+    let queueDepth = 0
+    roomInfo.forEach(room => {
+      queueDepth += room.messageQueue.length
+    })
+    return { activeConnections: io.engine.clientsCount, queueDepth }
+  })
+  
+  // 关闭中的实例不再接受新连接，客户端在reconnectWindow内随机延迟后重试，由负载均衡分配到其他实例
+  io.use((socket, next) => {
+    if (!isShuttingDown()) return next()
+    const message = '服务器正在重启，请稍后重试'
+    const error = new Error(message)
+    error.data = { code: 'server_shutdown', message, reconnectWindow: shutdownConfig.reconnectWindow }
+    next(error)
+  })
+  
+  // 记录客户端IP，拒绝被封禁的用户和IP
+  io.use((socket, next) => {
+    socket.data.ip = resolveClientIp(socket.handshake.headers, socket.handshake.address)
+    const ban = findBan(socket.data.user?.userId, socket.data.ip)
+    if (!ban) return next()
+    const message = '账号已被封禁'
+    const error = new Error(message)
+    error.data = { code: 'banned', message, expiresAt: ban.expiresAt }
+    next(error)
+  })
+  
+  // 封禁生效时断开本实例中被封禁用户或IP的连接（各实例都会收到处罚变更）
+  onSanctionChanged((id, sanction) => {
+    if (sanction?.type !== 'ban') return
+    for (const socket of io.of('/').sockets.values()) {
+      const matched = sanction.userId
+        ? socket.data.user?.userId === sanction.userId
+        : socket.data.ip === sanction.ip
+      if (matched) {
+        socket.emit('banned', { reason: sanction.reason, expiresAt: sanction.expiresAt })
+        socket.disconnect(true)
+      }
+    }
+  })
+  
+  // 房间被关闭或归档时移出房间内的连接
+  onRoomChanged((roomId, room) => {
+    if (!room || room.status !== 'open') {
+      closeLocalRoom(io, roomId, room?.status || 'archived')
+    }
+  })
+  
   // 连接事件
   io.on('connection', (socket) => {
-    console.log(`新用户连接: ${socket.id}`)
+    const { user } = socket.data
+    console.log(`新用户连接: ${socket.id}（${user.isGuest ? '游客' : '用户'} ${user.userId}）`)
+    recordSocketConnected()
+    
+    // 下发服务端确认的身份；游客同时下发游客令牌，重连时携带可保持同一个游客ID
+    socket.emit('session', {
+      ...user,
+      guestToken: user.isGuest ? issueGuestToken(user.userId) : undefined
+    })
     
     // 加入房间
-    socket.on('join-room', (roomId) => {
+    // 参数: 房间ID或 { roomId, password }，可选ack回调返回 { success, roomId, room } 或 { success: false, roomId, code, reason }
+    // code: room_not_found / room_closed / room_full / password_required / wrong_password / not_invited / server_shutdown
+    socket.on('join-room', async (payload, ack) => {
+      const validation = validateSocketPayload('join-room', toRoomPayload(payload))
+      if (!validation.success) {
+        replyInvalid(socket, ack, 'join-room', validation)
+        return
+      }
+      const { roomId, password } = validation.data
+      
+      if (isShuttingDown()) {
+        replyJoinFailed(socket, ack, roomId, { code: 'server_shutdown', reason: '服务器正在重启，请稍后重试' })
+        return
+      }
+      
+      const access = await checkRoomAccess(roomId, user, { password })
+      if (!access.allowed) {
+        console.log(`用户 ${socket.id} 加入房间 ${roomId} 被拒绝: ${access.reason}`)
+        replyJoinFailed(socket, ack, roomId, access)
+        return
+      }
+      
+      // 人数上限按集群在线人数判断，判断和登记原子完成；已在房间内的连接重复加入时不再占用名额
+      const { online, full } = await joinPresence(roomId, socket.id, user.userId, { capacity: access.capacity })
+      if (full) {
+        console.log(`用户 ${socket.id} 加入房间 ${roomId} 被拒绝: 房间人数已满`)
+        replyJoinFailed(socket, ack, roomId, { code: 'room_full', reason: '房间人数已满' })
+        return
+      }
+      
+      // 等待期间连接已断开：断开清理已执行过，撤销刚登记的在线记录，不再加入房间
+      if (!socket.connected) {
+        leavePresence(roomId, socket.id)
+        return
+      }
+      
       initRoom(roomId)
       const room = roomInfo.get(roomId)
       
@@ -175,133 +510,183 @@ export const setupSocketHandlers = (io) => {
       
       console.log(`用户 ${socket.id} 加入房间 ${roomId}`)
       
-      // 更新在线人数
-      updateOnlineCount(io, roomId)
+      // 新加入的连接立即收到在线人数，房间内其他连接由定时推送更新
+      socket.emit('online-count', { roomId, count: online })
       
-      // 可选：发送历史弹幕
-      if (mongoClient) {
-        const db = mongoClient.db('danmaku')
-        const collection = db.collection(`room_${roomId}`)
-        
-        collection.find()
-          .sort({ timestamp: -1 })
-          .limit(50)
-          .toArray()
-          .then(historyDanmakus => {
-            // 按时间正序发送历史弹幕
-            historyDanmakus.reverse().forEach(danmaku => {
-              socket.emit('new-danmaku', {
-                roomId,
-                danmaku: {
-                  id: danmaku.id,
-                  content: danmaku.content,
-                  type: danmaku.type,
-                  color: danmaku.color,
-                  timestamp: danmaku.timestamp,
-                  userId: danmaku.userId,
-                  userLevel: danmaku.userLevel,
-                  isAdmin: danmaku.isAdmin,
-                  emojiInfo: danmaku.emojiInfo,
-                  fontSize: danmaku.fontSize,
-                  opacity: danmaku.opacity
-                }
-              })
+      if (typeof ack === 'function') {
+        const { title, description } = access.room
+        ack({ success: true, roomId, room: { id: roomId, title, description } })
+      }
+      
+      // 发送历史弹幕
+      getRoomHistory(roomId, 50)
+        .then(historyDanmakus => {
+          // 按时间正序发送历史弹幕
+          historyDanmakus.forEach(danmaku => {
+            socket.emit('new-danmaku', {
+              roomId,
+              danmaku: toClientDanmaku(danmaku)
             })
           })
-          .catch(error => {
-            console.error('获取历史弹幕失败:', error)
-          })
-      }
+        })
+        .catch(error => {
+          console.error('获取历史弹幕失败:', error)
+        })
     })
     
     // 离开房间
-    socket.on('leave-room', (roomId) => {
-      const room = roomInfo.get(roomId)
-      if (room) {
+    // 参数: 房间ID或 { roomId }，可选ack回调返回 { success, roomId }
+    socket.on('leave-room', (payload, ack) => {
+      const validation = validateSocketPayload('leave-room', toRoomPayload(payload))
+      if (!validation.success) {
+        replyInvalid(socket, ack, 'leave-room', validation)
+        return
+      }
+      const { roomId } = validation.data
+      
+      if (roomInfo.has(roomId)) {
         socket.leave(roomId)
-        room.onlineUsers.delete(socket.id)
-        
+        removeFromRoom(socket, roomId)
         console.log(`用户 ${socket.id} 离开房间 ${roomId}`)
-        
-        // 更新在线人数
-        updateOnlineCount(io, roomId)
-        
-        // 清理空房间
-        if (room.onlineUsers.size === 0 && room.messageQueue.length === 0) {
-          roomInfo.delete(roomId)
+      }
+      
+      if (typeof ack === 'function') {
+        ack({ success: true, roomId })
+      }
+    })
+    
+    // 获取点播弹幕：按视频播放区间拉取，供播放器跳转后重新加载
+    // 参数: { roomId, videoId, from, to, limit }，结果通过ack回调返回，未传回调时发送danmaku-range事件
+    // 返回 { success: true, roomId, videoId, from, to, danmakus } 或 { success: false, roomId, code, reason }
+    socket.on('get-danmaku-range', async (payload, ack) => {
+      const validation = validateSocketPayload('get-danmaku-range', payload)
+      if (!validation.success) {
+        replyInvalid(socket, ack, 'get-danmaku-range', validation)
+        return
+      }
+      const { roomId, videoId, from, to, limit } = validation.data
+
+      // 只能拉取已加入房间的弹幕，密码和邀请限制在加入房间时校验
+      let response
+      if (!socket.rooms.has(roomId)) {
+        response = { success: false, roomId, code: 'room_missing', reason: '未加入该房间' }
+      } else {
+        try {
+          const result = await getDanmakuByVideoTime(roomId, videoId, from, to, limit)
+          response = {
+            success: true,
+            roomId,
+            videoId: result.videoId,
+            from: result.from,
+            to: result.to,
+            danmakus: result.danmakus.map(toClientDanmaku)
+          }
+        } catch (error) {
+          console.error(`获取房间 ${roomId} 的点播弹幕失败:`, error)
+          response = { success: false, roomId, code: 'server_error', reason: '服务器处理失败' }
         }
       }
+
+      if (typeof ack === 'function') {
+        ack(response)
+      } else if (socket.connected) {
+        socket.emit('danmaku-range', response)
+      }
     })
     
     // 发送弹幕
-    socket.on('send-danmaku', (data) => {
-      console.log(`[接收弹幕] 用户 ${socket.id} 发送弹幕: data =`, data)
-      const { roomId } = data
-      const room = roomInfo.get(roomId)
+    // 参数: { roomId, tempId, danmaku }，通过ack回调返回 { tempId, success, id, danmaku } 或 { tempId, success: false, code, reason }
+    // 同一用户用相同tempId重试时返回首次的结果，不会重复广播和存储
+    // 参数按socketSchemas校验，未声明的字段会被丢弃，不合法时返回code为invalid的结构化错误
+    socket.on('send-danmaku', async (payload, ack) => {
+      console.log(`[接收弹幕] 用户 ${socket.id} 发送弹幕: data =`, payload)
+      const receivedAt = Date.now()
+      const room = roomLabel(payload?.roomId)
+      recordSendReceived(room)
       
-      if (!room) {
-        console.log(`[接收弹幕] 用户 ${socket.id} 发送弹幕失败: 房间不存在`, roomId)
-        socket.emit('send-failed', {
-          reason: '房间不存在'
+      // 回复结果并计入统计；重试返回首次结果时（replayed）不重复统计
+      const reply = (tempId, result, replayed = false) => {
+        if (!replayed) {
+          recordSendLatency(Date.now() - receivedAt)
+          recordSendResult(room, result)
+          if (!result.success) {
+            recordDanmakuRejected(result.code)
+          }
+        }
+        replySend(socket, ack, tempId, result)
+      }
+      
+      const validation = validateSocketPayload('send-danmaku', payload)
+      if (!validation.success) {
+        reply(getTempId(payload), validation)
+        return
+      }
+      const data = validation.data
+      const tempId = getTempId(data)
+      
+      if (!tempId) {
+        const result = await submitDanmaku(io, socket, data, receivedAt).catch(error => {
+          console.error('[接收弹幕] 处理消息失败:', error)
+          return sendFailure('server_error', '服务器处理失败')
         })
+        reply(tempId, result)
         return
       }
       
-      // 高并发优化：加入队列
-      if (room.messageQueue.length > 100) {
-        // 队列积压，直接处理
-        console.log(`[接收弹幕] 队列积压，直接处理用户 ${socket.id} 的弹幕`)
-        processDanmaku(io, socket, data)
+      const sendKey = `${user.userId}:${tempId}`
+      let entry = sendResults.get(sendKey)
+      const replayed = !!entry
+      if (replayed) {
+        console.log(`[接收弹幕] 用户 ${user.userId} 重试消息 ${tempId}，返回首次处理结果`)
       } else {
-        // 加入队列
-        console.log(`[接收弹幕] 将用户 ${socket.id} 的弹幕加入队列，当前队列长度: ${room.messageQueue.length}`)
-        room.messageQueue.push({ socket, data })
-        
-        // 检查是否需要处理队列
-        const now = Date.now()
-        if (now - room.lastProcessTime > 100) { // 100ms处理一次
-          console.log(`[接收弹幕] 超过100ms未处理，触发队列处理`)
-          processMessageQueue(io, roomId)
+        entry = {
+          promise: submitOnce(io, socket, data, sendKey, receivedAt),
+          expiresAt: Date.now() + SEND_RESULT_TTL * 1000
         }
+        sendResults.set(sendKey, entry)
       }
+      
+      reply(tempId, await entry.promise, replayed)
     })
     
     // 断开连接
     socket.on('disconnect', () => {
       console.log(`用户断开连接: ${socket.id}`)
+      recordSocketDisconnected()
       
       // 从所有房间中移除用户
       roomInfo.forEach((room, roomId) => {
         if (room.onlineUsers.has(socket.id)) {
-          room.onlineUsers.delete(socket.id)
-          updateOnlineCount(io, roomId)
-          
-          if (room.onlineUsers.size === 0 && room.messageQueue.length === 0) {
-            roomInfo.delete(roomId)
-          }
+          removeFromRoom(socket, roomId)
         }
       })
       
       // 清理用户消息缓存
-      userMessages.forEach((messages, userId) => {
-        if (userId === socket.id) {
-          userMessages.delete(userId)
-        }
-      })
+      userMessages.delete(user.userId)
     })
   })
   
-  // 定期处理所有房间的消息队列
-  setInterval(() => {
-    roomInfo.forEach((room, roomId) => {
-      if (room.messageQueue.length > 0) {
-        processMessageQueue(io, roomId)
-      }
-    })
-  }, 50) // 每50ms检查一次
+  // 定期刷新本实例连接的在线心跳
+  timers.push(setInterval(() => {
+    refreshPresence()
+  }, presenceConfig.heartbeatInterval))
+  
+  // 定期推送在线人数（上一次推送未完成时跳过）
+  let pushingOnlineCounts = false
+  timers.push(setInterval(async () => {
+    if (pushingOnlineCounts) return
+    pushingOnlineCounts = true
+    try {
+      await pushOnlineCounts(io)
+    } catch (error) {
+      console.error('推送在线人数失败:', error)
+    } finally {
+      pushingOnlineCounts = false
+    }
+  }, presenceConfig.broadcastInterval))
   
   // 定期清理过期的用户消息缓存
-  setInterval(() => {
+  timers.push(setInterval(() => {
     const now = Date.now()
     userMessages.forEach((messages, userId) => {
       // 只保留最近1分钟的消息记录
@@ -312,5 +697,34 @@ export const setupSocketHandlers = (io) => {
         userMessages.delete(userId)
       }
     })
-  }, 60000) // 每分钟清理一次
-}
\ No newline at end of file
+    
+    // 清理过期的发送结果
+    sendResults.forEach((entry, sendKey) => {
+      if (entry.expiresAt <= now) {
+        sendResults.delete(sendKey)
+      }
+    })
+  }, 60000)) // 每分钟清理一次
+}
+
+// 优雅关闭：拒绝新连接后通知客户端切换实例，处理完排队中的弹幕，移除本实例的在线记录并断开所有连接
+export const drainSocketHandlers = async (io) => {
+  timers.splice(0).forEach(clearInterval)
+  
+  // 每个客户端在重连窗口内随机延迟重连，由负载均衡分配到其他实例
+  io.local.emit('server-shutdown', { reconnectWindow: shutdownConfig.reconnectWindow })
+  
+  await Promise.all([...roomInfo.values()].map(room => room.messageQueue.onIdle()))
+  flushBroadcasts()
+  
+  const leaving = []
+  roomInfo.forEach((room, roomId) => {
+    for (const socketId of room.onlineUsers) {
+      leaving.push(leavePresence(roomId, socketId))
+    }
+  })
+  await Promise.all(leaving)
+  roomInfo.clear()
+  
+  io.local.disconnectSockets(true)
+}
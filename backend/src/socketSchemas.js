@@ -0,0 +1,154 @@
+// Socket事件参数校验
+// 每个事件用声明式schema描述允许的字段：未声明的字段会被丢弃，数值按范围截断，
+// 不合法时返回结构化错误 { code: 'invalid', errors: [{ field, message }] }
+
+// 弹幕类型（与前端组件库的DanmakuType保持一致）
+export const DANMAKU_TYPES = ['scroll', 'top', 'bottom', 'reverse', 'emoji']
+
+// 房间ID：不含空白和控制字符，最长64个字符
+export const ROOM_ID_PATTERN = /^[^\s\p{C}]{1,64}$/u
+const roomIdField = { type: 'string', required: true, pattern: ROOM_ID_PATTERN }
+
+// 字段规则
+// type: string / number / enum / color / object
+// required 必填；default 缺省值；maxLength 字符串最大长度；pattern 字符串格式
+// min/max 数值范围，clamp为true时截断到范围内，否则超出范围视为不合法
+// values 枚举可选值；fields 对象的子字段；check 对象整体校验，不合法时返回错误说明
+export const socketSchemas = {
+  'join-room': {
+    roomId: roomIdField,
+    // 设置了密码的房间需要携带
+    password: { type: 'string', maxLength: 128 }
+  },
+  'leave-room': {
+    roomId: roomIdField
+  },
+  // 区间长度和条数上限由getDanmakuByVideoTime规范化，这里只校验类型
+  'get-danmaku-range': {
+    roomId: roomIdField,
+    videoId: { type: 'string', maxLength: 128 },
+    from: { type: 'number', min: 0 },
+    to: { type: 'number', min: 0 },
+    limit: { type: 'number', min: 1, max: 2000, clamp: true }
+  },
+  'send-danmaku': {
+    roomId: roomIdField,
+    tempId: { type: 'string', maxLength: 64 },
+    danmaku: {
+      type: 'object',
+      required: true,
+      fields: {
+        // 最终长度限制由过滤规则按房间判断，这里只拦截明显异常的超长内容
+        content: { type: 'string', maxLength: 500, default: '' },
+        type: { type: 'enum', values: DANMAKU_TYPES, default: 'scroll' },
+        color: { type: 'color', default: '#FFFFFF' },
+        fontSize: { type: 'number', min: 12, max: 50, clamp: true },
+        opacity: { type: 'number', min: 0.1, max: 1, clamp: true },
+        emojiInfo: {
+          type: 'object',
+          fields: {
+            type: { type: 'enum', values: ['unicode', 'image'], required: true },
+            value: { type: 'string', required: true, maxLength: 512 },
+            name: { type: 'string', maxLength: 32 }
+          }
+        },
+        videoId: { type: 'string', maxLength: 128 },
+        videoTime: { type: 'number', min: 0 }
+      },
+      check: (danmaku) => {
+        if (danmaku.type === 'emoji' && !danmaku.emojiInfo) return '表情弹幕缺少emojiInfo'
+        if (danmaku.type !== 'emoji' && !danmaku.content.trim()) return '弹幕内容不能为空'
+        return null
+      }
+    }
+  }
+}
+
+// 颜色：#RGB 或 #RRGGBB
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// 校验单个字段，返回 { value } 或 { error }
+const validateField = (rule, value, field, errors) => {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return { error: '必须是字符串' }
+      if (rule.maxLength && value.length > rule.maxLength) return { error: `长度不能超过${rule.maxLength}` }
+      if (rule.pattern && !rule.pattern.test(value)) return { error: '格式不正确' }
+      return { value }
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: '必须是数字' }
+      if (rule.clamp) return { value: Math.min(Math.max(value, rule.min), rule.max) }
+      if (rule.min !== undefined && value < rule.min) return { error: `不能小于${rule.min}` }
+      if (rule.max !== undefined && value > rule.max) return { error: `不能大于${rule.max}` }
+      return { value }
+    case 'enum':
+      if (!rule.values.includes(value)) return { error: `必须是 ${rule.values.join('/')} 之一` }
+      return { value }
+    case 'color':
+      if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) return { error: '必须是#RGB或#RRGGBB格式的颜色' }
+      return { value: value.toUpperCase() }
+    case 'object': {
+      if (!isPlainObject(value)) return { error: '必须是对象' }
+      const errorCount = errors.length
+      const output = validateFields(rule.fields, value, `${field}.`, errors)
+      // 子字段都合法时再做整体校验
+      const message = errors.length === errorCount && rule.check ? rule.check(output) : null
+      return message ? { error: message } : { value: output }
+    }
+    default:
+      return { error: '未知的字段类型' }
+  }
+}
+
+// 按schema校验对象，返回只包含已声明字段的新对象，错误追加到errors
+const validateFields = (fields, input, prefix, errors) => {
+  const output = {}
+  for (const [name, rule] of Object.entries(fields)) {
+    const field = `${prefix}${name}`
+    const value = input[name]
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push({ field, message: '不能为空' })
+      } else if (rule.default !== undefined) {
+        output[name] = rule.default
+      }
+      continue
+    }
+
+    const result = validateField(rule, value, field, errors)
+    if (result.error) {
+      errors.push({ field, message: result.error })
+    } else {
+      output[name] = result.value
+    }
+  }
+  return output
+}
+
+// 校验Socket事件参数
+// 返回 { success: true, data } 或 { success: false, code: 'invalid', reason, errors }
+export const validateSocketPayload = (event, payload) => {
+  const schema = socketSchemas[event]
+  if (!schema) {
+    return { success: true, data: payload }
+  }
+
+  if (!isPlainObject(payload)) {
+    return {
+      success: false,
+      code: 'invalid',
+      reason: '参数格式错误',
+      errors: [{ field: '', message: '必须是对象' }]
+    }
+  }
+
+  const errors = []
+  const data = validateFields(schema, payload, '', errors)
+  if (errors.length > 0) {
+    return { success: false, code: 'invalid', reason: '参数格式错误', errors }
+  }
+  return { success: true, data }
+}
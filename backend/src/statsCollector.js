@@ -0,0 +1,286 @@
+import { dbAdapter, instanceId } from './database.js'
+import { getLocalRooms, getOnlineCounts, getTotalMessages } from './presence.js'
+
+// 统计采集：每个实例定时把本实例的连接数、各房间弹幕速率、拒绝原因、队列长度和处理延迟写入system_stats
+// 连接数、弹幕速率、队列长度、拒绝数按实例记录，查询历史时跨实例求和；房间在线人数和累计弹幕数为集群数据
+// 每个实例同时维护本实例在各粒度当前时间段的汇总（累加值、最大值和采样数），每次采样后覆盖写入system_stats_rollups，
+// 查询历史时只读取汇总，读取量为时间段数乘以实例数，与采样间隔无关
+
+// 统计采集配置
+export const statsConfig = {
+  // 采样间隔（毫秒）
+  sampleInterval: (parseInt(process.env.STATS_SAMPLE_INTERVAL) || 15) * 1000,
+  // 查询历史时最多读取的汇总条数（时间段数 x 实例数）
+  maxHistoryRollups: 20000
+}
+
+// 历史统计的降采样粒度（毫秒）
+export const STATS_INTERVALS = {
+  minute: 60000,
+  hour: 3600000,
+  day: 86400000
+}
+
+// 新的采样周期
+const createPeriod = () => ({
+  startedAt: Date.now(),
+  messages: new Map(),
+  rejected: new Map(),
+  latencyTotal: 0,
+  latencyMax: 0,
+  latencyCount: 0
+})
+
+// 当前采样周期内的计数
+let period = createPeriod()
+
+let collectIntervalId = null
+
+// 本实例各粒度当前时间段的汇总：粒度 -> 汇总
+const currentRollups = new Map()
+
+// 数据库适配器是否可用
+const isAdapterReady = () => {
+  return !!dbAdapter && dbAdapter.isConnected
+}
+
+// 记录一条发送成功的弹幕
+export const recordDanmakuSent = (roomId) => {
+  period.messages.set(roomId, (period.messages.get(roomId) || 0) + 1)
+}
+
+// 记录一条被拒绝的弹幕，reason为send-danmaku的错误码
+export const recordDanmakuRejected = (reason) => {
+  period.rejected.set(reason, (period.rejected.get(reason) || 0) + 1)
+}
+
+// 记录一次弹幕处理延迟（从收到send-danmaku到返回结果，毫秒）
+export const recordSendLatency = (latency) => {
+  period.latencyTotal += latency
+  period.latencyMax = Math.max(period.latencyMax, latency)
+  period.latencyCount++
+}
+
+// 保留两位小数
+const round = (value) => Math.round(value * 100) / 100
+
+// 结束当前采样周期并生成采样
+// runtime为本实例的 { activeConnections, queueDepth }
+export const collectStats = async (runtime = {}) => {
+  const finished = period
+  period = createPeriod()
+
+  const now = Date.now()
+  const seconds = Math.max((now - finished.startedAt) / 1000, 1)
+  const roomIds = [...new Set([...getLocalRooms(), ...finished.messages.keys()])]
+  const [onlineCounts, totalMessages] = await Promise.all([
+    getOnlineCounts(roomIds),
+    getTotalMessages()
+  ])
+
+  const rooms = {}
+  let messageCount = 0
+  for (const roomId of roomIds) {
+    const messages = finished.messages.get(roomId) || 0
+    messageCount += messages
+    rooms[roomId] = {
+      online: onlineCounts.get(roomId) || 0,
+      messagesPerSecond: round(messages / seconds)
+    }
+  }
+
+  return {
+    instanceId,
+    activeConnections: runtime.activeConnections || 0,
+    totalMessages,
+    messagesPerSecond: round(messageCount / seconds),
+    queueDepth: runtime.queueDepth || 0,
+    avgLatency: finished.latencyCount ? round(finished.latencyTotal / finished.latencyCount) : 0,
+    maxLatency: finished.latencyMax,
+    rooms,
+    rejected: Object.fromEntries(finished.rejected),
+    timestamp: now
+  }
+}
+
+// 启动定时采集，getRuntimeStats返回本实例的 { activeConnections, queueDepth }
+export const startStatsCollector = (getRuntimeStats) => {
+  if (collectIntervalId) return
+
+  period = createPeriod()
+  let collecting = false
+  collectIntervalId = setInterval(async () => {
+    if (collecting) return
+    collecting = true
+    try {
+      const stats = await collectStats(getRuntimeStats())
+      if (isAdapterReady()) {
+        await dbAdapter.saveSystemStats(stats)
+        for (const interval of Object.keys(STATS_INTERVALS)) {
+          await dbAdapter.saveStatsRollup(addToCurrentRollup(interval, stats))
+        }
+      }
+    } catch (error) {
+      console.error('[统计采集] 采集系统统计失败:', error)
+    } finally {
+      collecting = false
+    }
+  }, statsConfig.sampleInterval)
+}
+
+// 停止定时采集
+export const stopStatsCollector = () => {
+  if (collectIntervalId) {
+    clearInterval(collectIntervalId)
+    collectIntervalId = null
+  }
+}
+
+// 新的汇总：timestamp为时间段起点；connections、messagesPerSecond、queueDepth和房间弹幕速率为各采样之和，查询时除以采样数
+const createRollup = (interval, instance, timestamp) => ({
+  interval,
+  instanceId: instance,
+  timestamp,
+  samples: 0,
+  connections: 0,
+  messagesPerSecond: 0,
+  queueDepth: 0,
+  maxQueueDepth: 0,
+  latencyTotal: 0,
+  latencyCount: 0,
+  maxLatency: 0,
+  messages: 0,
+  rejected: {},
+  rooms: {}
+})
+
+// 把一个采样计入汇总；房间在线人数取峰值，累计弹幕数取最大值，拒绝数求和
+const addToRollup = (rollup, sample) => {
+  rollup.samples++
+  rollup.connections += sample.activeConnections || 0
+  rollup.messagesPerSecond += sample.messagesPerSecond || 0
+  rollup.queueDepth += sample.queueDepth || 0
+  rollup.maxQueueDepth = Math.max(rollup.maxQueueDepth, sample.queueDepth || 0)
+  // 没有弹幕的采样延迟为0，不计入平均延迟
+  if (sample.avgLatency > 0) {
+    rollup.latencyTotal += sample.avgLatency
+    rollup.latencyCount++
+  }
+  rollup.maxLatency = Math.max(rollup.maxLatency, sample.maxLatency || 0)
+  rollup.messages = Math.max(rollup.messages, sample.totalMessages || 0)
+  for (const [reason, count] of Object.entries(sample.rejected || {})) {
+    rollup.rejected[reason] = (rollup.rejected[reason] || 0) + count
+  }
+  for (const [roomId, room] of Object.entries(sample.rooms || {})) {
+    const current = rollup.rooms[roomId] || { online: 0, messagesPerSecond: 0 }
+    rollup.rooms[roomId] = {
+      online: Math.max(current.online, room.online || 0),
+      messagesPerSecond: current.messagesPerSecond + (room.messagesPerSecond || 0)
+    }
+  }
+  return rollup
+}
+
+// 把本实例的采样计入该粒度当前时间段的汇总，进入新的时间段时重新开始
+const addToCurrentRollup = (interval, sample) => {
+  const timestamp = Math.floor(sample.timestamp / STATS_INTERVALS[interval]) * STATS_INTERVALS[interval]
+  let rollup = currentRollups.get(interval)
+  if (!rollup || rollup.timestamp !== timestamp) {
+    rollup = createRollup(interval, sample.instanceId, timestamp)
+    currentRollups.set(interval, rollup)
+  }
+  return addToRollup(rollup, sample)
+}
+
+// 按粒度把采样汇总为每个实例每个时间段一条
+export const rollupSamples = (samples, interval) => {
+  const size = STATS_INTERVALS[interval]
+  const rollups = new Map()
+  for (const sample of samples) {
+    const timestamp = Math.floor(sample.timestamp / size) * size
+    const key = `${timestamp}:${sample.instanceId || ''}`
+    if (!rollups.has(key)) rollups.set(key, createRollup(interval, sample.instanceId || null, timestamp))
+    addToRollup(rollups.get(key), sample)
+  }
+  return [...rollups.values()]
+}
+
+// 合并同一时间段内各实例的汇总，返回按时间正序的历史数据
+// 每个实例先按采样数求平均，再把各实例相加
+export const mergeRollups = (rollups) => {
+  const buckets = new Map()
+  for (const rollup of rollups) {
+    if (!rollup.samples) continue
+    if (!buckets.has(rollup.timestamp)) {
+      buckets.set(rollup.timestamp, {
+        timestamp: rollup.timestamp,
+        connections: 0,
+        messages: 0,
+        messagesPerSecond: 0,
+        queueDepth: 0,
+        maxQueueDepth: 0,
+        avgLatency: 0,
+        maxLatency: 0,
+        rejected: {},
+        rooms: {},
+        samples: 0,
+        latencyTotal: 0,
+        latencyCount: 0
+      })
+    }
+    const bucket = buckets.get(rollup.timestamp)
+    bucket.samples += rollup.samples
+    bucket.connections += rollup.connections / rollup.samples
+    bucket.messagesPerSecond += rollup.messagesPerSecond / rollup.samples
+    bucket.queueDepth += rollup.queueDepth / rollup.samples
+    bucket.maxQueueDepth = Math.max(bucket.maxQueueDepth, rollup.maxQueueDepth)
+    bucket.latencyTotal += rollup.latencyTotal
+    bucket.latencyCount += rollup.latencyCount
+    bucket.maxLatency = Math.max(bucket.maxLatency, rollup.maxLatency)
+    bucket.messages = Math.max(bucket.messages, rollup.messages)
+    for (const [reason, count] of Object.entries(rollup.rejected || {})) {
+      bucket.rejected[reason] = (bucket.rejected[reason] || 0) + count
+    }
+    for (const [roomId, room] of Object.entries(rollup.rooms || {})) {
+      const current = bucket.rooms[roomId] || { online: 0, messagesPerSecond: 0 }
+      bucket.rooms[roomId] = {
+        online: Math.max(current.online, room.online),
+        messagesPerSecond: current.messagesPerSecond + room.messagesPerSecond / rollup.samples
+      }
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ latencyTotal, latencyCount, ...bucket }) => ({
+      ...bucket,
+      connections: Math.round(bucket.connections),
+      messagesPerSecond: round(bucket.messagesPerSecond),
+      queueDepth: round(bucket.queueDepth),
+      avgLatency: latencyCount ? round(latencyTotal / latencyCount) : 0,
+      rooms: Object.fromEntries(Object.entries(bucket.rooms).map(([roomId, room]) => [
+        roomId,
+        { online: room.online, messagesPerSecond: round(room.messagesPerSecond) }
+      ]))
+    }))
+}
+
+// 按粒度（minute/hour/day）对采样降采样，返回按时间正序的汇总数据
+export const downsampleStats = (samples, interval) => mergeRollups(rollupSamples(samples, interval))
+
+// 查询历史统计：读取时间范围内各实例的汇总并合并
+// 返回 { success, data, truncated }，汇总条数超过上限时只合并最早的部分并标记truncated
+export const getStatsHistory = async (start, end, interval) => {
+  if (!isAdapterReady()) {
+    return { success: false, code: 'storage', message: '数据库未连接，无法查询历史统计' }
+  }
+
+  // 包含start所在的时间段
+  const size = STATS_INTERVALS[interval]
+  const rollups = await dbAdapter.getStatsRollups(interval, Math.floor(start / size) * size, end, statsConfig.maxHistoryRollups)
+  return {
+    success: true,
+    data: mergeRollups(rollups),
+    truncated: rollups.length >= statsConfig.maxHistoryRollups
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * 审计日志测试
+ * 测试未连接数据库时的记录、筛选分页和导出
+ */
+import { expect } from 'chai';
+import { recordAudit, queryAuditLog, exportAuditLog } from '../../src/auditLog.js';
+
+describe('审计日志测试', () => {
+  before(async () => {
+    await recordAudit({ actor: 'alice', action: 'room.create', target: 'audit-room', after: { id: 'audit-room' }, ip: '10.0.0.1' });
+    await recordAudit({ actor: 'bob', action: 'user.ban', target: 'ban:user:u1', after: { reason: '广告, "刷屏"' } });
+    await recordAudit({ actor: 'alice', action: 'room.update', target: 'audit-room', before: { title: 'a' }, after: { title: 'b' } });
+  });
+
+  it('应该按条件筛选并按时间倒序分页', async () => {
+    const { entries, total } = await queryAuditLog({ actor: 'alice' }, 1, 0);
+    expect(total).to.equal(2);
+    expect(entries).to.have.length(1);
+    expect(entries[0]).to.include({ action: 'room.update', target: 'audit-room' });
+    expect(entries[0].before).to.deep.equal({ title: 'a' });
+
+    const second = await queryAuditLog({ actor: 'alice' }, 1, 1);
+    expect(second.entries[0]).to.include({ action: 'room.create', ip: '10.0.0.1' });
+
+    const future = await queryAuditLog({ start: Date.now() + 60000 });
+    expect(future.total).to.equal(0);
+  });
+
+  it('应该导出为CSV和NDJSON，CSV字段按需转义', async () => {
+    const csv = [];
+    const count = await exportAuditLog({ action: 'user.ban' }, 'csv', chunk => csv.push(chunk));
+    expect(count).to.equal(1);
+    const lines = csv.join('').trim().split('\n');
+    expect(lines[0]).to.equal('id,timestamp,actor,action,target,ip,before,after');
+    expect(lines[1]).to.contain(',bob,user.ban,ban:user:u1,,,"{""reason"":""广告, \\""刷屏\\""""}"');
+
+    const ndjson = [];
+    await exportAuditLog({ target: 'audit-room' }, 'ndjson', chunk => ndjson.push(chunk));
+    const entries = ndjson.join('').trim().split('\n').map(line => JSON.parse(line));
+    expect(entries.map(({ action }) => action)).to.deep.equal(['room.update', 'room.create']);
+  });
+
+  it('导出CSV时以公式字符开头的字段按文本输出', async () => {
+    await recordAudit({ actor: '@admin', action: 'filter.add', target: '=HYPERLINK("http://x.cn","a")', after: { rule: '-1+1' } });
+
+    const csv = [];
+    await exportAuditLog({ action: 'filter.add' }, 'csv', chunk => csv.push(chunk));
+    const line = csv.join('').trim().split('\n')[1];
+    expect(line).to.contain(`,'@admin,filter.add,"'=HYPERLINK(""http://x.cn"",""a"")",`);
+    expect(line).to.match(/,"\{""rule"":""-1\+1""\}"$/);
+  });
+});
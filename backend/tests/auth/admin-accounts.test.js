@@ -0,0 +1,108 @@
+/**
+ * 管理员账号测试
+ * 测试登录令牌、角色权限、版主房间、令牌吊销、API密钥与ADMIN_TOKEN初始化
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  login,
+  revokeToken,
+  revokeAllTokens,
+  createApiKey,
+  authenticateAdmin,
+  hasPermission,
+  adminConfig
+} from '../../src/adminAccounts.js';
+
+const bearer = token => ({ authorization: `Bearer ${token}` });
+
+describe('管理员账号测试', () => {
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.ADMIN_TOKEN = 'bootstrap-token';
+  });
+
+  after(() => {
+    delete process.env.JWT_SECRET;
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('没有超级管理员账号时ADMIN_TOKEN可用，创建后失效，且不能删除最后一个超级管理员', async () => {
+    const bootstrap = authenticateAdmin({ 'x-admin-token': 'bootstrap-token' });
+    expect(bootstrap.principal).to.include({ type: 'bootstrap', role: 'super_admin' });
+
+    expect((await createAccount({ username: 'root', password: 'root-password', role: 'super_admin' })).success).to.equal(true);
+    expect(authenticateAdmin({ 'x-admin-token': 'bootstrap-token' }).code).to.equal('invalid_api_key');
+
+    expect((await deleteAccount('root')).code).to.equal('conflict');
+    expect((await updateAccount('root', { role: 'analyst' })).code).to.equal('conflict');
+  });
+
+  it('版主登录后只能管理分配给自己的房间', async () => {
+    await createAccount({ username: 'mod1', password: 'mod1-password', role: 'moderator', rooms: ['room-a'] });
+    const result = await login('mod1', 'mod1-password');
+    expect(result.success).to.equal(true);
+
+    const { principal } = authenticateAdmin(bearer(result.token));
+    expect(principal).to.include({ type: 'account', actor: 'mod1', role: 'moderator' });
+    expect(hasPermission(principal, 'moderate', 'room-a')).to.equal(true);
+    expect(hasPermission(principal, 'moderate', 'room-b')).to.equal(false);
+    expect(hasPermission(principal, 'stats:read')).to.equal(false);
+
+    // 角色变更立即生效，不需要重新登录
+    await updateAccount('mod1', { role: 'analyst' });
+    expect(hasPermission(authenticateAdmin(bearer(result.token)).principal, 'stats:read')).to.equal(true);
+  });
+
+  it('退出登录或吊销全部令牌后令牌失效', async () => {
+    await createAccount({ username: 'analyst1', password: 'analyst-password', role: 'analyst' });
+    const first = await login('analyst1', 'analyst-password');
+    const { principal } = authenticateAdmin(bearer(first.token));
+
+    await revokeToken('analyst1', principal.jti, principal.expiresAt);
+    expect(authenticateAdmin(bearer(first.token)).code).to.equal('token_revoked');
+
+    // 与吊销在同一秒内签发的令牌同样失效，之后签发的令牌可用
+    const clock = sinon.useFakeTimers({ now: Math.floor(Date.now() / 1000) * 1000 + 100, toFake: ['Date'] });
+    const second = await login('analyst1', 'analyst-password');
+    clock.tick(1);
+    await revokeAllTokens('analyst1');
+    expect(authenticateAdmin(bearer(second.token)).code).to.equal('token_revoked');
+
+    clock.tick(1);
+    const third = await login('analyst1', 'analyst-password');
+    expect(authenticateAdmin(bearer(third.token)).principal).to.include({ actor: 'analyst1' });
+  });
+
+  it('同一IP连续登录失败后锁定，其他IP不受影响', async () => {
+    for (let i = 0; i < adminConfig.maxLoginFailures; i++) {
+      expect((await login('root', 'wrong-password', '10.0.0.1')).code).to.equal('invalid_credentials');
+    }
+    const locked = await login('root', 'root-password', '10.0.0.1');
+    expect(locked.code).to.equal('locked');
+    expect(locked.retryAfter).to.be.above(0);
+    expect((await login('root', 'root-password', '10.0.0.2')).success).to.equal(true);
+  });
+
+  it('API密钥只拥有创建时指定的权限和房间', async () => {
+    expect((await createApiKey({ name: 'bad', scopes: ['accounts:manage'] })).code).to.equal('invalid');
+
+    const { key, apiKey } = await createApiKey({ name: 'bot', scopes: ['moderate'], rooms: ['room-a'] }, 'root');
+    expect(apiKey).to.not.have.property('keyHash');
+
+    const { principal } = authenticateAdmin({ 'x-admin-token': key });
+    expect(principal).to.include({ type: 'api_key', actor: 'api_key:bot' });
+    expect(hasPermission(principal, 'moderate', 'room-a')).to.equal(true);
+    expect(hasPermission(principal, 'moderate', 'room-b')).to.equal(false);
+    expect(hasPermission(principal, 'rules:write')).to.equal(false);
+
+    expect(authenticateAdmin({ 'x-admin-token': key.slice(0, -1) + (key.endsWith('a') ? 'b' : 'a') }).code).to.equal('invalid_api_key');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * 连接认证测试
+ * 测试JWT校验、游客身份与握手中间件
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import jwt from 'jsonwebtoken';
+import { verifyToken, issueGuestToken, socketAuthMiddleware } from '../../src/auth.js';
+
+const SECRET = 'test-secret';
+
+const createSocket = (auth = {}) => ({
+  id: 'socket-1',
+  handshake: { auth },
+  data: {}
+});
+
+describe('连接认证测试', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = SECRET;
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    sinon.restore();
+  });
+
+  it('应该从令牌声明中解析用户资料', () => {
+    const token = jwt.sign({ sub: 'u1', name: '小明', level: 5, role: 'admin' }, SECRET);
+    expect(verifyToken(token)).to.deep.equal({
+      userId: 'u1',
+      nickname: '小明',
+      userLevel: 5,
+      isAdmin: true,
+      isGuest: false
+    });
+  });
+
+  it('应该拒绝签名错误、过期或算法不符的令牌', () => {
+    const wrongSecret = jwt.sign({ sub: 'u1' }, 'other-secret');
+    const expired = jwt.sign({ sub: 'u1', exp: Math.floor(Date.now() / 1000) - 10 }, SECRET);
+    const unsigned = jwt.sign({ sub: 'u1' }, null, { algorithm: 'none' });
+
+    expect(() => verifyToken(wrongSecret)).to.throw().with.nested.property('data.code', 'invalid_token');
+    expect(() => verifyToken(expired)).to.throw().with.nested.property('data.code', 'token_expired');
+    expect(() => verifyToken(unsigned)).to.throw().with.nested.property('data.code', 'invalid_token');
+  });
+
+  it('应该拒绝过长的用户ID并截断过长的昵称', () => {
+    const longUserId = jwt.sign({ sub: 'u'.repeat(129) }, SECRET);
+    expect(() => verifyToken(longUserId)).to.throw().with.nested.property('data.code', 'invalid_token');
+
+    const longNickname = jwt.sign({ sub: 'u1', name: '弹'.repeat(300) }, SECRET);
+    expect(verifyToken(longNickname).nickname).to.equal('弹'.repeat(64));
+  });
+
+  it('游客令牌重连后应该保持同一个游客ID', () => {
+    const token = issueGuestToken('guest_abcdefgh1234');
+    const user = verifyToken(token);
+    expect(user.userId).to.equal('guest_abcdefgh1234');
+    expect(user.isGuest).to.be.true;
+    expect(user.isAdmin).to.be.false;
+  });
+
+  it('握手中间件应该为无令牌连接分配游客身份并拒绝无效令牌', () => {
+    const guestSocket = createSocket();
+    const next = sinon.spy();
+    socketAuthMiddleware(guestSocket, next);
+    expect(next.calledOnceWithExactly()).to.be.true;
+    expect(guestSocket.data.user.isGuest).to.be.true;
+    expect(guestSocket.data.user.userId).to.match(/^guest_/);
+
+    const badSocket = createSocket({ token: 'not-a-jwt' });
+    const rejected = sinon.spy();
+    socketAuthMiddleware(badSocket, rejected);
+    expect(rejected.firstCall.args[0].data.code).to.equal('invalid_token');
+    expect(badSocket.data.user).to.be.undefined;
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * 弹幕广播测试
+ * 测试密度控制的相似弹幕合并和抽样，以及集群速率计数
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { redisUtils } from '../../src/database.js';
+import { compactDanmakus, publishDanmaku, releaseBroadcastRoom, broadcastConfig } from '../../src/broadcaster.js';
+
+const item = (content, extra = {}) => ({ danmaku: { content, type: 'scroll', ...extra }, receivedAt: 0 });
+
+describe('弹幕广播测试', () => {
+  it('应该把相似弹幕合并为一条带count的弹幕，并保持原有顺序', () => {
+    const items = [item('666'), item('前方高能'), item('6666!'), item(' 666 '), item('ＡＢ'), item('ab')];
+    const { kept, dropped, merged } = compactDanmakus(items, 10);
+
+    expect(merged).to.equal(3);
+    expect(dropped).to.have.length(0);
+    expect(kept.map(({ danmaku }) => [danmaku.content, danmaku.count])).to.deep.equal([
+      ['666', 3],
+      ['前方高能', undefined],
+      ['ＡＢ', 2]
+    ]);
+  });
+
+  it('超过配额时优先保留管理员弹幕和合并数多的弹幕', () => {
+    const items = [item('a'), item('b'), item('管理员公告', { isAdmin: true }), item('c'), item('c'), item('d')];
+    const { kept, dropped } = compactDanmakus(items, 2, () => 0.5);
+
+    expect(kept.map(({ danmaku }) => danmaku.content)).to.deep.equal(['管理员公告', 'c']);
+    expect(dropped.map(({ danmaku }) => danmaku.content)).to.have.members(['a', 'b', 'd']);
+  });
+
+  it('只折叠连续3个及以上相同的字符，不同的词不会被合并', () => {
+    const items = [item('good'), item('god'), item('哈哈哈'), item('哈哈哈哈哈')];
+    const { kept, merged } = compactDanmakus(items, 10);
+
+    expect(merged).to.equal(1);
+    expect(kept.map(({ danmaku }) => [danmaku.content, danmaku.count])).to.deep.equal([
+      ['good', undefined],
+      ['god', undefined],
+      ['哈哈哈', 2]
+    ]);
+  });
+
+  it('密度按集群速率判断：其他实例的弹幕使房间超过阈值时本实例也进入密度控制', async () => {
+    const emit = sinon.spy();
+    const io = { to: () => ({ emit }) };
+    const socket = { connected: true, emit: sinon.spy() };
+    const threshold = broadcastConfig.densityThreshold;
+    broadcastConfig.densityThreshold = 50;
+    sinon.stub(redisUtils, 'incrWithExpire').resolves({ value: 80, hasRedis: true });
+    // 固定时间，两条弹幕落在同一秒
+    sinon.useFakeTimers({ now: 1500, toFake: ['Date'] });
+
+    try {
+      publishDanmaku(io, socket, 'dense-room', { content: 'a' });
+      expect(emit.callCount).to.equal(1);
+      await Promise.resolve();
+
+      publishDanmaku(io, socket, 'dense-room', { content: 'b' });
+      expect(emit.callCount).to.equal(1);
+      releaseBroadcastRoom('dense-room');
+      expect(emit.callCount).to.equal(2);
+    } finally {
+      broadcastConfig.densityThreshold = threshold;
+      sinon.restore();
+    }
+  });
+
+  it('Redis不可用时暂停集群计数，不再为每条弹幕请求Redis', async () => {
+    const io = { to: () => ({ emit: sinon.spy() }) };
+    const socket = { connected: true, emit: sinon.spy() };
+    const incr = sinon.stub(redisUtils, 'incrWithExpire').resolves({ value: 1, hasRedis: false });
+    const clock = sinon.useFakeTimers({ now: 1500, toFake: ['Date'] });
+
+    try {
+      publishDanmaku(io, socket, 'outage-room', { content: 'a' });
+      await Promise.resolve();
+      publishDanmaku(io, socket, 'outage-room', { content: 'b' });
+      publishDanmaku(io, socket, 'outage-room', { content: 'c' });
+      expect(incr.callCount).to.equal(1);
+
+      clock.tick(5000);
+      publishDanmaku(io, socket, 'outage-room', { content: 'd' });
+      expect(incr.callCount).to.equal(2);
+    } finally {
+      releaseBroadcastRoom('outage-room');
+      sinon.restore();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * 运行时配置测试
+ * 测试配置项校验、修改后立即生效以及恢复默认值
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { filterDanmaku, getConfig } from '../../src/filterRules.js';
+import { getRuntimeConfig, describeRuntimeConfig, updateRuntimeConfig } from '../../src/runtimeConfig.js';
+
+describe('运行时配置测试', () => {
+  beforeEach(() => {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await updateRuntimeConfig({ filter: { maxLength: null, guestLimits: { maxLength: null } } });
+  });
+
+  it('应该拒绝未知或不合法的配置项，且不修改任何配置', async () => {
+    const unknown = await updateRuntimeConfig({ filter: { maxLength: 80, maxMessageLength: 100 } });
+    expect(unknown).to.include({ success: false, code: 'invalid' });
+
+    for (const value of ['80', 0, 1.5, 10000]) {
+      expect((await updateRuntimeConfig({ filter: { maxLength: value } })).code, String(value)).to.equal('invalid');
+    }
+    expect((await updateRuntimeConfig({ filter: { pinyinMatching: 'yes' } })).code).to.equal('invalid');
+    expect((await updateRuntimeConfig({ filter: { maskChar: '**' } })).code).to.equal('invalid');
+
+    expect(getConfig().maxLength).to.equal(50);
+  });
+
+  it('修改后filterDanmaku立即使用新值，传null恢复默认值', async () => {
+    const content = 'a'.repeat(60);
+    expect((await filterDanmaku(content, 'config-room')).code).to.equal('too_long');
+
+    const result = await updateRuntimeConfig({ filter: { maxLength: 80 } }, 'alice');
+    expect(result.success).to.equal(true);
+    expect(result.before).to.deep.equal({ 'filter.maxLength': 50 });
+    expect(result.after).to.deep.equal({ 'filter.maxLength': 80 });
+    expect(getRuntimeConfig().filter.maxLength).to.equal(80);
+    expect(describeRuntimeConfig().find(({ key }) => key === 'filter.maxLength'))
+      .to.include({ value: 80, default: 50, updatedBy: 'alice' });
+    expect((await filterDanmaku(content, 'config-room')).allowed).to.equal(true);
+
+    // 嵌套的配置项与游客限制
+    await updateRuntimeConfig({ filter: { guestLimits: { maxLength: 10 } } });
+    expect((await filterDanmaku('a'.repeat(15), 'config-room', { isGuest: true })).code).to.equal('too_long');
+
+    await updateRuntimeConfig({ filter: { maxLength: null } });
+    expect(getConfig().maxLength).to.equal(50);
+    expect(describeRuntimeConfig().find(({ key }) => key === 'filter.maxLength').updatedBy).to.equal(null);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Aho-Corasick自动机测试
+ * 测试多模式匹配结果与Trie树保持一致
+ */
+import { expect } from 'chai';
+import { AhoCorasick } from '../../src/ahoCorasick.js';
+import { Trie, normalizeText } from '../../src/filterRules.js';
+
+describe('Aho-Corasick自动机测试', () => {
+  it('应该通过失败指针和输出指针找出所有重叠的命中', () => {
+    const automaton = new AhoCorasick();
+    ['he', 'she', 'his', 'hers'].forEach(word => automaton.addWord(word));
+
+    const result = automaton.check('ushers');
+    expect(result.words).to.deep.equal([
+      { word: 'she', start: 1, end: 4 },
+      { word: 'he', start: 2, end: 4 },
+      { word: 'hers', start: 2, end: 6 }
+    ]);
+  });
+
+  it('增删词语后应该重新构建失败指针', () => {
+    const automaton = new AhoCorasick();
+    automaton.addWord('广告');
+    expect(automaton.check('小广告').hasSensitive).to.be.true;
+
+    automaton.removeWord('广告');
+    automaton.addWord('告示');
+    expect(automaton.check('小广告').hasSensitive).to.be.false;
+    expect(automaton.check('广告示').words.map(w => w.word)).to.deep.equal(['告示']);
+  });
+
+  it('规范化匹配结果和遮盖结果应该与Trie树一致', () => {
+    const words = ['广告', '广告位', 'spam', '违禁词', '告', 'am'];
+    const texts = ['看 廣*告位 啦', 'ＳＰＡＭ and spam', '违-禁-词广告', '没有命中', ''];
+    const automaton = new AhoCorasick(normalizeText);
+    const trie = new Trie(normalizeText);
+    words.forEach(word => {
+      automaton.addWord(word);
+      trie.addWord(word);
+    });
+
+    for (const text of texts) {
+      expect(automaton.check(text), text).to.deep.equal(trie.check(text));
+      expect(automaton.filter(text), text).to.equal(trie.filter(text));
+    }
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * 过滤规则测试
+ * 测试敏感词规则的增删与内容过滤
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  initializeFilterRules,
+  filterDanmaku,
+  getFilterRules,
+  addFilterRule,
+  removeFilterRule,
+  updateConfig,
+  getRoomPolicy,
+  getEffectivePolicy,
+  updateRoomPolicy,
+  deleteRoomPolicy,
+  addRoomFilterRule,
+  normalizeText,
+  testUtils
+} from '../../src/filterRules.js';
+
+describe('过滤规则测试', () => {
+  beforeEach(async () => {
+    // 屏蔽过滤过程中的日志输出
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+    await initializeFilterRules();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('规则管理测试', () => {
+    it('无数据库时应该加载默认敏感词库', () => {
+      const rules = getFilterRules().map(rule => rule.rule);
+      expect(rules).to.include('spam');
+    });
+
+    it('应该拒绝空规则和不支持的规则类型', async () => {
+      expect((await addFilterRule({ rule: '  ' })).code).to.equal('invalid');
+      expect((await addFilterRule({ rule: '测试', type: 'unknown' })).code).to.equal('invalid');
+    });
+
+    it('添加规则后应该立即生效', async () => {
+      const result = await addFilterRule({ rule: '刷屏' });
+      expect(result.success).to.be.true;
+      expect(result.created).to.be.true;
+
+      const filterResult = await filterDanmaku('不要刷屏');
+      expect(filterResult.allowed).to.be.false;
+      expect(filterResult.content).to.equal('不要**');
+    });
+
+    it('删除规则后应该不再拦截', async () => {
+      await removeFilterRule('spam');
+      const filterResult = await filterDanmaku('spam');
+      expect(filterResult.allowed).to.be.true;
+    });
+
+    it('删除不存在的规则应该返回not_found', async () => {
+      const result = await removeFilterRule('不存在的规则');
+      expect(result.success).to.be.false;
+      expect(result.code).to.equal('not_found');
+    });
+  });
+
+  describe('规则处理方式测试', () => {
+    it('replace规则应该使用指定文本替换并放行', async () => {
+      await addFilterRule({ rule: '菜鸡', type: 'replace', replacement: '萌新' });
+      const result = await filterDanmaku('你真是个菜鸡');
+
+      expect(result.allowed).to.be.true;
+      expect(result.action).to.equal('replace');
+      expect(result.content).to.equal('你真是个萌新');
+      expect(result.decisions).to.deep.equal([
+        { rule: '菜鸡', type: 'replace', start: 4, end: 6, replacement: '萌新' }
+      ]);
+    });
+
+    it('warn规则应该放行原文并标记待审核', async () => {
+      await addFilterRule({ rule: '加群', type: 'warn' });
+      const result = await filterDanmaku('欢迎加群');
+
+      expect(result.allowed).to.be.true;
+      expect(result.action).to.equal('warn');
+      expect(result.flagged).to.be.true;
+      expect(result.content).to.equal('欢迎加群');
+    });
+
+    it('shadow规则应该放行并返回shadow处理方式', async () => {
+      await addFilterRule({ rule: '代刷', type: 'shadow' });
+      const result = await filterDanmaku('专业代刷');
+
+      expect(result.allowed).to.be.true;
+      expect(result.action).to.equal('shadow');
+    });
+
+    it('同时命中多条规则时应该采用最严格的处理方式', async () => {
+      await addFilterRule({ rule: '菜鸡', type: 'replace' });
+      const result = await filterDanmaku('菜鸡spam');
+
+      expect(result.allowed).to.be.false;
+      expect(result.action).to.equal('ban');
+      expect(result.content).to.equal('******');
+      expect(result.decisions.map(d => d.type)).to.deep.equal(['replace', 'ban']);
+    });
+  });
+
+  describe('文本规范化测试', () => {
+    afterEach(async () => {
+      await updateConfig({ pinyinMatching: false });
+    });
+
+    it('应该识别大小写、全角、分隔符和零宽字符规避', async () => {
+      for (const text of ['sPaM', 'ＳＰＡＭ', 's p a m', 's\u200Bpam', 'ѕрам']) {
+        const result = await filterDanmaku(text);
+        expect(result.allowed, text).to.be.false;
+      }
+    });
+
+    it('分隔符只在单个字符之间删除，不应该跨词命中', async () => {
+      for (const text of ['has pam', 'this pam', 'sp am']) {
+        expect((await filterDanmaku(text)).allowed, text).to.be.true;
+      }
+      expect(normalizeText('s.p.a.m 广 告 has pam').chars.join('')).to.equal('spam广告 has pam');
+    });
+
+    it('应该识别繁体字并按原文位置遮盖', async () => {
+      const result = await filterDanmaku('看廣*告了');
+
+      expect(result.allowed).to.be.false;
+      expect(result.content).to.equal('看***了');
+      expect(result.decisions[0]).to.include({ rule: '广告', start: 1, end: 4 });
+    });
+
+    it('Trie树的filter应该遮盖原文中对应的字符', () => {
+      const trie = testUtils.getSensitiveWordTrie();
+      expect(trie.filter('买 S-P-A-M 吗')).to.equal('买 ******* 吗');
+    });
+
+    it('开启拼音匹配后应该识别拼音和同音字', async () => {
+      expect((await filterDanmaku('guanggao')).allowed).to.be.true;
+
+      await updateConfig({ pinyinMatching: true });
+      expect((await filterDanmaku('guanggao')).allowed).to.be.false;
+      expect((await filterDanmaku('光高')).allowed).to.be.false;
+      // 只命中某个字拼音的一部分时不算命中（山 shan 不应命中 安 an）
+      await addFilterRule({ rule: '安' });
+      expect((await filterDanmaku('山')).allowed).to.be.true;
+      expect((await filterDanmaku('按')).allowed).to.be.false;
+    });
+  });
+
+  describe('正则和通配符规则测试', () => {
+    it('应该按正则规则遮盖网址和号码', async () => {
+      await addFilterRule({ rule: 'https?://\\S+', matchType: 'regex' });
+      await addFilterRule({ rule: '1[3-9]\\d{9}', matchType: 'regex', type: 'replace', replacement: '[号码]' });
+
+      expect((await filterDanmaku('打开 http://a.cn 看看')).allowed).to.be.false;
+      const result = await filterDanmaku('电话13812345678');
+      expect(result.allowed).to.be.true;
+      expect(result.content).to.equal('电话[号码]');
+    });
+
+    it('通配符规则应该匹配任意后缀', async () => {
+      await addFilterRule({ rule: '加V*', matchType: 'glob', type: 'warn' });
+      const result = await filterDanmaku('快来加vx123 有福利');
+
+      expect(result.action).to.equal('warn');
+      expect(result.decisions[0]).to.include({ rule: '加V*', start: 2, end: 8 });
+    });
+
+    it('应该拒绝无效、可匹配空串和存在回溯风险的正则', async () => {
+      for (const rule of ['(abc', 'a*', '(a+)+b', '(a|ab)*c', '(\\w)\\1', '.*.*.*x', '\\d+\\d+', '.*a.*b.*c']) {
+        const result = await addFilterRule({ rule, matchType: 'regex' });
+        expect(result.code, rule).to.equal('invalid');
+      }
+      expect((await addFilterRule({ rule: '*a*a*a*x', matchType: 'glob' })).code).to.equal('invalid');
+      expect((await addFilterRule({ rule: '(ab)+c', matchType: 'regex' })).success).to.be.true;
+      expect((await addFilterRule({ rule: '\\d+\\s*\\d+', matchType: 'regex' })).success).to.be.true;
+    });
+
+    it('匹配超时的规则应该被中断并停用，重新保存后恢复', async () => {
+      const slowRule = '(\\w*)(\\w*)[xy]$';
+      await updateConfig({ maxLength: 500 });
+      await addFilterRule({ rule: slowRule, matchType: 'regex' });
+      await addFilterRule({ rule: 'https?://\\S+', matchType: 'regex' });
+
+      try {
+        const startedAt = Date.now();
+        const result = await filterDanmaku('a'.repeat(480) + '! http://a.cn');
+        expect(Date.now() - startedAt).to.be.below(500);
+        expect(result.decisions.map(decision => decision.rule)).to.deep.equal(['https?://\\S+']);
+        expect(getFilterRules().find(rule => rule.rule === slowRule).disabled).to.be.true;
+
+        await addFilterRule({ rule: slowRule, matchType: 'regex' });
+        expect(getFilterRules().find(rule => rule.rule === slowRule).disabled).to.be.undefined;
+      } finally {
+        await removeFilterRule(slowRule);
+        await updateConfig({ maxLength: null });
+      }
+    });
+
+    it('规则改为正则后应该不再按敏感词匹配', async () => {
+      await addFilterRule({ rule: 'spam', matchType: 'regex', type: 'warn' });
+      const result = await filterDanmaku('SPAM');
+      expect(result.action).to.equal('warn');
+      expect((await filterDanmaku('s p a m')).allowed).to.be.true;
+    });
+  });
+
+  describe('房间策略测试', () => {
+    afterEach(async () => {
+      await deleteRoomPolicy('room-a');
+    });
+
+    it('房间词库只对该房间生效，并优先于全局规则', async () => {
+      await addRoomFilterRule('room-a', { rule: '剧透' });
+      await addRoomFilterRule('room-a', { rule: 'spam', type: 'warn' });
+
+      expect((await filterDanmaku('别剧透', 'room-a')).allowed).to.be.false;
+      expect((await filterDanmaku('别剧透', 'room-b')).allowed).to.be.true;
+      expect((await filterDanmaku('spam', 'room-a')).action).to.equal('warn');
+      expect((await filterDanmaku('spam', 'room-b')).action).to.equal('ban');
+    });
+
+    it('应该按房间覆盖最大长度，传null恢复全局配置', async () => {
+      await updateRoomPolicy('room-a', { maxLength: 5 });
+      expect((await filterDanmaku('123456', 'room-a')).action).to.equal('reject');
+      expect((await filterDanmaku('123456', 'room-b')).allowed).to.be.true;
+
+      const result = await updateRoomPolicy('room-a', { maxLength: null, maxDuplicateCount: 1 });
+      expect(result.policy.effective.maxLength).to.equal(50);
+      expect(result.policy.overrides.maxDuplicateCount).to.equal(1);
+    });
+
+    it('游客应该使用与房间限制相比更严格的一方', async () => {
+      const guest = { userId: 'guest_1', isGuest: true };
+      const longText = '1'.repeat(21);
+      expect((await filterDanmaku(longText, 'room-a', guest)).action).to.equal('reject');
+      expect((await filterDanmaku(longText, 'room-a', { userId: 'u1', isGuest: false })).allowed).to.be.true;
+
+      await updateRoomPolicy('room-a', { maxLength: 10 });
+      expect(getEffectivePolicy('room-a', guest).maxLength).to.equal(10);
+      expect(getEffectivePolicy('room-a', guest).userRateLimit.messagesPerSecond).to.equal(1);
+    });
+
+    it('应该拒绝超出范围的限制', async () => {
+      const result = await updateRoomPolicy('room-a', { userRateLimit: { messagesPerSecond: 0 } });
+      expect(result.code).to.equal('invalid');
+      expect(getRoomPolicy('room-a').overrides.userRateLimit).to.be.null;
+    });
+
+    it('删除不存在的房间策略应该返回not_found', async () => {
+      expect((await deleteRoomPolicy('room-none')).code).to.equal('not_found');
+    });
+  });
+
+  describe('Trie树删除测试', () => {
+    it('删除词语时应该保留共享前缀的其他词语', async () => {
+      await addFilterRule({ rule: '广告位' });
+      const trie = testUtils.getSensitiveWordTrie();
+
+      expect(trie.removeWord('广告位')).to.be.true;
+      expect(trie.check('广告').hasSensitive).to.be.true;
+      expect(trie.check('广告位').words.map(w => w.word)).to.deep.equal(['广告']);
+    });
+
+    it('删除不存在的词语应该返回false', () => {
+      const trie = testUtils.getSensitiveWordTrie();
+      expect(trie.removeWord('不存在')).to.be.false;
+      expect(trie.removeWord('广')).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * 频率限制测试
+ * 测试单用户/单IP/房间限制的合并检查、算法选择和用户等级分档
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { redisUtils } from '../../src/database.js';
+import { checkRateLimit, getEffectivePolicy, updateConfig, updateRoomPolicy, deleteRoomPolicy } from '../../src/filterRules.js';
+
+const allowed = { allowed: true, index: -1, retryAfter: 0, hasRedis: true };
+
+describe('频率限制测试', () => {
+  let rateLimit;
+
+  beforeEach(() => {
+    sinon.stub(console, 'log');
+    rateLimit = sinon.stub(redisUtils, 'rateLimit').resolves(allowed);
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await updateConfig({ userRateLimit: { algorithm: null }, userLevelTiers: null });
+  });
+
+  it('应该在一次调用中检查单用户、单IP和房间，被拒绝时返回限制对象和等待时间', async () => {
+    const user = { userId: 'u1', isGuest: false, userLevel: 0 };
+    expect((await checkRateLimit('u1', 'rl-room', user, '10.0.0.1')).allowed).to.equal(true);
+    expect(rateLimit.callCount).to.equal(1);
+    expect(rateLimit.firstCall.args[0]).to.deep.equal([
+      { key: 'rate_limit:sw:user:u1', algorithm: 'sliding_window', limit: 2, windowMs: 1000 },
+      { key: 'rate_limit:sw:ip:10.0.0.1', algorithm: 'sliding_window', limit: 10, windowMs: 1000 },
+      { key: 'rate_limit:sw:room:rl-room', algorithm: 'sliding_window', limit: 1000, windowMs: 1000 }
+    ]);
+
+    rateLimit.resolves({ allowed: false, index: 1, retryAfter: 350, hasRedis: true });
+    const result = await checkRateLimit('u1', 'rl-room', user, '10.0.0.1');
+    expect(result).to.include({ allowed: false, scope: 'ip', limit: 10, retryAfter: 350 });
+    expect(rateLimit.callCount).to.equal(2);
+  });
+
+  it('未传入IP时不检查单IP限制', async () => {
+    await checkRateLimit('u1', 'rl-room', null);
+    expect(rateLimit.firstCall.args[0].map(({ key }) => key)).to.deep.equal(['rate_limit:sw:user:u1', 'rate_limit:sw:room:rl-room']);
+  });
+
+  it('切换为令牌桶后使用桶容量和独立的键', async () => {
+    await updateConfig({ userRateLimit: { algorithm: 'token_bucket' } });
+    await checkRateLimit('u1', 'rl-room', null);
+
+    const [userLimit, roomLimit] = rateLimit.firstCall.args[0];
+    expect(userLimit).to.deep.equal({ key: 'rate_limit:tb:user:u1', algorithm: 'token_bucket', limit: 2, windowMs: 1000, capacity: 4 });
+    expect(roomLimit.key).to.equal('rate_limit:sw:room:rl-room');
+  });
+
+  it('用户等级分档放宽单用户限制，房间覆盖优先，游客不适用', async () => {
+    expect((await updateConfig({ userLevelTiers: [{ minLevel: 10 }] })).code).to.equal('invalid');
+    await updateConfig({ userLevelTiers: [{ minLevel: 10, messagesPerSecond: 4 }, { minLevel: 30, messagesPerSecond: 8 }] });
+
+    const limitFor = (user, roomId = 'rl-room') => getEffectivePolicy(roomId, user).userRateLimit.messagesPerSecond;
+    expect(limitFor({ userLevel: 5 })).to.equal(2);
+    expect(limitFor({ userLevel: 12 })).to.equal(4);
+    expect(limitFor({ userLevel: 50 })).to.equal(8);
+    expect(limitFor({ userLevel: 50, isGuest: true })).to.equal(1);
+
+    await updateRoomPolicy('rl-slow-room', { userRateLimit: { messagesPerSecond: 1 } });
+    expect(limitFor({ userLevel: 50 }, 'rl-slow-room')).to.equal(1);
+    await deleteRoomPolicy('rl-slow-room');
+  });
+});
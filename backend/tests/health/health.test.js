@@ -0,0 +1,35 @@
+/**
+ * 健康检查测试
+ * 测试依赖不可用时的就绪状态
+ */
+import { expect } from 'chai';
+import { checkLiveness, checkReadiness, healthConfig } from '../../src/health.js';
+
+describe('健康检查测试', () => {
+  const { requireRedis } = healthConfig;
+
+  afterEach(() => {
+    healthConfig.requireRedis = requireRedis;
+  });
+
+  it('存活检查不依赖外部服务', () => {
+    expect(checkLiveness().status).to.equal('ok');
+  });
+
+  it('Redis为必需依赖且未连接时应该未就绪', async () => {
+    healthConfig.requireRedis = true;
+    const report = await checkReadiness();
+    expect(report.ready).to.be.false;
+    expect(report.status).to.equal('unavailable');
+    expect(report.checks.redis).to.include({ critical: true, status: 'down' });
+    expect(report.checks.socketAdapter.status).to.equal('down');
+  });
+
+  it('只有非必需依赖不可用时应该就绪但标记为degraded', async () => {
+    healthConfig.requireRedis = false;
+    const report = await checkReadiness();
+    expect(report.ready).to.be.true;
+    expect(report.status).to.equal('degraded');
+    expect(report.checks.database).to.include({ critical: false, status: 'down' });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * 用户处罚测试
+ * 测试房间禁言、按用户和IP封禁以及解除处罚
+ */
+import { expect } from 'chai';
+import {
+  muteUser,
+  unmuteUser,
+  banUser,
+  unbanUser,
+  listSanctions,
+  checkSendSanctions,
+  onSanctionChanged,
+  resolveClientIp,
+  trustedProxyHops
+} from '../../src/sanctions.js';
+
+describe('用户处罚测试', () => {
+  it('禁言只在指定房间生效，解除后可以再次发送', async () => {
+    const result = await muteUser('mute-room', { userId: 'm1', duration: 60, reason: '刷屏' });
+    expect(result.success).to.equal(true);
+    expect(result.sanction.expiresAt).to.be.a('string');
+
+    const blocked = checkSendSanctions('m1', 'mute-room', '10.0.0.1');
+    expect(blocked).to.include({ allowed: false, code: 'muted' });
+    expect(checkSendSanctions('m1', 'other-room', '10.0.0.1').allowed).to.equal(true);
+    expect(listSanctions({ type: 'mute', roomId: 'mute-room' })).to.have.length(1);
+
+    expect((await unmuteUser('mute-room', 'm1')).success).to.equal(true);
+    expect(checkSendSanctions('m1', 'mute-room', '10.0.0.1').allowed).to.equal(true);
+    expect((await unmuteUser('mute-room', 'm1')).code).to.equal('not_found');
+  });
+
+  it('按IP封禁对该IP的所有用户生效，IPv4映射地址视为同一IP', async () => {
+    const changes = [];
+    const off = onSanctionChanged((id, sanction) => changes.push({ id, sanction }));
+
+    const result = await banUser({ ip: '::ffff:10.0.0.2', reason: '广告' });
+    expect(result.success).to.equal(true);
+    expect(result.sanction).to.include({ ip: '10.0.0.2', expiresAt: null });
+    expect(checkSendSanctions('anyone', 'some-room', '10.0.0.2')).to.include({ allowed: false, code: 'banned' });
+
+    await unbanUser('ip', '10.0.0.2');
+    expect(checkSendSanctions('anyone', 'some-room', '10.0.0.2').allowed).to.equal(true);
+    expect(changes.map(({ id, sanction }) => [id, !!sanction])).to.deep.equal([
+      ['ban:ip:10.0.0.2', true],
+      ['ban:ip:10.0.0.2', false]
+    ]);
+    off();
+  });
+
+  it('参数不合法时返回invalid', async () => {
+    expect((await muteUser('mute-room', { userId: 'm2' })).code).to.equal('invalid');
+    expect((await muteUser('mute-room', { userId: 'm2', duration: 1.5 })).code).to.equal('invalid');
+    expect((await banUser({ userId: 'b1', ip: '10.0.0.3' })).code).to.equal('invalid');
+    expect((await banUser({})).code).to.equal('invalid');
+  });
+
+  it('客户端IP从右往左跳过受信任的代理层数，伪造的X-Forwarded-For不生效', () => {
+    const headers = { 'x-forwarded-for': '6.6.6.6, 203.0.113.7' };
+    expect(resolveClientIp(headers, '10.0.0.9', 0)).to.equal('10.0.0.9');
+    expect(resolveClientIp(headers, '10.0.0.9', 1)).to.equal('203.0.113.7');
+    expect(resolveClientIp(headers, '10.0.0.9', 2)).to.equal('6.6.6.6');
+    expect(resolveClientIp(headers, '10.0.0.9', 5)).to.equal('6.6.6.6');
+    expect(resolveClientIp({}, '::ffff:10.0.0.9', 1)).to.equal('10.0.0.9');
+
+    expect(trustedProxyHops('2')).to.equal(2);
+    expect(trustedProxyHops('true')).to.equal(1);
+    expect(trustedProxyHops('false')).to.equal(0);
+    expect(trustedProxyHops(undefined)).to.equal(0);
+  });
+});
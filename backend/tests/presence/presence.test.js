@@ -0,0 +1,67 @@
+/**
+ * 在线状态测试
+ * 测试无Redis时按本实例连接统计在线人数
+ */
+import { expect } from 'chai';
+import {
+  joinPresence,
+  leavePresence,
+  getOnlineCounts,
+  getLocalRooms,
+  getPresenceStats,
+  getRoomActivity,
+  recordMessage
+} from '../../src/presence.js';
+
+describe('在线状态测试', () => {
+  afterEach(async () => {
+    await leavePresence('room-a', 's1');
+    await leavePresence('room-a', 's2');
+    await leavePresence('room-b', 's3');
+  });
+
+  it('房间已满时不登记新连接，已在房间内的连接可以重复加入', async () => {
+    await joinPresence('room-a', 's1', 'u1', { capacity: 1 });
+
+    const full = await joinPresence('room-a', 's2', 'u2', { capacity: 1 });
+    expect(full.full).to.be.true;
+    expect(full.online).to.equal(1);
+    expect((await joinPresence('room-a', 's1', 'u1', { capacity: 1 })).full).to.be.undefined;
+    expect((await getOnlineCounts(['room-a'])).get('room-a')).to.equal(1);
+  });
+
+  it('无Redis时应该按本实例连接统计各房间在线人数', async () => {
+    await joinPresence('room-a', 's1', 'u1');
+    await joinPresence('room-a', 's2', 'u2');
+    await joinPresence('room-b', 's3', 'u1');
+
+    const counts = await getOnlineCounts(['room-a', 'room-b', 'room-c']);
+    expect(counts.get('room-a')).to.equal(2);
+    expect(counts.get('room-b')).to.equal(1);
+    expect(counts.get('room-c')).to.equal(0);
+
+    const stats = await getPresenceStats();
+    expect(stats.hasRedis).to.be.false;
+    expect(stats.activeConnections).to.equal(3);
+    expect(stats.rooms['room-a'].online).to.equal(2);
+  });
+
+  it('房间最后一个连接离开后不再出现在本实例房间列表中', async () => {
+    await joinPresence('room-a', 's1', 'u1');
+    await leavePresence('room-a', 's1');
+
+    expect(getLocalRooms()).to.not.include('room-a');
+    expect((await getOnlineCounts(['room-a'])).get('room-a')).to.equal(0);
+  });
+
+  it('房间索引应该返回在线人数和每分钟弹幕数', async () => {
+    await joinPresence('room-a', 's1', 'u1');
+    await recordMessage('room-a');
+    await recordMessage('room-a');
+
+    const activity = await getRoomActivity(['room-a', 'room-b']);
+    expect(activity.get('room-a').online).to.equal(1);
+    expect(activity.get('room-a').messageRate).to.be.at.least(2);
+    expect(activity.get('room-b')).to.deep.equal({ online: 0, messageRate: 0 });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * 房间消息队列测试
+ * 测试按用户轮转出队、单用户上限和溢出策略
+ */
+import { expect } from 'chai';
+import { RoomQueue } from '../../src/roomQueue.js';
+
+const entry = (userId, id, priority = 1) => ({ userId, id, priority });
+
+describe('房间消息队列测试', () => {
+  it('应该按用户轮流出队，同一用户的弹幕不会同时处理', () => {
+    const queue = new RoomQueue({ maxLength: 10, maxPerUser: 5 });
+    ['a1', 'a2', 'a3'].forEach(id => queue.push(entry('a', id)));
+    queue.push(entry('b', 'b1'));
+
+    const first = queue.take();
+    const second = queue.take();
+    expect([first.id, second.id]).to.deep.equal(['a1', 'b1']);
+    // a的弹幕还在处理中，b没有更多弹幕
+    expect(queue.take()).to.equal(null);
+
+    queue.done(first);
+    expect(queue.take().id).to.equal('a2');
+    expect(queue.running).to.equal(2);
+    expect(queue.length).to.equal(1);
+  });
+
+  it('reject策略在队列或单用户份额已满时拒绝新弹幕', () => {
+    const queue = new RoomQueue({ maxLength: 3, maxPerUser: 2, overflowPolicy: 'reject' });
+    expect(queue.push(entry('a', 'a1')).accepted).to.equal(true);
+    expect(queue.push(entry('a', 'a2')).accepted).to.equal(true);
+    expect(queue.push(entry('a', 'a3')).accepted).to.equal(false);
+    expect(queue.push(entry('b', 'b1')).accepted).to.equal(true);
+    expect(queue.push(entry('c', 'c1')).accepted).to.equal(false);
+    expect(queue.length).to.equal(3);
+  });
+
+  it('drop_oldest丢弃最早的弹幕，drop_lowest_priority丢弃优先级最低的弹幕', () => {
+    const oldest = new RoomQueue({ maxLength: 2, maxPerUser: 5, overflowPolicy: 'drop_oldest' });
+    oldest.push(entry('a', 'a1'));
+    oldest.push(entry('b', 'b1'));
+    const result = oldest.push(entry('c', 'c1'));
+    expect(result.accepted).to.equal(true);
+    expect(result.dropped.map(({ id }) => id)).to.deep.equal(['a1']);
+
+    const lowest = new RoomQueue({ maxLength: 2, maxPerUser: 5, overflowPolicy: 'drop_lowest_priority' });
+    lowest.push(entry('admin', 'x1', 2));
+    lowest.push(entry('guest', 'g1', 0));
+    expect(lowest.push(entry('guest2', 'g2', 0)).accepted).to.equal(false);
+    const dropped = lowest.push(entry('user', 'u1', 1)).dropped;
+    expect(dropped.map(({ id }) => id)).to.deep.equal(['g1']);
+    expect(lowest.clear().map(({ id }) => id)).to.have.members(['x1', 'u1']);
+  });
+});
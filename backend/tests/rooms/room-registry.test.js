@@ -0,0 +1,86 @@
+/**
+ * 房间登记测试
+ * 测试房间状态流转与加入房间的访问限制
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  initializeRoomRegistry,
+  createRoom,
+  updateRoom,
+  setRoomStatus,
+  getRoom,
+  checkRoomAccess,
+  onRoomChanged
+} from '../../src/roomRegistry.js';
+
+const viewer = { userId: 'u1', isAdmin: false };
+
+describe('房间登记测试', () => {
+  let roomSeq = 0;
+  let roomId;
+
+  before(async () => {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+    await initializeRoomRegistry();
+    sinon.restore();
+  });
+
+  beforeEach(() => {
+    roomId = `test-room-${++roomSeq}`;
+  });
+
+  it('默认房间应该处于开放状态，未登记的房间不能加入', async () => {
+    expect(getRoom('default-room').status).to.equal('open');
+    expect((await checkRoomAccess('default-room', viewer)).allowed).to.be.true;
+    expect((await checkRoomAccess('no-such-room', viewer)).code).to.equal('room_not_found');
+  });
+
+  it('应该按状态流转规则开放、关闭和归档房间', async () => {
+    const created = await createRoom({ id: roomId, title: '测试房间' });
+    expect(created.room.status).to.equal('created');
+    expect((await createRoom({ id: roomId, title: '重复' })).code).to.equal('conflict');
+    expect((await checkRoomAccess(roomId, viewer)).code).to.equal('room_closed');
+
+    expect((await setRoomStatus(roomId, 'open')).room.status).to.equal('open');
+    expect((await setRoomStatus(roomId, 'closed')).room.status).to.equal('closed');
+    expect((await setRoomStatus(roomId, 'archived')).room.status).to.equal('archived');
+    expect((await setRoomStatus(roomId, 'open')).code).to.equal('conflict');
+    expect((await updateRoom(roomId, { title: '新标题' })).code).to.equal('conflict');
+  });
+
+  it('应该校验房间密码且不对外返回密码哈希', async () => {
+    expect((await createRoom({ id: roomId, access: 'password', open: true })).code).to.equal('invalid');
+
+    const result = await createRoom({ id: roomId, access: 'password', password: 'secret', open: true });
+    expect(result.room).to.not.have.property('passwordHash');
+    expect(result.room.hasPassword).to.be.true;
+
+    expect((await checkRoomAccess(roomId, viewer)).code).to.equal('password_required');
+    expect((await checkRoomAccess(roomId, viewer, { password: 'wrong' })).code).to.equal('wrong_password');
+    expect((await checkRoomAccess(roomId, viewer, { password: 'secret' })).allowed).to.be.true;
+  });
+
+  it('应该限制人数和受邀用户，管理员不受限制', async () => {
+    await createRoom({ id: roomId, maxViewers: 2, access: 'invite', invitees: ['u1'], open: true });
+
+    const access = await checkRoomAccess(roomId, viewer);
+    expect(access.allowed).to.be.true;
+    expect(access.capacity).to.equal(2);
+    expect((await checkRoomAccess(roomId, { userId: 'u2' })).code).to.equal('not_invited');
+    expect((await checkRoomAccess(roomId, { userId: 'admin', isAdmin: true })).capacity).to.equal(0);
+  });
+
+  it('房间变更时应该通知监听器', async () => {
+    const listener = sinon.spy();
+    const unsubscribe = onRoomChanged(listener);
+    await createRoom({ id: roomId, open: true });
+    await setRoomStatus(roomId, 'closed');
+    unsubscribe();
+
+    expect(listener.callCount).to.equal(2);
+    expect(listener.lastCall.args[0]).to.equal(roomId);
+    expect(listener.lastCall.args[1].status).to.equal('closed');
+  });
+});
@@ -1,6 +1,6 @@
 /**
- * 数据库适配器测试运行器
- * 集中运行所有数据库适配器相关测试
+ * 测试运行器
+ * 集中运行tests下各目录的测试，命令行参数为要运行的目录（如 database），不传时运行除database外的全部目录
  */
 
 // 导入测试框架和工具
@@ -34,8 +34,14 @@ const mocha = new Mocha({
   reporter: 'spec' // 使用spec报告器
 });
 
-// 测试文件目录
-const testDir = path.join(__dirname, 'database');
+// 测试文件目录：命令行指定的目录，默认为除database外的全部目录
+// database目录的适配器测试需要单独运行（npm run test:db）
+const testDirs = process.argv.length > 2
+  ? process.argv.slice(2).map(dir => path.join(__dirname, dir))
+  : fs.readdirSync(__dirname)
+      .filter(item => item !== 'database' && fs.statSync(path.join(__dirname, item)).isDirectory())
+      .sort()
+      .map(item => path.join(__dirname, item));
 
 // 过滤测试文件的函数
 function isTestFile(filename) {
@@ -80,7 +86,7 @@ function collectTestFiles(directory) {
 const runTests = async () => {
   try {
     // 收集测试文件
-    const testFiles = collectTestFiles(testDir);
+    const testFiles = testDirs.flatMap(dir => collectTestFiles(dir));
     
     if (testFiles.length === 0) {
       console.log('未找到任何测试文件！');
@@ -93,10 +99,11 @@ const runTests = async () => {
     });
     console.log('');
     
-    // 添加测试文件到Mocha
+    // 添加测试文件到Mocha，测试文件是ES模块，需要异步加载
     testFiles.forEach(file => {
       mocha.addFile(file);
     });
+    await mocha.loadFilesAsync();
     
     // 运行测试
     return new Promise((resolve) => {
@@ -125,8 +132,9 @@ if (import.meta.url === new URL(process.argv[1], import.meta.url).href) {
   console.log('脚本开始执行');
   console.log(`当前工作目录: ${process.cwd()}`);
   console.log(`脚本路径: ${process.argv[1]}`);
-  console.log(`测试目录: ${testDir}`);
-  console.log(`测试目录是否存在: ${fs.existsSync(testDir)}`);
+  testDirs.forEach(dir => {
+    console.log(`测试目录: ${dir}，是否存在: ${fs.existsSync(dir)}`);
+  });
   
   (async () => {
     try {
@@ -0,0 +1,50 @@
+/**
+ * 优雅关闭测试
+ * 测试等待负载均衡摘除期间的状态和关闭步骤的执行时机
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+describe('优雅关闭测试', () => {
+  let shutdownModule;
+  let clock;
+
+  beforeEach(async () => {
+    // 关闭状态是模块级的且不可恢复，每个用例加载独立的模块实例，不影响其他测试
+    shutdownModule = await import(`../../src/shutdown.js?case=${Date.now()}-${Math.random()}`);
+    clock = sinon.useFakeTimers();
+    sinon.stub(process, 'exit');
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('等待期间只拒绝新连接，等待结束后才进入排空阶段并执行关闭步骤', async () => {
+    const { shutdown, onShutdown, isShuttingDown, isDraining, shutdownConfig } = shutdownModule;
+    shutdownConfig.drainDelay = 20000;
+    const step = sinon.stub().resolves();
+    onShutdown('断开连接', step);
+
+    shutdown('SIGTERM');
+    expect(isShuttingDown()).to.equal(true);
+    expect(isDraining()).to.equal(false);
+
+    await clock.tickAsync(19999);
+    expect(isDraining()).to.equal(false);
+    expect(step.called).to.equal(false);
+
+    await clock.tickAsync(1);
+    expect(isDraining()).to.equal(true);
+    expect(step.calledOnce).to.equal(true);
+    expect(process.exit.calledWith(0)).to.equal(true);
+  });
+
+  it('未配置等待时间时立即排空', async () => {
+    const { shutdown, isDraining } = shutdownModule;
+    await shutdown('SIGINT');
+    expect(isDraining()).to.equal(true);
+    expect(process.exit.calledWith(0)).to.equal(true);
+  });
+});
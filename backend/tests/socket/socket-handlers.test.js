@@ -0,0 +1,170 @@
+/**
+ * Socket事件处理测试
+ * 用模拟的io和socket驱动事件处理，测试加入房间、发送确认的幂等重试和优雅关闭等待期间的收发
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { redisUtils } from '../../src/database.js';
+import { initializeRoomRegistry } from '../../src/roomRegistry.js';
+import { getOnlineCount } from '../../src/presence.js';
+import { setupSocketHandlers, drainSocketHandlers } from '../../src/socketHandlers.js';
+import { shutdown, shutdownConfig } from '../../src/shutdown.js';
+import { stopDanmakuStore } from '../../src/danmakuStore.js';
+import { stopStatsCollector } from '../../src/statsCollector.js';
+
+// 模拟的广播目标
+const createEmitter = () => ({ emit: sinon.spy() });
+
+// 模拟的Socket.IO服务端，只实现事件处理用到的接口；房间广播都记录在io.broadcast
+const createIo = () => {
+  const broadcast = createEmitter();
+  const io = {
+    broadcast,
+    use: sinon.spy(),
+    on: (event, handler) => {
+      if (event === 'connection') io.connect = handler;
+    },
+    to: () => broadcast,
+    of: () => ({ sockets: new Map() }),
+    local: {
+      emit: sinon.spy(),
+      to: createEmitter,
+      in: () => ({ socketsLeave: sinon.spy() }),
+      disconnectSockets: sinon.spy()
+    },
+    engine: { clientsCount: 0 }
+  };
+  return io;
+};
+
+// 模拟的客户端连接，request发送事件并返回ack的参数
+const createSocket = (id, user) => {
+  const handlers = {};
+  const socket = {
+    id,
+    connected: true,
+    data: { user, ip: '10.0.0.1' },
+    rooms: new Set([id]),
+    handlers,
+    emit: sinon.spy(),
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    join: (roomId) => socket.rooms.add(roomId),
+    leave: (roomId) => socket.rooms.delete(roomId),
+    request: (event, payload) => new Promise(resolve => handlers[event](payload, resolve))
+  };
+  return socket;
+};
+
+describe('Socket事件处理测试', () => {
+  let io;
+  let socketSeq = 0;
+
+  // 建立连接并加入默认房间
+  const connect = async (userId = `socket-user-${socketSeq + 1}`) => {
+    const socket = createSocket(`socket-${++socketSeq}`, { userId, nickname: userId, isGuest: false, userLevel: 0 });
+    io.connect(socket);
+    expect((await socket.request('join-room', 'default-room')).success).to.equal(true);
+    return socket;
+  };
+
+  before(async () => {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+    await initializeRoomRegistry();
+    io = createIo();
+    setupSocketHandlers(io);
+    sinon.restore();
+  });
+
+  beforeEach(() => {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  after(async () => {
+    sinon.stub(console, 'log');
+    await drainSocketHandlers(io);
+    stopDanmakuStore();
+    stopStatsCollector();
+    sinon.restore();
+  });
+
+  describe('加入房间', () => {
+    it('加入过程中连接断开时不加入房间，也不保留在线记录', async () => {
+      const before = await getOnlineCount('default-room');
+      const socket = createSocket('dropped-socket', { userId: 'dropped-user', isGuest: false });
+      io.connect(socket);
+
+      const joining = socket.handlers['join-room']('default-room', sinon.spy());
+      socket.connected = false;
+      socket.handlers.disconnect();
+      await joining;
+
+      expect(socket.rooms.has('default-room')).to.equal(false);
+      expect(await getOnlineCount('default-room')).to.equal(before);
+    });
+  });
+
+  describe('发送确认', () => {
+    it('用同一个tempId重试时返回首次的结果，不重复广播', async () => {
+      const socket = await connect();
+      const payload = { roomId: 'default-room', tempId: 'temp-1', danmaku: { content: '只发一次' } };
+
+      const first = await socket.request('send-danmaku', payload);
+      const retried = await socket.request('send-danmaku', payload);
+      expect(first).to.include({ tempId: 'temp-1', success: true });
+      expect(retried).to.deep.equal(first);
+
+      const broadcasts = io.broadcast.emit.args.filter(([event, data]) => event === 'new-danmaku' && data.danmaku.id === first.id);
+      expect(broadcasts).to.have.length(1);
+    });
+
+    it('处理过程中出现异常时返回server_error，重试时重新处理', async () => {
+      sinon.stub(console, 'error');
+      sinon.stub(redisUtils, 'get').callThrough().onFirstCall().rejects(new Error('读取失败'));
+      const socket = await connect();
+      const payload = { roomId: 'default-room', tempId: 'temp-2', danmaku: { content: '异常后重试' } };
+
+      expect(await socket.request('send-danmaku', payload)).to.include({ tempId: 'temp-2', success: false, code: 'server_error' });
+      expect(await socket.request('send-danmaku', payload)).to.include({ tempId: 'temp-2', success: true });
+    });
+
+    it('失败的结果不缓存，重试时重新处理', async () => {
+      const socket = await connect();
+      const payload = { roomId: 'default-room', tempId: 'temp-3', danmaku: { content: '先未加入房间' } };
+      socket.leave('default-room');
+
+      expect(await socket.request('send-danmaku', payload)).to.include({ success: false, code: 'room_missing' });
+      socket.join('default-room');
+      expect(await socket.request('send-danmaku', payload)).to.include({ success: true });
+    });
+  });
+
+  // 关闭状态是模块级的且不可恢复，该用例需放在最后
+  describe('优雅关闭', () => {
+    it('等待移出负载均衡期间已建立的连接照常发送弹幕，新的加入被拒绝，等待结束后才拒绝发送', async () => {
+      const socket = await connect();
+      const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+      sinon.stub(process, 'exit');
+      shutdownConfig.drainDelay = 20000;
+
+      shutdown('SIGTERM');
+      const sent = await socket.request('send-danmaku', { roomId: 'default-room', danmaku: { content: '关闭前的弹幕' } });
+      expect(sent.success).to.equal(true);
+
+      const late = createSocket('late-socket', { userId: 'late-user', isGuest: false });
+      io.connect(late);
+      const joined = await late.request('join-room', 'default-room');
+      expect(joined).to.include({ success: false, code: 'server_shutdown' });
+
+      await clock.tickAsync(20000);
+      const rejected = await socket.request('send-danmaku', { roomId: 'default-room', danmaku: { content: '关闭后的弹幕' } });
+      expect(rejected).to.include({ success: false, code: 'server_shutdown' });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Socket事件参数校验测试
+ * 测试字段白名单、数值截断与结构化错误
+ */
+import { expect } from 'chai';
+import { validateSocketPayload } from '../../src/socketSchemas.js';
+
+describe('Socket事件参数校验测试', () => {
+  it('应该丢弃未声明的字段并截断字号和透明度', () => {
+    const result = validateSocketPayload('send-danmaku', {
+      roomId: 'room-a',
+      tempId: 't1',
+      danmaku: {
+        content: '你好',
+        color: '#ff6b6b',
+        fontSize: 9999,
+        opacity: -1,
+        avatar: 'x'.repeat(100000),
+        isAdmin: true
+      },
+      extra: true
+    });
+
+    expect(result.success).to.be.true;
+    expect(result.data).to.deep.equal({
+      roomId: 'room-a',
+      tempId: 't1',
+      danmaku: { content: '你好', type: 'scroll', color: '#FF6B6B', fontSize: 50, opacity: 0.1 }
+    });
+  });
+
+  it('应该拒绝缺少danmaku、非法颜色和类型，并列出出错字段', () => {
+    expect(validateSocketPayload('send-danmaku', { roomId: 'room-a' }).errors)
+      .to.deep.equal([{ field: 'danmaku', message: '不能为空' }]);
+
+    const result = validateSocketPayload('send-danmaku', {
+      roomId: 'room-a',
+      danmaku: { content: 'hi', color: 'red', type: 'marquee' }
+    });
+    expect(result.success).to.be.false;
+    expect(result.code).to.equal('invalid');
+    expect(result.errors.map(error => error.field)).to.deep.equal(['danmaku.type', 'danmaku.color']);
+  });
+
+  it('表情弹幕必须携带emojiInfo，文字弹幕内容不能为空', () => {
+    const emoji = validateSocketPayload('send-danmaku', { roomId: 'r', danmaku: { type: 'emoji' } });
+    expect(emoji.errors[0]).to.deep.equal({ field: 'danmaku', message: '表情弹幕缺少emojiInfo' });
+
+    const blank = validateSocketPayload('send-danmaku', { roomId: 'r', danmaku: { content: '  ' } });
+    expect(blank.success).to.be.false;
+  });
+
+  it('应该校验房间ID', () => {
+    expect(validateSocketPayload('join-room', { roomId: 'default-room' }).success).to.be.true;
+    expect(validateSocketPayload('join-room', { roomId: 'a b' }).success).to.be.false;
+    expect(validateSocketPayload('leave-room', 'default-room').success).to.be.false;
+  });
+
+  it('点播区间查询应该拒绝null和对象形式的videoId', () => {
+    expect(validateSocketPayload('get-danmaku-range', null).code).to.equal('invalid');
+
+    const injected = validateSocketPayload('get-danmaku-range', { roomId: 'r', videoId: { $ne: null } });
+    expect(injected.errors).to.deep.equal([{ field: 'videoId', message: '必须是字符串' }]);
+
+    const result = validateSocketPayload('get-danmaku-range', { roomId: 'r', from: 1000, limit: 99999 });
+    expect(result.data).to.deep.equal({ roomId: 'r', from: 1000, limit: 2000 });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * 统计采集测试
+ * 测试采样生成和历史统计降采样
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { setDatabaseAdapter } from '../../src/database.js';
+import {
+  collectStats,
+  downsampleStats,
+  getStatsHistory,
+  rollupSamples,
+  recordDanmakuSent,
+  recordDanmakuRejected,
+  recordSendLatency
+} from '../../src/statsCollector.js';
+
+describe('统计采集测试', () => {
+  it('采样应该包含本周期的房间弹幕数、拒绝原因和处理延迟', async () => {
+    await collectStats();
+    recordDanmakuSent('room-a');
+    recordDanmakuSent('room-a');
+    recordDanmakuRejected('rate_limited');
+    recordSendLatency(10);
+    recordSendLatency(30);
+
+    const sample = await collectStats({ activeConnections: 5, queueDepth: 2 });
+    expect(sample.activeConnections).to.equal(5);
+    expect(sample.queueDepth).to.equal(2);
+    expect(sample.rooms['room-a'].messagesPerSecond).to.be.above(0);
+    expect(sample.rejected).to.deep.equal({ rate_limited: 1 });
+    expect(sample.avgLatency).to.equal(20);
+    expect(sample.maxLatency).to.equal(30);
+
+    const next = await collectStats();
+    expect(next.rejected).to.deep.equal({});
+    expect(next.rooms).to.deep.equal({});
+  });
+
+  it('应该按粒度汇总采样：各实例平均后相加，拒绝数求和', () => {
+    const minute = 60000;
+    const samples = [
+      { instanceId: 'a', timestamp: 0, activeConnections: 10, messagesPerSecond: 2, totalMessages: 100, rejected: { duplicate: 1 }, rooms: { r: { online: 15, messagesPerSecond: 2 } } },
+      { instanceId: 'a', timestamp: 30000, activeConnections: 20, messagesPerSecond: 4, totalMessages: 160, rejected: { duplicate: 2 }, rooms: { r: { online: 25, messagesPerSecond: 4 } } },
+      { instanceId: 'b', timestamp: 10000, activeConnections: 5, messagesPerSecond: 1, totalMessages: 120, rejected: {}, rooms: { r: { online: 25, messagesPerSecond: 1 } } },
+      { instanceId: 'a', timestamp: minute, activeConnections: 8, messagesPerSecond: 0, totalMessages: 170, rejected: {}, rooms: {} }
+    ];
+
+    const [first, second] = downsampleStats(samples, 'minute');
+    expect(first.timestamp).to.equal(0);
+    expect(first.connections).to.equal(20);
+    expect(first.messagesPerSecond).to.equal(4);
+    expect(first.messages).to.equal(160);
+    expect(first.rejected).to.deep.equal({ duplicate: 3 });
+    expect(first.rooms.r).to.deep.equal({ online: 25, messagesPerSecond: 4 });
+    expect(second.timestamp).to.equal(minute);
+    expect(second.connections).to.equal(8);
+
+    expect(downsampleStats(samples, 'hour')).to.have.lengthOf(1);
+  });
+
+  it('查询历史时只读取各实例的汇总并合并，结果与按采样降采样一致', async () => {
+    const samples = [
+      { instanceId: 'a', timestamp: 0, activeConnections: 10, messagesPerSecond: 2, avgLatency: 10, rooms: { r: { online: 3, messagesPerSecond: 2 } } },
+      { instanceId: 'a', timestamp: 30000, activeConnections: 20, messagesPerSecond: 4, avgLatency: 0, rooms: {} },
+      { instanceId: 'b', timestamp: 10000, activeConnections: 5, messagesPerSecond: 1, avgLatency: 30, rooms: { r: { online: 4, messagesPerSecond: 1 } } }
+    ];
+    const adapter = {
+      isConnected: true,
+      getStatsRollups: sinon.stub().resolves(rollupSamples(samples, 'minute'))
+    };
+    setDatabaseAdapter(adapter);
+
+    try {
+      const result = await getStatsHistory(45000, 120000, 'minute');
+      expect(adapter.getStatsRollups.firstCall.args.slice(0, 3)).to.deep.equal(['minute', 0, 120000]);
+      expect(result.data).to.deep.equal(downsampleStats(samples, 'minute'));
+      expect(result.data[0].connections).to.equal(20);
+      expect(result.data[0].avgLatency).to.equal(20);
+      expect(result.data[0].rooms.r).to.deep.equal({ online: 4, messagesPerSecond: 2 });
+    } finally {
+      setDatabaseAdapter(null);
+    }
+  });
+});
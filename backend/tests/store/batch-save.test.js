@@ -0,0 +1,58 @@
+/**
+ * 弹幕批量写入测试
+ * 测试各适配器批量写入部分失败时返回逐条结果
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import databaseFactory from '../../src/database/adapters.js';
+
+const danmakus = ['d1', 'd2', 'd3'].map(id => ({ id, userId: 'u1', nickname: 'u1', content: id, timestamp: 1000 }));
+
+describe('弹幕批量写入测试', () => {
+  beforeEach(() => {
+    sinon.stub(console, 'debug');
+    sinon.stub(console, 'info');
+    sinon.stub(console, 'warn');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('PostgreSQL多行插入失败时逐条写入，只有出错的弹幕失败', async () => {
+    const adapter = databaseFactory.getAdapter('postgresql', {});
+    const query = sinon.stub();
+    query.onCall(0).rejects(new Error('value too long for type character varying(255)'));
+    query.onCall(1).resolves({ rows: [{ id: 1 }] });
+    query.onCall(2).rejects(new Error('value too long for type character varying(255)'));
+    query.onCall(3).resolves({ rows: [{ id: 3 }] });
+    adapter.pool = { query };
+
+    const results = await adapter.batchSaveDanmaku('batch-room', danmakus);
+    expect(results.map(result => result.success)).to.deep.equal([true, false, true]);
+    expect(query.callCount).to.equal(4);
+  });
+
+  it('MongoDB以弹幕ID作为_id无序写入，重复键视为已写入', async () => {
+    const adapter = databaseFactory.getAdapter('mongodb', {});
+    const error = new Error('bulk write error');
+    error.writeErrors = [{ index: 0, code: 11000, errmsg: 'duplicate key' }, { index: 2, code: 121, errmsg: 'validation failed' }];
+    const collection = { insertMany: sinon.stub().rejects(error), createIndex: sinon.stub().resolves() };
+    adapter.db = { collection: () => collection };
+
+    const results = await adapter.batchSaveDanmaku('batch-room', danmakus);
+    expect(results).to.deep.equal([
+      { id: 'd1', success: true },
+      { id: 'd2', success: true },
+      { success: false, error: 'validation failed' }
+    ]);
+    const [documents, options] = collection.insertMany.firstCall.args;
+    expect(documents.map(document => document._id)).to.deep.equal(['d1', 'd2', 'd3']);
+    expect(options).to.deep.equal({ ordered: false });
+
+    // 首次写入房间集合时创建点播查询的索引，之后不再重复创建
+    await adapter.batchSaveDanmaku('batch-room', danmakus);
+    expect(collection.createIndex.calledOnceWith({ videoId: 1, videoTime: 1 })).to.equal(true);
+  });
+});
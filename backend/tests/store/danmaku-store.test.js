@@ -0,0 +1,82 @@
+/**
+ * 弹幕存储测试
+ * 测试写缓冲批量写入部分失败时的重试和单条弹幕的重试上限
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { setDatabaseAdapter } from '../../src/database.js';
+import { enqueueDanmaku, flushRoom, getPendingCount } from '../../src/danmakuStore.js';
+
+describe('弹幕存储测试', () => {
+  let adapter;
+
+  beforeEach(() => {
+    sinon.stub(console, 'warn');
+    adapter = {
+      isConnected: true,
+      batchSaveDanmaku: sinon.stub(),
+      deleteDanmaku: sinon.stub().resolves(true)
+    };
+    setDatabaseAdapter(adapter);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    setDatabaseAdapter(null);
+  });
+
+  it('部分写入失败时只把失败的弹幕放回缓冲重试', async () => {
+    adapter.batchSaveDanmaku.onFirstCall().resolves([
+      { id: 1, success: true },
+      { success: false, error: 'duplicate key' },
+      { id: 3, success: true }
+    ]);
+    adapter.batchSaveDanmaku.onSecondCall().resolves([{ id: 2, success: true }]);
+
+    ['d1', 'd2', 'd3'].forEach(id => enqueueDanmaku('store-room', { id, content: id }));
+    expect(await flushRoom('store-room')).to.equal(2);
+    expect(getPendingCount()).to.equal(1);
+
+    expect(await flushRoom('store-room')).to.equal(1);
+    expect(adapter.batchSaveDanmaku.secondCall.args[1].map(danmaku => danmaku.id)).to.deep.equal(['d2']);
+    expect(getPendingCount()).to.equal(0);
+  });
+
+  it('适配器返回空结果时整批放回缓冲', async () => {
+    adapter.batchSaveDanmaku.resolves([]);
+    ['d1', 'd2'].forEach(id => enqueueDanmaku('store-room-2', { id, content: id }));
+
+    expect(await flushRoom('store-room-2')).to.equal(0);
+    expect(getPendingCount()).to.equal(2);
+
+    adapter.batchSaveDanmaku.resolves([{ success: true }, { success: true }]);
+    await flushRoom('store-room-2');
+  });
+
+  it('同批其他弹幕写入成功时，反复写入失败的弹幕达到上限后丢弃', async () => {
+    sinon.stub(console, 'error');
+    // 每批中ID为bad的弹幕写入失败，其他弹幕成功
+    adapter.batchSaveDanmaku.callsFake(async (roomId, batch) => batch.map(({ id }) => ({ success: id !== 'bad' })));
+
+    enqueueDanmaku('store-room-3', { id: 'bad', content: 'bad' });
+    for (let i = 0; i < 5; i++) {
+      enqueueDanmaku('store-room-3', { id: `ok-${i}`, content: 'ok' });
+      await flushRoom('store-room-3');
+    }
+
+    expect(getPendingCount()).to.equal(0);
+    expect(console.error.calledOnce).to.equal(true);
+  });
+
+  it('整批写入失败时（数据库不可用）不计入失败次数，弹幕不会被丢弃', async () => {
+    adapter.batchSaveDanmaku.resolves([]);
+    enqueueDanmaku('store-room-4', { id: 'd1', content: 'd1' });
+    for (let i = 0; i < 10; i++) {
+      await flushRoom('store-room-4');
+    }
+    expect(getPendingCount()).to.equal(1);
+
+    adapter.batchSaveDanmaku.resolves([{ success: true }]);
+    expect(await flushRoom('store-room-4')).to.equal(1);
+  });
+});
@@ -16,6 +16,10 @@ export class DanmakuCoreRenderer implements DanmakuRenderer {
   private channelStatus: Map<number, ChannelInfo> = new Map()
   private resizeObserver: ResizeObserver | null = null
   private cleanIntervalId: ReturnType<typeof setInterval> | null = null
+  // 点播时间轴：按videoTime升序排列的待播放弹幕
+  private timeline: Danmaku[] = []
+  private timelineCursor: number = 0
+  private lastSyncTime: number | null = null
 
   constructor() {
     this.config = { ...defaultConfig }
@@ -49,6 +53,12 @@ export class DanmakuCoreRenderer implements DanmakuRenderer {
    * 渲染单条弹幕
    */
   render(danmaku: Danmaku): void {
+    // 时间轴模式下，带播放位置的弹幕交给时间轴调度
+    if (this.config.timelineMode && typeof danmaku.videoTime === 'number') {
+      this.insertIntoTimeline(danmaku)
+      return
+    }
+    
     if (!this.container || this.isPaused) return
     
     // 添加到活跃弹幕列表
@@ -58,6 +68,68 @@ export class DanmakuCoreRenderer implements DanmakuRenderer {
     this.createDanmakuElement(danmaku)
   }
 
+  /**
+   * 加载点播弹幕到时间轴（按id去重），弹幕将在syncTo推进到其videoTime时渲染
+   */
+  loadTimeline(danmakus: Danmaku[]): void {
+    const knownIds = new Set(this.timeline.map(d => d.id))
+    const incoming = danmakus.filter(d => typeof d.videoTime === 'number' && !knownIds.has(d.id))
+    if (incoming.length === 0) return
+    
+    this.timeline = this.timeline.concat(incoming).sort((a, b) => a.videoTime! - b.videoTime!)
+    // 与lastSyncTime相同位置的弹幕已在上次同步时渲染过，游标从其后开始
+    this.timelineCursor = this.lastSyncTime === null ? 0 : this.findTimelineIndex(this.lastSyncTime + 1)
+  }
+  
+  /**
+   * 清空时间轴
+   */
+  clearTimeline(): void {
+    this.timeline = []
+    this.timelineCursor = 0
+    this.lastSyncTime = null
+  }
+  
+  /**
+   * 同步到播放器当前时间（毫秒），渲染上次同步后到达播放位置的弹幕。
+   * 时间回退或跨度超过seekThreshold时视为跳转：清屏并重新定位，不补播跳过的弹幕。
+   */
+  syncTo(currentTime: number): void {
+    if (!this.container) return
+    
+    const lastTime = this.lastSyncTime
+    const seekThreshold = this.config.seekThreshold ?? 1000
+    this.lastSyncTime = currentTime
+    
+    if (lastTime === null || currentTime < lastTime || currentTime - lastTime > seekThreshold) {
+      if (lastTime !== null) {
+        this.clear()
+      }
+      this.timelineCursor = this.findTimelineIndex(currentTime)
+      return
+    }
+    
+    while (this.timelineCursor < this.timeline.length && this.timeline[this.timelineCursor].videoTime! <= currentTime) {
+      this.renderTimelineDanmaku(this.timeline[this.timelineCursor])
+      this.timelineCursor++
+    }
+  }
+  
+  /**
+   * 移除指定弹幕（屏幕上和时间轴中的都会移除），用于服务端撤回弹幕
+   */
+  remove(danmakuId: string): void {
+    this.removeDanmaku(danmakuId)
+    
+    const index = this.timeline.findIndex(d => d.id === danmakuId)
+    if (index > -1) {
+      this.timeline.splice(index, 1)
+      if (index < this.timelineCursor) {
+        this.timelineCursor--
+      }
+    }
+  }
+  
   /**
    * 清空所有弹幕
    */
@@ -129,12 +201,59 @@ export class DanmakuCoreRenderer implements DanmakuRenderer {
    */
   destroy(): void {
     this.clear()
+    this.clearTimeline()
     this.stopRenderLoop()
     this.stopCleanInterval()
     this.disconnectResizeObserver()
     this.container = null
   }
 
+  /**
+   * 插入单条弹幕到时间轴，已经播放过的位置且在跳转阈值内的弹幕立即显示
+   */
+  private insertIntoTimeline(danmaku: Danmaku): void {
+    if (this.timeline.some(d => d.id === danmaku.id)) return
+    
+    const index = this.findTimelineIndex(danmaku.videoTime! + 1)
+    this.timeline.splice(index, 0, danmaku)
+    
+    if (this.lastSyncTime !== null && danmaku.videoTime! <= this.lastSyncTime) {
+      this.timelineCursor++
+      const seekThreshold = this.config.seekThreshold ?? 1000
+      if (this.lastSyncTime - danmaku.videoTime! <= seekThreshold) {
+        this.renderTimelineDanmaku(danmaku)
+      }
+    }
+  }
+  
+  /**
+   * 二分查找第一条videoTime不小于指定时间的弹幕下标
+   */
+  private findTimelineIndex(time: number): number {
+    let low = 0
+    let high = this.timeline.length
+    while (low < high) {
+      const mid = (low + high) >>> 1
+      if (this.timeline[mid].videoTime! < time) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    return low
+  }
+  
+  /**
+   * 渲染时间轴上的弹幕，以渲染时刻作为时间戳，避免历史弹幕被清理定时器提前移除
+   */
+  private renderTimelineDanmaku(danmaku: Danmaku): void {
+    if (!this.container || this.isPaused) return
+    
+    const rendered = { ...danmaku, timestamp: Date.now() }
+    this.activeDanmakus.push(rendered)
+    this.createDanmakuElement(rendered)
+  }
+
   /**
    * 设置容器样式
    */
@@ -1,6 +1,6 @@
 import React, { useRef, useEffect, forwardRef, useImperativeHandle } from 'react'
 import { DanmakuCoreRenderer } from '../core/DanmakuCoreRenderer'
-import type { DanmakuConfig } from '../types'
+import type { Danmaku, DanmakuConfig } from '../types'
 import type { DanmakuComponentRef, DanmakuRendererProps } from '../types/public'
 
 const DanmakuRenderer = forwardRef<DanmakuComponentRef, DanmakuRendererProps>((props, ref) => {
@@ -74,7 +74,10 @@ const DanmakuRenderer = forwardRef<DanmakuComponentRef, DanmakuRendererProps>((p
     pause: () => rendererRef.current?.pause(),
     resume: () => rendererRef.current?.resume(),
     clear: () => rendererRef.current?.clear(),
-    updateSize: (width: number, height: number) => rendererRef.current?.updateSize(width, height)
+    remove: (danmakuId: string) => rendererRef.current?.remove(danmakuId),
+    updateSize: (width: number, height: number) => rendererRef.current?.updateSize(width, height),
+    loadTimeline: (danmakus: Danmaku[]) => rendererRef.current?.loadTimeline(danmakus),
+    syncTo: (currentTime: number) => rendererRef.current?.syncTo(currentTime)
   }))
   
   // 计算容器样式
@@ -26,6 +26,8 @@ export interface Danmaku {
   fontSize?: number
   opacity?: number
   avatar?: string
+  videoId?: string // 点播模式：所属视频ID
+  videoTime?: number // 点播模式：弹幕锚定的视频播放位置（毫秒）
 }
 
 // 弹幕配置接口
@@ -62,6 +64,10 @@ export interface DanmakuConfig {
   autoAdaptScreen?: boolean
   mobileOptimize?: boolean
   
+  // 点播配置
+  timelineMode?: boolean // 按播放器时间轴调度弹幕，而不是收到即渲染
+  seekThreshold?: number // 两次同步的时间差超过该值（毫秒）视为跳转
+  
   // 事件回调
   onDanmakuClick?: (danmaku: Danmaku) => void
   onDanmakuEnd?: (danmaku: Danmaku) => void
@@ -91,7 +97,9 @@ export const defaultConfig: DanmakuConfig = {
   maxDanmakus: 500,
   clearInterval: 60000,
   autoAdaptScreen: true,
-  mobileOptimize: true
+  mobileOptimize: true,
+  timelineMode: false,
+  seekThreshold: 1000
 }
 
 // 弹幕管理器接口
@@ -116,8 +124,11 @@ export interface DanmakuRenderer {
   init: (container: HTMLElement, config?: DanmakuConfig) => void
   render: (danmaku: Danmaku) => void
   clear: () => void
+  remove: (danmakuId: string) => void
   updateSize: (width: number, height: number) => void
   pause: () => void
   resume: () => void
   destroy: () => void
+  loadTimeline: (danmakus: Danmaku[]) => void
+  syncTo: (currentTime: number) => void
 }
\ No newline at end of file
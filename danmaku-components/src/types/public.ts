@@ -1,9 +1,14 @@
+import type { Danmaku } from './index'
+
 // 公共组件引用类型定义
 export interface DanmakuComponentRef {
   pause: () => void
   resume: () => void
   clear: () => void
+  remove: (danmakuId: string) => void
   updateSize: (width: number, height: number) => void
+  loadTimeline: (danmakus: Danmaku[]) => void
+  syncTo: (currentTime: number) => void
 }
 
 // 弹幕渲染器属性类型
@@ -26,6 +26,9 @@ export interface Danmaku {
   fontSize?: number
   opacity?: number
   avatar?: string
+  videoId?: string // 点播模式：所属视频ID
+  videoTime?: number // 点播模式：弹幕锚定的视频播放位置（毫秒）
+  count?: number // 密度控制：合并的相似弹幕条数
 }
 
 // 弹幕轨道
@@ -6,6 +6,7 @@ import path from 'path'
 // 压测配置
 const config = {
   serverUrl: 'http://localhost:8000',
+  // 房间需要先通过管理接口登记并开放，或以 ROOM_AUTO_CREATE=true 启动后端
   roomId: 'load-test-room',
   totalClients: 100, // 模拟的总客户端数
   messagesPerClient: 10, // 每个客户端发送的消息数
@@ -106,26 +107,9 @@ class SimulatedClient {
           reject(error)
         })
 
-        this.socket.on('new-danmaku', (data) => {
+        this.socket.on('new-danmaku', () => {
           this.messagesReceived++
           stats.totalMessagesReceived++
-          
-          // 计算延迟（如果是自己发送的消息）
-          const messageId = data.danmaku.id
-          if (this.messageTimes.has(messageId)) {
-            const sendTime = this.messageTimes.get(messageId)
-            const receiveTime = performance.now()
-            const latency = receiveTime - sendTime
-            
-            stats.messageLatencies.push(latency)
-            this.messageTimes.delete(messageId)
-            
-            console.log(`[客户端 ${this.clientId}] 消息延迟: ${latency.toFixed(2)}ms`)
-          }
-        })
-
-        this.socket.on('send-failed', (data) => {
-          console.log(`[客户端 ${this.clientId}] 发送失败:`, data.reason)
         })
 
       } catch (error) {
@@ -152,14 +136,25 @@ class SimulatedClient {
         userId: `simulated_user_${this.clientId}`
       }
 
-      // 记录发送时间（这里使用临时ID，实际中服务端会返回真实ID）
+      // 记录发送时间，收到服务端确认（已广播）时计算延迟
       const tempId = `temp_${this.clientId}_${i}`
       this.messageTimes.set(tempId, performance.now())
 
       // 发送消息
       this.socket.emit('send-danmaku', {
         roomId: config.roomId,
+        tempId,
         danmaku
+      }, (result) => {
+        const latency = performance.now() - this.messageTimes.get(result.tempId)
+        this.messageTimes.delete(result.tempId)
+
+        if (result.success) {
+          stats.messageLatencies.push(latency)
+          console.log(`[客户端 ${this.clientId}] 消息延迟: ${latency.toFixed(2)}ms`)
+        } else {
+          console.log(`[客户端 ${this.clientId}] 发送失败(${result.code}):`, result.reason)
+        }
       })
 
       this.messagesSent++